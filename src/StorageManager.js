@@ -53,6 +53,11 @@ export class StorageManager {
                 }, 'StorageManager');
             }
             
+            // Hand saved data to the state manager (defaults are already in place)
+            if (!(loadedData instanceof ApplicationState)) {
+                this.appStateManager.importState(loadedData);
+            }
+            
             // Set up event listeners for Phaser data changes
             this.setupEventListeners();
             
@@ -114,7 +119,7 @@ export class StorageManager {
     // Handle data changes from Phaser's Data Manager
     handleDataChange(parent, key, value, previousValue) {
         // Mark dirty for any meaningful data changes
-        if (['appState', 'goals', 'rewards', 'categories', 'gameState', 'settings', 'metadata'].includes(key)) {
+        if (['appState', 'goals', 'trash', 'rewards', 'categories', 'gameState', 'winHistory', 'achievements', 'pointsHistory', 'completionLog', 'settings', 'metadata'].includes(key)) {
             this.markDirty();
             console.log(`StorageManager: Data changed - ${key}, marking as dirty`);
         }
@@ -160,13 +165,16 @@ export class StorageManager {
             currentAppState.lastModified = new Date();
             currentAppState.metadata.totalPlayTime = this.calculateTotalPlayTime(currentAppState);
             
+            // Serialize through the models so nested state (e.g. the GameState card) round-trips
+            const data = typeof currentAppState.toObject === 'function' ? currentAppState.toObject() : currentAppState;
+            
             // Create backup before saving
-            if (currentAppState.settings.backupEnabled) {
-                this.createBackup(currentAppState);
+            if (data.settings.backupEnabled) {
+                this.createBackup(data);
             }
             
             // Save to localStorage
-            const dataString = JSON.stringify(currentAppState);
+            const dataString = JSON.stringify(data);
             localStorage.setItem(this.storageKey, dataString);
             
             this.lastSaveTime = currentAppState.lastModified;
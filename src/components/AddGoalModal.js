@@ -1,53 +1,85 @@
 /**
  * AddGoalModal - Phaser-based modal component for adding/editing goals
  * PHASER COMPLIANT: Uses Container, DOM elements, and native Phaser patterns
+ *
+ * Edits every user-facing Goal field: title, description/notes, categories
+ * (from ApplicationStateManager.getCategories()), prerequisite goals (ones that
+ * would make a loop are disabled - see GoalPrerequisites), difficulty, an optional
+ * deadline (a due date and/or hours allowed once on a card), the renewable
+ * toggle with its cooldown or calendar schedule (RecurrenceRule), an optional
+ * target amount and unit for measurable goals, and a checklist of steps (one
+ * per line - steps that keep their text keep their ticks). Emits
+ * 'goalSaved' with the goal data and whether it was an edit, and 'modalClosed'
+ * when the modal goes away.
  */
 
+import { RECURRENCE_TYPES, WEEKDAY_NAMES, normalizeRecurrence } from '../utils/RecurrenceRule.js';
+import { findPrerequisiteCycle } from '../utils/GoalPrerequisites.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_SUBTASKS = 20;
+
 export class AddGoalModal extends Phaser.GameObjects.Container {
     constructor(scene, x, y, goalData = null) {
         super(scene, x, y);
-        
+
         this.scene = scene;
         this.goalData = goalData;
         this.isEditMode = !!goalData;
         this.modalWidth = 500;
-        this.modalHeight = 400;
-        
+        this.modalHeight = 790;
+        this.categories = scene.game.appStateManager ? scene.game.appStateManager.getCategories() : [];
+        this.goals = scene.game.appStateManager ? scene.game.appStateManager.getGoals() : [];
+
         this.formData = {
             text: goalData?.text || '',
             description: goalData?.description || '',
-            category: goalData?.category || '',
-            state: goalData?.state || 'to-do'
+            categories: [...(goalData?.categories || [])],
+            prerequisites: [...(goalData?.prerequisites || [])],
+            difficulty: goalData?.difficulty || 'medium',
+            dueDate: goalData?.dueDate || null,
+            dueWithinHours: goalData?.dueWithinHours ?? null,
+            isRenewable: goalData ? goalData.isRenewable : true,
+            cooldownPeriod: goalData?.cooldownPeriod ?? 24,
+            recurrence: goalData?.recurrence || null,
+            target: goalData?.target ?? null,
+            unit: goalData?.unit || '',
+            subtasks: (goalData?.subtasks || []).map(subtask => ({ ...subtask })),
+            completeWithSubtasks: goalData ? goalData.completeWithSubtasks !== false : true
         };
-        
+
+        this.errorTexts = {};
+
         this.createModalElements();
         this.setupInteractivity();
         scene.add.existing(this);
-        
+
         // PHASER COMPLIANT: Ensure container is added to display list for rendering
         this.addToDisplayList();
-        
+
         this.setDataEnabled();
         this.animateIn();
     }
-    
+
     createModalElements() {
         // Backdrop
         this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
         this.backdrop.setAlpha(0.5);
         this.backdrop.setDepth(-1);
         this.add(this.backdrop);
-        
+
         // Modal container
         this.modalContainer = this.scene.add.container(0, 0);
         this.add(this.modalContainer);
-        
+
         // Modal background
         this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
         this.modalBackground.setStrokeStyle(2, 0xdee2e6);
         this.modalBackground.setDepth(1);
         this.modalContainer.add(this.modalBackground);
-        
+
         // Title
         const title = this.isEditMode ? 'Edit Goal' : 'Add New Goal';
         this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, title, {
@@ -57,60 +89,407 @@ export class AddGoalModal extends Phaser.GameObjects.Container {
         }).setOrigin(0.5);
         this.titleText.setDepth(3);
         this.modalContainer.add(this.titleText);
-        
+
         // Form fields
         this.createFormFields();
-        
+
         // Action buttons
         this.createActionButtons();
     }
-    
+
     createFormFields() {
-        const startY = -this.modalHeight/2 + 80;
-        const fieldSpacing = 50;
-        
-        // Goal Title
-        this.createFormField('Goal Title', 'text', startY, this.formData.text);
-        this.createFormField('Description', 'description', startY + fieldSpacing, this.formData.description);
-        this.createFormField('Category', 'category', startY + fieldSpacing * 2, this.formData.category);
-    }
-    
-    createFormField(label, fieldName, y, initialValue) {
-        const fieldX = -this.modalWidth/2 + 20;
-        const fieldWidth = this.modalWidth - 40;
-        
-        // Label
-        const labelText = this.scene.add.text(fieldX, y - 15, label, {
+        const startY = -this.modalHeight/2 + 90;
+
+        this.createTextField('Goal Title', 'text', startY, this.formData.text);
+        this.createDescriptionField(startY + 70);
+        this.createCategoryField(startY + 170);
+        this.createPrerequisitesField(startY + 170);
+        this.createDifficultyField(startY + 280);
+        this.createDueField(startY + 280);
+        this.createRenewableField(startY + 350);
+        this.createScheduleField(startY + 420);
+        this.createTargetField(startY + 490);
+        this.createSubtasksField(startY + 560);
+    }
+
+    /**
+     * Field label with an inline (right-aligned) validation message
+     */
+    createFieldLabel(label, fieldName, y, fieldX = -this.modalWidth/2 + 20, fieldWidth = this.modalWidth - 40) {
+
+        const labelText = this.scene.add.text(fieldX, y - 22, label, {
             fontSize: '14px',
             fill: '#333333',
             fontStyle: 'bold'
         }).setOrigin(0, 0);
         labelText.setDepth(3);
         this.modalContainer.add(labelText);
-        
-        // Input field
-        const inputElement = this.scene.add.dom(fieldX, y, 'input', 
-            `width: ${fieldWidth}px; height: 30px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px;`,
-            initialValue
+
+        const errorText = this.scene.add.text(fieldX + fieldWidth, y - 22, '', {
+            fontSize: '12px',
+            fill: '#dc3545'
+        }).setOrigin(1, 0);
+        errorText.setDepth(3);
+        this.modalContainer.add(errorText);
+        this.errorTexts[fieldName] = errorText;
+    }
+
+    createDomField(y, tagName, style, height, fieldX = -this.modalWidth/2 + 20, fieldWidth = this.modalWidth - 40) {
+
+        const element = this.scene.add.dom(fieldX, y, tagName,
+            `width: ${fieldWidth}px; height: ${height}px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box; ${style}`
         );
-        inputElement.setDepth(3);
+        element.setOrigin(0, 0);
+        element.setDepth(3);
+        this.modalContainer.add(element);
+        return element;
+    }
+
+    createTextField(label, fieldName, y, initialValue) {
+        this.createFieldLabel(label, fieldName, y);
+
+        const inputElement = this.createDomField(y, 'input', '', 34);
+        inputElement.node.value = initialValue;
         inputElement.node.setAttribute('placeholder', `Enter ${label.toLowerCase()}`);
-        this.modalContainer.add(inputElement);
-        
+        inputElement.node.setAttribute('maxlength', String(MAX_TITLE_LENGTH));
+
         this[`${fieldName}Input`] = inputElement;
     }
-    
+
+    createDescriptionField(y) {
+        this.createFieldLabel('Description / Notes', 'description', y);
+
+        this.descriptionInput = this.createDomField(y, 'textarea', 'resize: none; font-family: inherit;', 60);
+        this.descriptionInput.node.value = this.formData.description;
+        this.descriptionInput.node.setAttribute('placeholder', 'Optional notes about this goal');
+    }
+
+    createCategoryField(y) {
+        // Left half of the row - prerequisites take the right half
+        const fieldX = -this.modalWidth/2 + 20;
+        const fieldWidth = (this.modalWidth - 50) / 2;
+        this.createFieldLabel('Categories', 'categories', y, fieldX, fieldWidth);
+
+        this.categoriesInput = this.createDomField(y, 'div', 'overflow-y: auto; display: flex; flex-wrap: wrap; gap: 4px 12px; align-content: flex-start;', 80, fieldX, fieldWidth);
+
+        // Build with DOM nodes so user-named categories are never parsed as HTML
+        this.categories.forEach(category => {
+            const option = document.createElement('label');
+            option.style.cssText = `color: ${category.color}; font-weight: bold; cursor: pointer;`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = category.id;
+            checkbox.checked = this.formData.categories.includes(category.id);
+
+            option.append(checkbox, ` ${category.name}`);
+            this.categoriesInput.node.appendChild(option);
+        });
+
+        if (this.categories.length === 0) {
+            this.categoriesInput.node.textContent = 'No categories yet';
+        }
+    }
+
+    createPrerequisitesField(y) {
+        const fieldWidth = (this.modalWidth - 50) / 2;
+        const fieldX = this.modalWidth/2 - 20 - fieldWidth;
+        this.createFieldLabel('Unlocks after', 'prerequisites', y, fieldX, fieldWidth);
+
+        this.prerequisitesInput = this.createDomField(y, 'div', 'overflow-y: auto; display: flex; flex-direction: column; gap: 2px; font-size: 13px;', 80, fieldX, fieldWidth);
+
+        const goalId = this.goalData?.id || null;
+        const candidates = this.goals
+            .filter(goal => goal.id !== goalId && (!goal.archived || this.formData.prerequisites.includes(goal.id)))
+            .sort((a, b) => a.text.localeCompare(b.text));
+
+        candidates.forEach(goal => {
+            const option = document.createElement('label');
+            option.style.cssText = 'cursor: pointer; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = goal.id;
+            checkbox.checked = this.formData.prerequisites.includes(goal.id);
+
+            // A goal that already depends on this one cannot also be its prerequisite
+            if (!checkbox.checked && findPrerequisiteCycle(goalId, [goal.id], this.goals)) {
+                checkbox.disabled = true;
+                option.style.color = '#999999';
+                option.title = 'Already unlocked by this goal';
+            }
+
+            option.append(checkbox, ` ${goal.text}`);
+            this.prerequisitesInput.node.appendChild(option);
+        });
+
+        if (candidates.length === 0) {
+            this.prerequisitesInput.node.textContent = 'No other goals yet';
+        }
+    }
+
+    createDifficultyField(y) {
+        // Narrow select - the deadline takes the rest of the row
+        const fieldX = -this.modalWidth/2 + 20;
+        this.createFieldLabel('Difficulty', 'difficulty', y, fieldX, 140);
+
+        this.difficultyInput = this.createDomField(y, 'select', '', 34, fieldX, 140);
+        DIFFICULTIES.forEach(difficulty => {
+            const option = document.createElement('option');
+            option.value = difficulty;
+            option.textContent = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+            this.difficultyInput.node.appendChild(option);
+        });
+        this.difficultyInput.node.value = this.formData.difficulty;
+    }
+
+    createDueField(y) {
+        const fieldWidth = this.modalWidth - 200;
+        const fieldX = this.modalWidth/2 - 20 - fieldWidth;
+        this.createFieldLabel('Due (optional)', 'due', y, fieldX, fieldWidth);
+
+        this.dueInput = this.createDomField(y, 'div', 'display: flex; align-items: center; gap: 6px; border: none; padding: 0;', 34, fieldX, fieldWidth);
+        const inputStyle = 'height: 34px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box;';
+
+        // Fixed date - due at the end of that day
+        this.dueDateInput = document.createElement('input');
+        this.dueDateInput.type = 'date';
+        this.dueDateInput.style.cssText = `width: 140px; ${inputStyle}`;
+        if (this.formData.dueDate) {
+            const date = new Date(this.formData.dueDate);
+            const pad = value => String(value).padStart(2, '0');
+            this.dueDateInput.value = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+
+        // Hours allowed once the goal is placed on a card
+        this.dueWithinHoursInput = document.createElement('input');
+        this.dueWithinHoursInput.type = 'number';
+        this.dueWithinHoursInput.min = '1';
+        this.dueWithinHoursInput.style.cssText = `width: 56px; ${inputStyle}`;
+        this.dueWithinHoursInput.value = this.formData.dueWithinHours ?? '';
+
+        const orLabel = document.createElement('span');
+        orLabel.textContent = 'or';
+        const hoursLabel = document.createElement('span');
+        hoursLabel.textContent = 'h on card';
+        [orLabel, hoursLabel].forEach(label => {
+            label.style.cssText = 'font-size: 13px; color: #333333;';
+        });
+
+        this.dueInput.node.append(this.dueDateInput, orLabel, this.dueWithinHoursInput, hoursLabel);
+    }
+
+    createRenewableField(y) {
+        this.createFieldLabel('Renewable', 'cooldownPeriod', y);
+
+        const fieldX = -this.modalWidth/2 + 20;
+
+        // Renewable toggle
+        this.isRenewableInput = this.scene.add.dom(fieldX, y, 'input');
+        this.isRenewableInput.setOrigin(0, 0);
+        this.isRenewableInput.setDepth(3);
+        this.isRenewableInput.node.type = 'checkbox';
+        this.isRenewableInput.node.checked = this.formData.isRenewable;
+        this.isRenewableInput.node.style.cssText = 'width: 20px; height: 20px; margin: 7px 0;';
+        this.modalContainer.add(this.isRenewableInput);
+
+        const toggleLabel = this.scene.add.text(fieldX + 30, y + 17, 'Can be played again after a cooldown of', {
+            fontSize: '14px',
+            fill: '#333333'
+        }).setOrigin(0, 0.5);
+        toggleLabel.setDepth(3);
+        this.modalContainer.add(toggleLabel);
+
+        // Cooldown duration (hours)
+        this.cooldownPeriodInput = this.scene.add.dom(this.modalWidth/2 - 120, y, 'input',
+            'width: 60px; height: 34px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box;'
+        );
+        this.cooldownPeriodInput.setOrigin(0, 0);
+        this.cooldownPeriodInput.setDepth(3);
+        this.cooldownPeriodInput.node.type = 'number';
+        this.cooldownPeriodInput.node.min = '1';
+        this.cooldownPeriodInput.node.value = this.formData.cooldownPeriod ?? '';
+        this.modalContainer.add(this.cooldownPeriodInput);
+
+        const hoursLabel = this.scene.add.text(this.modalWidth/2 - 52, y + 17, 'hours', {
+            fontSize: '14px',
+            fill: '#333333'
+        }).setOrigin(0, 0.5);
+        hoursLabel.setDepth(3);
+        this.modalContainer.add(hoursLabel);
+
+        this.updateCooldownState();
+    }
+
+    createScheduleField(y) {
+        this.createFieldLabel('Schedule', 'recurrence', y);
+
+        this.scheduleInput = this.createDomField(y, 'div', 'display: flex; align-items: center; gap: 8px; border: none; padding: 0;', 34);
+        const rule = this.formData.recurrence || {};
+
+        this.scheduleTypeSelect = document.createElement('select');
+        this.scheduleTypeSelect.style.cssText = 'height: 34px; border: 1px solid #ced4da; border-radius: 4px; font-size: 14px;';
+        [{ key: '', label: 'Cooldown only' }, ...RECURRENCE_TYPES].forEach(({ key, label }) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            this.scheduleTypeSelect.appendChild(option);
+        });
+        this.scheduleTypeSelect.value = rule.type || '';
+
+        // Day of month, N days or N times a week
+        this.scheduleNumberInput = document.createElement('input');
+        this.scheduleNumberInput.type = 'number';
+        this.scheduleNumberInput.min = '1';
+        this.scheduleNumberInput.style.cssText = 'width: 60px; height: 34px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box;';
+        this.scheduleNumberInput.value = rule.dayOfMonth ?? rule.interval ?? rule.count ?? '';
+
+        // Days of the week
+        this.scheduleDays = document.createElement('span');
+        this.scheduleDays.style.cssText = 'display: flex; gap: 4px; font-size: 12px;';
+        WEEKDAY_NAMES.forEach((name, day) => {
+            const option = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(day);
+            checkbox.checked = (rule.days || []).includes(day);
+            option.append(checkbox, name);
+            this.scheduleDays.appendChild(option);
+        });
+
+        this.scheduleInput.node.append(this.scheduleTypeSelect, this.scheduleNumberInput, this.scheduleDays);
+
+        // Schedules count days where the goal was set up, wherever it is played later
+        this.scheduleTimeZone = rule.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        this.updateCooldownState();
+    }
+
+    createTargetField(y) {
+        this.createFieldLabel('Target (optional)', 'target', y);
+
+        const fieldX = -this.modalWidth/2 + 20;
+
+        // Amount to reach on the card - leave empty for a plain checkbox goal
+        this.targetInput = this.scene.add.dom(fieldX, y, 'input',
+            'width: 120px; height: 34px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box;'
+        );
+        this.targetInput.setOrigin(0, 0);
+        this.targetInput.setDepth(3);
+        this.targetInput.node.type = 'number';
+        this.targetInput.node.min = '0';
+        this.targetInput.node.step = 'any';
+        this.targetInput.node.setAttribute('placeholder', 'e.g. 8');
+        this.targetInput.node.value = this.formData.target ?? '';
+        this.modalContainer.add(this.targetInput);
+
+        this.unitInput = this.scene.add.dom(fieldX + 130, y, 'input',
+            'width: 200px; height: 34px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box;'
+        );
+        this.unitInput.setOrigin(0, 0);
+        this.unitInput.setDepth(3);
+        this.unitInput.node.setAttribute('placeholder', 'Unit, e.g. glasses or km');
+        this.unitInput.node.setAttribute('maxlength', '20');
+        this.unitInput.node.value = this.formData.unit;
+        this.modalContainer.add(this.unitInput);
+    }
+
+    createSubtasksField(y) {
+        this.createFieldLabel('Steps (optional, one per line)', 'subtasks', y);
+
+        const fieldX = -this.modalWidth/2 + 20;
+
+        this.subtasksInput = this.scene.add.dom(fieldX, y, 'textarea',
+            'width: 300px; height: 50px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 13px; box-sizing: border-box; resize: none; font-family: inherit;'
+        );
+        this.subtasksInput.setOrigin(0, 0);
+        this.subtasksInput.setDepth(3);
+        this.subtasksInput.node.setAttribute('placeholder', 'Make a shopping list\nBuy groceries\nPrep lunches');
+        this.subtasksInput.node.value = this.formData.subtasks.map(subtask => subtask.text).join('\n');
+        this.modalContainer.add(this.subtasksInput);
+
+        // Auto-complete toggle, beside the list
+        this.completeWithSubtasksInput = this.scene.add.dom(fieldX + 310, y, 'input');
+        this.completeWithSubtasksInput.setOrigin(0, 0);
+        this.completeWithSubtasksInput.setDepth(3);
+        this.completeWithSubtasksInput.node.type = 'checkbox';
+        this.completeWithSubtasksInput.node.checked = this.formData.completeWithSubtasks;
+        this.completeWithSubtasksInput.node.style.cssText = 'width: 20px; height: 20px; margin: 7px 0;';
+        this.modalContainer.add(this.completeWithSubtasksInput);
+
+        const toggleLabel = this.scene.add.text(fieldX + 338, y + 4, 'Mark the cell done\nwith the last step', {
+            fontSize: '12px',
+            fill: '#333333'
+        }).setOrigin(0, 0);
+        toggleLabel.setDepth(3);
+        this.modalContainer.add(toggleLabel);
+    }
+
+    /**
+     * Steps from the textarea; a line that matches an existing step keeps its id and tick
+     */
+    getSubtasks() {
+        const existing = [...this.formData.subtasks];
+        return this.subtasksInput.node.value.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(text => {
+                const index = existing.findIndex(subtask => subtask.text === text);
+                if (index !== -1) {
+                    return { ...existing.splice(index, 1)[0] };
+                }
+                return {
+                    id: 'step_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+                    text,
+                    done: false,
+                    doneAt: null
+                };
+            });
+    }
+
+    updateCooldownState() {
+        const isRenewable = this.isRenewableInput.node.checked;
+        if (!this.scheduleTypeSelect) {
+            this.cooldownPeriodInput.node.disabled = !isRenewable;
+            return;
+        }
+
+        const scheduleType = this.scheduleTypeSelect.value;
+        this.scheduleTypeSelect.disabled = !isRenewable;
+        this.cooldownPeriodInput.node.disabled = !isRenewable || scheduleType !== '';
+        this.scheduleNumberInput.style.display = ['monthly', 'interval', 'times-per-week'].includes(scheduleType) ? '' : 'none';
+        this.scheduleNumberInput.max = scheduleType === 'monthly' ? '31' : (scheduleType === 'times-per-week' ? '7' : '');
+        this.scheduleDays.style.display = scheduleType === 'weekly' ? 'flex' : 'none';
+    }
+
+    getRecurrence() {
+        const type = this.scheduleTypeSelect.value;
+        if (!type) {
+            return null;
+        }
+        const value = Number(this.scheduleNumberInput.value);
+        const days = Array.from(this.scheduleDays.querySelectorAll('input:checked')).map(checkbox => Number(checkbox.value));
+        return normalizeRecurrence({
+            type,
+            days,
+            dayOfMonth: value,
+            interval: value,
+            count: value,
+            timeZone: this.scheduleTimeZone
+        });
+    }
+
     createActionButtons() {
         const buttonY = this.modalHeight/2 - 40;
         const buttonSpacing = 80;
-        
+
         // Cancel button
         this.cancelButton = this.scene.add.rectangle(-buttonSpacing, buttonY, 100, 35, 0x6c757d);
         this.cancelButton.setStrokeStyle(2, 0x5a6268);
         this.cancelButton.setInteractive();
         this.cancelButton.setDepth(3);
         this.modalContainer.add(this.cancelButton);
-        
+
         this.cancelText = this.scene.add.text(-buttonSpacing, buttonY, 'Cancel', {
             fontSize: '14px',
             fill: '#ffffff',
@@ -118,14 +497,14 @@ export class AddGoalModal extends Phaser.GameObjects.Container {
         }).setOrigin(0.5);
         this.cancelText.setDepth(4);
         this.modalContainer.add(this.cancelText);
-        
+
         // Save button
         this.saveButton = this.scene.add.rectangle(buttonSpacing, buttonY, 100, 35, 0x28a745);
         this.saveButton.setStrokeStyle(2, 0x1e7e34);
         this.saveButton.setInteractive();
         this.saveButton.setDepth(3);
         this.modalContainer.add(this.saveButton);
-        
+
         this.saveText = this.scene.add.text(buttonSpacing, buttonY, this.isEditMode ? 'Update' : 'Save', {
             fontSize: '14px',
             fill: '#ffffff',
@@ -134,65 +513,145 @@ export class AddGoalModal extends Phaser.GameObjects.Container {
         this.saveText.setDepth(4);
         this.modalContainer.add(this.saveText);
     }
-    
+
     setupInteractivity() {
         this.backdrop.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
         this.cancelButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
         this.saveButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.saveGoal());
+
+        this.isRenewableInput.addListener('change');
+        this.isRenewableInput.on('change', () => {
+            this.updateCooldownState();
+            this.validateForm();
+        });
+
+        this.scheduleInput.addListener('change');
+        this.scheduleInput.on('change', () => this.updateCooldownState());
     }
-    
+
     getFormData() {
+        const checkedCategories = this.categoriesInput.node.querySelectorAll('input[type="checkbox"]:checked');
+        const cooldownValue = this.cooldownPeriodInput.node.value.trim();
+
         return {
             text: this.textInput.node.value.trim(),
             description: this.descriptionInput.node.value.trim(),
-            category: this.categoryInput.node.value.trim(),
-            state: this.formData.state
+            categories: Array.from(checkedCategories).map(checkbox => checkbox.value),
+            prerequisites: Array.from(this.prerequisitesInput.node.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value),
+            difficulty: this.difficultyInput.node.value,
+            dueDate: this.dueDateInput.value ? new Date(`${this.dueDateInput.value}T23:59:59`) : null,
+            dueWithinHours: this.dueWithinHoursInput.value.trim() === '' ? null : Number(this.dueWithinHoursInput.value),
+            isRenewable: this.isRenewableInput.node.checked,
+            cooldownPeriod: cooldownValue === '' ? null : Number(cooldownValue),
+            scheduleType: this.scheduleTypeSelect.value,
+            recurrence: this.getRecurrence(),
+            target: this.targetInput.node.value.trim() === '' ? null : Number(this.targetInput.node.value),
+            unit: this.unitInput.node.value.trim(),
+            subtasks: this.getSubtasks(),
+            completeWithSubtasks: this.completeWithSubtasksInput.node.checked
         };
     }
-    
+
+    /**
+     * Validate every field and show the messages next to their labels
+     *
+     * @returns {boolean} True if the form can be saved
+     */
     validateForm() {
         const data = this.getFormData();
+        const errors = {};
+
         if (!data.text) {
-            console.warn('Goal title is required');
-            return false;
+            errors.text = 'Goal title is required';
+        } else if (data.text.length > MAX_TITLE_LENGTH) {
+            errors.text = `Keep it under ${MAX_TITLE_LENGTH} characters`;
+        }
+        if (data.description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.description = `Keep it under ${MAX_DESCRIPTION_LENGTH} characters`;
+        }
+        if (this.categories.length > 0 && data.categories.length === 0) {
+            errors.categories = 'Pick at least one category';
+        }
+        if (findPrerequisiteCycle(this.goalData?.id || null, data.prerequisites, this.goals)) {
+            errors.prerequisites = 'That makes a loop';
+        }
+        if (!DIFFICULTIES.includes(data.difficulty)) {
+            errors.difficulty = 'Pick a difficulty';
+        }
+        if (data.dueWithinHours !== null && !(Number.isFinite(data.dueWithinHours) && data.dueWithinHours > 0)) {
+            errors.due = 'Hours must be more than 0';
+        } else if (data.dueDate && data.dueDate < new Date()) {
+            errors.due = 'That date has passed';
+        }
+        if (data.isRenewable && !data.scheduleType && !(Number.isFinite(data.cooldownPeriod) && data.cooldownPeriod > 0)) {
+            errors.cooldownPeriod = 'Cooldown must be more than 0 hours';
+        }
+        if (data.subtasks.length > MAX_SUBTASKS) {
+            errors.subtasks = `Keep it to ${MAX_SUBTASKS} steps`;
+        }
+        if (data.target !== null && !(Number.isFinite(data.target) && data.target > 0)) {
+            errors.target = 'Target must be more than 0';
         }
-        return true;
+        if (data.isRenewable && data.scheduleType && !data.recurrence) {
+            errors.recurrence = data.scheduleType === 'weekly' ? 'Pick at least one day' : 'Enter a valid number';
+        }
+
+        Object.entries(this.errorTexts).forEach(([fieldName, errorText]) => {
+            errorText.setText(errors[fieldName] || '');
+        });
+
+        return Object.keys(errors).length === 0;
     }
-    
+
     saveGoal() {
         if (!this.validateForm()) return;
-        
+
         const formData = this.getFormData();
         const goalData = {
-            id: this.goalData?.id || Date.now().toString(),
             text: formData.text,
             description: formData.description,
-            category: formData.category || 'General',
-            state: formData.state,
-            createdAt: this.goalData?.createdAt || new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+            categories: formData.categories,
+            prerequisites: formData.prerequisites,
+            difficulty: formData.difficulty,
+            dueDate: formData.dueDate,
+            dueWithinHours: formData.dueWithinHours,
+            isRenewable: formData.isRenewable,
+            cooldownPeriod: formData.isRenewable ? formData.cooldownPeriod : null,
+            recurrence: formData.isRenewable ? formData.recurrence : null,
+            target: formData.target,
+            unit: formData.target ? formData.unit : '',
+            subtasks: formData.subtasks,
+            completeWithSubtasks: formData.completeWithSubtasks
         };
-        
-        this.emit('goalSaved', goalData);
+
+        // Edits keep the goal's id, state and history - only the form fields change
+        if (this.isEditMode) {
+            goalData.id = this.goalData.id;
+        }
+
+        this.emit('goalSaved', goalData, this.isEditMode);
         this.closeModal();
     }
-    
+
     closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
         this.emit('modalClosed');
         this.animateOut();
     }
-    
+
     animateIn() {
         this.setAlpha(0);
         this.modalContainer.setScale(0.8);
-        
+
         this.scene.tweens.add({
             targets: this.backdrop,
             alpha: 0.5,
             duration: 200,
             ease: 'Power2'
         });
-        
+
         this.scene.tweens.add({
             targets: this.modalContainer,
             scaleX: 1,
@@ -201,7 +660,7 @@ export class AddGoalModal extends Phaser.GameObjects.Container {
             duration: 300,
             ease: 'Back.easeOut'
         });
-        
+
         this.scene.tweens.add({
             targets: this,
             alpha: 1,
@@ -209,7 +668,7 @@ export class AddGoalModal extends Phaser.GameObjects.Container {
             ease: 'Power2'
         });
     }
-    
+
     animateOut() {
         this.scene.tweens.add({
             targets: this.backdrop,
@@ -217,7 +676,7 @@ export class AddGoalModal extends Phaser.GameObjects.Container {
             duration: 200,
             ease: 'Power2'
         });
-        
+
         this.scene.tweens.add({
             targets: this.modalContainer,
             scaleX: 0.8,
@@ -226,7 +685,7 @@ export class AddGoalModal extends Phaser.GameObjects.Container {
             duration: 200,
             ease: 'Power2'
         });
-        
+
         this.scene.tweens.add({
             targets: this,
             alpha: 0,
@@ -235,9 +694,9 @@ export class AddGoalModal extends Phaser.GameObjects.Container {
             onComplete: () => this.destroy()
         });
     }
-    
+
     destroy() {
         this.removeAllListeners();
         super.destroy();
     }
-}
\ No newline at end of file
+}
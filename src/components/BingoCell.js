@@ -1,7 +1,22 @@
 /**
  * BingoCell - Individual cell in the bingo grid
  * Handles goal display, completion state, and interactions
+ *
+ * Quantified goals (Goal.target) show a progress bar instead of toggling:
+ * a click emits 'goalProgress' (goal, 1) and the ✎ corner button emits
+ * 'goalProgressEntry' (goal) so the scene can ask for an amount. The scene
+ * logs the amount and calls syncProgress(), which marks the cell once the
+ * target is reached.
+ *
+ * Goals with steps (Goal.subtasks) get a ☑ corner button that emits
+ * 'goalChecklistOpen' (goal); updateChecklist() refreshes its "2/5" count.
+ *
+ * Goals with a deadline (Goal.getDueAt()) show a countdown in the top left
+ * corner. The scene calls updateDeadline() on a timer; past the deadline the
+ * cell is flagged overdue with a red border.
  */
+import { formatTimeLeft } from '../utils/GoalDeadlines.js';
+
 export class BingoCell extends Phaser.GameObjects.Container {
     constructor(scene, x, y, goal = null, cellSize = 100) {
         super(scene, x, y);
@@ -11,6 +26,9 @@ export class BingoCell extends Phaser.GameObjects.Container {
         this.cellSize = cellSize;
         this.isCompleted = false;
         this.isHighlighted = false;
+        this.isFree = false; // Free cell: always completed, not toggleable
+        this.isOverdue = false; // In play past the goal's deadline
+        this.freeLabel = 'FREE';
         
         // Create cell background
         this.createBackground();
@@ -21,6 +39,15 @@ export class BingoCell extends Phaser.GameObjects.Container {
         // Create completion indicator
         this.createCompletionIndicator();
         
+        // Create progress bar (quantified goals only)
+        this.createProgressBar();
+        
+        // Create checklist button (goals with steps only)
+        this.createChecklistButton();
+        
+        // Create deadline countdown (goals with a deadline only)
+        this.createDeadlineText();
+        
         // Set up interactions
         this.setupInteractions();
         
@@ -52,6 +79,93 @@ export class BingoCell extends Phaser.GameObjects.Container {
         this.add(this.completionIndicator);
     }
     
+    createProgressBar() {
+        const barWidth = this.cellSize - 20;
+        const barY = this.cellSize/2 - 10;
+        
+        this.progressTrack = this.scene.add.rectangle(0, barY, barWidth, 6, 0xe0e0e0);
+        this.progressFill = this.scene.add.rectangle(-barWidth/2, barY, barWidth, 6, 0x2196F3).setOrigin(0, 0.5);
+        this.progressText = this.scene.add.text(0, barY - 12, '', {
+            fontSize: '10px',
+            fill: '#555555',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Enter an amount (a plain click adds 1)
+        this.progressEntryButton = this.scene.add.text(-this.cellSize/2 + 10, -this.cellSize/2 + 10, '✎', {
+            fontSize: '12px',
+            fill: '#555555'
+        }).setOrigin(0.5);
+        this.progressEntryButton.setInteractive();
+        this.progressEntryButton.on('pointerdown', (pointer, localX, localY, event) => {
+            event.stopPropagation(); // Don't also add 1
+            if (this.goal) {
+                this.scene.events.emit('goalProgressEntry', this.goal);
+            }
+        });
+        
+        this.add([this.progressTrack, this.progressFill, this.progressText, this.progressEntryButton]);
+        this.updateProgress();
+    }
+    
+    createChecklistButton() {
+        this.checklistButton = this.scene.add.text(this.cellSize/2 - 6, -this.cellSize/2 + 10, '', {
+            fontSize: '10px',
+            fill: '#555555',
+            fontStyle: 'bold'
+        }).setOrigin(1, 0.5);
+        this.checklistButton.setInteractive();
+        this.checklistButton.on('pointerdown', (pointer, localX, localY, event) => {
+            event.stopPropagation(); // Don't also toggle the cell
+            if (this.goal) {
+                this.scene.events.emit('goalChecklistOpen', this.goal);
+            }
+        });
+        this.add(this.checklistButton);
+        this.updateChecklist();
+    }
+    
+    createDeadlineText() {
+        // Second row of the top-left corner - the first holds the ✎ button of quantified goals
+        this.deadlineText = this.scene.add.text(-this.cellSize/2 + 6, -this.cellSize/2 + 24, '', {
+            fontSize: '10px',
+            fill: '#555555',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0.5);
+        this.add(this.deadlineText);
+        this.updateDeadline();
+    }
+    
+    /**
+     * Refresh the countdown and the overdue flag (marked and free cells have neither)
+     *
+     * @param {Date} [now] - Current time
+     */
+    updateDeadline(now = new Date()) {
+        const hasDeadline = !!(this.goal && !this.isFree && !this.isCompleted && typeof this.goal.getDueAt === 'function');
+        const dueAt = hasDeadline ? this.goal.getDueAt() : null;
+        this.isOverdue = hasDeadline && this.goal.isOverdue(now);
+        
+        this.deadlineText.setVisible(dueAt !== null);
+        if (dueAt === null) return;
+        
+        this.deadlineText.setText(formatTimeLeft(dueAt, now));
+        this.deadlineText.setFill(this.isOverdue ? '#dc3545' : '#555555');
+        if (this.isOverdue && !this.isHighlighted) {
+            this.background.setStrokeStyle(3, 0xdc3545);
+        }
+    }
+    
+    updateChecklist() {
+        const subtasks = this.goal && !this.isFree ? (this.goal.subtasks || []) : [];
+        this.checklistButton.setVisible(subtasks.length > 0);
+        if (subtasks.length === 0) return;
+        
+        const { done, total } = this.goal.getSubtaskProgress();
+        this.checklistButton.setText(`☑ ${done}/${total}`);
+        this.checklistButton.setFill(this.isCompleted ? '#ffffff' : '#555555');
+    }
+    
     setupInteractions() {
         this.setSize(this.cellSize, this.cellSize);
         this.setInteractive();
@@ -75,13 +189,60 @@ export class BingoCell extends Phaser.GameObjects.Container {
     
     setGoal(goal) {
         this.goal = goal;
-        this.isCompleted = false;
+        this.isCompleted = this.isFree;
+        this.updateGoalText();
+        this.updateProgress();
+        this.updateAppearance();
+    }
+    
+    isQuantified() {
+        return !!(this.goal && !this.isFree && typeof this.goal.isQuantified === 'function' && this.goal.isQuantified());
+    }
+    
+    updateProgress() {
+        const isQuantified = this.isQuantified();
+        [this.progressTrack, this.progressFill, this.progressText, this.progressEntryButton].forEach(item => item.setVisible(isQuantified));
+        this.goalText.setY(isQuantified ? -8 : 0);
+        if (!isQuantified) return;
+        
+        const progress = this.goal.getProgress();
+        const ratio = Math.min(1, progress / this.goal.target);
+        this.progressFill.setDisplaySize(Math.max(1, (this.cellSize - 20) * ratio), 6);
+        this.progressFill.setVisible(ratio > 0);
+        this.progressText.setText(`${progress}/${this.goal.target}${this.goal.unit ? ` ${this.goal.unit}` : ''}`);
+    }
+    
+    /**
+     * Re-read a quantified goal's progress; the cell counts as completed
+     * once the target is reached
+     */
+    syncProgress() {
+        const wasCompleted = this.isCompleted;
+        this.isCompleted = this.goal.isTargetReached();
+        this.updateProgress();
+        this.updateAppearance();
+        
+        if (this.isCompleted && !wasCompleted) {
+            this.playCompletionAnimation();
+        }
+    }
+    
+    /**
+     * Make this a free cell (pre-completed, optionally anchored to a goal)
+     */
+    setFree(isFree, label = 'FREE') {
+        this.isFree = isFree;
+        this.freeLabel = label;
+        this.isCompleted = isFree;
         this.updateGoalText();
+        this.updateProgress();
         this.updateAppearance();
     }
     
     updateGoalText() {
-        if (this.goal) {
+        if (this.isFree) {
+            this.goalText.setText(`★ ${this.goal ? this.goal.text : this.freeLabel}`);
+        } else if (this.goal) {
             this.goalText.setText(this.goal.text);
         } else {
             this.goalText.setText('');
@@ -89,7 +250,13 @@ export class BingoCell extends Phaser.GameObjects.Container {
     }
     
     toggleCompletion() {
-        if (!this.goal) return;
+        if (!this.goal || this.isFree) return;
+        
+        // Measurable goals count up towards their target instead
+        if (this.isQuantified()) {
+            this.scene.events.emit('goalProgress', this.goal, 1);
+            return;
+        }
         
         this.isCompleted = !this.isCompleted;
         this.updateAppearance();
@@ -153,7 +320,12 @@ export class BingoCell extends Phaser.GameObjects.Container {
     }
     
     updateAppearance() {
-        if (this.isCompleted) {
+        if (this.isFree) {
+            this.background.setFillStyle(0x673AB7);
+            this.background.setStrokeStyle(2, this.isHighlighted ? 0xFFC107 : 0x512DA8);
+            this.goalText.setFill('#ffffff');
+            this.completionIndicator.setVisible(false);
+        } else if (this.isCompleted) {
             this.background.setFillStyle(0x4CAF50);
             this.background.setStrokeStyle(2, 0x45a049);
             this.goalText.setFill('#ffffff');
@@ -169,6 +341,9 @@ export class BingoCell extends Phaser.GameObjects.Container {
             this.goalText.setFill('#333333');
             this.completionIndicator.setVisible(false);
         }
+        this.progressText.setFill(this.isCompleted ? '#ffffff' : '#555555');
+        this.updateChecklist();
+        this.updateDeadline();
     }
     
     getGoal() {
@@ -176,7 +351,8 @@ export class BingoCell extends Phaser.GameObjects.Container {
     }
     
     isEmpty() {
-        return this.goal === null;
+        // A free cell is never empty, even without an anchor goal
+        return this.goal === null && !this.isFree;
     }
     
     destroy() {
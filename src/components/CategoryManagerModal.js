@@ -0,0 +1,412 @@
+/**
+ * CategoryManagerModal - Phaser-based modal for creating, renaming, recoloring
+ * and deleting goal categories
+ * PHASER COMPLIANT: Uses Container, DOM elements, and native Phaser patterns
+ *
+ * Lists the categories passed in (with their goal counts) and a name/color form.
+ * Deleting a category that goals still use asks whether to move those goals to
+ * another category or to take the category off them.
+ *
+ * Emits 'categorySaved' (categoryData, isEditMode), 'categoryDeleted'
+ * (categoryId, targetCategoryId) and 'modalClosed'. The owning scene applies
+ * the change and calls refresh() with the new categories.
+ */
+
+const DEFAULT_COLOR = '#667eea';
+
+export class CategoryManagerModal extends Phaser.GameObjects.Container {
+    constructor(scene, x, y, categories = []) {
+        super(scene, x, y);
+
+        this.scene = scene;
+        this.categories = categories;
+        this.modalWidth = 560;
+        this.modalHeight = 600;
+        this.rowHeight = 36;
+        this.rowsPerPage = 8;
+        this.page = 0;
+
+        this.editingCategory = null;
+        this.rowObjects = [];
+        this.confirmObjects = [];
+
+        this.createModalElements();
+        this.setupInteractivity();
+        scene.add.existing(this);
+
+        // PHASER COMPLIANT: Ensure container is added to display list for rendering
+        this.addToDisplayList();
+
+        this.setDataEnabled();
+        this.renderList();
+        this.animateIn();
+    }
+
+    createModalElements() {
+        // Backdrop
+        this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
+        this.backdrop.setAlpha(0.5);
+        this.backdrop.setInteractive();
+        this.add(this.backdrop);
+
+        // Modal container
+        this.modalContainer = this.scene.add.container(0, 0);
+        this.add(this.modalContainer);
+
+        // Modal background
+        this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
+        this.modalBackground.setStrokeStyle(2, 0xdee2e6);
+        this.modalContainer.add(this.modalBackground);
+
+        // Title
+        this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, '🏷 Manage Categories', {
+            fontSize: '20px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.titleText);
+
+        // Paging (only shown when the list does not fit)
+        const pagingY = this.getListTop() + this.rowsPerPage * this.rowHeight + 5;
+        this.prevPageText = this.createTextButton(-60, pagingY, '‹ Prev', '#007bff', () => this.changePage(-1));
+        this.nextPageText = this.createTextButton(60, pagingY, 'Next ›', '#007bff', () => this.changePage(1));
+
+        this.createForm();
+        this.createCloseButton();
+    }
+
+    getListTop() {
+        return -this.modalHeight/2 + 75;
+    }
+
+    createTextButton(x, y, label, color, onClick) {
+        const button = this.scene.add.text(x, y, label, {
+            fontSize: '13px',
+            fill: color,
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        button.setInteractive();
+        button.on(Phaser.Input.Events.POINTER_DOWN, onClick);
+        this.modalContainer.add(button);
+        return button;
+    }
+
+    createForm() {
+        const formY = this.modalHeight/2 - 130;
+        const fieldX = -this.modalWidth/2 + 20;
+
+        this.formLabel = this.scene.add.text(fieldX, formY - 24, 'New category', {
+            fontSize: '14px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0);
+        this.modalContainer.add(this.formLabel);
+
+        this.errorText = this.scene.add.text(this.modalWidth/2 - 20, formY - 24, '', {
+            fontSize: '12px',
+            fill: '#dc3545'
+        }).setOrigin(1, 0);
+        this.modalContainer.add(this.errorText);
+
+        // Name
+        this.nameInput = this.scene.add.dom(fieldX, formY, 'input',
+            'width: 300px; height: 34px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box;'
+        );
+        this.nameInput.setOrigin(0, 0);
+        this.nameInput.node.setAttribute('placeholder', 'Category name');
+        this.nameInput.node.setAttribute('maxlength', '30');
+        this.modalContainer.add(this.nameInput);
+
+        // Color
+        this.colorInput = this.scene.add.dom(fieldX + 310, formY, 'input',
+            'width: 50px; height: 34px; border: 1px solid #ced4da; border-radius: 4px; padding: 2px; box-sizing: border-box;'
+        );
+        this.colorInput.setOrigin(0, 0);
+        this.colorInput.node.type = 'color';
+        this.colorInput.node.value = DEFAULT_COLOR;
+        this.modalContainer.add(this.colorInput);
+
+        // Save (add/update) button
+        this.saveButton = this.scene.add.rectangle(this.modalWidth/2 - 75, formY + 17, 100, 34, 0x28a745);
+        this.saveButton.setStrokeStyle(2, 0x1e7e34);
+        this.saveButton.setInteractive();
+        this.modalContainer.add(this.saveButton);
+
+        this.saveText = this.scene.add.text(this.modalWidth/2 - 75, formY + 17, 'Add', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.saveText);
+
+        this.cancelEditText = this.createTextButton(fieldX + 30, formY + 52, 'Cancel edit', '#6c757d', () => this.resetForm());
+        this.cancelEditText.setOrigin(0, 0.5);
+    }
+
+    createCloseButton() {
+        const buttonY = this.modalHeight/2 - 35;
+
+        this.closeButton = this.scene.add.rectangle(0, buttonY, 100, 35, 0x6c757d);
+        this.closeButton.setStrokeStyle(2, 0x5a6268);
+        this.closeButton.setInteractive();
+        this.modalContainer.add(this.closeButton);
+
+        this.closeText = this.scene.add.text(0, buttonY, 'Done', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.closeText);
+    }
+
+    setupInteractivity() {
+        this.closeButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+        this.saveButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.saveCategory());
+    }
+
+    /**
+     * Re-render with the latest categories (called by the scene after a change)
+     *
+     * @param {Array} categories - Current categories
+     */
+    refresh(categories) {
+        this.categories = categories;
+        const lastPage = Math.max(0, Math.ceil(this.categories.length / this.rowsPerPage) - 1);
+        this.page = Math.min(this.page, lastPage);
+        this.renderList();
+    }
+
+    changePage(delta) {
+        const lastPage = Math.max(0, Math.ceil(this.categories.length / this.rowsPerPage) - 1);
+        this.page = Phaser.Math.Clamp(this.page + delta, 0, lastPage);
+        this.renderList();
+    }
+
+    renderList() {
+        this.rowObjects.forEach(object => object.destroy());
+        this.rowObjects = [];
+        this.hideDeleteConfirmation();
+
+        const listTop = this.getListTop();
+        const rowWidth = this.modalWidth - 40;
+        const pageCategories = this.categories.slice(this.page * this.rowsPerPage, (this.page + 1) * this.rowsPerPage);
+
+        pageCategories.forEach((category, index) => {
+            const y = listTop + index * this.rowHeight + this.rowHeight / 2;
+            const isEditing = this.editingCategory && this.editingCategory.id === category.id;
+
+            const rowBg = this.scene.add.rectangle(0, y, rowWidth, this.rowHeight - 4, isEditing ? 0xe7f1ff : 0xf8f9fa);
+            const swatch = this.scene.add.rectangle(-rowWidth/2 + 18, y, 18, 18, Phaser.Display.Color.HexStringToColor(category.color).color);
+            const name = this.scene.add.text(-rowWidth/2 + 38, y, category.name, {
+                fontSize: '14px',
+                fill: '#333333',
+                fontStyle: 'bold'
+            }).setOrigin(0, 0.5);
+            const count = this.scene.add.text(40, y, `${category.goalCount} goal${category.goalCount === 1 ? '' : 's'}`, {
+                fontSize: '12px',
+                fill: '#666666'
+            }).setOrigin(0, 0.5);
+            this.modalContainer.add([rowBg, swatch, name, count]);
+            this.rowObjects.push(rowBg, swatch, name, count);
+
+            const editButton = this.createTextButton(rowWidth/2 - 95, y, 'Edit', '#007bff', () => this.startEdit(category));
+            const deleteButton = this.createTextButton(rowWidth/2 - 40, y, 'Delete', '#dc3545', () => this.requestDelete(category));
+            this.rowObjects.push(editButton, deleteButton);
+        });
+
+        if (this.categories.length === 0) {
+            const empty = this.scene.add.text(0, listTop + 40, 'No categories yet - add one below', {
+                fontSize: '14px',
+                fill: '#999999'
+            }).setOrigin(0.5);
+            this.modalContainer.add(empty);
+            this.rowObjects.push(empty);
+        }
+
+        const hasPages = this.categories.length > this.rowsPerPage;
+        this.prevPageText.setVisible(hasPages && this.page > 0);
+        this.nextPageText.setVisible(hasPages && (this.page + 1) * this.rowsPerPage < this.categories.length);
+        this.updateFormMode();
+    }
+
+    startEdit(category) {
+        this.editingCategory = category;
+        this.nameInput.node.value = category.name;
+        this.colorInput.node.value = category.color;
+        this.errorText.setText('');
+        this.renderList();
+    }
+
+    resetForm() {
+        this.editingCategory = null;
+        this.nameInput.node.value = '';
+        this.colorInput.node.value = DEFAULT_COLOR;
+        this.errorText.setText('');
+        this.renderList();
+    }
+
+    updateFormMode() {
+        const isEditMode = !!this.editingCategory;
+        this.formLabel.setText(isEditMode ? `Edit "${this.editingCategory.name}"` : 'New category');
+        this.saveText.setText(isEditMode ? 'Update' : 'Add');
+        this.cancelEditText.setVisible(isEditMode);
+    }
+
+    validateForm() {
+        const name = this.nameInput.node.value.trim();
+        const editingId = this.editingCategory ? this.editingCategory.id : null;
+        let error = '';
+
+        if (!name) {
+            error = 'Category name is required';
+        } else if (this.categories.some(category =>
+            category.id !== editingId && category.name.toLowerCase() === name.toLowerCase()
+        )) {
+            error = 'A category with this name already exists';
+        }
+
+        this.errorText.setText(error);
+        return !error;
+    }
+
+    saveCategory() {
+        if (!this.validateForm()) return;
+
+        const isEditMode = !!this.editingCategory;
+        const categoryData = {
+            name: this.nameInput.node.value.trim(),
+            color: this.colorInput.node.value || DEFAULT_COLOR
+        };
+        if (isEditMode) {
+            categoryData.id = this.editingCategory.id;
+        }
+
+        this.editingCategory = null;
+        this.nameInput.node.value = '';
+        this.colorInput.node.value = DEFAULT_COLOR;
+        this.emit('categorySaved', categoryData, isEditMode);
+    }
+
+    requestDelete(category) {
+        // Unused categories can go straight away
+        if (category.goalCount === 0) {
+            this.confirmDelete(category, null);
+            return;
+        }
+        this.showDeleteConfirmation(category);
+    }
+
+    confirmDelete(category, targetCategoryId) {
+        if (this.editingCategory && this.editingCategory.id === category.id) {
+            this.resetForm();
+        }
+        this.emit('categoryDeleted', category.id, targetCategoryId);
+    }
+
+    /**
+     * Ask what should happen to the goals of an in-use category
+     */
+    showDeleteConfirmation(category) {
+        this.hideDeleteConfirmation();
+
+        const panelWidth = this.modalWidth - 60;
+        const panelHeight = 190;
+        const others = this.categories.filter(other => other.id !== category.id);
+
+        const panel = this.scene.add.rectangle(0, 0, panelWidth, panelHeight, 0xffffff);
+        panel.setStrokeStyle(2, 0xdc3545);
+        panel.setInteractive(); // Keep clicks off the rows underneath
+
+        const message = this.scene.add.text(0, -panelHeight/2 + 30,
+            `"${category.name}" is used by ${category.goalCount} goal${category.goalCount === 1 ? '' : 's'}.\nMove them to another category, or take the category off them?`, {
+                fontSize: '14px',
+                fill: '#333333',
+                align: 'center',
+                wordWrap: { width: panelWidth - 30 }
+            }).setOrigin(0.5);
+        this.modalContainer.add([panel, message]);
+        this.confirmObjects.push(panel, message);
+
+        if (others.length > 0) {
+            const targetSelect = this.scene.add.dom(-panelWidth/2 + 20, -10, 'select',
+                'width: 220px; height: 34px; border: 1px solid #ced4da; border-radius: 4px; font-size: 14px;'
+            );
+            targetSelect.setOrigin(0, 0);
+            others.forEach(other => {
+                const option = document.createElement('option');
+                option.value = other.id;
+                option.textContent = other.name;
+                targetSelect.node.appendChild(option);
+            });
+            this.modalContainer.add(targetSelect);
+            this.confirmObjects.push(targetSelect);
+
+            const moveButton = this.createTextButton(panelWidth/2 - 100, 7, 'Move goals & delete', '#007bff', () => {
+                this.confirmDelete(category, targetSelect.node.value);
+            });
+            this.confirmObjects.push(moveButton);
+        }
+
+        const removeButton = this.createTextButton(-80, panelHeight/2 - 30, 'Remove from goals & delete', '#dc3545', () => {
+            this.confirmDelete(category, null);
+        });
+        const cancelButton = this.createTextButton(130, panelHeight/2 - 30, 'Cancel', '#6c757d', () => this.hideDeleteConfirmation());
+        this.confirmObjects.push(removeButton, cancelButton);
+    }
+
+    hideDeleteConfirmation() {
+        this.confirmObjects.forEach(object => object.destroy());
+        this.confirmObjects = [];
+    }
+
+    closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
+        this.emit('modalClosed');
+        this.animateOut();
+    }
+
+    animateIn() {
+        this.setAlpha(0);
+        this.modalContainer.setScale(0.8);
+
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 1,
+            scaleY: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 1,
+            duration: 200,
+            ease: 'Power2'
+        });
+    }
+
+    animateOut() {
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 0.8,
+            scaleY: 0.8,
+            duration: 200,
+            ease: 'Power2'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 0,
+            duration: 200,
+            ease: 'Power2',
+            onComplete: () => this.destroy()
+        });
+    }
+
+    destroy() {
+        this.removeAllListeners();
+        super.destroy();
+    }
+}
@@ -51,6 +51,8 @@
  * ============================================================================
  */
 
+import { getScheduleLabel } from '../utils/RecurrenceRule.js';
+
 export class GoalCard extends Phaser.GameObjects.Container {
     constructor(scene, x, y, goalData, options = {}) {
         super(scene, x, y);
@@ -181,6 +183,30 @@ export class GoalCard extends Phaser.GameObjects.Container {
             this.add(this.categoryText);
         }
         
+        // Schedule - "next available" while a renewable goal cools down
+        this.scheduleText = new Phaser.GameObjects.Text(this.scene, 0, height/2 - 20, getScheduleLabel(this.goalData), {
+            fontSize: '11px',
+            fill: '#6f42c1'
+        }).setOrigin(0.5);
+        this.add(this.scheduleText);
+        
+        // Checklist progress ("3/5" steps ticked)
+        this.subtasksText = new Phaser.GameObjects.Text(this.scene, width/2 - 20, height/2 - 45, this.getSubtasksLabel(this.goalData), {
+            fontSize: '11px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(1, 0.5);
+        this.add(this.subtasksText);
+        
+        // Completion journal ("📓 3" entries) - opens the journal
+        this.journalText = new Phaser.GameObjects.Text(this.scene, -width/2 + 20, height/2 - 45, this.getJournalLabel(this.goalData), {
+            fontSize: '11px',
+            fill: '#007bff',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0.5);
+        this.journalText.setInteractive();
+        this.add(this.journalText);
+        
         // Action buttons container
         this.createActionButtons();
         
@@ -273,6 +299,11 @@ export class GoalCard extends Phaser.GameObjects.Container {
             this.emit('goalCardDelete', this.goalData);
         });
         
+        this.journalText.on(Phaser.Input.Events.POINTER_DOWN, (event) => {
+            event.stopPropagation(); // Prevent card selection
+            this.emit('goalCardJournal', this.goalData);
+        });
+        
         // Button hover effects
         this.setupButtonHoverEffects();
     }
@@ -301,6 +332,18 @@ export class GoalCard extends Phaser.GameObjects.Container {
         });
     }
     
+    getSubtasksLabel(goalData) {
+        const subtasks = goalData.subtasks || [];
+        if (subtasks.length === 0) return '';
+        return `☑ ${subtasks.filter(subtask => subtask.done).length}/${subtasks.length}`;
+    }
+    
+    getJournalLabel(goalData) {
+        const entries = goalData.journal || [];
+        if (entries.length === 0) return '';
+        return `📓 ${entries.length}`;
+    }
+    
     getStatusColor(state) {
         const colors = {
             'to-do': 0x6c757d,      // Gray
@@ -366,6 +409,9 @@ export class GoalCard extends Phaser.GameObjects.Container {
         // Update visual elements
         this.titleText.setText(newGoalData.text || 'Untitled Goal');
         this.descriptionText.setText(newGoalData.description || 'No description');
+        this.scheduleText.setText(getScheduleLabel(newGoalData));
+        this.subtasksText.setText(this.getSubtasksLabel(newGoalData));
+        this.journalText.setText(this.getJournalLabel(newGoalData));
         
         // Update status bar color
         const statusColor = this.getStatusColor(newGoalData.state);
@@ -0,0 +1,397 @@
+/**
+ * GoalFilterModal - Phaser-based modal for the goal library filters, sort order
+ * and saved views
+ * PHASER COMPLIANT: Uses Container, DOM elements, and native Phaser patterns
+ *
+ * Edits a GoalFilters filter set (category, difficulty, renewable, cooldown status,
+ * created date range) plus the sort order. The state filter is kept as passed in,
+ * since the library's state buttons own it.
+ *
+ * Emits 'filtersApplied' (filters, sort), 'viewSaved' (name, filters, sort),
+ * 'viewDeleted' (viewId) and 'modalClosed'. The owning scene saves views and calls
+ * refreshViews() with the new list.
+ */
+import { normalizeGoalFilters, SORT_OPTIONS, DEFAULT_SORT } from '../utils/GoalFilters.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const FIELD_STYLE = 'height: 30px; border: 1px solid #ced4da; border-radius: 4px; font-size: 13px; box-sizing: border-box;';
+
+export class GoalFilterModal extends Phaser.GameObjects.Container {
+    constructor(scene, x, y, options = {}) {
+        super(scene, x, y);
+
+        this.scene = scene;
+        this.filters = normalizeGoalFilters(options.filters);
+        this.sort = options.sort || DEFAULT_SORT;
+        this.categories = options.categories || [];
+        this.views = options.views || [];
+        this.modalWidth = 560;
+        this.modalHeight = 620;
+
+        this.createModalElements();
+        this.setupInteractivity();
+        scene.add.existing(this);
+
+        // PHASER COMPLIANT: Ensure container is added to display list for rendering
+        this.addToDisplayList();
+
+        this.setDataEnabled();
+        this.animateIn();
+    }
+
+    createModalElements() {
+        // Backdrop
+        this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
+        this.backdrop.setAlpha(0.5);
+        this.backdrop.setInteractive();
+        this.add(this.backdrop);
+
+        // Modal container
+        this.modalContainer = this.scene.add.container(0, 0);
+        this.add(this.modalContainer);
+
+        // Modal background
+        this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
+        this.modalBackground.setStrokeStyle(2, 0xdee2e6);
+        this.modalContainer.add(this.modalBackground);
+
+        // Title
+        this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, '⚙ Filter & Sort Goals', {
+            fontSize: '20px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.titleText);
+
+        this.createFilterForm();
+        this.createViewsSection();
+        this.createActionButtons();
+    }
+
+    /**
+     * Build a labelled row of the DOM form
+     */
+    createRow(form, label) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 8px 14px; flex-wrap: wrap; margin-bottom: 12px;';
+
+        const title = document.createElement('strong');
+        title.textContent = label;
+        title.style.cssText = 'width: 95px; font-size: 13px; color: #333333;';
+        row.appendChild(title);
+
+        form.appendChild(row);
+        return row;
+    }
+
+    createCheckbox(row, value, label, checked, color = '#333333') {
+        const option = document.createElement('label');
+        option.style.cssText = `font-size: 13px; color: ${color}; cursor: pointer;`;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.checked = checked;
+
+        option.append(checkbox, ` ${label}`);
+        row.appendChild(option);
+        return checkbox;
+    }
+
+    createSelect(row, options, value, width = 150) {
+        const select = document.createElement('select');
+        select.style.cssText = `${FIELD_STYLE} width: ${width}px;`;
+        options.forEach(({ key, label }) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        row.appendChild(select);
+        return select;
+    }
+
+    createDateInput(row, value) {
+        const input = document.createElement('input');
+        input.type = 'date';
+        input.style.cssText = `${FIELD_STYLE} width: 150px;`;
+        input.value = value || '';
+        row.appendChild(input);
+        return input;
+    }
+
+    createFilterForm() {
+        // One DOM form - built with DOM nodes so user-named categories are never parsed as HTML
+        const form = document.createElement('div');
+        form.style.cssText = `width: ${this.modalWidth - 40}px; font-family: inherit;`;
+
+        const categoryRow = this.createRow(form, 'Categories');
+        this.categoryCheckboxes = this.categories.map(category =>
+            this.createCheckbox(categoryRow, category.id, category.name, this.filters.categories.includes(category.id), category.color)
+        );
+
+        const difficultyRow = this.createRow(form, 'Difficulty');
+        this.difficultyCheckboxes = DIFFICULTIES.map(difficulty =>
+            this.createCheckbox(difficultyRow, difficulty, difficulty.charAt(0).toUpperCase() + difficulty.slice(1), this.filters.difficulties.includes(difficulty))
+        );
+
+        const renewableRow = this.createRow(form, 'Type');
+        this.renewableSelect = this.createSelect(renewableRow, [
+            { key: 'all', label: 'Renewable & one-off' },
+            { key: 'renewable', label: 'Renewable only' },
+            { key: 'one-off', label: 'One-off only' }
+        ], this.filters.renewable, 170);
+
+        const cooldownRow = this.createRow(form, 'Cooldown');
+        this.cooldownSelect = this.createSelect(cooldownRow, [
+            { key: 'all', label: 'Any' },
+            { key: 'available', label: 'Available now' },
+            { key: 'cooling-down', label: 'Cooling down' }
+        ], this.filters.cooldown, 170);
+
+        const createdRow = this.createRow(form, 'Created');
+        this.createdFromInput = this.createDateInput(createdRow, this.filters.createdFrom);
+        createdRow.append('to');
+        this.createdToInput = this.createDateInput(createdRow, this.filters.createdTo);
+
+        const sortRow = this.createRow(form, 'Sort by');
+        this.sortSelect = this.createSelect(sortRow, SORT_OPTIONS, this.sort, 170);
+
+        this.formElement = this.scene.add.dom(-this.modalWidth/2 + 20, -this.modalHeight/2 + 60, form);
+        this.formElement.setOrigin(0, 0);
+        this.modalContainer.add(this.formElement);
+
+        this.errorText = this.scene.add.text(0, 95, '', {
+            fontSize: '12px',
+            fill: '#dc3545'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.errorText);
+    }
+
+    createViewsSection() {
+        const sectionY = 125;
+        const fieldX = -this.modalWidth/2 + 20;
+
+        const divider = this.scene.add.rectangle(0, sectionY - 12, this.modalWidth - 40, 1, 0xdee2e6);
+        const label = this.scene.add.text(fieldX, sectionY, 'Saved views', {
+            fontSize: '14px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0);
+        this.modalContainer.add([divider, label]);
+
+        // Existing views
+        this.viewSelect = this.scene.add.dom(fieldX, sectionY + 25, 'select', `${FIELD_STYLE} width: 300px;`);
+        this.viewSelect.setOrigin(0, 0);
+        this.modalContainer.add(this.viewSelect);
+
+        this.applyViewButton = this.createTextButton(fieldX + 340, sectionY + 40, 'Apply', '#007bff', () => this.applySelectedView());
+        this.deleteViewButton = this.createTextButton(fieldX + 420, sectionY + 40, 'Delete', '#dc3545', () => this.deleteSelectedView());
+
+        // Save the current form as a view
+        this.viewNameInput = this.scene.add.dom(fieldX, sectionY + 65, 'input', `${FIELD_STYLE} width: 300px; padding: 0 8px;`);
+        this.viewNameInput.setOrigin(0, 0);
+        this.viewNameInput.node.setAttribute('placeholder', 'Name this view, e.g. "Quick wins"');
+        this.viewNameInput.node.setAttribute('maxlength', '40');
+        this.modalContainer.add(this.viewNameInput);
+
+        this.saveViewButton = this.createTextButton(fieldX + 380, sectionY + 80, 'Save current as view', '#28a745', () => this.saveView());
+
+        this.refreshViews(this.views);
+    }
+
+    createTextButton(x, y, label, color, onClick) {
+        const button = this.scene.add.text(x, y, label, {
+            fontSize: '13px',
+            fill: color,
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        button.setInteractive();
+        button.on(Phaser.Input.Events.POINTER_DOWN, onClick);
+        this.modalContainer.add(button);
+        return button;
+    }
+
+    createActionButtons() {
+        const buttonY = this.modalHeight/2 - 40;
+        const buttons = [
+            { key: 'reset', label: 'Reset', x: -150, color: 0xffc107, stroke: 0xe0a800 },
+            { key: 'cancel', label: 'Cancel', x: 0, color: 0x6c757d, stroke: 0x5a6268 },
+            { key: 'apply', label: 'Apply', x: 150, color: 0x28a745, stroke: 0x1e7e34 }
+        ];
+
+        buttons.forEach(({ key, label, x, color, stroke }) => {
+            const button = this.scene.add.rectangle(x, buttonY, 100, 35, color);
+            button.setStrokeStyle(2, stroke);
+            button.setInteractive();
+
+            const text = this.scene.add.text(x, buttonY, label, {
+                fontSize: '14px',
+                fill: '#ffffff',
+                fontStyle: 'bold'
+            }).setOrigin(0.5);
+
+            this.modalContainer.add([button, text]);
+            this[`${key}Button`] = button;
+        });
+    }
+
+    setupInteractivity() {
+        this.cancelButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+        this.applyButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.applyFilters());
+        this.resetButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.resetForm());
+    }
+
+    /**
+     * Re-list the saved views (called by the scene after a view is saved or deleted)
+     *
+     * @param {Array} views - Saved views ({ id, name, filters, sort })
+     */
+    refreshViews(views) {
+        this.views = views;
+        const select = this.viewSelect.node;
+        select.replaceChildren();
+
+        views.forEach(view => {
+            const option = document.createElement('option');
+            option.value = view.id;
+            option.textContent = view.name;
+            select.appendChild(option);
+        });
+        if (views.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No saved views yet';
+            select.appendChild(option);
+        }
+
+        select.disabled = views.length === 0;
+        this.applyViewButton.setAlpha(views.length > 0 ? 1 : 0.4);
+        this.deleteViewButton.setAlpha(views.length > 0 ? 1 : 0.4);
+    }
+
+    getFormFilters() {
+        const checked = checkboxes => checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+
+        return normalizeGoalFilters({
+            state: this.filters.state,
+            categories: checked(this.categoryCheckboxes),
+            difficulties: checked(this.difficultyCheckboxes),
+            renewable: this.renewableSelect.value,
+            cooldown: this.cooldownSelect.value,
+            createdFrom: this.createdFromInput.value || null,
+            createdTo: this.createdToInput.value || null
+        });
+    }
+
+    validateForm() {
+        const { createdFrom, createdTo } = this.getFormFilters();
+        const error = createdFrom && createdTo && createdFrom > createdTo
+            ? 'The "created from" date must be before the "to" date'
+            : '';
+
+        this.errorText.setText(error);
+        return !error;
+    }
+
+    resetForm() {
+        this.categoryCheckboxes.forEach(checkbox => { checkbox.checked = false; });
+        this.difficultyCheckboxes.forEach(checkbox => { checkbox.checked = false; });
+        this.renewableSelect.value = 'all';
+        this.cooldownSelect.value = 'all';
+        this.createdFromInput.value = '';
+        this.createdToInput.value = '';
+        this.sortSelect.value = DEFAULT_SORT;
+        this.errorText.setText('');
+    }
+
+    applyFilters() {
+        if (!this.validateForm()) return;
+
+        this.emit('filtersApplied', this.getFormFilters(), this.sortSelect.value);
+        this.closeModal();
+    }
+
+    getSelectedView() {
+        return this.views.find(view => view.id === this.viewSelect.node.value) || null;
+    }
+
+    applySelectedView() {
+        const view = this.getSelectedView();
+        if (!view) return;
+
+        this.emit('filtersApplied', normalizeGoalFilters(view.filters), view.sort || DEFAULT_SORT);
+        this.closeModal();
+    }
+
+    deleteSelectedView() {
+        const view = this.getSelectedView();
+        if (!view) return;
+
+        this.emit('viewDeleted', view.id);
+    }
+
+    saveView() {
+        const name = this.viewNameInput.node.value.trim();
+        if (!name) {
+            this.errorText.setText('Give the view a name first');
+            return;
+        }
+        if (!this.validateForm()) return;
+
+        this.viewNameInput.node.value = '';
+        this.emit('viewSaved', name, this.getFormFilters(), this.sortSelect.value);
+    }
+
+    closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
+        this.emit('modalClosed');
+        this.animateOut();
+    }
+
+    animateIn() {
+        this.setAlpha(0);
+        this.modalContainer.setScale(0.8);
+
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 1,
+            scaleY: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 1,
+            duration: 200,
+            ease: 'Power2'
+        });
+    }
+
+    animateOut() {
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 0.8,
+            scaleY: 0.8,
+            duration: 200,
+            ease: 'Power2'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 0,
+            duration: 200,
+            ease: 'Power2',
+            onComplete: () => this.destroy()
+        });
+    }
+
+    destroy() {
+        this.removeAllListeners();
+        super.destroy();
+    }
+}
@@ -0,0 +1,333 @@
+/**
+ * JournalEntryModal - Phaser-based modal asking how a completed goal went
+ * PHASER COMPLIANT: Uses Container, DOM elements, and native Phaser patterns
+ *
+ * Every field is optional: a note, a 1-5 mood/effort rating, the minutes spent
+ * and a photo (downscaled to a JPEG data URL so it fits in saved state). Emits
+ * 'journalSaved' (goal, entryData), 'promptToggled' (enabled) when "ask after
+ * every mark" is changed, and 'modalClosed'. Skip closes without an entry.
+ */
+
+export const JOURNAL_MOODS = [
+    { value: 1, emoji: '😫', label: 'Rough' },
+    { value: 2, emoji: '🙁', label: 'Hard' },
+    { value: 3, emoji: '😐', label: 'OK' },
+    { value: 4, emoji: '🙂', label: 'Good' },
+    { value: 5, emoji: '😄', label: 'Great' }
+];
+
+const MAX_IMAGE_SIZE = 480; // Longest side in pixels
+const IMAGE_QUALITY = 0.7;
+
+export class JournalEntryModal extends Phaser.GameObjects.Container {
+    constructor(scene, x, y, goal, promptEnabled = true) {
+        super(scene, x, y);
+
+        this.scene = scene;
+        this.goal = goal;
+        this.promptEnabled = promptEnabled;
+        this.modalWidth = 460;
+        this.modalHeight = 560;
+
+        this.mood = null;
+        this.image = null;
+        this.moodButtons = [];
+
+        this.createModalElements();
+        this.setupInteractivity();
+        scene.add.existing(this);
+
+        this.setDataEnabled();
+        this.animateIn();
+    }
+
+    createModalElements() {
+        // Backdrop (interactive so clicks do not reach the grid underneath)
+        this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
+        this.backdrop.setAlpha(0.5);
+        this.backdrop.setInteractive();
+        this.add(this.backdrop);
+
+        // Modal container
+        this.modalContainer = this.scene.add.container(0, 0);
+        this.add(this.modalContainer);
+
+        // Modal background
+        this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
+        this.modalBackground.setStrokeStyle(2, 0xdee2e6);
+        this.modalContainer.add(this.modalBackground);
+
+        // Title
+        this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, `✓ ${this.goal.text}`, {
+            fontSize: '18px',
+            fill: '#333333',
+            fontStyle: 'bold',
+            align: 'center',
+            wordWrap: { width: this.modalWidth - 40 }
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.titleText);
+
+        const startY = -this.modalHeight/2 + 85;
+        this.createNoteField(startY);
+        this.createMoodField(startY + 120);
+        this.createDurationField(startY + 195);
+        this.createImageField(startY + 265);
+        this.createPromptToggle(startY + 395);
+        this.createActionButtons();
+    }
+
+    createLabel(text, y) {
+        const label = this.scene.add.text(-this.modalWidth/2 + 20, y - 22, text, {
+            fontSize: '14px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0);
+        this.modalContainer.add(label);
+    }
+
+    createNoteField(y) {
+        this.createLabel('How did it go?', y);
+
+        this.noteInput = this.scene.add.dom(-this.modalWidth/2 + 20, y, 'textarea',
+            `width: ${this.modalWidth - 40}px; height: 80px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box; resize: none; font-family: inherit;`
+        );
+        this.noteInput.setOrigin(0, 0);
+        this.noteInput.node.setAttribute('placeholder', 'Optional note');
+        this.noteInput.node.setAttribute('maxlength', '1000');
+        this.modalContainer.add(this.noteInput);
+    }
+
+    createMoodField(y) {
+        this.createLabel('Mood / effort', y);
+
+        const buttonWidth = (this.modalWidth - 40 - 4 * 8) / JOURNAL_MOODS.length;
+        JOURNAL_MOODS.forEach(({ value, emoji, label }, index) => {
+            const x = -this.modalWidth/2 + 20 + index * (buttonWidth + 8) + buttonWidth / 2;
+
+            const button = this.scene.add.rectangle(x, y + 20, buttonWidth, 40, 0xf8f9fa);
+            button.setStrokeStyle(2, 0xdee2e6);
+            button.setInteractive();
+            button.on(Phaser.Input.Events.POINTER_DOWN, () => this.setMood(this.mood === value ? null : value));
+
+            const text = this.scene.add.text(x, y + 20, `${emoji} ${label}`, {
+                fontSize: '13px',
+                fill: '#333333'
+            }).setOrigin(0.5);
+
+            this.modalContainer.add([button, text]);
+            this.moodButtons.push({ value, button });
+        });
+    }
+
+    setMood(mood) {
+        this.mood = mood;
+        this.moodButtons.forEach(({ value, button }) => {
+            const isSelected = value === mood;
+            button.setFillStyle(isSelected ? 0xe3f2fd : 0xf8f9fa);
+            button.setStrokeStyle(2, isSelected ? 0x2196F3 : 0xdee2e6);
+        });
+    }
+
+    createDurationField(y) {
+        this.createLabel('Time spent (minutes)', y);
+
+        this.durationInput = this.scene.add.dom(-this.modalWidth/2 + 20, y, 'input',
+            'width: 120px; height: 34px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box;'
+        );
+        this.durationInput.setOrigin(0, 0);
+        this.durationInput.node.type = 'number';
+        this.durationInput.node.min = '1';
+        this.durationInput.node.setAttribute('placeholder', 'e.g. 30');
+        this.modalContainer.add(this.durationInput);
+
+        this.errorText = this.scene.add.text(this.modalWidth/2 - 20, y + 17, '', {
+            fontSize: '12px',
+            fill: '#dc3545'
+        }).setOrigin(1, 0.5);
+        this.modalContainer.add(this.errorText);
+    }
+
+    createImageField(y) {
+        this.createLabel('Photo', y);
+
+        this.imageInput = this.scene.add.dom(-this.modalWidth/2 + 20, y, 'input', 'width: 250px; font-size: 13px;');
+        this.imageInput.setOrigin(0, 0);
+        this.imageInput.node.type = 'file';
+        this.imageInput.node.accept = 'image/*';
+        this.modalContainer.add(this.imageInput);
+
+        // Preview of the compressed image
+        this.imagePreview = this.scene.add.dom(this.modalWidth/2 - 20, y, 'img',
+            'max-width: 150px; max-height: 100px; border-radius: 4px; display: none;'
+        );
+        this.imagePreview.setOrigin(1, 0);
+        this.modalContainer.add(this.imagePreview);
+    }
+
+    createPromptToggle(y) {
+        this.promptInput = this.scene.add.dom(-this.modalWidth/2 + 20, y, 'input');
+        this.promptInput.setOrigin(0, 0.5);
+        this.promptInput.node.type = 'checkbox';
+        this.promptInput.node.checked = this.promptEnabled;
+        this.promptInput.node.style.cssText = 'width: 18px; height: 18px; margin: 0;';
+        this.modalContainer.add(this.promptInput);
+
+        const label = this.scene.add.text(-this.modalWidth/2 + 46, y, 'Ask after every mark', {
+            fontSize: '13px',
+            fill: '#666666'
+        }).setOrigin(0, 0.5);
+        this.modalContainer.add(label);
+    }
+
+    createActionButtons() {
+        const buttonY = this.modalHeight/2 - 35;
+
+        this.skipButton = this.scene.add.rectangle(-80, buttonY, 110, 35, 0x6c757d);
+        this.skipButton.setStrokeStyle(2, 0x5a6268);
+        this.skipButton.setInteractive();
+        this.modalContainer.add(this.skipButton);
+
+        this.skipText = this.scene.add.text(-80, buttonY, 'Skip', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.skipText);
+
+        this.saveButton = this.scene.add.rectangle(80, buttonY, 110, 35, 0x28a745);
+        this.saveButton.setStrokeStyle(2, 0x1e7e34);
+        this.saveButton.setInteractive();
+        this.modalContainer.add(this.saveButton);
+
+        this.saveText = this.scene.add.text(80, buttonY, 'Save', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.saveText);
+    }
+
+    setupInteractivity() {
+        this.skipButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+        this.saveButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.save());
+
+        this.promptInput.addListener('change');
+        this.promptInput.on('change', () => this.emit('promptToggled', this.promptInput.node.checked));
+
+        this.imageInput.addListener('change');
+        this.imageInput.on('change', () => {
+            const file = this.imageInput.node.files[0];
+            if (!file) return;
+
+            this.compressImage(file)
+                .then(dataUrl => {
+                    if (this.isClosing) return;
+                    this.image = dataUrl;
+                    this.imagePreview.node.src = dataUrl;
+                    this.imagePreview.node.style.display = '';
+                    this.errorText.setText('');
+                })
+                .catch(() => {
+                    if (this.isClosing) return;
+                    this.image = null;
+                    this.imagePreview.node.style.display = 'none';
+                    this.errorText.setText('That image could not be read');
+                });
+        });
+    }
+
+    /**
+     * Downscale an image file to a JPEG data URL
+     *
+     * @param {File} file - Image picked by the user
+     * @returns {Promise<string>} Compressed data URL
+     */
+    compressImage(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(new Error('Failed to read image'));
+            reader.onload = (e) => {
+                const image = new Image();
+                image.onerror = () => reject(new Error('Failed to decode image'));
+                image.onload = () => {
+                    const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.width, image.height));
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(image.width * scale);
+                    canvas.height = Math.round(image.height * scale);
+                    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                    resolve(canvas.toDataURL('image/jpeg', IMAGE_QUALITY));
+                };
+                image.src = e.target.result;
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    save() {
+        const durationValue = this.durationInput.node.value.trim();
+        const durationMinutes = durationValue === '' ? null : Number(durationValue);
+        if (durationMinutes !== null && !(Number.isFinite(durationMinutes) && durationMinutes > 0)) {
+            this.errorText.setText('Minutes must be more than 0');
+            return;
+        }
+
+        this.emit('journalSaved', this.goal, {
+            note: this.noteInput.node.value,
+            mood: this.mood,
+            durationMinutes,
+            image: this.image
+        });
+        this.closeModal();
+    }
+
+    closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
+        this.emit('modalClosed');
+        this.animateOut();
+    }
+
+    animateIn() {
+        this.setAlpha(0);
+        this.modalContainer.setScale(0.8);
+
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 1,
+            scaleY: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 1,
+            duration: 200,
+            ease: 'Power2'
+        });
+    }
+
+    animateOut() {
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 0.8,
+            scaleY: 0.8,
+            duration: 200,
+            ease: 'Power2'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 0,
+            duration: 200,
+            ease: 'Power2',
+            onComplete: () => this.destroy()
+        });
+    }
+
+    destroy() {
+        this.removeAllListeners();
+        super.destroy();
+    }
+}
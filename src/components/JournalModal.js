@@ -0,0 +1,215 @@
+/**
+ * JournalModal - Phaser-based modal for browsing a goal's completion journal
+ * PHASER COMPLIANT: Uses Container, DOM elements, and native Phaser patterns
+ *
+ * Lists the goal's journal entries newest first in a scrolling DOM list, so
+ * photos can be shown as <img> elements. Each entry has a delete link.
+ *
+ * Emits 'entryRemoved' (goalId, entryId) and 'modalClosed'. The owning scene
+ * applies the change and calls refresh() with the updated goal.
+ */
+
+import { JOURNAL_MOODS } from './JournalEntryModal.js';
+
+export class JournalModal extends Phaser.GameObjects.Container {
+    constructor(scene, x, y, goal) {
+        super(scene, x, y);
+
+        this.scene = scene;
+        this.goal = goal;
+        this.modalWidth = 520;
+        this.modalHeight = 540;
+
+        this.createModalElements();
+        this.setupInteractivity();
+        scene.add.existing(this);
+
+        // PHASER COMPLIANT: Ensure container is added to display list for rendering
+        this.addToDisplayList();
+
+        this.setDataEnabled();
+        this.renderList();
+        this.animateIn();
+    }
+
+    createModalElements() {
+        // Backdrop
+        this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
+        this.backdrop.setAlpha(0.5);
+        this.backdrop.setInteractive();
+        this.add(this.backdrop);
+
+        // Modal container
+        this.modalContainer = this.scene.add.container(0, 0);
+        this.add(this.modalContainer);
+
+        // Modal background
+        this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
+        this.modalBackground.setStrokeStyle(2, 0xdee2e6);
+        this.modalContainer.add(this.modalBackground);
+
+        // Title
+        this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, `📓 ${this.goal.text}`, {
+            fontSize: '20px',
+            fill: '#333333',
+            fontStyle: 'bold',
+            align: 'center',
+            wordWrap: { width: this.modalWidth - 40 }
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.titleText);
+
+        // Entry list (DOM, so it scrolls and can show photos)
+        this.listElement = this.scene.add.dom(-this.modalWidth/2 + 20, -this.modalHeight/2 + 60, 'div',
+            `width: ${this.modalWidth - 40}px; height: ${this.modalHeight - 130}px; overflow-y: auto; font-size: 13px; color: #333333; box-sizing: border-box;`
+        );
+        this.listElement.setOrigin(0, 0);
+        this.modalContainer.add(this.listElement);
+
+        // Close button
+        const buttonY = this.modalHeight/2 - 35;
+        this.closeButton = this.scene.add.rectangle(0, buttonY, 100, 35, 0x6c757d);
+        this.closeButton.setStrokeStyle(2, 0x5a6268);
+        this.closeButton.setInteractive();
+        this.modalContainer.add(this.closeButton);
+
+        this.closeText = this.scene.add.text(0, buttonY, 'Done', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.closeText);
+    }
+
+    setupInteractivity() {
+        this.closeButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+
+        // One listener for every entry's delete link
+        this.listElement.addListener('click');
+        this.listElement.on('click', (event) => {
+            const entryId = event.target.dataset && event.target.dataset.entryId;
+            if (entryId) {
+                this.emit('entryRemoved', this.goal.id, entryId);
+            }
+        });
+    }
+
+    /**
+     * Re-render with the latest goal (called by the scene after a change)
+     *
+     * @param {Object} goal - Updated goal
+     */
+    refresh(goal) {
+        this.goal = goal;
+        this.renderList();
+    }
+
+    formatEntryHeading(entry) {
+        const parts = [new Date(entry.completedAt).toLocaleString()];
+        const mood = JOURNAL_MOODS.find(option => option.value === entry.mood);
+        if (mood) {
+            parts.push(`${mood.emoji} ${mood.label}`);
+        }
+        if (entry.durationMinutes) {
+            parts.push(`⏱ ${entry.durationMinutes} min`);
+        }
+        return parts.join(' · ');
+    }
+
+    renderList() {
+        const list = this.listElement.node;
+        list.replaceChildren();
+
+        const entries = [...(this.goal.journal || [])].sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No journal entries yet - they are added when a cell is marked';
+            empty.style.cssText = 'color: #999999; text-align: center; padding-top: 40px;';
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.style.cssText = 'background: #f8f9fa; border-radius: 4px; padding: 8px 10px; margin-bottom: 8px;';
+
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; justify-content: space-between; font-weight: bold;';
+            const heading = document.createElement('span');
+            heading.textContent = this.formatEntryHeading(entry);
+            const remove = document.createElement('span');
+            remove.textContent = 'Delete';
+            remove.dataset.entryId = entry.id;
+            remove.style.cssText = 'color: #dc3545; cursor: pointer;';
+            header.append(heading, remove);
+            row.appendChild(header);
+
+            if (entry.note) {
+                const note = document.createElement('div');
+                note.textContent = entry.note;
+                note.style.cssText = 'margin-top: 4px; white-space: pre-wrap;';
+                row.appendChild(note);
+            }
+
+            if (entry.image) {
+                const image = document.createElement('img');
+                image.src = entry.image;
+                image.alt = '';
+                image.style.cssText = 'display: block; max-width: 100%; max-height: 200px; margin-top: 6px; border-radius: 4px;';
+                row.appendChild(image);
+            }
+
+            list.appendChild(row);
+        });
+    }
+
+    closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
+        this.emit('modalClosed');
+        this.animateOut();
+    }
+
+    animateIn() {
+        this.setAlpha(0);
+        this.modalContainer.setScale(0.8);
+
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 1,
+            scaleY: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 1,
+            duration: 200,
+            ease: 'Power2'
+        });
+    }
+
+    animateOut() {
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 0.8,
+            scaleY: 0.8,
+            duration: 200,
+            ease: 'Power2'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 0,
+            duration: 200,
+            ease: 'Power2',
+            onComplete: () => this.destroy()
+        });
+    }
+
+    destroy() {
+        this.removeAllListeners();
+        super.destroy();
+    }
+}
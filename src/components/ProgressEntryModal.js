@@ -0,0 +1,199 @@
+/**
+ * ProgressEntryModal - Phaser-based modal for logging an amount on a
+ * quantified goal (e.g. 2.5 km of a 5 km run)
+ * PHASER COMPLIANT: Uses Container, DOM elements, and native Phaser patterns
+ *
+ * Shows the goal's progress towards its target and its latest entries. Emits
+ * 'progressLogged' (goal, amount) - negative when the amount is removed - and
+ * 'modalClosed' when the modal goes away.
+ */
+
+const RECENT_ENTRIES_SHOWN = 4;
+
+export class ProgressEntryModal extends Phaser.GameObjects.Container {
+    constructor(scene, x, y, goal) {
+        super(scene, x, y);
+
+        this.scene = scene;
+        this.goal = goal;
+        this.modalWidth = 420;
+        this.modalHeight = 330;
+
+        this.createModalElements();
+        this.setupInteractivity();
+        scene.add.existing(this);
+
+        this.setDataEnabled();
+        this.animateIn();
+    }
+
+    createModalElements() {
+        // Backdrop (interactive so clicks do not reach the grid underneath)
+        this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
+        this.backdrop.setAlpha(0.5);
+        this.backdrop.setInteractive();
+        this.add(this.backdrop);
+
+        // Modal container
+        this.modalContainer = this.scene.add.container(0, 0);
+        this.add(this.modalContainer);
+
+        // Modal background
+        this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
+        this.modalBackground.setStrokeStyle(2, 0xdee2e6);
+        this.modalContainer.add(this.modalBackground);
+
+        // Title
+        this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, this.goal.text, {
+            fontSize: '18px',
+            fill: '#333333',
+            fontStyle: 'bold',
+            align: 'center',
+            wordWrap: { width: this.modalWidth - 40 }
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.titleText);
+
+        const unit = this.goal.unit ? ` ${this.goal.unit}` : '';
+        this.progressText = this.scene.add.text(0, -this.modalHeight/2 + 62, `${this.goal.getProgress()} / ${this.goal.target}${unit}`, {
+            fontSize: '14px',
+            fill: '#2196F3',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.progressText);
+
+        this.createAmountField();
+        this.createRecentEntries();
+        this.createActionButtons();
+    }
+
+    createAmountField() {
+        const y = -this.modalHeight/2 + 90;
+
+        this.amountInput = this.scene.add.dom(-this.modalWidth/2 + 20, y, 'input',
+            `width: ${this.modalWidth - 40}px; height: 34px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px; box-sizing: border-box;`
+        );
+        this.amountInput.setOrigin(0, 0);
+        this.amountInput.node.type = 'number';
+        this.amountInput.node.min = '0';
+        this.amountInput.node.step = 'any';
+        this.amountInput.node.setAttribute('placeholder', `Amount${this.goal.unit ? ` (${this.goal.unit})` : ''}`);
+        this.modalContainer.add(this.amountInput);
+
+        this.errorText = this.scene.add.text(this.modalWidth/2 - 20, y + 40, '', {
+            fontSize: '12px',
+            fill: '#dc3545'
+        }).setOrigin(1, 0);
+        this.modalContainer.add(this.errorText);
+    }
+
+    createRecentEntries() {
+        const startY = -this.modalHeight/2 + 150;
+        const entries = this.goal.progressEntries.slice(-RECENT_ENTRIES_SHOWN).reverse();
+
+        const lines = entries.map(entry => {
+            const time = new Date(entry.loggedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            return `${time}   ${entry.amount > 0 ? '+' : ''}${entry.amount}${this.goal.unit ? ` ${this.goal.unit}` : ''}`;
+        });
+
+        this.entriesText = this.scene.add.text(-this.modalWidth/2 + 20, startY, lines.length > 0 ? lines.join('\n') : 'Nothing logged on this card yet', {
+            fontSize: '12px',
+            fill: '#666666',
+            lineSpacing: 4
+        }).setOrigin(0, 0);
+        this.modalContainer.add(this.entriesText);
+    }
+
+    createActionButtons() {
+        const buttonY = this.modalHeight/2 - 35;
+        const buttons = [
+            { key: 'cancel', label: 'Cancel', x: -130, color: 0x6c757d, stroke: 0x5a6268 },
+            { key: 'remove', label: '− Remove', x: 0, color: 0xdc3545, stroke: 0xc82333 },
+            { key: 'add', label: '+ Add', x: 130, color: 0x28a745, stroke: 0x1e7e34 }
+        ];
+
+        this.buttons = {};
+        buttons.forEach(({ key, label, x, color, stroke }) => {
+            const button = this.scene.add.rectangle(x, buttonY, 110, 35, color);
+            button.setStrokeStyle(2, stroke);
+            button.setInteractive();
+            this.modalContainer.add(button);
+
+            const text = this.scene.add.text(x, buttonY, label, {
+                fontSize: '14px',
+                fill: '#ffffff',
+                fontStyle: 'bold'
+            }).setOrigin(0.5);
+            this.modalContainer.add(text);
+
+            this.buttons[key] = button;
+        });
+    }
+
+    setupInteractivity() {
+        this.buttons.cancel.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+        this.buttons.add.on(Phaser.Input.Events.POINTER_DOWN, () => this.submit(1));
+        this.buttons.remove.on(Phaser.Input.Events.POINTER_DOWN, () => this.submit(-1));
+    }
+
+    submit(sign) {
+        const amount = Number(this.amountInput.node.value);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            this.errorText.setText('Enter an amount above 0');
+            return;
+        }
+
+        this.emit('progressLogged', this.goal, sign * amount);
+        this.closeModal();
+    }
+
+    closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
+        this.emit('modalClosed');
+        this.animateOut();
+    }
+
+    animateIn() {
+        this.setAlpha(0);
+        this.modalContainer.setScale(0.8);
+
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 1,
+            scaleY: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 1,
+            duration: 200,
+            ease: 'Power2'
+        });
+    }
+
+    animateOut() {
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 0.8,
+            scaleY: 0.8,
+            duration: 200,
+            ease: 'Power2'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 0,
+            duration: 200,
+            ease: 'Power2',
+            onComplete: () => this.destroy()
+        });
+    }
+
+    destroy() {
+        this.removeAllListeners();
+        super.destroy();
+    }
+}
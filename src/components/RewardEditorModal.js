@@ -0,0 +1,306 @@
+/**
+ * RewardEditorModal - Phaser-based modal component for adding/editing rewards
+ * PHASER COMPLIANT: Uses Container, DOM elements, and native Phaser patterns
+ *
+ * Emits 'rewardSaved' with the reward data, 'rewardDeleted' with the reward id
+ * (edit mode only) and 'modalClosed' when the modal goes away.
+ */
+
+export const REWARD_CATEGORIES = ['treat', 'entertainment', 'rest', 'experience', 'general'];
+
+export class RewardEditorModal extends Phaser.GameObjects.Container {
+    constructor(scene, x, y, reward = null) {
+        super(scene, x, y);
+
+        this.scene = scene;
+        this.reward = reward;
+        this.isEditMode = !!reward;
+        this.modalWidth = 500;
+        this.modalHeight = 480;
+
+        this.formData = {
+            description: reward?.description || '',
+            category: reward?.category || 'general',
+            pointCost: reward?.pointCost ?? '',
+            quantity: reward ? (reward.quantity ?? '') : 1,
+            cooldownPeriod: reward?.cooldownPeriod ?? ''
+        };
+
+        this.createModalElements();
+        this.setupInteractivity();
+        scene.add.existing(this);
+
+        // PHASER COMPLIANT: Ensure container is added to display list for rendering
+        this.addToDisplayList();
+
+        this.setDataEnabled();
+        this.animateIn();
+    }
+
+    createModalElements() {
+        // Backdrop
+        this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
+        this.backdrop.setAlpha(0.5);
+        this.backdrop.setInteractive();
+        this.add(this.backdrop);
+
+        // Modal container
+        this.modalContainer = this.scene.add.container(0, 0);
+        this.add(this.modalContainer);
+
+        // Modal background
+        this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
+        this.modalBackground.setStrokeStyle(2, 0xdee2e6);
+        this.modalContainer.add(this.modalBackground);
+
+        // Title
+        const title = this.isEditMode ? 'Edit Reward' : 'Add New Reward';
+        this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, title, {
+            fontSize: '20px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.titleText);
+
+        // Form fields
+        this.createFormFields();
+
+        // Validation message
+        this.errorText = this.scene.add.text(0, this.modalHeight/2 - 80, '', {
+            fontSize: '13px',
+            fill: '#dc3545'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.errorText);
+
+        // Action buttons
+        this.createActionButtons();
+    }
+
+    createFormFields() {
+        const startY = -this.modalHeight/2 + 90;
+        const fieldSpacing = 60;
+
+        this.createFormField('Description', 'description', startY, this.formData.description);
+        this.createCategoryField(startY + fieldSpacing);
+        this.createFormField('Point Cost (blank = category default)', 'pointCost', startY + fieldSpacing * 2, this.formData.pointCost, 'number');
+        this.createFormField('Quantity (blank = unlimited)', 'quantity', startY + fieldSpacing * 3, this.formData.quantity, 'number');
+        this.createFormField('Cooldown Hours (blank = none)', 'cooldownPeriod', startY + fieldSpacing * 4, this.formData.cooldownPeriod, 'number');
+    }
+
+    createFormField(label, fieldName, y, initialValue, type = 'text') {
+        const fieldX = -this.modalWidth/2 + 20;
+        const fieldWidth = this.modalWidth - 40;
+
+        // Label
+        const labelText = this.scene.add.text(fieldX, y - 22, label, {
+            fontSize: '14px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0);
+        this.modalContainer.add(labelText);
+
+        // Input field
+        const inputElement = this.scene.add.dom(fieldX, y, 'input',
+            `width: ${fieldWidth}px; height: 30px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px;`
+        );
+        inputElement.setOrigin(0, 0);
+        inputElement.node.setAttribute('type', type);
+        if (type === 'number') {
+            inputElement.node.setAttribute('min', '0');
+        }
+        inputElement.node.value = initialValue;
+        this.modalContainer.add(inputElement);
+
+        this[`${fieldName}Input`] = inputElement;
+    }
+
+    createCategoryField(y) {
+        const fieldX = -this.modalWidth/2 + 20;
+        const fieldWidth = this.modalWidth - 40;
+
+        const labelText = this.scene.add.text(fieldX, y - 22, 'Category', {
+            fontSize: '14px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0);
+        this.modalContainer.add(labelText);
+
+        // Keep a custom category from older data selectable
+        const categories = REWARD_CATEGORIES.includes(this.formData.category)
+            ? REWARD_CATEGORIES
+            : [...REWARD_CATEGORIES, this.formData.category];
+        const options = categories
+            .map(category => `<option value="${category}">${category}</option>`)
+            .join('');
+
+        this.categoryInput = this.scene.add.dom(fieldX, y, 'select',
+            `width: ${fieldWidth + 12}px; height: 42px; border: 1px solid #ced4da; border-radius: 4px; padding: 5px; font-size: 14px;`,
+            ''
+        );
+        this.categoryInput.setOrigin(0, 0);
+        this.categoryInput.node.innerHTML = options;
+        this.categoryInput.node.value = this.formData.category;
+        this.modalContainer.add(this.categoryInput);
+    }
+
+    createActionButtons() {
+        const buttonY = this.modalHeight/2 - 40;
+        const buttonSpacing = this.isEditMode ? 120 : 80;
+
+        // Cancel button
+        this.cancelButton = this.scene.add.rectangle(-buttonSpacing, buttonY, 100, 35, 0x6c757d);
+        this.cancelButton.setStrokeStyle(2, 0x5a6268);
+        this.cancelButton.setInteractive();
+        this.modalContainer.add(this.cancelButton);
+
+        this.cancelText = this.scene.add.text(-buttonSpacing, buttonY, 'Cancel', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.cancelText);
+
+        // Delete button (edit mode only)
+        if (this.isEditMode) {
+            this.deleteButton = this.scene.add.rectangle(0, buttonY, 100, 35, 0xdc3545);
+            this.deleteButton.setStrokeStyle(2, 0xc82333);
+            this.deleteButton.setInteractive();
+            this.modalContainer.add(this.deleteButton);
+
+            this.deleteText = this.scene.add.text(0, buttonY, 'Delete', {
+                fontSize: '14px',
+                fill: '#ffffff',
+                fontStyle: 'bold'
+            }).setOrigin(0.5);
+            this.modalContainer.add(this.deleteText);
+        }
+
+        // Save button
+        this.saveButton = this.scene.add.rectangle(buttonSpacing, buttonY, 100, 35, 0x28a745);
+        this.saveButton.setStrokeStyle(2, 0x1e7e34);
+        this.saveButton.setInteractive();
+        this.modalContainer.add(this.saveButton);
+
+        this.saveText = this.scene.add.text(buttonSpacing, buttonY, this.isEditMode ? 'Update' : 'Save', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.saveText);
+    }
+
+    setupInteractivity() {
+        this.cancelButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+        this.saveButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.saveReward());
+        if (this.deleteButton) {
+            this.deleteButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.deleteReward());
+        }
+    }
+
+    /**
+     * Parse an optional non-negative number field (blank = null, invalid = NaN)
+     */
+    parseOptionalNumber(input) {
+        const value = input.node.value.trim();
+        if (value === '') {
+            return null;
+        }
+        const number = Number(value);
+        return Number.isFinite(number) && number >= 0 ? number : NaN;
+    }
+
+    getFormData() {
+        return {
+            description: this.descriptionInput.node.value.trim(),
+            category: this.categoryInput.node.value || 'general',
+            pointCost: this.parseOptionalNumber(this.pointCostInput),
+            quantity: this.parseOptionalNumber(this.quantityInput),
+            cooldownPeriod: this.parseOptionalNumber(this.cooldownPeriodInput)
+        };
+    }
+
+    validateForm() {
+        const data = this.getFormData();
+        let error = '';
+
+        if (!data.description) {
+            error = 'Description is required';
+        } else if (Number.isNaN(data.pointCost)) {
+            error = 'Point cost must be a number of 0 or more';
+        } else if (Number.isNaN(data.quantity) || data.quantity === 0 || (data.quantity !== null && !Number.isInteger(data.quantity))) {
+            error = 'Quantity must be a whole number of 1 or more';
+        } else if (Number.isNaN(data.cooldownPeriod)) {
+            error = 'Cooldown must be a number of hours';
+        }
+
+        this.errorText.setText(error);
+        return !error;
+    }
+
+    saveReward() {
+        if (!this.validateForm()) return;
+
+        const formData = this.getFormData();
+        this.emit('rewardSaved', {
+            id: this.reward?.id,
+            ...formData
+        }, this.isEditMode);
+        this.closeModal();
+    }
+
+    deleteReward() {
+        this.emit('rewardDeleted', this.reward.id);
+        this.closeModal();
+    }
+
+    closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
+        this.emit('modalClosed');
+        this.animateOut();
+    }
+
+    animateIn() {
+        this.setAlpha(0);
+        this.modalContainer.setScale(0.8);
+
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 1,
+            scaleY: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 1,
+            duration: 200,
+            ease: 'Power2'
+        });
+    }
+
+    animateOut() {
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 0.8,
+            scaleY: 0.8,
+            duration: 200,
+            ease: 'Power2'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 0,
+            duration: 200,
+            ease: 'Power2',
+            onComplete: () => this.destroy()
+        });
+    }
+
+    destroy() {
+        this.removeAllListeners();
+        super.destroy();
+    }
+}
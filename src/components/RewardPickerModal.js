@@ -0,0 +1,195 @@
+/**
+ * RewardPickerModal - Phaser-based modal for claiming a reward after a bingo win
+ * PHASER COMPLIANT: Uses Container and native Phaser patterns
+ *
+ * Shows the available rewards as choices plus a random draw. Emits 'rewardPicked'
+ * with the chosen Reward, and 'modalClosed' when the modal goes away.
+ */
+import { getRewardCost } from '../utils/PointRules.js';
+
+export class RewardPickerModal extends Phaser.GameObjects.Container {
+    constructor(scene, x, y, rewards = [], winRecord = null) {
+        super(scene, x, y);
+
+        this.scene = scene;
+        this.winRecord = winRecord;
+        this.maxChoices = 5;
+        this.rewards = rewards.slice(0, this.maxChoices);
+        this.allRewards = rewards;
+        this.modalWidth = 500;
+        this.modalHeight = 170 + this.rewards.length * 50;
+
+        this.createModalElements();
+        this.setupInteractivity();
+        scene.add.existing(this);
+
+        this.setDataEnabled();
+        this.animateIn();
+    }
+
+    createModalElements() {
+        // Backdrop (interactive so clicks do not reach the grid underneath)
+        this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
+        this.backdrop.setAlpha(0.5);
+        this.backdrop.setInteractive();
+        this.add(this.backdrop);
+
+        // Modal container
+        this.modalContainer = this.scene.add.container(0, 0);
+        this.add(this.modalContainer);
+
+        // Modal background
+        this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
+        this.modalBackground.setStrokeStyle(2, 0xdee2e6);
+        this.modalContainer.add(this.modalBackground);
+
+        // Title
+        this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, '🎉 Bingo! Pick a reward', {
+            fontSize: '20px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.titleText);
+
+        const subtitle = this.allRewards.length > this.rewards.length
+            ? `Choose one, or draw from all ${this.allRewards.length} available rewards`
+            : 'Choose one, or let chance decide';
+        this.subtitleText = this.scene.add.text(0, -this.modalHeight/2 + 60, subtitle, {
+            fontSize: '14px',
+            fill: '#666666'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.subtitleText);
+
+        this.createRewardOptions();
+        this.createActionButtons();
+    }
+
+    createRewardOptions() {
+        const startY = -this.modalHeight/2 + 105;
+        const optionWidth = this.modalWidth - 60;
+
+        this.optionButtons = this.rewards.map((reward, index) => {
+            const y = startY + index * 50;
+
+            const button = this.scene.add.rectangle(0, y, optionWidth, 40, 0xf8f9fa);
+            button.setStrokeStyle(2, 0xdee2e6);
+            button.setInteractive();
+            this.modalContainer.add(button);
+
+            const label = this.scene.add.text(-optionWidth/2 + 15, y, `🎁 ${reward.description}`, {
+                fontSize: '14px',
+                fill: '#333333'
+            }).setOrigin(0, 0.5);
+            this.modalContainer.add(label);
+
+            const category = this.scene.add.text(optionWidth/2 - 15, y, `${reward.category} · ${getRewardCost(reward)} pts`, {
+                fontSize: '12px',
+                fill: '#999999'
+            }).setOrigin(1, 0.5);
+            this.modalContainer.add(category);
+
+            button.on(Phaser.Input.Events.POINTER_OVER, () => button.setStrokeStyle(2, 0x4CAF50));
+            button.on(Phaser.Input.Events.POINTER_OUT, () => button.setStrokeStyle(2, 0xdee2e6));
+            button.on(Phaser.Input.Events.POINTER_DOWN, () => this.pickReward(reward));
+
+            return button;
+        });
+    }
+
+    createActionButtons() {
+        const buttonY = this.modalHeight/2 - 35;
+        const buttonSpacing = 80;
+
+        // Skip button
+        this.skipButton = this.scene.add.rectangle(-buttonSpacing, buttonY, 120, 35, 0x6c757d);
+        this.skipButton.setStrokeStyle(2, 0x5a6268);
+        this.skipButton.setInteractive();
+        this.modalContainer.add(this.skipButton);
+
+        this.skipText = this.scene.add.text(-buttonSpacing, buttonY, 'Skip', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.skipText);
+
+        // Random draw button
+        this.randomButton = this.scene.add.rectangle(buttonSpacing, buttonY, 120, 35, 0xFF9800);
+        this.randomButton.setStrokeStyle(2, 0xe68900);
+        this.randomButton.setInteractive();
+        this.modalContainer.add(this.randomButton);
+
+        this.randomText = this.scene.add.text(buttonSpacing, buttonY, '🎲 Random', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.randomText);
+    }
+
+    setupInteractivity() {
+        this.skipButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+        this.randomButton.on(Phaser.Input.Events.POINTER_DOWN, () => {
+            this.pickReward(Phaser.Utils.Array.GetRandom(this.allRewards));
+        });
+    }
+
+    pickReward(reward) {
+        if (!reward || this.isPicked) return;
+        this.isPicked = true;
+
+        this.emit('rewardPicked', reward, this.winRecord);
+        this.closeModal();
+    }
+
+    closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
+        this.emit('modalClosed');
+        this.animateOut();
+    }
+
+    animateIn() {
+        this.setAlpha(0);
+        this.modalContainer.setScale(0.8);
+
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 1,
+            scaleY: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 1,
+            duration: 200,
+            ease: 'Power2'
+        });
+    }
+
+    animateOut() {
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 0.8,
+            scaleY: 0.8,
+            duration: 200,
+            ease: 'Power2'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 0,
+            duration: 200,
+            ease: 'Power2',
+            onComplete: () => this.destroy()
+        });
+    }
+
+    destroy() {
+        this.removeAllListeners();
+        super.destroy();
+    }
+}
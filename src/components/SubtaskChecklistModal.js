@@ -0,0 +1,171 @@
+/**
+ * SubtaskChecklistModal - Phaser-based popover for ticking off a goal's steps
+ * PHASER COMPLIANT: Uses Container and native Phaser patterns
+ *
+ * Lists Goal.subtasks in order with a tick box each. Emits 'subtaskToggled'
+ * (goal, subtaskId) and 'modalClosed'. The owning scene applies the tick
+ * and calls refresh() with the updated goal.
+ */
+
+export class SubtaskChecklistModal extends Phaser.GameObjects.Container {
+    constructor(scene, x, y, goal) {
+        super(scene, x, y);
+
+        this.scene = scene;
+        this.goal = goal;
+        this.rowHeight = 34;
+        this.modalWidth = 420;
+        this.modalHeight = 150 + goal.subtasks.length * this.rowHeight;
+
+        this.rowObjects = [];
+
+        this.createModalElements();
+        this.setupInteractivity();
+        scene.add.existing(this);
+
+        this.setDataEnabled();
+        this.renderSteps();
+        this.animateIn();
+    }
+
+    createModalElements() {
+        // Backdrop (interactive so clicks do not reach the grid underneath)
+        this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
+        this.backdrop.setAlpha(0.5);
+        this.backdrop.setInteractive();
+        this.add(this.backdrop);
+
+        // Modal container
+        this.modalContainer = this.scene.add.container(0, 0);
+        this.add(this.modalContainer);
+
+        // Modal background
+        this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
+        this.modalBackground.setStrokeStyle(2, 0xdee2e6);
+        this.modalContainer.add(this.modalBackground);
+
+        // Title
+        this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, this.goal.text, {
+            fontSize: '18px',
+            fill: '#333333',
+            fontStyle: 'bold',
+            align: 'center',
+            wordWrap: { width: this.modalWidth - 40 }
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.titleText);
+
+        this.countText = this.scene.add.text(0, -this.modalHeight/2 + 60, '', {
+            fontSize: '13px',
+            fill: '#666666'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.countText);
+
+        // Done button
+        const buttonY = this.modalHeight/2 - 35;
+        this.closeButton = this.scene.add.rectangle(0, buttonY, 100, 35, 0x6c757d);
+        this.closeButton.setStrokeStyle(2, 0x5a6268);
+        this.closeButton.setInteractive();
+        this.modalContainer.add(this.closeButton);
+
+        this.closeText = this.scene.add.text(0, buttonY, 'Done', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.closeText);
+    }
+
+    setupInteractivity() {
+        this.backdrop.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+        this.closeButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+    }
+
+    /**
+     * Re-render with the goal's latest ticks (called by the scene after a change)
+     *
+     * @param {Object} goal - The goal (undo/redo may have replaced the instance)
+     */
+    refresh(goal) {
+        this.goal = goal;
+        this.renderSteps();
+    }
+
+    renderSteps() {
+        this.rowObjects.forEach(object => object.destroy());
+        this.rowObjects = [];
+
+        const listTop = -this.modalHeight/2 + 85;
+        const rowWidth = this.modalWidth - 40;
+
+        this.goal.subtasks.forEach((subtask, index) => {
+            const y = listTop + index * this.rowHeight + this.rowHeight / 2;
+
+            const rowBg = this.scene.add.rectangle(0, y, rowWidth, this.rowHeight - 4, subtask.done ? 0xe8f5e9 : 0xf8f9fa);
+            rowBg.setInteractive();
+            rowBg.on(Phaser.Input.Events.POINTER_DOWN, () => this.emit('subtaskToggled', this.goal, subtask.id));
+
+            const label = this.scene.add.text(-rowWidth/2 + 12, y, `${subtask.done ? '☑' : '☐'}  ${subtask.text}`, {
+                fontSize: '14px',
+                fill: subtask.done ? '#4CAF50' : '#333333',
+                wordWrap: { width: rowWidth - 24 }
+            }).setOrigin(0, 0.5);
+
+            this.modalContainer.add([rowBg, label]);
+            this.rowObjects.push(rowBg, label);
+        });
+
+        const { done, total } = this.goal.getSubtaskProgress();
+        this.countText.setText(`${done} of ${total} steps done${this.goal.completeWithSubtasks ? ' · the cell is marked with the last one' : ''}`);
+    }
+
+    closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
+        this.emit('modalClosed');
+        this.animateOut();
+    }
+
+    animateIn() {
+        this.setAlpha(0);
+        this.modalContainer.setScale(0.8);
+
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 1,
+            scaleY: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 1,
+            duration: 200,
+            ease: 'Power2'
+        });
+    }
+
+    animateOut() {
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 0.8,
+            scaleY: 0.8,
+            duration: 200,
+            ease: 'Power2'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 0,
+            duration: 200,
+            ease: 'Power2',
+            onComplete: () => this.destroy()
+        });
+    }
+
+    destroy() {
+        this.removeAllListeners();
+        super.destroy();
+    }
+}
@@ -0,0 +1,308 @@
+/**
+ * TrashModal - Phaser-based modal listing deleted goals, with restore and
+ * permanent delete
+ * PHASER COMPLIANT: Uses Container, DOM elements, and native Phaser patterns
+ *
+ * Lists the trashed goals passed in (newest first) with how long ago they were
+ * deleted. "Empty trash" asks for a second click before it purges everything.
+ * The retention select sets how many days goals stay before they are purged.
+ *
+ * Emits 'goalRestored' (goalId), 'goalsPurged' (goalIds), 'retentionChanged'
+ * (days or null) and 'modalClosed'. The owning scene applies the change and
+ * calls refresh() with the new trash.
+ */
+
+const RETENTION_OPTIONS = [
+    { value: '7', label: 'Keep for 7 days' },
+    { value: '30', label: 'Keep for 30 days' },
+    { value: '90', label: 'Keep for 90 days' },
+    { value: '', label: 'Keep until emptied' }
+];
+
+export class TrashModal extends Phaser.GameObjects.Container {
+    constructor(scene, x, y, trash = [], retentionDays = null) {
+        super(scene, x, y);
+
+        this.scene = scene;
+        this.trash = trash;
+        this.retentionDays = retentionDays;
+        this.modalWidth = 560;
+        this.modalHeight = 540;
+        this.rowHeight = 36;
+        this.rowsPerPage = 9;
+        this.page = 0;
+
+        this.rowObjects = [];
+        this.emptyConfirmTimer = null;
+
+        this.createModalElements();
+        this.setupInteractivity();
+        scene.add.existing(this);
+
+        // PHASER COMPLIANT: Ensure container is added to display list for rendering
+        this.addToDisplayList();
+
+        this.setDataEnabled();
+        this.renderList();
+        this.animateIn();
+    }
+
+    createModalElements() {
+        // Backdrop
+        this.backdrop = this.scene.add.rectangle(0, 0, this.scene.cameras.main.width, this.scene.cameras.main.height, 0x000000);
+        this.backdrop.setAlpha(0.5);
+        this.backdrop.setInteractive();
+        this.add(this.backdrop);
+
+        // Modal container
+        this.modalContainer = this.scene.add.container(0, 0);
+        this.add(this.modalContainer);
+
+        // Modal background
+        this.modalBackground = this.scene.add.rectangle(0, 0, this.modalWidth, this.modalHeight, 0xffffff);
+        this.modalBackground.setStrokeStyle(2, 0xdee2e6);
+        this.modalContainer.add(this.modalBackground);
+
+        // Title
+        this.titleText = this.scene.add.text(0, -this.modalHeight/2 + 30, '🗑 Trash', {
+            fontSize: '20px',
+            fill: '#333333',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.titleText);
+
+        // Paging (only shown when the list does not fit)
+        const pagingY = this.getListTop() + this.rowsPerPage * this.rowHeight + 5;
+        this.prevPageText = this.createTextButton(-60, pagingY, '‹ Prev', '#007bff', () => this.changePage(-1));
+        this.nextPageText = this.createTextButton(60, pagingY, 'Next ›', '#007bff', () => this.changePage(1));
+
+        this.createRetentionSelect();
+        this.createButtons();
+    }
+
+    getListTop() {
+        return -this.modalHeight/2 + 65;
+    }
+
+    createTextButton(x, y, label, color, onClick) {
+        const button = this.scene.add.text(x, y, label, {
+            fontSize: '13px',
+            fill: color,
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        button.setInteractive();
+        button.on(Phaser.Input.Events.POINTER_DOWN, onClick);
+        this.modalContainer.add(button);
+        return button;
+    }
+
+    createRetentionSelect() {
+        const selectY = this.modalHeight/2 - 90;
+
+        this.retentionSelect = this.scene.add.dom(-this.modalWidth/2 + 20, selectY, 'select',
+            'width: 200px; height: 32px; border: 1px solid #ced4da; border-radius: 4px; font-size: 14px;'
+        );
+        this.retentionSelect.setOrigin(0, 0.5);
+        RETENTION_OPTIONS.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.retentionSelect.node.appendChild(option);
+        });
+        this.retentionSelect.node.value = this.retentionDays ? String(this.retentionDays) : '';
+        this.retentionSelect.addListener('change');
+        this.retentionSelect.on('change', () => {
+            const value = this.retentionSelect.node.value;
+            this.emit('retentionChanged', value ? Number(value) : null);
+        });
+        this.modalContainer.add(this.retentionSelect);
+    }
+
+    createButtons() {
+        const buttonY = this.modalHeight/2 - 35;
+
+        // Empty trash - the first click only arms it
+        this.emptyButton = this.scene.add.rectangle(-80, buttonY, 140, 35, 0xdc3545);
+        this.emptyButton.setStrokeStyle(2, 0xc82333);
+        this.emptyButton.setInteractive();
+        this.modalContainer.add(this.emptyButton);
+
+        this.emptyText = this.scene.add.text(-80, buttonY, 'Empty trash', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.emptyText);
+
+        this.closeButton = this.scene.add.rectangle(80, buttonY, 100, 35, 0x6c757d);
+        this.closeButton.setStrokeStyle(2, 0x5a6268);
+        this.closeButton.setInteractive();
+        this.modalContainer.add(this.closeButton);
+
+        this.closeText = this.scene.add.text(80, buttonY, 'Done', {
+            fontSize: '14px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.modalContainer.add(this.closeText);
+    }
+
+    setupInteractivity() {
+        this.closeButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.closeModal());
+        this.emptyButton.on(Phaser.Input.Events.POINTER_DOWN, () => this.requestEmptyTrash());
+    }
+
+    /**
+     * Re-render with the latest trash (called by the scene after a change)
+     *
+     * @param {Array} trash - Current trashed goals
+     */
+    refresh(trash) {
+        this.trash = trash;
+        const lastPage = Math.max(0, Math.ceil(this.trash.length / this.rowsPerPage) - 1);
+        this.page = Math.min(this.page, lastPage);
+        this.renderList();
+    }
+
+    changePage(delta) {
+        const lastPage = Math.max(0, Math.ceil(this.trash.length / this.rowsPerPage) - 1);
+        this.page = Phaser.Math.Clamp(this.page + delta, 0, lastPage);
+        this.renderList();
+    }
+
+    getSortedTrash() {
+        return [...this.trash].sort((a, b) => new Date(b.deletedAt || 0) - new Date(a.deletedAt || 0));
+    }
+
+    formatDeletedAt(deletedAt) {
+        if (!deletedAt) return '';
+        const days = Math.floor((Date.now() - new Date(deletedAt).getTime()) / (24 * 60 * 60 * 1000));
+        if (days <= 0) return 'deleted today';
+        return `deleted ${days} day${days === 1 ? '' : 's'} ago`;
+    }
+
+    renderList() {
+        this.rowObjects.forEach(object => object.destroy());
+        this.rowObjects = [];
+        this.cancelEmptyConfirm();
+
+        const listTop = this.getListTop();
+        const rowWidth = this.modalWidth - 40;
+        const pageGoals = this.getSortedTrash().slice(this.page * this.rowsPerPage, (this.page + 1) * this.rowsPerPage);
+
+        pageGoals.forEach((goal, index) => {
+            const y = listTop + index * this.rowHeight + this.rowHeight / 2;
+
+            const rowBg = this.scene.add.rectangle(0, y, rowWidth, this.rowHeight - 4, 0xf8f9fa);
+            const text = this.scene.add.text(-rowWidth/2 + 12, y, goal.text.length > 24 ? `${goal.text.slice(0, 23)}…` : goal.text, {
+                fontSize: '14px',
+                fill: '#333333',
+                fontStyle: 'bold'
+            }).setOrigin(0, 0.5);
+            const deleted = this.scene.add.text(-40, y, this.formatDeletedAt(goal.deletedAt), {
+                fontSize: '12px',
+                fill: '#666666'
+            }).setOrigin(0, 0.5);
+            this.modalContainer.add([rowBg, text, deleted]);
+            this.rowObjects.push(rowBg, text, deleted);
+
+            const restoreButton = this.createTextButton(rowWidth/2 - 130, y, 'Restore', '#28a745', () => this.emit('goalRestored', goal.id));
+            const purgeButton = this.createTextButton(rowWidth/2 - 50, y, 'Delete forever', '#dc3545', () => this.emit('goalsPurged', [goal.id]));
+            this.rowObjects.push(restoreButton, purgeButton);
+        });
+
+        if (this.trash.length === 0) {
+            const empty = this.scene.add.text(0, listTop + 40, 'The trash is empty', {
+                fontSize: '14px',
+                fill: '#999999'
+            }).setOrigin(0.5);
+            this.modalContainer.add(empty);
+            this.rowObjects.push(empty);
+        }
+
+        const hasPages = this.trash.length > this.rowsPerPage;
+        this.prevPageText.setVisible(hasPages && this.page > 0);
+        this.nextPageText.setVisible(hasPages && (this.page + 1) * this.rowsPerPage < this.trash.length);
+        this.emptyButton.setAlpha(this.trash.length > 0 ? 1 : 0.5);
+    }
+
+    requestEmptyTrash() {
+        if (this.trash.length === 0) return;
+
+        // A second click within 3 seconds confirms
+        if (!this.emptyConfirmTimer) {
+            this.emptyText.setText(`Confirm (${this.trash.length})`);
+            this.emptyConfirmTimer = this.scene.time.delayedCall(3000, () => {
+                this.emptyConfirmTimer = null;
+                this.cancelEmptyConfirm();
+            });
+            return;
+        }
+
+        this.cancelEmptyConfirm();
+        this.emit('goalsPurged', this.trash.map(goal => goal.id));
+    }
+
+    cancelEmptyConfirm() {
+        if (this.emptyConfirmTimer) {
+            this.emptyConfirmTimer.remove();
+            this.emptyConfirmTimer = null;
+        }
+        this.emptyText.setText('Empty trash');
+    }
+
+    closeModal() {
+        if (this.isClosing) return;
+        this.isClosing = true;
+
+        this.emit('modalClosed');
+        this.animateOut();
+    }
+
+    animateIn() {
+        this.setAlpha(0);
+        this.modalContainer.setScale(0.8);
+
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 1,
+            scaleY: 1,
+            duration: 300,
+            ease: 'Back.easeOut'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 1,
+            duration: 200,
+            ease: 'Power2'
+        });
+    }
+
+    animateOut() {
+        this.scene.tweens.add({
+            targets: this.modalContainer,
+            scaleX: 0.8,
+            scaleY: 0.8,
+            duration: 200,
+            ease: 'Power2'
+        });
+
+        this.scene.tweens.add({
+            targets: this,
+            alpha: 0,
+            duration: 200,
+            ease: 'Power2',
+            onComplete: () => this.destroy()
+        });
+    }
+
+    destroy() {
+        if (this.emptyConfirmTimer) {
+            this.emptyConfirmTimer.remove();
+            this.emptyConfirmTimer = null;
+        }
+        this.removeAllListeners();
+        super.destroy();
+    }
+}
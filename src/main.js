@@ -30,6 +30,7 @@ import { UserActionLogger } from './utils/UserActionLogger.js';
 import { DebugTools } from './utils/DebugTools.js';
 import { SceneStateLogger } from './utils/SceneStateLogger.js';
 import { ApplicationStateManager } from './utils/ApplicationStateManager.js';
+import { AchievementEngine } from './utils/AchievementEngine.js';
 import { pluginRegistry } from './plugins/PluginRegistry.js';
 
 // ARCHITECTURE NOTE: Game Instance Management Pattern
@@ -211,7 +212,7 @@ function cleanupGame(game) {
     // - DebugTools: Cleans up global references (no custom events)
     // - StorageManager: Cleans up autosave timers and data (no custom events)
     const systems = [
-        'logger', 'storageManager', 'performanceLogger',
+        'logger', 'storageManager', 'achievementEngine', 'performanceLogger',
         'userActionLogger', 'sceneStateLogger', 'debugTools'
     ];
 
@@ -281,6 +282,10 @@ async function initializeCoreSystems(game) {
     const storageManager = new StorageManager(game, appStateManager, logger);
     await storageManager.initialize();
     
+    // Initialize AchievementEngine (needs loaded state and game.events)
+    const achievementEngine = new AchievementEngine(game);
+    await achievementEngine.initialize();
+    
     // Initialize PerformanceLogger (needs game.events for performance monitoring)
     const performanceLogger = new PerformanceLogger(game, logger);
     await performanceLogger.initialize();
@@ -288,12 +293,14 @@ async function initializeCoreSystems(game) {
     // Make core systems globally accessible
     window.appStateManager = appStateManager;
     window.storageManager = storageManager;
+    window.achievementEngine = achievementEngine;
     window.logger = logger;
     window.performanceLogger = performanceLogger;
     
     // Attach core systems to game object for easy access
     game.appStateManager = appStateManager;
     game.storageManager = storageManager;
+    game.achievementEngine = achievementEngine;
     game.logger = logger;
     game.performanceLogger = performanceLogger;
     
@@ -301,6 +308,7 @@ async function initializeCoreSystems(game) {
         logger: !!logger,
         appStateManager: !!appStateManager,
         storageManager: !!storageManager,
+        achievementEngine: !!achievementEngine,
         performanceLogger: !!performanceLogger
     });
 }
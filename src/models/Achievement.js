@@ -0,0 +1,107 @@
+/**
+ * Achievement Model - Represents an unlockable achievement
+ * Integrates with Phaser's Data Manager for state management
+ */
+export class Achievement {
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        this.name = data.name || '';
+        this.description = data.description || '';
+        this.points = data.points || 0;
+        this.rule = data.rule || null; // Condition key evaluated by AchievementEngine
+        this.unlocked = data.unlocked || false;
+        // Dates arrive as ISO strings when loaded from storage
+        this.unlockedAt = data.unlockedAt ? new Date(data.unlockedAt) : null;
+    }
+
+    generateId() {
+        return 'achievement_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Unlock this achievement
+     */
+    unlock() {
+        this.unlocked = true;
+        this.unlockedAt = new Date();
+    }
+
+    /**
+     * Convert to plain object for Phaser data storage
+     */
+    toObject() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            points: this.points,
+            rule: this.rule,
+            unlocked: this.unlocked,
+            unlockedAt: this.unlockedAt
+        };
+    }
+
+    /**
+     * Create Achievement from plain object
+     */
+    static fromObject(data) {
+        return new Achievement(data);
+    }
+
+    /**
+     * Get the default achievements
+     */
+    static getDefaultAchievements() {
+        return [
+            new Achievement({
+                id: 'achievement_1',
+                name: 'First Win',
+                description: 'Complete your first bingo',
+                points: 10,
+                rule: 'first-win'
+            }),
+            new Achievement({
+                id: 'achievement_2',
+                name: 'Speed Demon',
+                description: 'Complete a bingo in under 5 minutes',
+                points: 25,
+                rule: 'speed-demon'
+            }),
+            new Achievement({
+                id: 'achievement_3',
+                name: 'Perfect Game',
+                description: 'Complete a bingo without any mistakes',
+                points: 50,
+                rule: 'perfect-game'
+            }),
+            new Achievement({
+                id: 'achievement_4',
+                name: 'Goal Master',
+                description: 'Complete 10 goals in a single game',
+                points: 30,
+                rule: 'goal-master'
+            }),
+            new Achievement({
+                id: 'achievement_5',
+                name: 'Consistent Player',
+                description: 'Play 5 games in a row',
+                points: 20,
+                rule: 'consistent-player'
+            }),
+            new Achievement({
+                id: 'achievement_6',
+                name: 'Category Expert',
+                description: 'Complete goals from all categories',
+                points: 40,
+                rule: 'category-expert'
+            }),
+            new Achievement({
+                id: 'achievement_7',
+                name: 'Habit Builder',
+                description: 'Complete a goal 7 days in a row',
+                points: 40,
+                rule: 'habit-builder'
+            })
+        ];
+    }
+}
@@ -6,6 +6,34 @@ import { Goal } from './Goal.js';
 import { Reward } from './Reward.js';
 import { Category } from './Category.js';
 import { GameState } from './GameState.js';
+import { WinRecord } from './WinRecord.js';
+import { Achievement } from './Achievement.js';
+import { PointsTransaction } from './PointsTransaction.js';
+import { CompletionRecord } from './CompletionRecord.js';
+import { DEFAULT_DIFFICULTY_RATIO } from '../utils/CardGenerator.js';
+import { getGoalPoints, getWinPoints, getRewardCost } from '../utils/PointRules.js';
+import { isGoalLocked, findPrerequisiteCycle } from '../utils/GoalPrerequisites.js';
+import { getLiveCompletions, getCompletionsByGoal, toCompletionDates, findRevocableCompletion, buildMigratedLog } from '../utils/CompletionLog.js';
+
+// Plain data for each saved state key - toObject() and undo snapshots share them,
+// so a snapshot only serializes the keys it keeps
+const STATE_SERIALIZERS = {
+    gameState: state => state.gameState.toObject(),
+    goalLibrary: state => state.goalLibrary.map(goal => goal.toObject()),
+    trash: state => state.trash.map(goal => goal.toObject()),
+    rewards: state => state.rewards.map(reward => reward.toObject()),
+    categories: state => state.categories.map(category => category.toObject()),
+    winHistory: state => state.winHistory.map(winRecord => winRecord.toObject()),
+    achievements: state => state.achievements.map(achievement => achievement.toObject()),
+    pointsHistory: state => state.pointsHistory.map(transaction => transaction.toObject()),
+    completionLog: state => state.completionLog.map(record => record.toObject()),
+    settings: state => ({
+        ...state.settings,
+        difficultyRatio: { ...state.settings.difficultyRatio },
+        goalViews: state.settings.goalViews.map(view => ({ ...view, filters: { ...view.filters } }))
+    }),
+    metadata: state => ({ ...state.metadata })
+};
 
 export class ApplicationState {
     constructor(data = {}) {
@@ -13,14 +41,32 @@ export class ApplicationState {
         this.lastModified = data.lastModified || new Date();
         this.gameState = data.gameState ? GameState.fromObject(data.gameState) : new GameState();
         this.goalLibrary = data.goalLibrary || [];
+        this.trash = data.trash || []; // Deleted goals (with deletedAt), until restored or purged
         this.rewards = data.rewards || [];
         this.categories = data.categories || [];
         this.settings = {
             autosaveEnabled: data.settings?.autosaveEnabled !== undefined ? data.settings.autosaveEnabled : true,
             autosaveInterval: data.settings?.autosaveInterval || 30000, // 30 seconds
             showSaveIndicator: data.settings?.showSaveIndicator !== undefined ? data.settings.showSaveIndicator : true,
-            backupEnabled: data.settings?.backupEnabled !== undefined ? data.settings.backupEnabled : true
+            backupEnabled: data.settings?.backupEnabled !== undefined ? data.settings.backupEnabled : true,
+            // Card generation: relative easy/medium/hard weights and category balancing
+            difficultyRatio: { ...DEFAULT_DIFFICULTY_RATIO, ...(data.settings?.difficultyRatio || {}) },
+            balanceCategories: data.settings?.balanceCategories !== undefined ? data.settings.balanceCategories : true,
+            // Free centre cell on odd grids: 'off', 'free' (labelled cell) or 'anchor' (freeCenterGoalId)
+            freeCenter: data.settings?.freeCenter || 'off',
+            freeCenterLabel: data.settings?.freeCenterLabel || 'FREE',
+            freeCenterGoalId: data.settings?.freeCenterGoalId || null,
+            // Days deleted goals stay in the trash (null keeps them until emptied)
+            trashRetentionDays: data.settings?.trashRetentionDays !== undefined ? data.settings.trashRetentionDays : 30,
+            // Ask for a completion journal entry each time a cell is marked
+            journalPrompt: data.settings?.journalPrompt !== undefined ? data.settings.journalPrompt : true,
+            // Named goal library views ({ id, name, filters, sort })
+            goalViews: (data.settings?.goalViews || []).map(view => ({ ...view, filters: { ...view.filters } }))
         };
+        this.winHistory = data.winHistory || []; // WinRecords, oldest first
+        this.achievements = data.achievements || Achievement.getDefaultAchievements();
+        this.pointsHistory = data.pointsHistory || []; // PointsTransactions, oldest first
+        this.completionLog = data.completionLog || []; // CompletionRecords, oldest first - only appended to
         this.metadata = {
             totalPlayTime: data.metadata?.totalPlayTime || 0,
             totalGoalsCompleted: data.metadata?.totalGoalsCompleted || 0,
@@ -94,12 +140,18 @@ export class ApplicationState {
                 category: 'rest'
             })
         ];
+
+        this.updateCategoryGoalCounts();
     }
 
     /**
      * Add a goal to the library
+     * Returns null when its prerequisites would make a loop
      */
     addGoal(goalData) {
+        if (findPrerequisiteCycle(goalData.id, goalData.prerequisites, this.goalLibrary)) {
+            return null;
+        }
         const goal = new Goal(goalData);
         this.goalLibrary.push(goal);
         this.updateCategoryGoalCounts();
@@ -108,13 +160,14 @@ export class ApplicationState {
     }
 
     /**
-     * Remove a goal from the library
+     * Remove a goal from the library (it goes to the trash until purged)
      */
     removeGoal(goalId) {
         const index = this.goalLibrary.findIndex(g => g.id === goalId);
         if (index !== -1) {
             const goal = this.goalLibrary[index];
             this.goalLibrary.splice(index, 1);
+            this.moveToTrash(goal);
             this.updateCategoryGoalCounts();
             this.lastModified = new Date();
             return goal;
@@ -122,11 +175,82 @@ export class ApplicationState {
         return null;
     }
 
+    /**
+     * Stamp a removed goal and keep it in the trash
+     */
+    moveToTrash(goal) {
+        goal.deletedAt = new Date();
+        this.trash.push(goal);
+    }
+
+    /**
+     * Put a goal from the trash back into the library
+     */
+    restoreGoal(goalId) {
+        const index = this.trash.findIndex(g => g.id === goalId);
+        if (index === -1) {
+            return null;
+        }
+
+        const [goal] = this.trash.splice(index, 1);
+        goal.deletedAt = null;
+
+        // Categories deleted in the meantime are dropped
+        goal.categories = goal.categories.filter(categoryId => this.categories.some(c => c.id === categoryId));
+
+        // So are prerequisites that would close a loop through goals linked to it in the meantime
+        goal.prerequisites = goal.prerequisites.filter(id => !findPrerequisiteCycle(goal.id, [id], this.goalLibrary));
+
+        // A goal deleted while on the card only stays in play if it is still on it
+        if (goal.state === 'in-play' && !this.gameState.currentGrid.some(g => g && g.id === goal.id)) {
+            goal.reset();
+        }
+        this.gameState.linkGoals([goal]);
+
+        this.goalLibrary.push(goal);
+        this.updateCategoryGoalCounts();
+        this.lastModified = new Date();
+        return goal;
+    }
+
+    /**
+     * Permanently delete goals from the trash (and from other goals' prerequisites)
+     */
+    purgeGoals(goalIds) {
+        const purged = this.trash.filter(g => goalIds.includes(g.id));
+        if (purged.length > 0) {
+            this.trash = this.trash.filter(g => !goalIds.includes(g.id));
+            [...this.goalLibrary, ...this.trash].forEach(goal => {
+                goal.prerequisites = goal.prerequisites.filter(id => !goalIds.includes(id));
+            });
+            this.lastModified = new Date();
+        }
+        return purged;
+    }
+
+    /**
+     * Permanently delete trashed goals older than the retention period
+     */
+    purgeExpiredTrash(now = new Date()) {
+        const retentionDays = this.settings.trashRetentionDays;
+        if (!retentionDays) {
+            return [];
+        }
+
+        const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.trash.filter(goal => !goal.deletedAt || goal.deletedAt.getTime() < cutoff);
+        return this.purgeGoals(expired.map(goal => goal.id));
+    }
+
     /**
      * Update a goal in the library
+     * Returns null when new prerequisites would make a loop
      */
     updateGoal(goalId, updates) {
         const goal = this.goalLibrary.find(g => g.id === goalId);
+        if (goal && updates.prerequisites && findPrerequisiteCycle(goalId, updates.prerequisites, this.goalLibrary)) {
+            return null;
+        }
         if (goal) {
             Object.assign(goal, updates);
             this.updateCategoryGoalCounts();
@@ -136,6 +260,103 @@ export class ApplicationState {
         return null;
     }
 
+    /**
+     * Apply the same updates to several goals at once
+     * Returns no goals when new prerequisites would make a loop
+     */
+    bulkUpdateGoals(goalIds, updates) {
+        const goals = this.goalLibrary.filter(g => goalIds.includes(g.id));
+        if (updates.prerequisites) {
+            // Every selected goal gets the links at once, so check them against each other too
+            const linkedLibrary = this.goalLibrary.map(g => goals.includes(g) ? { id: g.id, prerequisites: updates.prerequisites } : g);
+            if (goals.some(goal => findPrerequisiteCycle(goal.id, updates.prerequisites, linkedLibrary))) {
+                return [];
+            }
+        }
+        goals.forEach(goal => Object.assign(goal, updates));
+        if (goals.length > 0) {
+            this.updateCategoryGoalCounts();
+            this.lastModified = new Date();
+        }
+        return goals;
+    }
+
+    /**
+     * Remove several goals from the library
+     * Goals in play stay on the board - removing them would orphan their cells
+     */
+    bulkRemoveGoals(goalIds) {
+        const removed = this.goalLibrary.filter(g => goalIds.includes(g.id) && g.state !== 'in-play');
+        if (removed.length > 0) {
+            this.goalLibrary = this.goalLibrary.filter(g => !removed.includes(g));
+            removed.forEach(goal => this.moveToTrash(goal));
+            this.updateCategoryGoalCounts();
+            this.lastModified = new Date();
+        }
+        return removed;
+    }
+
+    /**
+     * Return several goals to to-do
+     * Goals in play stay on the board - resetting them would orphan their cells
+     */
+    bulkResetGoals(goalIds) {
+        const goals = this.goalLibrary.filter(g => goalIds.includes(g.id) && g.state !== 'in-play');
+        goals.forEach(goal => goal.reset());
+        if (goals.length > 0) {
+            this.lastModified = new Date();
+        }
+        return goals;
+    }
+
+    /**
+     * Archive several goals
+     */
+    bulkArchiveGoals(goalIds) {
+        const goals = this.goalLibrary.filter(g => goalIds.includes(g.id) && !g.archived);
+        goals.forEach(goal => goal.archive());
+        if (goals.length > 0) {
+            this.lastModified = new Date();
+        }
+        return goals;
+    }
+
+    /**
+     * Bring several archived goals back into the library
+     */
+    bulkUnarchiveGoals(goalIds) {
+        const goals = this.goalLibrary.filter(g => goalIds.includes(g.id) && g.archived);
+        goals.forEach(goal => goal.unarchive());
+        if (goals.length > 0) {
+            this.lastModified = new Date();
+        }
+        return goals;
+    }
+
+    /**
+     * Add a completion journal entry to a goal
+     */
+    addJournalEntry(goalId, entryData) {
+        const goal = this.goalLibrary.find(g => g.id === goalId);
+        const entry = goal ? goal.addJournalEntry(entryData) : null;
+        if (entry) {
+            this.lastModified = new Date();
+        }
+        return entry;
+    }
+
+    /**
+     * Remove a completion journal entry from a goal
+     */
+    removeJournalEntry(goalId, entryId) {
+        const goal = this.goalLibrary.find(g => g.id === goalId);
+        const entry = goal ? goal.removeJournalEntry(entryId) : null;
+        if (entry) {
+            this.lastModified = new Date();
+        }
+        return entry;
+    }
+
     /**
      * Add a reward
      */
@@ -146,6 +367,19 @@ export class ApplicationState {
         return reward;
     }
 
+    /**
+     * Update a reward
+     */
+    updateReward(rewardId, updates) {
+        const reward = this.rewards.find(r => r.id === rewardId);
+        if (reward) {
+            Object.assign(reward, updates);
+            this.lastModified = new Date();
+            return reward;
+        }
+        return null;
+    }
+
     /**
      * Remove a reward
      */
@@ -160,6 +394,212 @@ export class ApplicationState {
         return null;
     }
 
+    /**
+     * Claim a reward for a bingo win, spending its point cost
+     */
+    claimReward(rewardId, winId) {
+        const reward = this.rewards.find(r => r.id === rewardId);
+        if (reward && reward.isAvailable() && this.canAffordReward(reward)) {
+            const cost = getRewardCost(reward);
+            reward.claim(winId, cost);
+            if (cost > 0) {
+                this.addPointsTransaction({
+                    amount: -cost,
+                    source: 'reward',
+                    sourceId: reward.id,
+                    description: `Claimed ${reward.description}`
+                });
+            }
+            this.metadata.totalRewardsClaimed++;
+            this.lastModified = new Date();
+            return reward;
+        }
+        return null;
+    }
+
+    /**
+     * Unclaim a reward, making it available again and refunding its points
+     */
+    unclaimReward(rewardId) {
+        const reward = this.rewards.find(r => r.id === rewardId);
+        if (reward && reward.claimed) {
+            const claim = reward.unclaim();
+            if (claim.pointsSpent > 0) {
+                this.addPointsTransaction({
+                    amount: claim.pointsSpent,
+                    source: 'reward',
+                    sourceId: reward.id,
+                    description: `Refunded ${reward.description}`
+                });
+            }
+            this.metadata.totalRewardsClaimed = Math.max(0, this.metadata.totalRewardsClaimed - 1);
+            this.lastModified = new Date();
+            return reward;
+        }
+        return null;
+    }
+
+    /**
+     * Get the current points balance
+     */
+    getPointsBalance() {
+        return this.pointsHistory.reduce((balance, transaction) => balance + transaction.amount, 0);
+    }
+
+    /**
+     * Check if the balance covers a reward's point cost
+     */
+    canAffordReward(reward) {
+        return this.getPointsBalance() >= getRewardCost(reward);
+    }
+
+    /**
+     * Record a points transaction in the ledger
+     */
+    addPointsTransaction(transactionData) {
+        const transaction = transactionData instanceof PointsTransaction
+            ? transactionData
+            : new PointsTransaction(transactionData);
+        this.pointsHistory.push(transaction);
+        this.lastModified = new Date();
+        return transaction;
+    }
+
+    /**
+     * Earn points for completing a goal (scaled by its difficulty)
+     */
+    awardGoalPoints(goal) {
+        return this.addPointsTransaction({
+            amount: getGoalPoints(goal),
+            source: 'goal',
+            sourceId: goal.id,
+            description: `Completed ${goal.text}`
+        });
+    }
+
+    /**
+     * Take back the points of a goal that was un-marked
+     * Only reverses the goal's latest transaction if it was an earning
+     */
+    revokeGoalPoints(goal) {
+        const lastTransaction = [...this.pointsHistory].reverse()
+            .find(transaction => transaction.source === 'goal' && transaction.sourceId === goal.id);
+        if (!lastTransaction || !lastTransaction.isEarning()) {
+            return null;
+        }
+        return this.addPointsTransaction({
+            amount: -lastTransaction.amount,
+            source: 'goal',
+            sourceId: goal.id,
+            description: `Un-marked ${goal.text}`
+        });
+    }
+
+    /**
+     * Append an entry to the completion log
+     */
+    addCompletionRecord(recordData) {
+        const record = recordData instanceof CompletionRecord
+            ? recordData
+            : new CompletionRecord(recordData);
+        this.completionLog.push(record);
+        this.metadata.totalGoalsCompleted = getLiveCompletions(this.completionLog).length;
+        this.lastModified = new Date();
+        return record;
+    }
+
+    /**
+     * Log a goal that has just been completed
+     */
+    recordGoalCompletion(goal) {
+        const record = this.addCompletionRecord({
+            goalId: goal.id,
+            goalText: goal.text,
+            completedAt: goal.completedAt || new Date()
+        });
+        this.syncGoalCompletions(goal);
+        return record;
+    }
+
+    /**
+     * Take back a goal's latest completion (its cell was un-marked)
+     * The log keeps both entries; the goal's completion fields go back to the one before
+     */
+    revokeGoalCompletion(goal) {
+        const completion = findRevocableCompletion(this.completionLog, goal.id);
+        if (!completion) {
+            return null;
+        }
+        const record = this.addCompletionRecord({
+            goalId: goal.id,
+            goalText: goal.text,
+            type: 'revoked',
+            revokesId: completion.id
+        });
+        this.syncGoalCompletions(goal);
+        return record;
+    }
+
+    /**
+     * Set a goal's completion count and dates from the log
+     */
+    syncGoalCompletions(goal, completions = getLiveCompletions(this.completionLog, goal.id)) {
+        goal.applyCompletionHistory(toCompletionDates(completions), completions.length);
+    }
+
+    /**
+     * Earn points for the winning patterns of a bingo win
+     */
+    awardWinPoints(winRecord) {
+        const amount = getWinPoints(winRecord.patterns);
+        if (amount <= 0) {
+            return null;
+        }
+        return this.addPointsTransaction({
+            amount,
+            source: 'win',
+            sourceId: winRecord.id,
+            description: `Bingo with ${winRecord.patterns.length} pattern(s)`
+        });
+    }
+
+    /**
+     * Record a bingo win in the win history
+     */
+    addWinRecord(winData) {
+        const winRecord = winData instanceof WinRecord ? winData : new WinRecord(winData);
+        this.winHistory.push(winRecord);
+        this.lastModified = new Date();
+        return winRecord;
+    }
+
+    /**
+     * Get a win record by id (reward claims refer to wins by id)
+     */
+    getWinRecord(winId) {
+        return this.winHistory.find(w => w.id === winId) || null;
+    }
+
+    /**
+     * Get rewards claimed for a win
+     */
+    getRewardsForWin(winId) {
+        return this.rewards.filter(reward => reward.isClaimedFor(winId));
+    }
+
+    /**
+     * Unlock an achievement
+     */
+    unlockAchievement(achievementId) {
+        const achievement = this.achievements.find(a => a.id === achievementId);
+        if (achievement && !achievement.unlocked) {
+            achievement.unlock();
+            this.lastModified = new Date();
+            return achievement;
+        }
+        return null;
+    }
+
     /**
      * Add a category
      */
@@ -170,6 +610,51 @@ export class ApplicationState {
         return category;
     }
 
+    /**
+     * Update a category (rename/recolor)
+     */
+    updateCategory(categoryId, updates) {
+        const category = this.categories.find(c => c.id === categoryId);
+        if (category) {
+            Object.assign(category, updates);
+            this.lastModified = new Date();
+            return category;
+        }
+        return null;
+    }
+
+    /**
+     * Move every goal in a category to another category (merge), or take the
+     * category off its goals when no target is given
+     */
+    reassignCategoryGoals(categoryId, targetCategoryId = null) {
+        const affected = this.goalLibrary.filter(goal => goal.categories.includes(categoryId));
+        affected.forEach(goal => {
+            const categories = goal.categories.filter(id => id !== categoryId);
+            if (targetCategoryId && !categories.includes(targetCategoryId)) {
+                categories.push(targetCategoryId);
+            }
+            goal.categories = categories;
+        });
+        this.updateCategoryGoalCounts();
+        this.lastModified = new Date();
+        return affected;
+    }
+
+    /**
+     * Delete a category, first reassigning (or removing it from) the goals that use it
+     */
+    deleteCategory(categoryId, targetCategoryId = null) {
+        if (categoryId === targetCategoryId) {
+            return null;
+        }
+        if (targetCategoryId && !this.categories.some(c => c.id === targetCategoryId)) {
+            return null;
+        }
+        this.reassignCategoryGoals(categoryId, targetCategoryId);
+        return this.removeCategory(categoryId);
+    }
+
     /**
      * Remove a category
      */
@@ -186,6 +671,42 @@ export class ApplicationState {
         return null;
     }
 
+    /**
+     * Save the goal library filters and sort as a named view
+     * A view with the same name is replaced
+     */
+    saveGoalView(name, filters, sort) {
+        const view = {
+            id: 'view_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name,
+            filters: { ...filters },
+            sort
+        };
+        const existing = this.settings.goalViews.findIndex(v => v.name.toLowerCase() === name.toLowerCase());
+        if (existing !== -1) {
+            view.id = this.settings.goalViews[existing].id;
+            this.settings.goalViews.splice(existing, 1, view);
+        } else {
+            this.settings.goalViews.push(view);
+        }
+        this.lastModified = new Date();
+        return view;
+    }
+
+    /**
+     * Remove a saved goal library view
+     */
+    removeGoalView(viewId) {
+        const index = this.settings.goalViews.findIndex(v => v.id === viewId);
+        if (index !== -1) {
+            const view = this.settings.goalViews[index];
+            this.settings.goalViews.splice(index, 1);
+            this.lastModified = new Date();
+            return view;
+        }
+        return null;
+    }
+
     /**
      * Update category goal counts
      */
@@ -207,10 +728,10 @@ export class ApplicationState {
     }
 
     /**
-     * Get available goals for grid population
+     * Get available goals for grid population (locked goals wait for their prerequisites)
      */
-    getAvailableGoals() {
-        return this.goalLibrary.filter(goal => goal.isAvailable());
+    getAvailableGoals(now = new Date()) {
+        return this.goalLibrary.filter(goal => goal.isAvailable(now) && !isGoalLocked(goal, this.goalLibrary));
     }
 
     /**
@@ -231,16 +752,61 @@ export class ApplicationState {
      * Convert to plain object for Phaser data storage
      */
     toObject() {
-        return {
+        const data = {
             version: this.version,
-            lastModified: this.lastModified,
-            gameState: this.gameState.toObject(),
-            goalLibrary: this.goalLibrary.map(goal => goal.toObject()),
-            rewards: this.rewards.map(reward => reward.toObject()),
-            categories: this.categories.map(category => category.toObject()),
-            settings: { ...this.settings },
-            metadata: { ...this.metadata }
+            lastModified: this.lastModified
         };
+        Object.entries(STATE_SERIALIZERS).forEach(([key, serialize]) => {
+            data[key] = serialize(this);
+        });
+        return data;
+    }
+
+    /**
+     * Copy part of the state as plain data so it can be put back later (undo/redo)
+     *
+     * @param {Array} keys - State keys, e.g. ['goalLibrary', 'gameState']
+     */
+    captureSnapshot(keys) {
+        return Object.fromEntries(keys.map(key => [key, structuredClone(STATE_SERIALIZERS[key](this))]));
+    }
+
+    /**
+     * Put back a snapshot taken by captureSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        const restored = ApplicationState.fromObject(structuredClone(snapshot));
+        Object.keys(snapshot).forEach(key => {
+            this[key] = restored[key];
+        });
+
+        // Restored goals are new instances - the card and category counts must follow them
+        // (a goal deleted while on the card stays on it from the trash)
+        this.gameState.linkGoals([...this.goalLibrary, ...this.trash]);
+        if (snapshot.goalLibrary && !snapshot.completionLog) {
+            this.reconcileCompletionLog();
+        }
+        this.updateCategoryGoalCounts();
+        this.lastModified = new Date();
+    }
+
+    /**
+     * Bring the completion log in line with restored goals by appending to it
+     * Undoing a mark revokes its completion; redoing it logs the completion again
+     */
+    reconcileCompletionLog() {
+        const completionsByGoal = getCompletionsByGoal(this.completionLog);
+        [...this.goalLibrary, ...this.trash].forEach(goal => {
+            const target = goal.completionCount;
+            let logged = (completionsByGoal.get(goal.id) || []).length;
+            for (; logged > target; logged--) {
+                this.revokeGoalCompletion(goal);
+            }
+            for (; logged < target; logged++) {
+                this.addCompletionRecord({ goalId: goal.id, goalText: goal.text, completedAt: goal.lastCompletedAt });
+            }
+            this.syncGoalCompletions(goal);
+        });
     }
 
     /**
@@ -256,6 +822,11 @@ export class ApplicationState {
             );
         }
         
+        // Reconstruct trashed goals
+        if (data.trash) {
+            appState.trash = data.trash.map(goalData => Goal.fromObject(goalData));
+        }
+        
         // Reconstruct reward objects
         if (data.rewards) {
             appState.rewards = data.rewards.map(rewardData => 
@@ -270,38 +841,51 @@ export class ApplicationState {
             );
         }
         
-        return appState;
-    }
-
-    // Get available goals for grid population
-    getAvailableGoals() {
-        return this.goalLibrary.filter(goal => {
-            // Must be in 'to-do' state
-            if (goal.state !== 'to-do') return false;
-            
-            // If renewable, check cooldown
-            if (goal.isRenewable && goal.lastCompletedAt) {
-                const cooldownMs = goal.cooldownPeriod * 60 * 60 * 1000; // Convert hours to ms
-                const timeSinceCompletion = Date.now() - goal.lastCompletedAt.getTime();
-                return timeSinceCompletion >= cooldownMs;
-            }
-            
-            // If not renewable, check if it hasn't been completed yet
-            if (!goal.isRenewable) {
-                return !goal.completedAt;
-            }
+        // Reconstruct win records
+        if (data.winHistory) {
+            appState.winHistory = data.winHistory.map(winData => 
+                WinRecord.fromObject(winData)
+            );
+        }
+        
+        // Reconstruct achievements
+        if (data.achievements) {
+            appState.achievements = data.achievements.map(achievementData => 
+                Achievement.fromObject(achievementData)
+            );
             
-            return true;
-        });
-    }
-
-    // Get goals by state
-    getGoalsByState(state) {
-        return this.goalLibrary.filter(goal => goal.state === state);
-    }
-
-    // Get available rewards
-    getAvailableRewards() {
-        return this.rewards.filter(reward => !reward.claimed);
+            // Achievements added since the save start out locked
+            const savedRules = new Set(appState.achievements.map(achievement => achievement.rule));
+            Achievement.getDefaultAchievements()
+                .filter(achievement => !savedRules.has(achievement.rule))
+                .forEach(achievement => appState.achievements.push(achievement));
+        }
+        
+        // Reconstruct the points ledger
+        if (data.pointsHistory) {
+            appState.pointsHistory = data.pointsHistory.map(transactionData => 
+                PointsTransaction.fromObject(transactionData)
+            );
+        }
+        
+        // Reconstruct the completion log (saves from before it are migrated from the goals)
+        const allGoals = [...appState.goalLibrary, ...appState.trash];
+        appState.completionLog = (data.completionLog || buildMigratedLog(allGoals)).map(recordData =>
+            CompletionRecord.fromObject(recordData)
+        );
+        
+        // Goal completion counts and dates follow the log
+        const completionsByGoal = getCompletionsByGoal(appState.completionLog);
+        allGoals.forEach(goal => appState.syncGoalCompletions(goal, completionsByGoal.get(goal.id) || []));
+        appState.metadata.totalGoalsCompleted = getLiveCompletions(appState.completionLog).length;
+        
+        // The saved card shares Goal instances with the library (or the trash, for a goal
+        // deleted while on the card)
+        appState.gameState.linkGoals(allGoals);
+        
+        // Recount rather than trust saved goal counts (removeCategory relies on them)
+        appState.updateCategoryGoalCounts();
+        
+        return appState;
     }
 }
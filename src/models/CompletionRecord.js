@@ -0,0 +1,50 @@
+/**
+ * CompletionRecord Model - One entry in the completion log
+ * Integrates with Phaser's Data Manager for state management
+ */
+export class CompletionRecord {
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        this.goalId = data.goalId || null;
+        this.goalText = data.goalText || ''; // Snapshot, so the log still reads after the goal is renamed or purged
+        this.type = data.type || 'completed'; // 'completed', or 'revoked' when the cell is un-marked
+        this.revokesId = data.revokesId || null; // Id of the completion a 'revoked' entry takes back
+        // Dates arrive as ISO strings when loaded from storage
+        // null for completions migrated from saves that only kept a count
+        this.completedAt = data.completedAt ? new Date(data.completedAt) : null;
+        this.recordedAt = data.recordedAt ? new Date(data.recordedAt) : new Date();
+    }
+
+    generateId() {
+        return 'completion_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Check if this entry is a completion (rather than taking one back)
+     */
+    isCompletion() {
+        return this.type === 'completed';
+    }
+
+    /**
+     * Convert to plain object for Phaser data storage
+     */
+    toObject() {
+        return {
+            id: this.id,
+            goalId: this.goalId,
+            goalText: this.goalText,
+            type: this.type,
+            revokesId: this.revokesId,
+            completedAt: this.completedAt,
+            recordedAt: this.recordedAt
+        };
+    }
+
+    /**
+     * Create CompletionRecord from plain object
+     */
+    static fromObject(data) {
+        return new CompletionRecord(data);
+    }
+}
@@ -3,16 +3,38 @@
  * Integrates with Phaser's Data Manager for state management
  */
 import { Goal } from './Goal.js';
+import { normalizeWinMode } from '../utils/WinPatterns.js';
+import { normalizeExpiryPolicy } from '../utils/GoalDeadlines.js';
+
+// Missed goals kept for statistics (totalMisses keeps counting past it)
+const MISSED_GOALS_KEPT = 100;
 
 export class GameState {
     constructor(data = {}) {
         this.gridSize = data.gridSize || 5;
-        this.currentGrid = data.currentGrid || [];
+        this.currentGrid = data.currentGrid || []; // Goal (or null) at each grid position (ids until linkGoals())
         this.activeGoals = data.activeGoals || []; // Goals currently in the grid
+        this.markedPositions = data.markedPositions || []; // Grid positions marked as completed
+        this.winLines = data.winLines || []; // Highlighted win patterns ({ type, index, positions })
+        this.winMode = normalizeWinMode(data.winMode); // Win mode for this game ({ type, lineCount })
+        this.freePosition = data.freePosition ?? null; // Pre-completed free cell position (odd grids only)
+        this.expiryPolicy = normalizeExpiryPolicy(data.expiryPolicy); // What happens to overdue goals on this card
+        this.cardGoalsCompleted = data.cardGoalsCompleted || 0; // Goals marked complete on the current card
+        this.cardMistakes = data.cardMistakes || 0; // Marks taken back on the current card
+        this.cardMisses = data.cardMisses || 0; // Goals missed on the current card
+        this.cardSeed = data.cardSeed ?? null; // CardGenerator seed the current card was dealt from
         this.totalWins = data.totalWins || 0;
         this.currentStreak = data.currentStreak || 0;
-        this.lastWinAt = data.lastWinAt || null;
-        this.gameStartedAt = data.gameStartedAt || new Date();
+        this.totalMisses = data.totalMisses || 0;
+        // Latest missed goals, oldest first ({ goalId, text, position, dueAt, missedAt })
+        this.missedGoals = (data.missedGoals || []).map(miss => ({
+            ...miss,
+            dueAt: miss.dueAt ? new Date(miss.dueAt) : null,
+            missedAt: new Date(miss.missedAt)
+        }));
+        // Dates arrive as ISO strings when loaded from storage
+        this.lastWinAt = data.lastWinAt ? new Date(data.lastWinAt) : null;
+        this.gameStartedAt = data.gameStartedAt ? new Date(data.gameStartedAt) : new Date();
         this.preferredGridSize = data.preferredGridSize || 5;
         this.lastSaveTime = data.lastSaveTime || null;
         this.sessionId = data.sessionId || this.generateSessionId();
@@ -55,6 +77,7 @@ export class GameState {
             if (goal) {
                 this.currentGrid[position] = null;
                 this.activeGoals = this.activeGoals.filter(g => g.id !== goal.id);
+                this.markedPositions = this.markedPositions.filter(p => p !== position);
                 return goal;
             }
         }
@@ -76,14 +99,115 @@ export class GameState {
     }
 
     /**
-     * Record a win
+     * Replace the current card: goals by position, completion marks, highlighted win lines
+     * and the free cell
+     */
+    setCard(gridSize, grid, markedPositions = [], winLines = [], freePosition = null) {
+        if (!this.setGridSize(gridSize)) {
+            return false;
+        }
+        this.currentGrid = [...grid];
+        this.activeGoals = grid.filter(goal => goal);
+        this.markedPositions = [...markedPositions];
+        this.winLines = winLines.map(line => ({ ...line }));
+        this.freePosition = freePosition;
+        return true;
+    }
+
+    /**
+     * Set the win mode for this game (see WinPatterns.WIN_MODE_OPTIONS)
+     */
+    setWinMode(winMode) {
+        this.winMode = normalizeWinMode(winMode);
+    }
+
+    /**
+     * Set what happens to overdue goals on this card (see GoalDeadlines.EXPIRY_POLICIES)
+     */
+    setExpiryPolicy(policy) {
+        this.expiryPolicy = normalizeExpiryPolicy(policy);
+    }
+
+    /**
+     * Check if a card is in progress
+     */
+    hasCard() {
+        return this.currentGrid.some(goal => goal);
+    }
+
+    /**
+     * Check if a grid position is marked as completed
+     */
+    isPositionMarked(position) {
+        return this.markedPositions.includes(position) || position === this.freePosition;
+    }
+
+    /**
+     * Point card goals at the matching Goal instances in the library
+     * Saved cards only hold goal ids - an id that is not in the library leaves its cell empty
+     */
+    linkGoals(goalLibrary) {
+        const findGoal = goal => {
+            if (!goal) {
+                return null;
+            }
+            const isId = typeof goal === 'string';
+            return goalLibrary.find(g => g.id === (isId ? goal : goal.id)) || (isId ? null : goal);
+        };
+        this.currentGrid = this.currentGrid.map(findGoal);
+        this.activeGoals = this.activeGoals.map(findGoal).filter(goal => goal);
+    }
+
+    /**
+     * Start the clock and counters for a freshly dealt card
+     */
+    startCard(cardSeed = null) {
+        this.gameStartedAt = new Date();
+        this.cardSeed = cardSeed;
+        this.cardGoalsCompleted = 0;
+        this.cardMistakes = 0;
+        this.cardMisses = 0;
+    }
+
+    /**
+     * Count a cell being marked or un-marked (un-marking counts as a mistake)
      */
-    recordWin() {
-        this.totalWins++;
+    recordGoalMark(completed) {
+        if (completed) {
+            this.cardGoalsCompleted++;
+        } else {
+            this.cardGoalsCompleted = Math.max(0, this.cardGoalsCompleted - 1);
+            this.cardMistakes++;
+        }
+    }
+
+    /**
+     * Record a win (a single card update can complete several patterns)
+     */
+    recordWin(patternCount = 1) {
+        this.totalWins += patternCount;
         this.currentStreak++;
         this.lastWinAt = new Date();
     }
 
+    /**
+     * Record a goal that ran past its deadline on the card (a miss ends the win streak)
+     */
+    recordMiss(goal, position, missedAt = new Date()) {
+        const miss = {
+            goalId: goal.id,
+            text: goal.text,
+            position,
+            dueAt: goal.getDueAt(),
+            missedAt
+        };
+        this.missedGoals = [...this.missedGoals, miss].slice(-MISSED_GOALS_KEPT);
+        this.totalMisses++;
+        this.cardMisses++;
+        this.resetStreak();
+        return miss;
+    }
+
     /**
      * Reset current streak
      */
@@ -141,10 +265,22 @@ export class GameState {
     toObject() {
         return {
             gridSize: this.gridSize,
-            currentGrid: this.currentGrid.map(goal => goal ? goal.toObject() : null),
-            activeGoals: this.activeGoals.map(goal => goal.toObject()),
+            // Goals are stored once, in the library - the card only refers to them by id
+            currentGrid: this.currentGrid.map(goal => goal ? goal.id : null),
+            activeGoals: this.activeGoals.map(goal => goal.id),
+            markedPositions: [...this.markedPositions],
+            winLines: this.winLines.map(line => ({ ...line })),
+            winMode: { ...this.winMode },
+            freePosition: this.freePosition,
+            expiryPolicy: this.expiryPolicy,
+            cardGoalsCompleted: this.cardGoalsCompleted,
+            cardMistakes: this.cardMistakes,
+            cardMisses: this.cardMisses,
+            cardSeed: this.cardSeed,
             totalWins: this.totalWins,
             currentStreak: this.currentStreak,
+            totalMisses: this.totalMisses,
+            missedGoals: this.missedGoals.map(miss => ({ ...miss })),
             lastWinAt: this.lastWinAt,
             gameStartedAt: this.gameStartedAt,
             preferredGridSize: this.preferredGridSize,
@@ -159,17 +295,14 @@ export class GameState {
     static fromObject(data) {
         const gameState = new GameState(data);
         
-        // Reconstruct goal objects
+        // Goal ids stay as they are until linkGoals(); saves from before ids held whole goals
+        const toGoal = goalData => goalData && typeof goalData === 'object' ? Goal.fromObject(goalData) : goalData || null;
         if (data.currentGrid) {
-            gameState.currentGrid = data.currentGrid.map(goalData => 
-                goalData ? Goal.fromObject(goalData) : null
-            );
+            gameState.currentGrid = data.currentGrid.map(toGoal);
         }
         
         if (data.activeGoals) {
-            gameState.activeGoals = data.activeGoals.map(goalData => 
-                Goal.fromObject(goalData)
-            );
+            gameState.activeGoals = data.activeGoals.map(toGoal);
         }
         
         return gameState;
@@ -1,3 +1,10 @@
+import { normalizeRecurrence, getNextOccurrence, getZonedDay, isScheduledDay } from '../utils/RecurrenceRule.js';
+
+// Enough completions for the largest 'times-per-week' count
+const RECENT_COMPLETIONS_KEPT = 7;
+
+const MAX_JOURNAL_NOTE_LENGTH = 1000;
+
 /**
  * Goal Model - Represents a goal in the Goal Bingo system
  * Integrates with Phaser's Data Manager for state management
@@ -6,16 +13,58 @@ export class Goal {
     constructor(data = {}) {
         this.id = data.id || this.generateId();
         this.text = data.text || '';
+        this.description = data.description || ''; // Free-form notes shown in the goal editor
         this.categories = data.categories || [];
         this.state = data.state || 'to-do'; // 'to-do', 'in-play', 'completed'
         this.isRenewable = data.isRenewable !== undefined ? data.isRenewable : true;
         this.cooldownPeriod = data.cooldownPeriod || (this.isRenewable ? 24 : null); // hours
-        this.lastCompletedAt = data.lastCompletedAt || null;
+        // Calendar schedule (see RecurrenceRule); when set it replaces the hour cooldown
+        this.recurrence = this.isRenewable ? normalizeRecurrence(data.recurrence) : null;
+        // Dates arrive as ISO strings when loaded from storage
+        this.lastCompletedAt = data.lastCompletedAt ? new Date(data.lastCompletedAt) : null;
+        // Times completed; older saves only know whether it was ever completed
+        this.completionCount = data.completionCount ?? (this.lastCompletedAt ? 1 : 0);
+        // Latest completion dates, oldest first ('times-per-week' rules count them)
+        this.recentCompletions = (data.recentCompletions || (this.lastCompletedAt ? [this.lastCompletedAt] : []))
+            .map(date => new Date(date));
         this.difficulty = data.difficulty || 'medium'; // 'easy', 'medium', 'hard'
-        this.createdAt = data.createdAt || new Date();
-        this.movedToInPlayAt = data.movedToInPlayAt || null;
-        this.completedAt = data.completedAt || null;
-        this.gridPosition = data.gridPosition || null; // Position in current grid (if in-play)
+        // Measurable goals (e.g. 8 glasses of water) are done when the logged amounts reach the target
+        this.target = data.target > 0 ? Number(data.target) : null;
+        this.unit = data.unit || '';
+        // Ordered checklist of steps ({ id, text, done, doneAt })
+        this.subtasks = (data.subtasks || []).map((subtask, index) => ({
+            id: subtask.id || `step_${index + 1}`,
+            text: subtask.text || '',
+            done: !!subtask.done,
+            doneAt: subtask.doneAt ? new Date(subtask.doneAt) : null
+        }));
+        // Ids of goals that must be completed before this one can go on a card (see GoalPrerequisites)
+        this.prerequisites = [...(data.prerequisites || [])];
+        // Mark the bingo cell when the last step is ticked
+        this.completeWithSubtasks = data.completeWithSubtasks !== undefined ? data.completeWithSubtasks : true;
+        // Amounts logged towards the target while on the card ({ amount, loggedAt })
+        this.progressEntries = (data.progressEntries || []).map(entry => ({
+            amount: Number(entry.amount),
+            loggedAt: new Date(entry.loggedAt)
+        }));
+        this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+        this.movedToInPlayAt = data.movedToInPlayAt ? new Date(data.movedToInPlayAt) : null;
+        // Deadlines (see GoalDeadlines): a fixed date, and/or hours allowed once placed on a card
+        this.dueDate = data.dueDate ? new Date(data.dueDate) : null;
+        this.dueWithinHours = data.dueWithinHours > 0 ? Number(data.dueWithinHours) : null;
+        this.completedAt = data.completedAt ? new Date(data.completedAt) : null;
+        this.gridPosition = data.gridPosition ?? null; // Position in current grid (if in-play)
+        // Archived goals stay in the library for history but are never dealt onto a card
+        this.archived = data.archived || false;
+        this.archivedAt = data.archivedAt ? new Date(data.archivedAt) : null;
+        // How each completion went, oldest first ({ id, completedAt, note, mood, durationMinutes, image })
+        // Kept through reset() - it is the goal's history, not card state
+        this.journal = (data.journal || []).map(entry => ({
+            ...entry,
+            completedAt: new Date(entry.completedAt)
+        }));
+        // Set while the goal sits in the trash (see ApplicationState.trash)
+        this.deletedAt = data.deletedAt ? new Date(data.deletedAt) : null;
     }
 
     generateId() {
@@ -29,18 +78,43 @@ export class Goal {
         this.state = 'in-play';
         this.movedToInPlayAt = new Date();
         this.gridPosition = gridPosition;
+        // Each card starts counting from zero, with every step unticked
+        this.progressEntries = [];
+        this.clearSubtasks();
     }
 
     /**
      * Mark goal as completed
+     * The completion count and dates follow once it is logged (ApplicationState.recordGoalCompletion)
      */
     complete() {
         this.state = 'completed';
         this.completedAt = new Date();
-        this.lastCompletedAt = new Date();
         this.gridPosition = null;
     }
 
+    /**
+     * Return a completed goal to play (e.g. its bingo cell was un-marked)
+     * Taking the completion back is logged separately (ApplicationState.revokeGoalCompletion)
+     */
+    reopen(gridPosition = null) {
+        this.state = 'in-play';
+        this.completedAt = null;
+        this.gridPosition = gridPosition;
+    }
+
+    /**
+     * Take the completion fields from ApplicationState.completionLog
+     *
+     * @param {Array} dates - Dated completions, oldest first
+     * @param {number} count - All completions, including any migrated without a date
+     */
+    applyCompletionHistory(dates, count) {
+        this.completionCount = count;
+        this.lastCompletedAt = dates.length > 0 ? dates[dates.length - 1] : null;
+        this.recentCompletions = dates.slice(-RECENT_COMPLETIONS_KEPT);
+    }
+
     /**
      * Reset goal to to-do state (for renewable goals)
      */
@@ -49,38 +123,236 @@ export class Goal {
         this.movedToInPlayAt = null;
         this.completedAt = null;
         this.gridPosition = null;
+        this.progressEntries = [];
+        this.clearSubtasks();
+    }
+
+    /**
+     * Add a completion journal entry
+     *
+     * @param {Object} data - { note, mood (1-5), durationMinutes, image (data URL), completedAt }
+     * @returns {Object|null} The entry, or null if every field was left empty
+     */
+    addJournalEntry(data = {}) {
+        const mood = Number(data.mood);
+        const durationMinutes = Number(data.durationMinutes);
+        const entry = {
+            id: 'entry_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            completedAt: data.completedAt ? new Date(data.completedAt) : (this.completedAt || this.lastCompletedAt || new Date()),
+            note: (data.note || '').trim().slice(0, MAX_JOURNAL_NOTE_LENGTH),
+            mood: Number.isInteger(mood) && mood >= 1 && mood <= 5 ? mood : null,
+            durationMinutes: Number.isFinite(durationMinutes) && durationMinutes > 0 ? durationMinutes : null,
+            image: typeof data.image === 'string' && data.image.startsWith('data:image/') ? data.image : null
+        };
+
+        if (!entry.note && entry.mood === null && entry.durationMinutes === null && !entry.image) {
+            return null;
+        }
+        this.journal.push(entry);
+        return entry;
+    }
+
+    /**
+     * Remove a completion journal entry
+     *
+     * @param {string} entryId - Entry id
+     * @returns {Object|null} The removed entry, or null if it does not exist
+     */
+    removeJournalEntry(entryId) {
+        const index = this.journal.findIndex(entry => entry.id === entryId);
+        if (index === -1) {
+            return null;
+        }
+        return this.journal.splice(index, 1)[0];
+    }
+
+    /**
+     * Count ticked steps
+     *
+     * @returns {Object} { done, total }
+     */
+    getSubtaskProgress() {
+        return {
+            done: this.subtasks.filter(subtask => subtask.done).length,
+            total: this.subtasks.length
+        };
+    }
+
+    /**
+     * Check if the goal has steps and all of them are ticked
+     */
+    areSubtasksDone() {
+        return this.subtasks.length > 0 && this.subtasks.every(subtask => subtask.done);
+    }
+
+    /**
+     * Tick or untick a step
+     *
+     * @param {string} subtaskId - Step id
+     * @returns {Object|null} The step, or null if it does not exist
+     */
+    toggleSubtask(subtaskId) {
+        const subtask = this.subtasks.find(s => s.id === subtaskId);
+        if (!subtask) {
+            return null;
+        }
+        subtask.done = !subtask.done;
+        subtask.doneAt = subtask.done ? new Date() : null;
+        return subtask;
+    }
+
+    clearSubtasks() {
+        this.subtasks.forEach(subtask => {
+            subtask.done = false;
+            subtask.doneAt = null;
+        });
+    }
+
+    /**
+     * Check if the goal has a target amount instead of a single checkbox
+     */
+    isQuantified() {
+        return this.target !== null;
+    }
+
+    /**
+     * Total amount logged on the current card
+     */
+    getProgress() {
+        return this.progressEntries.reduce((total, entry) => total + entry.amount, 0);
+    }
+
+    /**
+     * Check if the logged amounts have reached the target
+     */
+    isTargetReached() {
+        return this.isQuantified() && this.getProgress() >= this.target;
+    }
+
+    /**
+     * Log an amount towards the target (negative amounts correct mistakes,
+     * but never take the total below zero)
+     *
+     * @param {number} amount - Amount done
+     * @param {Date} [loggedAt] - When it was done
+     * @returns {Object|null} The stored entry, or null if nothing changed
+     */
+    logProgress(amount, loggedAt = new Date()) {
+        const value = Math.max(Number(amount), -this.getProgress());
+        if (!Number.isFinite(value) || value === 0) {
+            return null;
+        }
+
+        const entry = { amount: value, loggedAt };
+        this.progressEntries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Archive the goal (keeps its state and completion history)
+     */
+    archive() {
+        this.archived = true;
+        this.archivedAt = new Date();
+    }
+
+    /**
+     * Bring an archived goal back into the library
+     */
+    unarchive() {
+        this.archived = false;
+        this.archivedAt = null;
     }
 
     /**
      * Check if goal is available for grid population
      */
-    isAvailable() {
+    isAvailable(now = new Date()) {
+        if (this.archived) {
+            return false;
+        }
+
+        // A goal past its fixed due date is no longer dealt
+        if (this.dueDate && now > this.dueDate) {
+            return false;
+        }
+
         if (!this.isRenewable) {
             return this.state === 'to-do';
         }
 
+        // Days off the schedule count in the rule's own time zone
+        if (this.recurrence && !isScheduledDay(this.recurrence, getZonedDay(now, this.recurrence.timeZone))) {
+            return false;
+        }
+
         if (this.state === 'to-do') {
             return true;
         }
 
-        if (this.state === 'completed' && this.cooldownPeriod) {
-            const hoursSinceCompletion = (new Date() - this.lastCompletedAt) / (1000 * 60 * 60);
-            return hoursSinceCompletion >= this.cooldownPeriod;
+        const nextAvailableAt = this.getNextAvailableAt();
+        if (this.state === 'completed' && nextAvailableAt) {
+            return now >= nextAvailableAt;
         }
 
         return false;
     }
 
+    /**
+     * When the goal is due: the earlier of its fixed due date and, while it is
+     * in play, the hours it is allowed after being placed
+     *
+     * @returns {Date|null} The deadline, or null if the goal has none
+     */
+    getDueAt() {
+        const deadlines = [];
+        if (this.dueDate) {
+            deadlines.push(this.dueDate.getTime());
+        }
+        if (this.state === 'in-play' && this.dueWithinHours && this.movedToInPlayAt) {
+            deadlines.push(this.movedToInPlayAt.getTime() + this.dueWithinHours * 60 * 60 * 1000);
+        }
+        return deadlines.length > 0 ? new Date(Math.min(...deadlines)) : null;
+    }
+
+    /**
+     * Check if the goal is on the card past its deadline
+     */
+    isOverdue(now = new Date()) {
+        const dueAt = this.getDueAt();
+        return this.state === 'in-play' && dueAt !== null && now > dueAt;
+    }
+
+    /**
+     * When a completed renewable goal can be played again (recurrence rule, or cooldown)
+     *
+     * @returns {Date|null} The time, or null if the goal does not come back
+     */
+    getNextAvailableAt() {
+        if (!this.isRenewable || this.state !== 'completed' || !this.lastCompletedAt) {
+            return null;
+        }
+
+        if (this.recurrence) {
+            return getNextOccurrence(this.recurrence, this.recentCompletions);
+        }
+
+        if (!this.cooldownPeriod) {
+            return null;
+        }
+        return new Date(this.lastCompletedAt.getTime() + this.cooldownPeriod * 60 * 60 * 1000);
+    }
+
     /**
      * Get time remaining in cooldown (in hours)
      */
-    getCooldownRemaining() {
-        if (!this.isRenewable || this.state !== 'completed' || !this.cooldownPeriod) {
+    getCooldownRemaining(now = new Date()) {
+        const nextAvailableAt = this.getNextAvailableAt();
+        if (!nextAvailableAt) {
             return 0;
         }
 
-        const hoursSinceCompletion = (new Date() - this.lastCompletedAt) / (1000 * 60 * 60);
-        const remaining = this.cooldownPeriod - hoursSinceCompletion;
+        const remaining = (nextAvailableAt - now) / (1000 * 60 * 60);
         return Math.max(0, remaining);
     }
 
@@ -91,16 +363,32 @@ export class Goal {
         return {
             id: this.id,
             text: this.text,
+            description: this.description,
             categories: [...this.categories],
             state: this.state,
             isRenewable: this.isRenewable,
             cooldownPeriod: this.cooldownPeriod,
+            recurrence: normalizeRecurrence(this.recurrence),
             lastCompletedAt: this.lastCompletedAt,
+            recentCompletions: [...this.recentCompletions],
+            completionCount: this.completionCount,
             difficulty: this.difficulty,
+            target: this.target,
+            unit: this.unit,
+            progressEntries: this.progressEntries.map(entry => ({ ...entry })),
+            subtasks: this.subtasks.map(subtask => ({ ...subtask })),
+            completeWithSubtasks: this.completeWithSubtasks,
+            prerequisites: [...this.prerequisites],
             createdAt: this.createdAt,
             movedToInPlayAt: this.movedToInPlayAt,
+            dueDate: this.dueDate,
+            dueWithinHours: this.dueWithinHours,
             completedAt: this.completedAt,
-            gridPosition: this.gridPosition
+            gridPosition: this.gridPosition,
+            archived: this.archived,
+            archivedAt: this.archivedAt,
+            journal: this.journal.map(entry => ({ ...entry })),
+            deletedAt: this.deletedAt
         };
     }
 
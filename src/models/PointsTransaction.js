@@ -0,0 +1,47 @@
+/**
+ * PointsTransaction Model - One entry in the points ledger
+ * Integrates with Phaser's Data Manager for state management
+ */
+export class PointsTransaction {
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        // Dates arrive as ISO strings when loaded from storage
+        this.timestamp = data.timestamp ? new Date(data.timestamp) : new Date();
+        this.amount = data.amount || 0; // Positive when earned, negative when spent
+        this.source = data.source || 'goal'; // 'goal', 'win' or 'reward'
+        this.sourceId = data.sourceId || null; // Id of the goal, WinRecord or reward
+        this.description = data.description || '';
+    }
+
+    generateId() {
+        return 'points_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Check if this transaction added points
+     */
+    isEarning() {
+        return this.amount > 0;
+    }
+
+    /**
+     * Convert to plain object for Phaser data storage
+     */
+    toObject() {
+        return {
+            id: this.id,
+            timestamp: this.timestamp,
+            amount: this.amount,
+            source: this.source,
+            sourceId: this.sourceId,
+            description: this.description
+        };
+    }
+
+    /**
+     * Create PointsTransaction from plain object
+     */
+    static fromObject(data) {
+        return new PointsTransaction(data);
+    }
+}
@@ -7,10 +7,19 @@ export class Reward {
         this.id = data.id || this.generateId();
         this.description = data.description || '';
         this.category = data.category || 'general';
-        this.claimed = data.claimed || false;
-        this.createdAt = data.createdAt || new Date();
-        this.claimedAt = data.claimedAt || null;
-        this.claimedFor = data.claimedFor || null; // Which bingo completion this was claimed for
+        this.pointCost = data.pointCost ?? null; // Points needed to claim (null = category default)
+        this.quantity = data.quantity !== undefined ? data.quantity : 1; // Times it can be claimed (null = unlimited)
+        this.cooldownPeriod = data.cooldownPeriod ?? null; // Hours between claims
+        // Dates arrive as ISO strings when loaded from storage
+        this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+        // One entry per claim ({ winId, claimedAt, pointsSpent }); older saves only have the single claim fields
+        const claims = data.claims || (data.claimed ? [{ winId: data.claimedFor || null, claimedAt: data.claimedAt }] : []);
+        this.claims = claims.map(claim => ({
+            winId: claim.winId || null,
+            claimedAt: claim.claimedAt ? new Date(claim.claimedAt) : new Date(),
+            pointsSpent: claim.pointsSpent || 0
+        }));
+        this.syncLastClaim();
     }
 
     generateId() {
@@ -18,28 +27,69 @@ export class Reward {
     }
 
     /**
-     * Claim this reward for a specific bingo completion
+     * Mirror the latest claim into claimed/claimedAt/claimedFor
      */
-    claim(bingoWinId) {
-        this.claimed = true;
-        this.claimedAt = new Date();
-        this.claimedFor = bingoWinId;
+    syncLastClaim() {
+        const lastClaim = this.claims[this.claims.length - 1] || null;
+        this.claimed = !!lastClaim;
+        this.claimedAt = lastClaim ? lastClaim.claimedAt : null;
+        this.claimedFor = lastClaim ? lastClaim.winId : null; // WinRecord id of the bingo win this was claimed for
     }
 
     /**
-     * Unclaim this reward (for management purposes)
+     * Claim this reward for a specific bingo win (WinRecord id)
+     */
+    claim(bingoWinId, pointsSpent = 0) {
+        this.claims.push({ winId: bingoWinId, claimedAt: new Date(), pointsSpent });
+        this.syncLastClaim();
+    }
+
+    /**
+     * Unclaim this reward (for management purposes) - undoes the latest claim
+     * Returns the removed claim so the points spent on it can be refunded
      */
     unclaim() {
-        this.claimed = false;
-        this.claimedAt = null;
-        this.claimedFor = null;
+        const claim = this.claims.pop() || null;
+        this.syncLastClaim();
+        return claim;
+    }
+
+    /**
+     * Check if this reward was claimed for a win
+     */
+    isClaimedFor(bingoWinId) {
+        return this.claims.some(claim => claim.winId === bingoWinId);
+    }
+
+    /**
+     * Get the number of claims left (null = unlimited)
+     */
+    getRemainingQuantity() {
+        if (this.quantity === null) {
+            return null;
+        }
+        return Math.max(0, this.quantity - this.claims.length);
+    }
+
+    /**
+     * Get time remaining in cooldown (in hours)
+     */
+    getCooldownRemaining() {
+        if (!this.cooldownPeriod || !this.claimedAt) {
+            return 0;
+        }
+        return Math.max(0, this.cooldownPeriod - this.getTimeSinceClaimed());
     }
 
     /**
      * Check if reward is available to be claimed
      */
     isAvailable() {
-        return !this.claimed;
+        const remaining = this.getRemainingQuantity();
+        if (remaining !== null && remaining <= 0) {
+            return false;
+        }
+        return this.getCooldownRemaining() === 0;
     }
 
     /**
@@ -60,10 +110,14 @@ export class Reward {
             id: this.id,
             description: this.description,
             category: this.category,
+            pointCost: this.pointCost,
+            quantity: this.quantity,
+            cooldownPeriod: this.cooldownPeriod,
             claimed: this.claimed,
             createdAt: this.createdAt,
             claimedAt: this.claimedAt,
-            claimedFor: this.claimedFor
+            claimedFor: this.claimedFor,
+            claims: this.claims.map(claim => ({ ...claim }))
         };
     }
 
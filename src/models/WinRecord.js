@@ -0,0 +1,67 @@
+/**
+ * WinRecord Model - Represents a single bingo win in the win history
+ * Integrates with Phaser's Data Manager for state management
+ */
+export class WinRecord {
+    constructor(data = {}) {
+        this.id = data.id || this.generateId();
+        // Dates arrive as ISO strings when loaded from storage
+        this.timestamp = data.timestamp ? new Date(data.timestamp) : new Date();
+        this.winMode = data.winMode || { type: 'lines', lineCount: 1 }; // Win mode the card was played in
+        this.patterns = (data.patterns || []).map(pattern => ({ ...pattern })); // Winning patterns ({ type, index, positions })
+        this.goals = (data.goals || []).map(goal => ({ ...goal })); // Goals on the winning cells ({ id, text })
+        this.gridSize = data.gridSize || 5;
+        this.winCount = data.winCount || 1; // Wins this record counts towards GameState.totalWins
+        this.timeToComplete = data.timeToComplete ?? null; // Milliseconds from card dealt to win
+        this.mistakes = data.mistakes ?? null; // Marks taken back on the card before the win
+    }
+
+    generateId() {
+        return 'win_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Get the type of the (first) winning pattern
+     */
+    getPatternType() {
+        return this.patterns.length > 0 ? this.patterns[0].type : null;
+    }
+
+    /**
+     * Get the index of the (first) winning pattern
+     */
+    getPatternIndex() {
+        return this.patterns.length > 0 ? this.patterns[0].index : null;
+    }
+
+    /**
+     * Get the ids of the goals involved in the win
+     */
+    getGoalIds() {
+        return this.goals.map(goal => goal.id);
+    }
+
+    /**
+     * Convert to plain object for Phaser data storage
+     */
+    toObject() {
+        return {
+            id: this.id,
+            timestamp: this.timestamp,
+            winMode: { ...this.winMode },
+            patterns: this.patterns.map(pattern => ({ ...pattern })),
+            goals: this.goals.map(goal => ({ ...goal })),
+            gridSize: this.gridSize,
+            winCount: this.winCount,
+            timeToComplete: this.timeToComplete,
+            mistakes: this.mistakes
+        };
+    }
+
+    /**
+     * Create WinRecord from plain object
+     */
+    static fromObject(data) {
+        return new WinRecord(data);
+    }
+}
@@ -14,7 +14,17 @@
  * - game.events: Phaser's built-in event system
  */
 import { BingoCell } from '../components/BingoCell.js';
+import { RewardPickerModal } from '../components/RewardPickerModal.js';
+import { ProgressEntryModal } from '../components/ProgressEntryModal.js';
+import { SubtaskChecklistModal } from '../components/SubtaskChecklistModal.js';
+import { JournalEntryModal } from '../components/JournalEntryModal.js';
+import { GameState } from '../models/GameState.js';
+import { CardGenerator } from '../utils/CardGenerator.js';
+import { DEFAULT_WIN_MODE, findNewWinningPatterns, getPatternKey, countWins, getPatternPositions, getNextWinMode, getWinModeLabel } from '../utils/WinPatterns.js';
 import { LayoutManager } from '../utils/LayoutManager.js';
+import { CARD_HISTORY_KEYS } from '../utils/ApplicationStateManager.js';
+import { DEFAULT_EXPIRY_POLICY, getNextExpiryPolicy, getExpiryPolicyLabel } from '../utils/GoalDeadlines.js';
+import { getHistoryShortcut } from '../utils/CommandHistory.js';
 
 export default class BingoGridScene extends Phaser.Scene {
     constructor() {
@@ -43,6 +53,15 @@ export default class BingoGridScene extends Phaser.Scene {
         this.gameStats = null;
         this.winPatterns = [];
         this.isGameActive = false;
+        
+        // Seed requested for the next dealt card (reproduces a previous card)
+        this.requestedSeed = null;
+        
+        // WinRecord of the most recent win on this card
+        this.lastWinRecord = null;
+        
+        // Repeating timer that checks the card's deadlines
+        this.deadlineTimer = null;
     }
 
     init(data) {
@@ -57,6 +76,15 @@ export default class BingoGridScene extends Phaser.Scene {
             if (data.isGameActive !== undefined) {
                 this.isGameActive = data.isGameActive;
             }
+            if (data.seed !== undefined) {
+                this.requestedSeed = data.seed;
+            }
+        }
+        
+        // A saved card in progress takes precedence over the requested grid size
+        const gameState = this.getGameStateModel();
+        if (gameState && gameState.hasCard()) {
+            this.gridSize = gameState.gridSize;
         }
     }
 
@@ -199,6 +227,21 @@ export default class BingoGridScene extends Phaser.Scene {
 
     onShutdown() {
         console.log('BingoGridScene: shutdown event received');
+        
+        // Game-level listeners outlive the scene - remove them on shutdown
+        this.game.events.off('goalsChanged', this.updateGameStats, this);
+        this.game.events.off('gameStateChanged', this.updateGameStats, this);
+        this.game.events.off('historyRestored', this.onHistoryRestored, this);
+        this.pendingCommand = null;
+        
+        // Open modals are destroyed with the scene's display list
+        this.rewardPicker = null;
+        this.progressModal = null;
+        this.checklistModal = null;
+        this.journalEntryModal = null;
+        
+        // Scene timers are removed with the scene's clock
+        this.deadlineTimer = null;
     }
 
     onPause() {
@@ -239,6 +282,294 @@ export default class BingoGridScene extends Phaser.Scene {
     createUIOverlay(width, height) {
         // Create UI overlay elements in uiContainer
         // Additional UI elements can be added here
+        this.createWinModeSelector(width, height);
+        this.createFreeCenterToggle(width, height);
+        this.createExpiryPolicyToggle(width, height);
+    }
+    
+    createWinModeSelector(width, height) {
+        // ============================================================================
+        // PHASER WIN MODE SELECTOR: Cycle through the win patterns
+        // ============================================================================
+        // PHASER PATTERN: A single button cycles WinPatterns.WIN_MODE_OPTIONS
+        // - The chosen mode is saved per game in GameState.winMode
+        // - Changing mode re-evaluates the current card immediately
+        const x = width - 110;
+        const y = 30;
+        
+        this.winModeButton = this.add.rectangle(x, y, 180, 35, 0xffffff);
+        this.winModeButton.setStrokeStyle(2, 0x2196F3);
+        this.winModeButton.setInteractive();
+        
+        this.winModeText = this.add.text(x, y, '', {
+            fontSize: '14px',
+            fill: '#2196F3',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        
+        this.uiContainer.add([this.winModeButton, this.winModeText]);
+        this.updateWinModeButton();
+        
+        this.winModeButton.on('pointerdown', () => {
+            this.handleButtonClick(this.winModeButton, () => {
+                this.changeWinMode(getNextWinMode(this.getWinMode()));
+            });
+        });
+        
+        this.winModeButton.on('pointerover', () => {
+            this.winModeButton.setFillStyle(0xe3f2fd);
+        });
+        
+        this.winModeButton.on('pointerout', () => {
+            this.winModeButton.setFillStyle(0xffffff);
+        });
+    }
+    
+    createFreeCenterToggle(width, height) {
+        // ============================================================================
+        // PHASER FREE CENTRE TOGGLE: Cycle Off -> Anchor -> FREE
+        // ============================================================================
+        // PHASER PATTERN: Stored in settings through game.appStateManager
+        // - Anchor pins the goal currently in the centre as a pre-completed cell
+        // - FREE shows settings.freeCenterLabel instead of a goal
+        // - Only odd grid sizes have a centre cell
+        const x = width - 110;
+        const y = 70;
+        
+        this.freeCenterButton = this.add.rectangle(x, y, 180, 30, 0xffffff);
+        this.freeCenterButton.setStrokeStyle(2, 0x673AB7);
+        this.freeCenterButton.setInteractive();
+        
+        this.freeCenterText = this.add.text(x, y, '', {
+            fontSize: '14px',
+            fill: '#673AB7',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        
+        this.uiContainer.add([this.freeCenterButton, this.freeCenterText]);
+        this.updateFreeCenterButton();
+        
+        this.freeCenterButton.on('pointerdown', () => {
+            this.handleButtonClick(this.freeCenterButton, () => {
+                this.cycleFreeCenter();
+            });
+        });
+        
+        this.freeCenterButton.on('pointerover', () => {
+            this.freeCenterButton.setFillStyle(0xede7f6);
+        });
+        
+        this.freeCenterButton.on('pointerout', () => {
+            this.freeCenterButton.setFillStyle(0xffffff);
+        });
+    }
+    
+    createExpiryPolicyToggle(width, height) {
+        // ============================================================================
+        // PHASER EXPIRY POLICY TOGGLE: Cycle Flag only -> Swap out -> Count as miss
+        // ============================================================================
+        // PHASER PATTERN: A single button cycles GoalDeadlines.EXPIRY_POLICIES
+        // - The chosen policy is saved per card in GameState.expiryPolicy
+        // - Changing it applies the policy to goals that are already overdue
+        const x = width - 110;
+        const y = 105;
+        
+        this.expiryPolicyButton = this.add.rectangle(x, y, 180, 30, 0xffffff);
+        this.expiryPolicyButton.setStrokeStyle(2, 0xdc3545);
+        this.expiryPolicyButton.setInteractive();
+        
+        this.expiryPolicyText = this.add.text(x, y, '', {
+            fontSize: '14px',
+            fill: '#dc3545',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        
+        this.uiContainer.add([this.expiryPolicyButton, this.expiryPolicyText]);
+        this.updateExpiryPolicyButton();
+        
+        this.expiryPolicyButton.on('pointerdown', () => {
+            this.handleButtonClick(this.expiryPolicyButton, () => {
+                this.changeExpiryPolicy(getNextExpiryPolicy(this.getExpiryPolicy()));
+            });
+        });
+        
+        this.expiryPolicyButton.on('pointerover', () => {
+            this.expiryPolicyButton.setFillStyle(0xfdecea);
+        });
+        
+        this.expiryPolicyButton.on('pointerout', () => {
+            this.expiryPolicyButton.setFillStyle(0xffffff);
+        });
+    }
+    
+    /**
+     * Get what happens to overdue goals on the current card
+     */
+    getExpiryPolicy() {
+        const gameState = this.getGameStateModel();
+        return gameState ? gameState.expiryPolicy : DEFAULT_EXPIRY_POLICY;
+    }
+    
+    changeExpiryPolicy(policy) {
+        const gameState = this.getGameStateModel();
+        if (!gameState) return;
+        
+        console.log('BingoGridScene: Changing expiry policy to', policy);
+        gameState.setExpiryPolicy(policy);
+        this.updateExpiryPolicyButton();
+        this.updateGameState();
+        this.checkDeadlines();
+    }
+    
+    updateExpiryPolicyButton() {
+        if (this.expiryPolicyText) {
+            this.expiryPolicyText.setText(`Overdue: ${getExpiryPolicyLabel(this.getExpiryPolicy())}`);
+        }
+    }
+    
+    updateFreeCenterButton() {
+        if (!this.freeCenterText) return;
+        
+        const labels = { off: 'Off', anchor: 'Anchor', free: 'FREE' };
+        const { freeCenter = 'off' } = this.getSettings();
+        this.freeCenterText.setText(`Centre: ${labels[freeCenter] || 'Off'}`);
+    }
+    
+    cycleFreeCenter() {
+        if (!this.game.appStateManager) return;
+        
+        const settings = this.getSettings();
+        const centerPosition = this.getCenterPosition();
+        const centerCell = centerPosition !== null ? this.getCellAt(centerPosition) : null;
+        const centerGoal = centerCell ? centerCell.getGoal() : null;
+        
+        // Rebuilding the centre would break a scored pattern before it is cleared
+        if (this.isInWonPattern(centerPosition)) {
+            console.log('BingoGridScene: Centre is part of a win being cleared - free centre unchanged');
+            return;
+        }
+        
+        // Off -> Anchor (pin the centre goal) -> FREE -> Off
+        let freeCenter = 'off';
+        let freeCenterGoalId = settings.freeCenterGoalId || null;
+        if (settings.freeCenter === 'off' || !settings.freeCenter) {
+            if (centerGoal && !centerCell.isCompleted) {
+                freeCenter = 'anchor';
+                freeCenterGoalId = centerGoal.id;
+            } else {
+                freeCenter = 'free';
+            }
+        } else if (settings.freeCenter === 'anchor') {
+            freeCenter = 'free';
+        }
+        
+        this.game.appStateManager.updateSettings({ ...settings, freeCenter, freeCenterGoalId });
+        this.updateFreeCenterButton();
+        
+        if (!centerCell) return;
+        
+        // Rebuild the centre cell under the new setting
+        if (centerCell.isFree || freeCenter !== 'anchor') {
+            this.releaseGoal(centerCell.getGoal());
+        }
+        centerCell.setFree(false);
+        centerCell.setGoal(freeCenter === 'anchor' ? centerGoal : null);
+        this.applyFreeCell();
+        
+        if (centerCell.isEmpty()) {
+            // Off again - deal a goal into the centre
+            this.animateEmptyCellRepopulation();
+        } else {
+            this.commitGoalChanges();
+            this.updateGameState();
+        }
+        // Only patterns the new centre completes are scored
+        this.checkForWins();
+        this.updateGameStats();
+    }
+    
+    /**
+     * Get settings from ApplicationStateManager
+     */
+    getSettings() {
+        return this.game.appStateManager ? this.game.appStateManager.getSettings() : {};
+    }
+    
+    /**
+     * Get the centre position (odd grid sizes only)
+     */
+    getCenterPosition() {
+        return this.gridSize % 2 === 1 ? (this.gridSize * this.gridSize - 1) / 2 : null;
+    }
+    
+    /**
+     * Turn the centre cell into a free cell when the setting is on
+     *
+     * @returns {number|null} The free position, or null when there is none
+     */
+    applyFreeCell() {
+        const { freeCenter = 'off', freeCenterLabel = 'FREE', freeCenterGoalId = null } = this.getSettings();
+        const position = this.getCenterPosition();
+        if (position === null || freeCenter === 'off') {
+            return null;
+        }
+        
+        // The anchor goal falls back to the FREE label if it left the library
+        const cell = this.getCellAt(position);
+        const anchorGoal = freeCenter === 'anchor' && this.game.appStateManager
+            ? this.game.appStateManager.getGoals().find(goal => goal.id === freeCenterGoalId) || null
+            : null;
+        
+        if (anchorGoal && anchorGoal !== cell.getGoal()) {
+            this.releaseGoal(cell.getGoal());
+            this.placeGoal(cell, anchorGoal, position);
+        } else if (!anchorGoal) {
+            this.releaseGoal(cell.getGoal());
+            cell.setGoal(null);
+        }
+        cell.setFree(true, freeCenterLabel);
+        return position;
+    }
+    
+    /**
+     * Get the position of the free cell, if the card has one
+     */
+    getFreePosition() {
+        for (let position = 0; position < this.gridSize * this.gridSize; position++) {
+            const cell = this.getCellAt(position);
+            if (cell && cell.isFree) {
+                return position;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Get the win mode of the current game
+     */
+    getWinMode() {
+        const gameState = this.getGameStateModel();
+        return gameState ? gameState.winMode : DEFAULT_WIN_MODE;
+    }
+    
+    changeWinMode(winMode) {
+        const gameState = this.getGameStateModel();
+        if (!gameState) return;
+        
+        console.log('BingoGridScene: Changing win mode to', winMode);
+        gameState.setWinMode(winMode);
+        this.updateWinModeButton();
+        
+        // Re-evaluate the card under the new mode (also saves the mode) - patterns
+        // already scored stay highlighted and are not paid again
+        this.checkForWins();
+        this.updateGameState();
+    }
+    
+    updateWinModeButton() {
+        if (this.winModeText) {
+            this.winModeText.setText(`Win: ${getWinModeLabel(this.getWinMode())}`);
+        }
     }
     
     createHeader(width, height) {
@@ -315,8 +646,8 @@ export default class BingoGridScene extends Phaser.Scene {
         // ============================================================================
         // PHASER GRID SIZE SELECTOR: Enhanced grid size selector implementation
         // ============================================================================
-        // PHASER PATTERN: Create grid size selector with 3x3, 4x4, 5x5 options
-        // - Follows buildout plan specifications exactly
+        // PHASER PATTERN: Create grid size selector with 2x2 through 10x10 options
+        // - Matches GameState.setGridSize() validation range
         // - Uses proper Phaser input handling and visual feedback
         // - Integrates with existing container architecture
         
@@ -328,11 +659,11 @@ export default class BingoGridScene extends Phaser.Scene {
         });
         this.mainContainer.add(sizeLabel);
         
-        // Grid size options (3x3, 4x4, 5x5 as per buildout plan)
-        const gridSizes = [3, 4, 5];
-        const buttonWidth = 60;
-        const buttonSpacing = 80;
-        const startX = 120;
+        // Grid size options (2x2 to 10x10, matching GameState.setGridSize)
+        const gridSizes = [2, 3, 4, 5, 6, 7, 8, 9, 10];
+        const buttonWidth = 50;
+        const buttonSpacing = 58;
+        const startX = 135;
         
         this.gridSizeButtons = [];
         
@@ -422,7 +753,8 @@ export default class BingoGridScene extends Phaser.Scene {
     
     createGrid(width, height) {
         const gridY = 150;
-        const cellSize = Math.min(80, (width - 100) / this.gridSize);
+        // Fit the grid between the stats and the action buttons for every size (2-10)
+        const cellSize = Math.min(80, (width - 100) / this.gridSize, (height - gridY - 100) / this.gridSize);
         const gridWidth = this.gridSize * cellSize;
         const gridX = (width - gridWidth) / 2;
         
@@ -462,8 +794,15 @@ export default class BingoGridScene extends Phaser.Scene {
             }
         }
         
-        // Listen for goal completion events
+        // Listen for goal completion events (off first - grids are recreated on resize)
+        this.events.off('goalCompleted', this.onGoalCompleted, this);
         this.events.on('goalCompleted', this.onGoalCompleted, this);
+        this.events.off('goalProgress', this.onGoalProgress, this);
+        this.events.on('goalProgress', this.onGoalProgress, this);
+        this.events.off('goalProgressEntry', this.openProgressEntry, this);
+        this.events.on('goalProgressEntry', this.openProgressEntry, this);
+        this.events.off('goalChecklistOpen', this.openChecklist, this);
+        this.events.on('goalChecklistOpen', this.openChecklist, this);
     }
     
     // ============================================================================
@@ -665,26 +1004,149 @@ export default class BingoGridScene extends Phaser.Scene {
         // Listen for state changes
         this.game.events.on('goalsChanged', this.updateGameStats, this);
         this.game.events.on('gameStateChanged', this.updateGameStats, this);
+        
+        // ============================================================================
+        // PHASER UNDO/REDO: Ctrl+Z / Ctrl+Shift+Z through ApplicationStateManager
+        // ============================================================================
+        // PHASER PATTERN: The history is game-level, the scene only redraws
+        // - Undo/redo restores the card in GameState; 'historyRestored' rebuilds the cells
+        this.game.events.on('historyRestored', this.onHistoryRestored, this);
+        this.input.keyboard.on(Phaser.Input.Keyboard.Events.KEY_DOWN, (event) => {
+            const action = getHistoryShortcut(event);
+            if (!action || !this.game.appStateManager || this.hasOpenModal()) return;
+            if (event.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+            
+            event.preventDefault();
+            this.game.appStateManager[action]();
+        });
     }
     
-    initializeGame() {
-        // Use core Phaser techniques - simple goal data
-        this.sampleGoals = [
-            { id: 1, text: 'Exercise for 30 minutes', category: 'Health' },
-            { id: 2, text: 'Read for 20 minutes', category: 'Learning' },
-            { id: 3, text: 'Call a friend', category: 'Social' },
-            { id: 4, text: 'Learn a new word', category: 'Learning' },
-            { id: 5, text: 'Plan next week\'s meals', category: 'Planning' },
-            { id: 6, text: 'Take a walk', category: 'Health' },
-            { id: 7, text: 'Write in journal', category: 'Personal' },
-            { id: 8, text: 'Clean workspace', category: 'Organization' },
-            { id: 9, text: 'Practice gratitude', category: 'Personal' },
-            { id: 10, text: 'Try a new recipe', category: 'Cooking' }
-        ];
+    onHistoryRestored(command, direction) {
+        this.redrawCard();
+        this.showHistoryMessage(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${command.label}`);
+    }
+    
+    /**
+     * Rebuild the cells from GameState without dealing or releasing any goals
+     */
+    redrawCard() {
+        const gameState = this.getGameStateModel();
+        if (!gameState || !this.cells) return;
+        
+        if (gameState.gridSize && gameState.gridSize !== this.gridSize) {
+            this.gridSize = gameState.gridSize;
+            this.updateGridSizeButtons();
+            if (this.gridContainer) {
+                this.gridContainer.destroy();
+            }
+            this.createGrid(this.cameras.main.width, this.cameras.main.height);
+        } else {
+            for (let row = 0; row < this.gridSize; row++) {
+                for (let col = 0; col < this.gridSize; col++) {
+                    const cell = this.cells[row][col];
+                    cell.setFree(false);
+                    cell.setGoal(null);
+                    cell.setCompleted(false);
+                    cell.setHighlighted(false);
+                }
+            }
+        }
         
-        this.populateGrid();
+        this.restoreCard(gameState);
+        this.updateGameStats();
+    }
+    
+    showHistoryMessage(message) {
+        const { width } = this.cameras.main;
+        const text = this.add.text(width / 2, 110, message, {
+            fontSize: '14px',
+            fill: '#ffffff',
+            backgroundColor: '#343a40',
+            padding: { x: 10, y: 5 }
+        }).setOrigin(0.5).setDepth(1000);
+        
+        this.tweens.add({
+            targets: text,
+            alpha: 0,
+            delay: 1200,
+            duration: 400,
+            onComplete: () => text.destroy()
+        });
+    }
+    
+    initializeGame() {
+        // Rebuild the saved card if one is in progress, otherwise deal a new one
+        // from the goal library curated in GoalLibraryScene
+        const gameState = this.getGameStateModel();
+        if (gameState && gameState.hasCard()) {
+            this.restoreCard(gameState);
+        } else {
+            this.populateGrid();
+        }
         this.isGameActive = true;
         this.updateGameStats();
+        
+        // Deadlines are counted in minutes, so a check every minute keeps the countdowns current
+        this.checkDeadlines();
+        this.deadlineTimer = this.time.addEvent({
+            delay: 60000,
+            loop: true,
+            callback: () => this.checkDeadlines()
+        });
+    }
+    
+    checkDeadlines(now = new Date()) {
+        // ============================================================================
+        // PHASER DEADLINES: Flag overdue cells and apply the card's expiry policy
+        // ============================================================================
+        // PHASER PATTERN: Cells read Goal.getDueAt(); the scene owns the policy
+        // - 'flag' only marks the cells; 'swap' and 'miss' release the goals and refill
+        //   the cells, 'miss' also recording them in GameState.missedGoals
+        // - One undoable command, so undo puts the expired goals back
+        // Skipped while a new card is being dealt
+        if (!this.isGameActive || !this.cells.length || this.pendingCommand) return;
+        
+        const overdue = [];
+        this.cells.forEach((row, rowIndex) => row.forEach((cell, colIndex) => {
+            cell.updateDeadline(now);
+            if (cell.isOverdue) {
+                overdue.push({ cell, position: rowIndex * this.gridSize + colIndex });
+            }
+        }));
+        
+        if (overdue.length === 0 || this.getExpiryPolicy() === 'flag' || this.winPatterns.length > 0) return;
+        
+        if (this.game.appStateManager) {
+            this.game.appStateManager.recordCommand('Expire overdue goals', CARD_HISTORY_KEYS,
+                () => this.expireOverdueGoals(overdue, now));
+        } else {
+            this.expireOverdueGoals(overdue, now);
+        }
+    }
+    
+    expireOverdueGoals(overdue, now) {
+        const gameState = this.getGameStateModel();
+        const countAsMiss = this.getExpiryPolicy() === 'miss';
+        const expiredGoals = [];
+        
+        overdue.forEach(({ cell, position }) => {
+            const goal = cell.getGoal();
+            if (countAsMiss && gameState) {
+                gameState.recordMiss(goal, position, now);
+            }
+            this.releaseGoal(goal);
+            cell.setGoal(null);
+            expiredGoals.push(goal);
+        });
+        
+        // Deal fresh goals into the cells - not the ones that just expired
+        this.animateEmptyCellRepopulation(expiredGoals);
+        this.updateGameStats();
+        
+        const count = expiredGoals.length;
+        this.showHistoryMessage(`⏰ ${count} overdue goal${count === 1 ? '' : 's'} ${countAsMiss ? 'missed' : 'swapped out'}`);
+        this.game.events.emit('goalsExpired', expiredGoals, countAsMiss);
+        return true;
     }
     
     changeGridSize(newSize) {
@@ -741,6 +1203,9 @@ export default class BingoGridScene extends Phaser.Scene {
         // - This prevents memory leaks and ensures proper cleanup
         // - Always check if container exists before destroying
         
+        // Release the old card's goals first - populateGrid() only sees the new, empty cells
+        this.releaseBoardGoals();
+        
         if (this.gridContainer) {
             this.gridContainer.destroy();
         }
@@ -753,36 +1218,67 @@ export default class BingoGridScene extends Phaser.Scene {
     }
     
     populateGrid() {
-        // Use core Phaser techniques - simple sample goals
-        const availableGoals = this.sampleGoals || [];
+        // ============================================================================
+        // PHASER GOAL LIBRARY INTEGRATION: Deal the card from the real goal library
+        // ============================================================================
+        // PHASER PATTERN: Use game.appStateManager for domain data
+        // - getAvailableGoals() honors Goal.isAvailable() (to-do or cooled down)
+        // - Each placed goal moves to in-play with its grid position
+        // - Cells stay empty when the library has fewer goals than the card
+        
+        // Release the previous card's goals so they can be dealt again, and forget its scored patterns
+        this.clearGrid();
+        this.winPatterns = [];
+        
+        const availableGoals = this.getAvailableGoals();
         
         if (availableGoals.length === 0) {
             console.warn('BingoGridScene: No available goals to populate grid');
-            return;
         }
         
-        // Clear existing goals
-        this.clearGrid();
+        // The free centre cell (if any) is set first and never dealt into
+        const freePosition = this.applyFreeCell();
+        const freeCell = freePosition !== null ? this.getCellAt(freePosition) : null;
+        const openPositions = [];
+        for (let position = 0; position < this.gridSize * this.gridSize; position++) {
+            if (position !== freePosition) {
+                openPositions.push(position);
+            }
+        }
         
-        // Populate with random goals
-        const totalCells = this.gridSize * this.gridSize;
-        const goalsToUse = Math.min(totalCells, availableGoals.length);
+        // Deal unique goals mixed by difficulty and balanced across categories
+        const { seed, goals } = this.createCardGenerator().generate(availableGoals, openPositions.length, {
+            seed: this.requestedSeed ?? undefined,
+            existingGoals: freeCell && freeCell.getGoal() ? [freeCell.getGoal()] : []
+        });
+        this.requestedSeed = null;
         
-        for (let i = 0; i < goalsToUse; i++) {
-            const randomGoal = availableGoals[Math.floor(Math.random() * availableGoals.length)];
-            const row = Math.floor(i / this.gridSize);
-            const col = i % this.gridSize;
-            
-            this.cells[row][col].setGoal(randomGoal);
+        const goalsToUse = goals.length;
+        goals.forEach((goal, i) => {
+            this.placeGoal(this.getCellAt(openPositions[i]), goal, openPositions[i]);
+        });
+        
+        if (goalsToUse < openPositions.length) {
+            console.log(`BingoGridScene: Only ${goalsToUse} of ${openPositions.length} cells filled - add more goals to the library`);
         }
         
-        // Update game state using core Phaser registry
+        // A freshly dealt card starts a new game clock and remembers its seed
+        const gameState = this.getGameStateModel();
+        if (gameState) {
+            gameState.startCard(seed);
+        }
+        
+        // Persist goal state changes, then update game state using core Phaser registry
+        this.commitGoalChanges();
         this.updateGameState();
+        this.game.events.emit('newGameStarted', gameState);
     }
     
     clearGrid() {
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
+                this.releaseGoal(this.cells[row][col].getGoal());
+                this.cells[row][col].setFree(false);
                 this.cells[row][col].setGoal(null);
                 this.cells[row][col].setCompleted(false);
                 this.cells[row][col].setHighlighted(false);
@@ -790,130 +1286,434 @@ export default class BingoGridScene extends Phaser.Scene {
         }
     }
     
+    /**
+     * Get goals that can be dealt onto the card
+     */
+    getAvailableGoals() {
+        if (!this.game.appStateManager) {
+            console.warn('BingoGridScene: ApplicationStateManager not available');
+            return [];
+        }
+        return this.game.appStateManager.getAvailableGoals();
+    }
+    
+    /**
+     * Create a card generator from the current card generation settings
+     */
+    createCardGenerator() {
+        const settings = this.game.appStateManager ? this.game.appStateManager.getSettings() : {};
+        return new CardGenerator({
+            difficultyRatio: settings.difficultyRatio,
+            balanceCategories: settings.balanceCategories
+        });
+    }
+    
+    /**
+     * Place a library goal in a cell and move it to in-play
+     */
+    placeGoal(cell, goal, position) {
+        goal.moveToInPlay(position);
+        cell.setGoal(goal);
+    }
+    
+    /**
+     * Return an unmarked goal to the library (to-do) when it leaves the card
+     */
+    releaseGoal(goal) {
+        if (goal && goal.state === 'in-play') {
+            goal.reset();
+        }
+    }
+    
+    /**
+     * Release every unmarked goal currently on the card
+     */
+    releaseBoardGoals() {
+        if (!this.cells || this.cells.length === 0) return;
+        
+        let released = false;
+        this.cells.forEach(row => row.forEach(cell => {
+            const goal = cell.getGoal();
+            if (goal && goal.state === 'in-play') {
+                this.releaseGoal(goal);
+                released = true;
+            }
+        }));
+        
+        if (released) {
+            this.commitGoalChanges();
+        }
+    }
+    
+    /**
+     * Push goal state changes through ApplicationStateManager so they are saved
+     */
+    commitGoalChanges() {
+        if (this.game.appStateManager) {
+            this.game.appStateManager.updateGoals(this.game.appStateManager.getGoals());
+        }
+    }
+    
+    /**
+     * Get the grid position (row * gridSize + col) of the cell holding a goal
+     */
+    getGoalPosition(goal) {
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (this.cells[row][col].getGoal() === goal) {
+                    return row * this.gridSize + col;
+                }
+            }
+        }
+        return null;
+    }
+    
     onGoalCompleted(goal, completed) {
         if (!this.isGameActive) return;
         
+        // A won pattern stays marked until it is cleared, so its win cannot be taken back and scored again
+        const position = this.getGoalPosition(goal);
+        if (!completed && this.isInWonPattern(position)) {
+            this.getCellAt(position).setCompleted(true);
+            return;
+        }
+        
+        // One undoable command: the mark plus the points, win and achievements it triggers
+        if (this.game.appStateManager) {
+            this.game.appStateManager.recordCommand(completed ? 'Mark goal' : 'Un-mark goal', CARD_HISTORY_KEYS,
+                () => this.applyGoalCompletion(goal, completed));
+        } else {
+            this.applyGoalCompletion(goal, completed);
+        }
+    }
+    
+    applyGoalCompletion(goal, completed) {
         console.log('BingoGridScene: Goal completed:', goal.text, completed);
         
+        // Mirror the cell mark on the library goal
+        if (completed) {
+            goal.complete();
+        } else {
+            goal.reopen(this.getGoalPosition(goal));
+        }
+        
+        // Log the completion (or take it back) - the goal's last completion and count follow the log
+        if (this.game.appStateManager) {
+            this.game.appStateManager.recordGoalCompletion(goal, completed);
+        }
+        this.commitGoalChanges();
+        
+        // Count the mark on the card (un-marking counts as a mistake)
+        const gameState = this.getGameStateModel();
+        if (gameState) {
+            gameState.recordGoalMark(completed);
+        }
+        
+        // Earn the goal's points (or take them back when un-marked)
+        if (this.game.appStateManager) {
+            this.game.appStateManager.recordGoalPoints(goal, completed);
+        }
+        
         // Update game state using core Phaser registry
         this.updateGameState();
         
         // Check for wins
         this.checkForWins();
         this.updateGameStats();
+        
+        // Let game-level listeners (e.g. AchievementEngine) react to the mark
+        this.game.events.emit('goalCompleted', goal, completed);
+        
+        if (completed) {
+            this.promptJournalEntry(goal);
+        }
+        return true;
     }
     
-    checkForWins() {
-        this.winPatterns = [];
+    hasOpenModal() {
+        return !!(this.rewardPicker || this.progressModal || this.checklistModal || this.journalEntryModal);
+    }
+    
+    promptJournalEntry(goal) {
+        // ============================================================================
+        // PHASER JOURNAL PROMPT: Ask how the goal went right after it is marked
+        // ============================================================================
+        // PHASER PATTERN: Modal component in modalContainer (above everything)
+        // - Optional: Skip closes it, and settings.journalPrompt turns it off
+        // - The entry is its own command, so undoing it keeps the mark
+        const appStateManager = this.game.appStateManager;
+        if (!appStateManager || appStateManager.getSettings().journalPrompt === false || this.hasOpenModal()) return;
         
-        // Check rows
-        for (let row = 0; row < this.gridSize; row++) {
-            if (this.isRowComplete(row)) {
-                this.winPatterns.push({ type: 'row', index: row });
-                this.highlightRow(row);
-            }
-        }
+        const { width, height } = this.cameras.main;
+        this.journalEntryModal = new JournalEntryModal(this, width / 2, height / 2, goal);
+        this.modalContainer.add(this.journalEntryModal);
         
-        // Check columns
-        for (let col = 0; col < this.gridSize; col++) {
-            if (this.isColumnComplete(col)) {
-                this.winPatterns.push({ type: 'column', index: col });
-                this.highlightColumn(col);
-            }
+        this.journalEntryModal.on('journalSaved', (savedGoal, entryData) => appStateManager.addJournalEntry(savedGoal.id, entryData));
+        this.journalEntryModal.on('promptToggled', enabled => appStateManager.setJournalPrompt(enabled));
+        this.journalEntryModal.on('modalClosed', () => {
+            this.journalEntryModal = null;
+        });
+    }
+    
+    onGoalProgress(goal, amount) {
+        if (!this.isGameActive) return;
+
+        // Taking progress off a won cell would un-mark it - see onGoalCompleted()
+        if (amount < 0 && this.isInWonPattern(this.getGoalPosition(goal))) return;
+
+        // Same single undoable command as a mark - reaching the target marks the cell
+        if (this.game.appStateManager) {
+            this.game.appStateManager.recordCommand('Log progress', CARD_HISTORY_KEYS,
+                () => this.applyGoalProgress(goal, amount));
+        } else {
+            this.applyGoalProgress(goal, amount);
         }
-        
-        // Check diagonals
-        if (this.isDiagonalComplete(true)) {
-            this.winPatterns.push({ type: 'diagonal', index: 0 });
-            this.highlightDiagonal(true);
+    }
+    
+    applyGoalProgress(goal, amount) {
+        const position = this.getGoalPosition(goal);
+        const cell = position !== null ? this.getCellAt(position) : null;
+        if (!cell || !goal.logProgress(amount)) return false;
+        
+        // The cell only counts for win detection once the target is reached
+        cell.syncProgress();
+        const reached = goal.isTargetReached();
+        if (reached !== (goal.state === 'completed')) {
+            return this.applyGoalCompletion(goal, reached);
         }
         
-        if (this.isDiagonalComplete(false)) {
-            this.winPatterns.push({ type: 'diagonal', index: 1 });
-            this.highlightDiagonal(false);
+        this.commitGoalChanges();
+        this.updateGameState();
+        return true;
+    }
+    
+    openProgressEntry(goal) {
+        // ============================================================================
+        // PHASER PROGRESS ENTRY: Log an amount on a quantified goal
+        // ============================================================================
+        // PHASER PATTERN: Modal component in modalContainer (above everything)
+        // - A plain click on the cell adds 1; this modal adds or removes any amount
+        if (!this.isGameActive || this.hasOpenModal()) return;
+        
+        const { width, height } = this.cameras.main;
+        this.progressModal = new ProgressEntryModal(this, width / 2, height / 2, goal);
+        this.modalContainer.add(this.progressModal);
+        
+        this.progressModal.on('progressLogged', (loggedGoal, amount) => this.onGoalProgress(loggedGoal, amount));
+        this.progressModal.on('modalClosed', () => {
+            this.progressModal = null;
+        });
+    }
+    
+    onSubtaskToggled(goal, subtaskId) {
+        if (!this.isGameActive) return;
+        
+        // Ticking the last step can mark the cell, so it is one command like a mark
+        if (this.game.appStateManager) {
+            this.game.appStateManager.recordCommand('Tick step', CARD_HISTORY_KEYS,
+                () => this.applySubtaskToggle(goal, subtaskId));
+        } else {
+            this.applySubtaskToggle(goal, subtaskId);
         }
         
-        // Process wins
-        if (this.winPatterns.length > 0) {
-            this.processWins();
+        if (this.checklistModal) {
+            this.checklistModal.refresh(goal);
         }
     }
     
-    isRowComplete(row) {
-        for (let col = 0; col < this.gridSize; col++) {
-            if (!this.cells[row][col].isCompleted || this.cells[row][col].isEmpty()) {
-                return false;
-            }
+    applySubtaskToggle(goal, subtaskId) {
+        const position = this.getGoalPosition(goal);
+        const cell = position !== null ? this.getCellAt(position) : null;
+        if (!cell || !goal.toggleSubtask(subtaskId)) return false;
+        
+        cell.updateChecklist();
+        
+        // Optionally mark the cell with the last step (quantified goals mark on their target)
+        if (goal.completeWithSubtasks && !goal.isQuantified() && !cell.isCompleted && goal.areSubtasksDone()) {
+            cell.setCompleted(true);
+            cell.playCompletionAnimation();
+            return this.applyGoalCompletion(goal, true);
         }
+        
+        this.commitGoalChanges();
+        this.updateGameState();
         return true;
     }
     
-    isColumnComplete(col) {
-        for (let row = 0; row < this.gridSize; row++) {
-            if (!this.cells[row][col].isCompleted || this.cells[row][col].isEmpty()) {
-                return false;
-            }
-        }
-        return true;
+    openChecklist(goal) {
+        // ============================================================================
+        // PHASER CHECKLIST: Tick off a goal's steps from its cell
+        // ============================================================================
+        // PHASER PATTERN: Modal component in modalContainer (above everything)
+        // - Undo shortcuts are blocked while it is open; each tick is still its own command
+        if (!this.isGameActive || this.hasOpenModal()) return;
+        if (!goal || goal.subtasks.length === 0) return;
+        
+        const { width, height } = this.cameras.main;
+        this.checklistModal = new SubtaskChecklistModal(this, width / 2, height / 2, goal);
+        this.modalContainer.add(this.checklistModal);
+        
+        this.checklistModal.on('subtaskToggled', (toggledGoal, subtaskId) => this.onSubtaskToggled(toggledGoal, subtaskId));
+        this.checklistModal.on('modalClosed', () => {
+            this.checklistModal = null;
+        });
     }
     
-    isDiagonalComplete(mainDiagonal) {
-        for (let i = 0; i < this.gridSize; i++) {
-            const row = i;
-            const col = mainDiagonal ? i : this.gridSize - 1 - i;
-            
-            if (!this.cells[row][col].isCompleted || this.cells[row][col].isEmpty()) {
-                return false;
-            }
+    checkForWins() {
+        // ============================================================================
+        // PHASER WIN DETECTION: Evaluate the game's win mode against the card
+        // ============================================================================
+        // PHASER PATTERN: Pattern definitions live in WinPatterns (pure logic)
+        // - findNewWinningPatterns() checks each pattern's positions via isPositionMarked()
+        // - highlightPatterns() renders any pattern shape, replacing per-line highlighting
+        // - this.winPatterns holds the patterns already scored until clearCompletedGoals()
+        //   removes them, so only patterns new since then are processed
+        const paidKeys = new Set(this.winPatterns.map(getPatternKey));
+        const newPatterns = findNewWinningPatterns(this.getWinMode(), this.gridSize, position => this.isPositionMarked(position), paidKeys);
+        this.winPatterns = [...this.winPatterns, ...newPatterns];
+        this.highlightPatterns(this.winPatterns);
+        
+        // Process wins
+        if (newPatterns.length > 0) {
+            this.processWins(newPatterns);
         }
-        return true;
     }
     
-    highlightRow(row) {
-        for (let col = 0; col < this.gridSize; col++) {
-            this.cells[row][col].setHighlighted(true);
-        }
+    /**
+     * Check if a grid position belongs to a pattern that was scored but not cleared yet
+     */
+    isInWonPattern(position) {
+        return position !== null && this.winPatterns.some(pattern => getPatternPositions(pattern, this.gridSize).includes(position));
     }
     
-    highlightColumn(col) {
-        for (let row = 0; row < this.gridSize; row++) {
-            this.cells[row][col].setHighlighted(true);
-        }
+    /**
+     * Get the cell at a row-major grid position
+     */
+    getCellAt(position) {
+        const row = Math.floor(position / this.gridSize);
+        const col = position % this.gridSize;
+        return this.cells[row] ? this.cells[row][col] : null;
     }
     
-    highlightDiagonal(mainDiagonal) {
-        for (let i = 0; i < this.gridSize; i++) {
-            const row = i;
-            const col = mainDiagonal ? i : this.gridSize - 1 - i;
-            this.cells[row][col].setHighlighted(true);
-        }
+    /**
+     * Check if the cell at a grid position counts towards a win
+     */
+    isPositionMarked(position) {
+        const cell = this.getCellAt(position);
+        return !!cell && (cell.isFree || (cell.isCompleted && !cell.isEmpty()));
     }
     
-    processWins() {
-        // Update game state using core Phaser registry
-        const gameState = this.game.registry.get('bingoGameState') || {};
-        const newWins = (gameState.totalWins || 0) + this.winPatterns.length;
-        const newStreak = (gameState.currentStreak || 0) + 1;
-        
-        this.game.registry.set('bingoGameState', {
-            ...gameState,
-            totalWins: newWins,
-            currentStreak: newStreak,
-            lastWinAt: Date.now()
+    /**
+     * Highlight exactly the cells of the given patterns
+     */
+    highlightPatterns(patterns) {
+        const highlighted = new Set();
+        patterns.forEach(pattern => {
+            getPatternPositions(pattern, this.gridSize).forEach(position => highlighted.add(position));
         });
         
-        console.log('BingoGridScene: Win processed! Total wins:', newWins, 'Streak:', newStreak);
+        for (let position = 0; position < this.gridSize * this.gridSize; position++) {
+            const cell = this.getCellAt(position);
+            if (cell) {
+                cell.setHighlighted(highlighted.has(position));
+            }
+        }
+    }
+    
+    processWins(patterns) {
+        // Record the win on GameState so it is persisted with the card
+        const gameState = this.getGameStateModel();
+        if (gameState) {
+            gameState.recordWin(countWins(gameState.winMode, patterns));
+        }
+        this.updateGameState();
+        
+        // Add the win to the history - reward claims refer to it by id
+        this.lastWinRecord = this.recordWinHistory(gameState, patterns);
+        if (this.lastWinRecord) {
+            this.game.appStateManager.awardWinPoints(this.lastWinRecord);
+        }
+        
+        console.log('BingoGridScene: Win processed! Total wins:', gameState?.totalWins, 'Streak:', gameState?.currentStreak);
         
         // Show win celebration
-        this.showWinCelebration();
+        this.showWinCelebration(patterns);
         
         // Clear completed goals after a delay
         this.time.delayedCall(2000, () => {
             this.clearCompletedGoals();
         });
+        
+        // Offer a reward once the celebration is over
+        const winRecord = this.lastWinRecord;
+        this.time.delayedCall(3000, () => {
+            this.showRewardPicker(winRecord);
+        });
+    }
+    
+    showRewardPicker(winRecord) {
+        // ============================================================================
+        // PHASER REWARD PICKER: Claim a reward for the win
+        // ============================================================================
+        // PHASER PATTERN: Modal component in modalContainer (above everything)
+        // - Choices come from ApplicationStateManager.getAvailableRewards(),
+        //   limited to the rewards the points balance can pay for
+        // - The picked reward is claimed with the WinRecord id
+        if (!winRecord || !this.game.appStateManager || this.rewardPicker) return;
+        
+        // The win was undone while the celebration played
+        if (!this.game.appStateManager.getWinRecord(winRecord.id)) return;
+        
+        const appStateManager = this.game.appStateManager;
+        const rewards = appStateManager.getAvailableRewards()
+            .filter(reward => appStateManager.canAffordReward(reward));
+        if (rewards.length === 0) {
+            console.log('BingoGridScene: No affordable rewards to claim (balance:', appStateManager.getPointsBalance(), ')');
+            return;
+        }
+        
+        const { width, height } = this.cameras.main;
+        this.rewardPicker = new RewardPickerModal(this, width / 2, height / 2, rewards, winRecord);
+        this.modalContainer.add(this.rewardPicker);
+        
+        this.rewardPicker.on('rewardPicked', (reward, pickedWin) => {
+            const claimed = this.game.appStateManager.claimReward(reward.id, pickedWin.id);
+            console.log('BingoGridScene: Reward claimed:', claimed ? claimed.description : null);
+        });
+        this.rewardPicker.on('modalClosed', () => {
+            this.rewardPicker = null;
+        });
+    }
+    
+    /**
+     * Create a WinRecord for newly won patterns
+     */
+    recordWinHistory(gameState, patterns) {
+        if (!this.game.appStateManager) return null;
+        
+        // Goals on the winning cells, snapshotted so the record outlives library edits
+        const positions = new Set();
+        patterns.forEach(pattern => {
+            getPatternPositions(pattern, this.gridSize).forEach(position => positions.add(position));
+        });
+        const goals = [...positions]
+            .map(position => this.getCellAt(position).getGoal())
+            .filter(goal => goal)
+            .map(goal => ({ id: goal.id, text: goal.text }));
+        
+        const winMode = gameState ? gameState.winMode : this.getWinMode();
+        return this.game.appStateManager.addWinRecord({
+            winMode: { ...winMode },
+            patterns: patterns.map(pattern => ({ ...pattern })),
+            goals,
+            gridSize: this.gridSize,
+            winCount: countWins(winMode, patterns),
+            timeToComplete: gameState && gameState.gameStartedAt ? Date.now() - gameState.gameStartedAt.getTime() : null,
+            mistakes: gameState ? gameState.cardMistakes : null
+        });
     }
     
-    showWinCelebration() {
+    showWinCelebration(patterns) {
         const { width, height } = this.cameras.main;
         
         // ============================================================================
@@ -950,7 +1750,7 @@ export default class BingoGridScene extends Phaser.Scene {
         celebrationContainer.add(winText); // Move from scene to container
         
         // Win count text
-        const winCountText = this.add.text(0, 20, `${this.winPatterns.length} win${this.winPatterns.length > 1 ? 's' : ''}!`, {
+        const winCountText = this.add.text(0, 20, `${patterns.length} win${patterns.length > 1 ? 's' : ''}!`, {
             fontSize: '24px',
             fill: '#ffffff'
         }).setOrigin(0.5);
@@ -1048,11 +1848,15 @@ export default class BingoGridScene extends Phaser.Scene {
     }
     
     clearCompletedGoals() {
+        // The win was undone before the delayed clear ran
+        if (this.winPatterns.length === 0) return;
+        
         // Animate clearing of completed goals
         const completedCells = [];
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
-                if (this.cells[row][col].isCompleted) {
+                // Free cells stay put - they are pre-completed, not won goals
+                if (this.cells[row][col].isCompleted && !this.cells[row][col].isFree) {
                     completedCells.push({ row, col, cell: this.cells[row][col] });
                 }
             }
@@ -1076,13 +1880,17 @@ export default class BingoGridScene extends Phaser.Scene {
                     cell.setScale(1);
                 });
                 
+                // The won lines are gone from the card
+                this.winPatterns = [];
+                this.highlightPatterns(this.winPatterns);
+                
                 // Repopulate with animation
-                this.animateGridRepopulation();
+                this.animateEmptyCellRepopulation();
             }
         });
     }
     
-    animateGridRepopulation() {
+    animateEmptyCellRepopulation(excludedGoals = []) {
         // Get empty cells
         const emptyCells = [];
         for (let row = 0; row < this.gridSize; row++) {
@@ -1093,12 +1901,22 @@ export default class BingoGridScene extends Phaser.Scene {
             }
         }
         
-        // Populate with new goals using core Phaser techniques
-        const availableGoals = this.sampleGoals || [];
-        emptyCells.forEach(({ cell }, index) => {
-            if (availableGoals.length > 0) {
-                const randomGoal = availableGoals[Math.floor(Math.random() * availableGoals.length)];
-                cell.setGoal(randomGoal);
+        // Populate with new goals from the library - goals still on the card are
+        // excluded and counted so the refill keeps the categories balanced
+        const existingGoals = [];
+        this.cells.forEach(row => row.forEach(cell => {
+            if (!cell.isEmpty()) {
+                existingGoals.push(cell.getGoal());
+            }
+        }));
+        const candidates = this.getAvailableGoals().filter(goal => !excludedGoals.includes(goal));
+        const { goals } = this.createCardGenerator().generate(candidates, emptyCells.length, {
+            existingGoals
+        });
+        emptyCells.forEach(({ row, col, cell }, index) => {
+            const goal = goals[index];
+            if (goal) {
+                this.placeGoal(cell, goal, row * this.gridSize + col);
                 
                 // Animate appearance
                 cell.setAlpha(0);
@@ -1117,6 +1935,7 @@ export default class BingoGridScene extends Phaser.Scene {
         });
         
         // Update game state
+        this.commitGoalChanges();
         this.updateGameState();
     }
     
@@ -1141,6 +1960,11 @@ export default class BingoGridScene extends Phaser.Scene {
         this.isGameActive = false;
         this.winPatterns = [];
         
+        // Undoable: committed once animateGridRepopulation() has dealt the new card
+        this.pendingCommand = this.game.appStateManager
+            ? this.game.appStateManager.beginCommand('New game', CARD_HISTORY_KEYS)
+            : null;
+        
         // ============================================================================
         // PHASER GRID CLEARING: Clear existing grid elements
         // ============================================================================
@@ -1191,6 +2015,11 @@ export default class BingoGridScene extends Phaser.Scene {
     }
     
     repopulateGrid() {
+        // Undoable: committed once animateGridRepopulation() has dealt the new card
+        this.pendingCommand = this.game.appStateManager
+            ? this.game.appStateManager.beginCommand('Repopulate', CARD_HISTORY_KEYS)
+            : null;
+        
         // ============================================================================
         // PHASER GRID REPOPULATION: Use animation system for smooth repopulation
         // ============================================================================
@@ -1205,15 +2034,16 @@ export default class BingoGridScene extends Phaser.Scene {
     updateGameStats() {
         if (!this.gameStats) return;
         
-        // Use core Phaser techniques - simple stats
-        const totalGoals = this.sampleGoals?.length || 0;
+        // Library totals come from ApplicationStateManager
+        const totalGoals = this.game.appStateManager ? this.game.appStateManager.getGoals().length : 0;
         const completedGoals = this.getCompletedGoalsCount();
-        const gameState = this.game.registry.get('bingoGameState') || {};
+        const filledCells = this.getFilledCellsCount();
+        const gameState = this.getGameStateModel() || {};
         
         const stats = [
-            `Goals: ${totalGoals} total | ${completedGoals} completed`,
-            `Wins: ${gameState.totalWins || 0} | Streak: ${gameState.currentStreak || 0}`,
-            `Grid: ${this.gridSize}x${this.gridSize} | Active: ${this.isGameActive ? 'Yes' : 'No'}`
+            `Goals: ${totalGoals} in library | ${completedGoals} completed`,
+            `Wins: ${gameState.totalWins || 0} | Streak: ${gameState.currentStreak || 0} | Missed: ${gameState.totalMisses || 0} | Card: ${gameState.cardSeed || '-'}`,
+            `Grid: ${this.gridSize}x${this.gridSize} (${filledCells}/${this.gridSize * this.gridSize} filled) | Active: ${this.isGameActive ? 'Yes' : 'No'}`
         ].join('\n');
         
         this.gameStats.setText(stats);
@@ -1223,7 +2053,20 @@ export default class BingoGridScene extends Phaser.Scene {
         let count = 0;
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
-                if (this.cells[row] && this.cells[row][col] && this.cells[row][col].isCompleted) {
+                const cell = this.cells[row] && this.cells[row][col];
+                if (cell && cell.isCompleted && !cell.isFree) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+    
+    getFilledCellsCount() {
+        let count = 0;
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (this.cells[row] && this.cells[row][col] && !this.cells[row][col].isEmpty()) {
                     count++;
                 }
             }
@@ -1232,24 +2075,71 @@ export default class BingoGridScene extends Phaser.Scene {
     }
     
     updateGameState() {
-        // Use core Phaser registry for simple state management
+        // ============================================================================
+        // PHASER GAME STATE PERSISTENCE: Mirror the card into GameState
+        // ============================================================================
+        // PHASER PATTERN: Use game.appStateManager so StorageManager persists the card
+        // - GameState.currentGrid holds the goal at each position (null for empty cells)
+        // - markedPositions and winLines capture completion marks and highlights
+        // - updateGameState() sets game.registry 'gameState', which marks data dirty
+        const gameState = this.getGameStateModel();
+        if (!gameState) return;
+        
         const currentGrid = [];
+        const markedPositions = [];
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
-                const goal = this.cells[row][col].getGoal();
-                currentGrid.push(goal ? goal.id : null);
+                const cell = this.cells[row][col];
+                const position = row * this.gridSize + col;
+                currentGrid.push(cell.getGoal());
+                if (cell.isCompleted && !cell.isEmpty() && !cell.isFree) {
+                    markedPositions.push(position);
+                }
             }
         }
         
-        // Store in Phaser registry (core Phaser technique)
-        const gameStateData = {
-            gridSize: this.gridSize,
-            currentGrid: currentGrid,
-            isGameActive: this.isGameActive,
-            lastUpdated: Date.now()
-        };
+        gameState.setCard(this.gridSize, currentGrid, markedPositions, this.winPatterns, this.getFreePosition());
+        this.game.appStateManager.updateGameState(gameState);
+    }
+    
+    /**
+     * Get the GameState model held by ApplicationStateManager
+     */
+    getGameStateModel() {
+        const gameState = this.game.appStateManager ? this.game.appStateManager.getGameState() : null;
+        return gameState instanceof GameState ? gameState : null;
+    }
+    
+    /**
+     * Rebuild a saved card exactly as it was: goals, marks and highlighted win lines
+     */
+    restoreCard(gameState) {
+        console.log('BingoGridScene: Restoring saved card', gameState.gridSize);
         
-        this.game.registry.set('bingoGameState', gameStateData);
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const position = row * this.gridSize + col;
+                const goal = gameState.currentGrid[position] || null;
+                const cell = this.cells[row][col];
+                
+                cell.setGoal(goal);
+                if (position === gameState.freePosition) {
+                    cell.setFree(true, this.getSettings().freeCenterLabel || 'FREE');
+                } else if (goal && gameState.isPositionMarked(position)) {
+                    cell.setCompleted(true);
+                }
+            }
+        }
+        
+        this.winPatterns = gameState.winLines.map(line => ({ ...line }));
+        this.highlightPatterns(this.winPatterns);
+        
+        // A reload interrupted the post-win clear - finish it
+        if (this.winPatterns.length > 0) {
+            this.time.delayedCall(2000, () => {
+                this.clearCompletedGoals();
+            });
+        }
     }
 
     /**
@@ -1402,6 +2292,12 @@ export default class BingoGridScene extends Phaser.Scene {
                 console.log('BingoGridScene: Repopulating grid...');
                 this.populateGrid();
                 
+                // Record New Game / Repopulate now that the card is dealt
+                if (this.pendingCommand) {
+                    this.game.appStateManager.commitCommand(this.pendingCommand);
+                    this.pendingCommand = null;
+                }
+                
                 // ============================================================================
                 // PHASER FADE IN ANIMATION: Fade in new grid
                 // ============================================================================
@@ -1661,10 +2557,13 @@ export default class BingoGridScene extends Phaser.Scene {
         // Clean up event listeners
         this.game.events.off('goalsChanged', this.updateGameStats, this);
         this.game.events.off('gameStateChanged', this.updateGameStats, this);
+        this.game.events.off('historyRestored', this.onHistoryRestored, this);
         this.events.off('goalCompleted', this.onGoalCompleted, this);
+        this.events.off('goalProgress', this.onGoalProgress, this);
+        this.events.off('goalProgressEntry', this.openProgressEntry, this);
+        this.events.off('goalChecklistOpen', this.openChecklist, this);
         
-        // Clear grid
-        this.clearGrid();
+        // Drop cell references - the card itself lives on in GameState
         this.cells = [];
         
         // Fallback cleanup
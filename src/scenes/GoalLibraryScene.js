@@ -15,6 +15,21 @@
  */
 import { GoalCard } from '../components/GoalCard.js';
 import { AddGoalModal } from '../components/AddGoalModal.js';
+import { CategoryManagerModal } from '../components/CategoryManagerModal.js';
+import { TrashModal } from '../components/TrashModal.js';
+import { GoalFilterModal } from '../components/GoalFilterModal.js';
+import { JournalModal } from '../components/JournalModal.js';
+import { searchGoals, getHighlightSegments } from '../utils/FuzzySearch.js';
+import { applyGoalFilters, sortGoals, normalizeGoalFilters, countActiveFilters, DEFAULT_SORT } from '../utils/GoalFilters.js';
+import { getContentHeight, clampScroll, getVisibleRange } from '../utils/VirtualList.js';
+import { getHistoryShortcut } from '../utils/CommandHistory.js';
+import { getScheduleLabel } from '../utils/RecurrenceRule.js';
+import { getBlockingGoals, describeBlockers } from '../utils/GoalPrerequisites.js';
+
+// Registry keys that keep the search query, filters and sort while the scene is not running
+const SEARCH_QUERY_KEY = 'goalLibrarySearchQuery';
+const GOAL_FILTERS_KEY = 'goalLibraryFilters';
+const GOAL_SORT_KEY = 'goalLibrarySort';
 import { LayoutManager } from '../utils/LayoutManager.js';
 
 export default class GoalLibraryScene extends Phaser.Scene {
@@ -48,6 +63,25 @@ export default class GoalLibraryScene extends Phaser.Scene {
         this.selectedGoal = null;
         this.isEditing = false;
         this.searchQuery = '';
+        this.searchMatches = new Map();
+        this.goalFilters = normalizeGoalFilters();
+        this.goalSort = DEFAULT_SORT;
+        this.categoryManager = null;
+        this.filterModal = null;
+        this.trashModal = null;
+        this.journalModal = null;
+        
+        // Virtualized goal list (cards exist only for visible rows)
+        this.displayedGoals = [];
+        this.visibleCards = new Map(); // goal index -> card
+        this.cardPool = [];
+        this.scrollY = 0;
+        this.listDrag = null;
+        
+        // Multi-select (ids, so selection survives card recycling)
+        this.selectedGoalIds = new Set();
+        this.selectionAnchorId = null;
+        this.bulkActionBar = null;
         
         // Layout constants
         this.padding = 20;
@@ -72,6 +106,7 @@ export default class GoalLibraryScene extends Phaser.Scene {
             }
             if (data.searchQuery) {
                 this.searchQuery = data.searchQuery;
+                this.registry.set(SEARCH_QUERY_KEY, data.searchQuery);
             }
             if (data.selectedGoal) {
                 this.selectedGoal = data.selectedGoal;
@@ -147,6 +182,9 @@ export default class GoalLibraryScene extends Phaser.Scene {
         // Create add goal section
         this.createAddGoalSection(width, height);
         
+        // Create bulk action bar (shown while goals are selected)
+        this.createBulkActionBar(width, height);
+        
         // Set up data integration
         this.setupDataIntegration();
         
@@ -271,6 +309,16 @@ export default class GoalLibraryScene extends Phaser.Scene {
 
     onShutdown() {
         console.log('GoalLibraryScene: shutdown event received');
+        
+        // The mask shape is not on the display list, so Phaser won't destroy it
+        if (this.goalListMaskShape) {
+            this.goalListMaskShape.destroy();
+            this.goalListMaskShape = null;
+        }
+        this.visibleCards.clear();
+        this.cardPool = [];
+        this.selectedGoalIds.clear();
+        this.bulkDeleteTimer = null;
     }
 
     onPause() {
@@ -368,12 +416,20 @@ export default class GoalLibraryScene extends Phaser.Scene {
         // ✅ CORRECT: Use groups for management, containers for rendering
         this.filterButtonsGroup = this.add.group();
         
+        // The state buttons own filters.state; the rest comes from the filter modal
+        this.goalFilters = normalizeGoalFilters({
+            ...this.registry.get(GOAL_FILTERS_KEY),
+            state: this.currentFilter
+        });
+        this.goalSort = this.registry.get(GOAL_SORT_KEY) || DEFAULT_SORT;
+        
         // Filter buttons - position them properly using LayoutManager
         const filters = [
-            { key: 'all', label: 'All', offsetX: -120 },
-            { key: 'to-do', label: 'To Do', offsetX: -40 },
-            { key: 'in-play', label: 'In Play', offsetX: 40 },
-            { key: 'completed', label: 'Completed', offsetX: 120 }
+            { key: 'all', label: 'All', offsetX: -160 },
+            { key: 'to-do', label: 'To Do', offsetX: -80 },
+            { key: 'in-play', label: 'In Play', offsetX: 0 },
+            { key: 'completed', label: 'Completed', offsetX: 80 },
+            { key: 'archived', label: 'Archived', offsetX: 160 }
         ];
         
         const filterButtons = [];
@@ -386,15 +442,44 @@ export default class GoalLibraryScene extends Phaser.Scene {
             filterButtons.push(...buttonElements);
         });
         
-        // Search input placeholder (will be implemented in 3.3.2)
-        const searchPlaceholder = this.add.text(0, 0, '🔍 Search goals...', {
-            fontSize: '14px',
-            fill: '#999999'
+        // ============================================================================
+        // PHASER DOM INPUT: Search box that filters goal cards as you type
+        // ============================================================================
+        // PHASER PATTERN: this.add.dom() creates a real <input> over the canvas
+        // - The query is kept in game.registry so it survives leaving the scene
+        // - Matching is done by FuzzySearch (pure logic) in filterGoals()
+        this.searchQuery = this.registry.get(SEARCH_QUERY_KEY) || this.searchQuery || '';
+        
+        this.searchInput = this.add.dom(width - 140, filtersY, 'input',
+            'width: 220px; height: 30px; border: 1px solid #ced4da; border-radius: 15px; padding: 0 12px; font-size: 14px; box-sizing: border-box;'
+        );
+        this.searchInput.node.setAttribute('placeholder', '🔍 Search goals...');
+        this.searchInput.node.value = this.searchQuery;
+        this.searchInput.addListener('input');
+        this.searchInput.on('input', () => this.setSearchQuery(this.searchInput.node.value));
+        
+        // Filter & sort button - opens GoalFilterModal, shows the active filter count
+        const filtersBtn = this.add.rectangle(0, 0, 130, 30, 0xe9ecef);
+        filtersBtn.setStrokeStyle(2, 0xdee2e6);
+        filtersBtn.setInteractive();
+        
+        this.filtersButtonText = this.add.text(0, 0, '', {
+            fontSize: '12px',
+            fill: '#333333',
+            fontStyle: 'bold'
         }).setOrigin(0.5);
-        LayoutManager.alignToCamera(this, searchPlaceholder, 'TOP_RIGHT', -20, filtersY);
+        this.filtersButton = filtersBtn;
+        this.updateFiltersButton();
+        
+        LayoutManager.alignToCamera(this, filtersBtn, 'TOP_LEFT', 90, filtersY);
+        LayoutManager.alignToCamera(this, this.filtersButtonText, 'TOP_LEFT', 90, filtersY);
+        
+        filtersBtn.on(Phaser.Input.Events.POINTER_DOWN, () => this.openFilterModal());
+        filtersBtn.on(Phaser.Input.Events.POINTER_OVER, () => filtersBtn.setScale(1.05));
+        filtersBtn.on(Phaser.Input.Events.POINTER_OUT, () => filtersBtn.setScale(1));
         
         // Add all elements to container
-        this.filtersContainer.add([filtersBg, ...filterButtons, searchPlaceholder]);
+        this.filtersContainer.add([filtersBg, ...filterButtons, filtersBtn, this.filtersButtonText, this.searchInput]);
         
         // Position container at origin - individual elements handle their own positioning
         LayoutManager.positionContainer(this, this.filtersContainer, 'TOP_LEFT', 0, 0);
@@ -458,6 +543,23 @@ export default class GoalLibraryScene extends Phaser.Scene {
         
         // Create goals list background using LayoutManager
         const listBg = LayoutManager.createContentArea(this, width - 40, listHeight, 'CENTER', 0, listY + listHeight / 2 - height / 2, 8);
+        this.listArea = { x: 20, y: listY, width: width - 40, height: listHeight };
+        
+        // Scrolling layer for the goal cards, clipped to the list area
+        // AI NOTE: Top-level container - masks on nested containers are ignored
+        this.goalCardsLayer = this.add.container(0, 0);
+        this.goalCardsLayer.setDepth(8.5); // Above the list background, below the filters
+        this.goalListMaskShape = this.make.graphics({}, false);
+        this.goalListMaskShape.fillStyle(0xffffff);
+        this.goalListMaskShape.fillRect(this.listArea.x, this.listArea.y, this.listArea.width, this.listArea.height);
+        this.goalCardsLayer.setMask(this.goalListMaskShape.createGeometryMask());
+        
+        // Scrollbar thumb (hidden while everything fits)
+        this.scrollThumb = this.add.rectangle(0, 0, 6, 30, 0xadb5bd).setOrigin(0.5, 0);
+        this.scrollThumb.setDepth(8.6);
+        this.scrollThumb.setVisible(false);
+        
+        this.setupListScrolling();
         
         // PHASER GROUP vs CONTAINER: Groups are for managing collections, not rendering
         // Groups don't have display lists - they're just organizational tools
@@ -520,20 +622,100 @@ export default class GoalLibraryScene extends Phaser.Scene {
             addBtn.setScale(1);
             addBtn.setFillStyle(0x28a745);
         });
+        
+        // Category manager button, next to the add goal button
+        const categoriesBtn = this.add.rectangle(0, 0, 160, 40, 0x6f42c1);
+        categoriesBtn.setStrokeStyle(2, 0x59339d);
+        categoriesBtn.setInteractive();
+        
+        const categoriesText = this.add.text(0, 0, '🏷 Categories', {
+            fontSize: '16px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        
+        LayoutManager.alignToCamera(this, categoriesBtn, 'BOTTOM_CENTER', 200, -60);
+        LayoutManager.alignToCamera(this, categoriesText, 'BOTTOM_CENTER', 200, -60);
+        this.addGoalContainer.add([categoriesBtn, categoriesText]);
+        
+        categoriesBtn.on(Phaser.Input.Events.POINTER_DOWN, () => this.openCategoryManager());
+        categoriesBtn.on(Phaser.Input.Events.POINTER_OVER, () => {
+            categoriesBtn.setScale(1.05);
+            categoriesBtn.setFillStyle(0x59339d);
+        });
+        categoriesBtn.on(Phaser.Input.Events.POINTER_OUT, () => {
+            categoriesBtn.setScale(1);
+            categoriesBtn.setFillStyle(0x6f42c1);
+        });
+        
+        // Trash button, on the other side - shows how many deleted goals can still be restored
+        const trashBtn = this.add.rectangle(0, 0, 160, 40, 0x6c757d);
+        trashBtn.setStrokeStyle(2, 0x5a6268);
+        trashBtn.setInteractive();
+        
+        this.trashButtonText = this.add.text(0, 0, '', {
+            fontSize: '16px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.updateTrashButton(this.game.appStateManager ? this.game.appStateManager.getTrash() : []);
+        
+        LayoutManager.alignToCamera(this, trashBtn, 'BOTTOM_CENTER', -200, -60);
+        LayoutManager.alignToCamera(this, this.trashButtonText, 'BOTTOM_CENTER', -200, -60);
+        this.addGoalContainer.add([trashBtn, this.trashButtonText]);
+        
+        trashBtn.on(Phaser.Input.Events.POINTER_DOWN, () => this.openTrash());
+        trashBtn.on(Phaser.Input.Events.POINTER_OVER, () => {
+            trashBtn.setScale(1.05);
+            trashBtn.setFillStyle(0x5a6268);
+        });
+        trashBtn.on(Phaser.Input.Events.POINTER_OUT, () => {
+            trashBtn.setScale(1);
+            trashBtn.setFillStyle(0x6c757d);
+        });
+    }
+
+    updateTrashButton(trash) {
+        if (!this.trashButtonText) return;
+        this.trashButtonText.setText(trash.length > 0 ? `🗑 Trash (${trash.length})` : '🗑 Trash');
     }
 
     setupDataIntegration() {
         // Listen for data changes
         this.game.events.on('goalsChanged', this.onGoalsChanged, this);
         this.game.events.on('categoriesChanged', this.onCategoriesChanged, this);
+        this.game.events.on('trashChanged', this.onTrashChanged, this);
     }
 
     setupInputHandling() {
         // Keyboard shortcuts
         this.input.keyboard.on(Phaser.Input.Keyboard.Events.KEY_DOWN, (event) => {
+            // Typing in a modal's form fields is not a shortcut
+            if (event.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+                return;
+            }
+            
+            // Ctrl+Z / Ctrl+Shift+Z - the history lives in ApplicationStateManager,
+            // goalsChanged/categoriesChanged redraw the library
+            const historyAction = getHistoryShortcut(event);
+            if (historyAction) {
+                if (!this.hasOpenModal() && this.game.appStateManager) {
+                    event.preventDefault();
+                    const command = this.game.appStateManager[historyAction]();
+                    if (command) {
+                        this.showHistoryMessage(`${historyAction === 'undo' ? 'Undone' : 'Redone'}: ${command.label}`);
+                    }
+                }
+                return;
+            }
+            
             switch(event.key) {
                 case 'Escape':
-                    this.closeModal();
+                    if (!this.hasOpenModal() && this.selectedGoalIds.size > 0) {
+                        this.clearSelection();
+                    } else {
+                        this.closeModal();
+                    }
                     break;
                 case 'Enter':
                     this.submitForm();
@@ -541,6 +723,24 @@ export default class GoalLibraryScene extends Phaser.Scene {
                 case 'n':
                     this.openAddGoalModal();
                     break;
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    if (!this.hasOpenModal()) {
+                        this.scrollListBy((event.key === 'ArrowDown' ? 1 : -1) * (this.cardLayout ? this.cardLayout.rowSpacing : 100));
+                    }
+                    break;
+                case 'PageDown':
+                case 'PageUp':
+                    if (!this.hasOpenModal()) {
+                        this.scrollListBy((event.key === 'PageDown' ? 1 : -1) * this.listArea.height * 0.9);
+                    }
+                    break;
+                case 'Home':
+                case 'End':
+                    if (!this.hasOpenModal()) {
+                        this.scrollListTo(event.key === 'Home' ? 0 : Infinity);
+                    }
+                    break;
             }
         });
     }
@@ -708,6 +908,9 @@ export default class GoalLibraryScene extends Phaser.Scene {
                     this.saveGoalsToRegistry();
                     console.log('GoalLibraryScene: Goal updated successfully');
                     return updatedGoal;
+                } else if (this.game.appStateManager.getGoals().some(goal => goal.id === goalId)) {
+                    this.showErrorMessage('Those prerequisites would make a loop');
+                    return null;
                 } else {
                     console.warn('GoalLibraryScene: Goal not found for update:', goalId);
                     this.showErrorMessage('Goal not found - please refresh and try again');
@@ -759,34 +962,69 @@ export default class GoalLibraryScene extends Phaser.Scene {
     onGoalsChanged(goals) {
         this.updateStats(goals);
         this.renderGoalCards(goals);
+        
+        if (this.journalModal) {
+            const goal = (goals || []).find(g => g.id === this.journalModal.goal.id);
+            if (goal) {
+                this.journalModal.refresh(goal);
+            }
+        }
     }
 
     onCategoriesChanged(categories) {
         // Update category-related UI when categories change
         console.log('Categories changed:', categories);
+        this.categories = categories;
+        
+        // Cards use category colors and names, so redraw them
+        if (this.game.appStateManager) {
+            this.renderGoalCards(this.game.appStateManager.getGoals());
+        }
+        if (this.categoryManager) {
+            this.categoryManager.refresh(categories);
+        }
     }
 
     updateStats(goals) {
         if (!goals) return;
         
-        const total = goals.length;
-        const toDo = goals.filter(g => g.state === 'to-do').length;
-        const inPlay = goals.filter(g => g.state === 'in-play').length;
-        const completed = goals.filter(g => g.state === 'completed').length;
+        const activeGoals = goals.filter(g => !g.archived);
+        const total = activeGoals.length;
+        const toDo = activeGoals.filter(g => g.state === 'to-do').length;
+        const inPlay = activeGoals.filter(g => g.state === 'in-play').length;
+        const completed = activeGoals.filter(g => g.state === 'completed').length;
+        const archived = goals.length - activeGoals.length;
         
-        const stats = `Total: ${total} | To Do: ${toDo} | In Play: ${inPlay} | Completed: ${completed}`;
+        const stats = `Total: ${total} | To Do: ${toDo} | In Play: ${inPlay} | Completed: ${completed} | Archived: ${archived}`;
         this.statsText.setText(stats);
     }
 
     renderGoalCards(goals) {
-        // Clear existing cards
-        this.goalCardsGroup.clear(true, true);
-        
         // Filter goals based on current filter
         const filteredGoals = this.filterGoals(goals);
+        this.displayedGoals = filteredGoals;
+        this.libraryGoals = goals; // Locked cards name their blockers from the whole library
+        
+        // Bulk actions only apply to goals the user can see
+        const displayedIds = new Set(filteredGoals.map(goal => goal.id));
+        this.selectedGoalIds.forEach(goalId => {
+            if (!displayedIds.has(goalId)) {
+                this.selectedGoalIds.delete(goalId);
+            }
+        });
+        this.updateBulkActionBar();
+        
+        // Every goal at a given index may have changed - hand all cards back to the pool
+        this.releaseAllGoalCards();
         
         if (filteredGoals.length === 0) {
+            const isSearching = this.searchQuery && this.searchQuery.trim();
+            this.placeholderText.setText(isSearching
+                ? `No goals match "${this.searchQuery.trim()}"`
+                : 'No goals found. Add your first goal!');
             this.placeholderText.setVisible(true);
+            this.scrollY = 0;
+            this.updateScrollbar();
             return;
         }
         
@@ -801,11 +1039,12 @@ export default class GoalLibraryScene extends Phaser.Scene {
         // - Maintains proper spacing and proportions across all screen sizes
         // - Follows Phaser's recommended responsive design patterns
         
-        const { width, height } = this.cameras.main;
+        const { width } = this.cameras.main;
         
         // Responsive layout calculations
         const padding = 20;
-        const availableWidth = width - (padding * 2); // Account for left/right padding
+        const scrollbarGutter = 12;
+        const availableWidth = width - (padding * 2) - scrollbarGutter; // Account for padding and scrollbar
         const cardsPerRow = 3;
         const cardSpacing = 20;
         const rowSpacing = 100;
@@ -816,31 +1055,207 @@ export default class GoalLibraryScene extends Phaser.Scene {
         const cardWidth = Math.floor((availableWidth - (cardsPerRow - 1) * cardSpacing) / cardsPerRow);
         const cardHeight = 80;
         
-        // Calculate starting position (left padding + half card width for centering)
-        const startX = padding + (cardWidth / 2);
-        const startY = 220;
+        // Card centers, relative to the top of the (unscrolled) list
+        this.cardLayout = {
+            cardsPerRow,
+            rowSpacing,
+            cardWidth,
+            cardHeight,
+            startX: padding + (cardWidth / 2),
+            startY: this.listArea.y + 10 + (cardHeight / 2),
+            cardSpacing
+        };
+        
+        // Keep the scroll position (e.g. after an edit) unless the list got shorter
+        this.scrollY = clampScroll(this.scrollY, this.getListContentHeight(), this.listArea.height);
+        this.goalCardsLayer.y = -this.scrollY;
+        this.renderVisibleCards();
+    }
+
+    // ============================================================================
+    // PHASER VIRTUALIZED LIST: Only visible rows get card objects
+    // ============================================================================
+    // PHASER PATTERN: One masked container scrolls; cards are pooled and recycled
+    // - goalCardsLayer holds the cards and moves by -scrollY
+    // - A GeometryMask clips it to the list area
+    // - VirtualList (pure logic) says which goal indexes are on screen
+    // - Cards leaving the viewport go back to cardPool and are rebound to new goals
+    
+    getListContentHeight() {
+        if (!this.cardLayout) return 0;
+        // Last row only needs its card, not the gap below it
+        const { cardsPerRow, rowSpacing, cardHeight } = this.cardLayout;
+        return getContentHeight(this.displayedGoals.length, cardsPerRow, rowSpacing) - rowSpacing + cardHeight + 20;
+    }
+
+    renderVisibleCards() {
+        if (!this.cardLayout) return;
+        
+        const { cardsPerRow, rowSpacing, cardWidth, cardHeight, startX, startY, cardSpacing } = this.cardLayout;
+        const { startIndex, endIndex } = getVisibleRange({
+            itemCount: this.displayedGoals.length,
+            columns: cardsPerRow,
+            rowHeight: rowSpacing,
+            viewportHeight: this.listArea.height,
+            scrollY: this.scrollY
+        });
+        
+        // Recycle cards that scrolled out of the window
+        this.visibleCards.forEach((card, index) => {
+            if (index < startIndex || index >= endIndex) {
+                this.releaseGoalCard(card);
+                this.visibleCards.delete(index);
+            }
+        });
         
-        // Render goal cards with responsive positioning
-        filteredGoals.forEach((goal, index) => {
+        // Bind cards for rows that scrolled in
+        for (let index = startIndex; index < endIndex; index++) {
+            if (this.visibleCards.has(index)) continue;
+            
             const row = Math.floor(index / cardsPerRow);
             const col = index % cardsPerRow;
-            
-            // Responsive positioning based on camera dimensions
             const x = startX + (col * (cardWidth + cardSpacing));
             const y = startY + (row * rowSpacing);
             
-            // Create enhanced goal card with category support
-            const goalCard = this.createGoalCard(goal, x, y, cardWidth, cardHeight);
-            
-            // Add to group for collection management
-            this.goalCardsGroup.add(goalCard);
+            this.visibleCards.set(index, this.createGoalCard(this.displayedGoals[index], x, y, cardWidth, cardHeight));
+        }
+        
+        this.updateScrollbar();
+    }
+
+    releaseGoalCard(card) {
+        card.setVisible(false);
+        card.setActive(false);
+        card.disableInteractive();
+        card.goal = null;
+        this.cardPool.push(card);
+    }
+
+    releaseAllGoalCards() {
+        this.visibleCards.forEach(card => this.releaseGoalCard(card));
+        this.visibleCards.clear();
+    }
+
+    scrollListTo(scrollY) {
+        const clamped = clampScroll(scrollY, this.getListContentHeight(), this.listArea.height);
+        if (clamped === this.scrollY) return;
+        
+        this.scrollY = clamped;
+        this.goalCardsLayer.y = -clamped;
+        this.renderVisibleCards();
+    }
+
+    scrollListBy(deltaY) {
+        this.scrollListTo(this.scrollY + deltaY);
+    }
+
+    isInListArea(pointer) {
+        const { x, y, width, height } = this.listArea;
+        return pointer.x >= x && pointer.x <= x + width && pointer.y >= y && pointer.y <= y + height;
+    }
+
+    hasOpenModal() {
+        return !!(this.addGoalModal || this.editGoalModal || this.categoryManager || this.filterModal || this.trashModal || this.journalModal);
+    }
+
+    setupListScrolling() {
+        // Mouse wheel over the list
+        this.input.on('wheel', (pointer, currentlyOver, deltaX, deltaY) => {
+            if (this.hasOpenModal() || !this.isInListArea(pointer)) return;
+            this.scrollListBy(deltaY);
+        });
+        
+        // Drag to scroll - a drag past the threshold is not a card click
+        this.input.on('pointerdown', (pointer) => {
+            this.listDrag = !this.hasOpenModal() && this.isInListArea(pointer)
+                ? { startY: pointer.y, startScroll: this.scrollY, moved: false, active: true }
+                : null;
+        });
+        this.input.on('pointermove', (pointer) => {
+            if (!this.listDrag || !this.listDrag.active || !pointer.isDown) return;
             
-            // Add to goals list container for rendering
-            this.goalsListContainer.add(goalCard);
+            const dragDistance = pointer.y - this.listDrag.startY;
+            if (Math.abs(dragDistance) > 8) {
+                this.listDrag.moved = true;
+            }
+            if (this.listDrag.moved) {
+                this.scrollListTo(this.listDrag.startScroll - dragDistance);
+            }
         });
+        this.input.on('pointerup', () => {
+            // Keep 'moved' so the card's pointerup can tell a drag from a click
+            if (this.listDrag) {
+                this.listDrag.active = false;
+            }
+        });
+    }
+
+    updateScrollbar() {
+        if (!this.scrollThumb) return;
+        
+        const contentHeight = this.getListContentHeight();
+        const { x, y, width, height } = this.listArea;
+        if (contentHeight <= height) {
+            this.scrollThumb.setVisible(false);
+            return;
+        }
+        
+        const thumbHeight = Math.max(30, height * (height / contentHeight));
+        const maxScroll = contentHeight - height;
+        const thumbY = y + (height - thumbHeight) * (this.scrollY / maxScroll);
+        
+        this.scrollThumb.setVisible(true);
+        this.scrollThumb.setPosition(x + width - 8, thumbY);
+        this.scrollThumb.setSize(6, thumbHeight);
     }
     
     createGoalCard(goal, x, y, width, height) {
+        // Reuse a pooled card when one is free
+        const cardContainer = this.cardPool.pop() || this.createPooledGoalCard();
+        
+        cardContainer.setPosition(x, y);
+        cardContainer.setVisible(true);
+        cardContainer.setActive(true);
+        this.bindGoalCard(cardContainer, goal, width, height);
+        
+        return cardContainer;
+    }
+
+    createPooledGoalCard() {
+        // Created once; bindGoalCard() fills it for whichever goal it shows
+        const cardContainer = new Phaser.GameObjects.Container(this, 0, 0);
+        
+        // Hover effects
+        cardContainer.on('pointerover', () => this.applyCardStyle(cardContainer, true));
+        cardContainer.on('pointerout', () => this.applyCardStyle(cardContainer, false));
+        
+        // Click handler - open the goal in the editor (drags scroll instead)
+        // Shift-click selects a range, Ctrl/Cmd-click toggles one goal
+        cardContainer.on('pointerup', (pointer) => {
+            if (!cardContainer.goal || (this.listDrag && this.listDrag.moved) || !this.isInListArea(pointer)) return;
+            
+            const event = pointer.event || {};
+            if (event.shiftKey) {
+                this.selectGoalRange(cardContainer.goal);
+                return;
+            }
+            if (event.ctrlKey || event.metaKey) {
+                this.toggleGoalSelection(cardContainer.goal);
+                return;
+            }
+            
+            console.log('Goal card clicked:', cardContainer.goal.text);
+            this.openEditGoalModal(cardContainer.goal);
+        });
+        
+        // Add to group for collection management, and to the scrolling layer for rendering
+        this.goalCardsGroup.add(cardContainer);
+        this.goalCardsLayer.add(cardContainer);
+        
+        return cardContainer;
+    }
+
+    bindGoalCard(cardContainer, goal, width, height) {
         // ============================================================================
         // PHASER GOAL CARD CREATION: Enhanced goal card with category support
         // ============================================================================
@@ -856,63 +1271,153 @@ export default class GoalLibraryScene extends Phaser.Scene {
         const categoryColor = category ? category.color : '#607D8B';
         const categoryName = category ? category.name : 'Uncategorized';
         
-        // Create card container
-        const cardContainer = new Phaser.GameObjects.Container(this, x, y);
+        // Drop the previous goal's content
+        cardContainer.removeAll(true);
+        cardContainer.goal = goal;
+        cardContainer.categoryColor = categoryColor;
         
         // Card background
         const cardBg = new Phaser.GameObjects.Rectangle(this, 0, 0, width, height, 0xffffff);
         cardBg.setStrokeStyle(2, categoryColor);
         cardContainer.add(cardBg);
+        cardContainer.cardBg = cardBg;
         
         // Category indicator (colored left edge)
         const categoryIndicator = new Phaser.GameObjects.Rectangle(this, -width/2 + 10, 0, 4, height, categoryColor);
         cardContainer.add(categoryIndicator);
         
-        // Goal text
-        const goalText = new Phaser.GameObjects.Text(this, -width/2 + 20, -10, goal.text || 'Untitled Goal', {
-            fontSize: '14px',
-            fill: '#333333',
-            wordWrap: { width: width - 40 }
-        }).setOrigin(0, 0.5);
-        cardContainer.add(goalText);
+        // Goal text (with search matches highlighted)
+        const matches = this.searchMatches ? this.searchMatches.get(goal.id) : null;
+        if (matches && matches.text.length > 0) {
+            this.createHighlightedText(cardContainer, goal.text, matches.text, -width/2 + 20, -10, width - 60);
+        } else {
+            const goalText = new Phaser.GameObjects.Text(this, -width/2 + 20, -10, goal.text || 'Untitled Goal', {
+                fontSize: '14px',
+                fill: '#333333',
+                wordWrap: { width: width - 40 }
+            }).setOrigin(0, 0.5);
+            cardContainer.add(goalText);
+        }
         
-        // Category label
-        const categoryLabel = new Phaser.GameObjects.Text(this, -width/2 + 20, 10, categoryName, {
+        // Category label (highlighted when the search matched a category name)
+        const categoryMatched = matches && matches.categories.length > 0;
+        const categoryLabel = new Phaser.GameObjects.Text(this, -width/2 + 20, 10, categoryMatched ? matches.categories.join(', ') : categoryName, {
             fontSize: '12px',
             fill: categoryColor,
-            fontStyle: 'bold'
+            fontStyle: 'bold',
+            backgroundColor: categoryMatched ? '#fff3a0' : null
         }).setOrigin(0, 0.5);
         cardContainer.add(categoryLabel);
         
+        // Note that the match was in the goal's description
+        if (matches && matches.description.length > 0) {
+            const notesMatch = new Phaser.GameObjects.Text(this, categoryLabel.x + categoryLabel.width + 10, 10, '📝 notes match', {
+                fontSize: '11px',
+                fill: '#666666',
+                backgroundColor: '#fff3a0'
+            }).setOrigin(0, 0.5);
+            cardContainer.add(notesMatch);
+        }
+        
+        // Schedule - "next available" while the goal cools down, or its recurrence rule
+        const scheduleLabel = getScheduleLabel(goal);
+        if (scheduleLabel) {
+            const scheduleText = new Phaser.GameObjects.Text(this, width/2 - 30, 10, scheduleLabel, {
+                fontSize: '11px',
+                fill: '#6f42c1'
+            }).setOrigin(1, 0.5);
+            cardContainer.add(scheduleText);
+        }
+        
+        // Locked until its prerequisites are completed
+        const blockers = getBlockingGoals(goal, this.libraryGoals || []);
+        if (blockers.length > 0) {
+            const lockedText = new Phaser.GameObjects.Text(this, -width/2 + 20, height/2 - 10, describeBlockers(blockers), {
+                fontSize: '11px',
+                fill: '#c0392b',
+                fixedWidth: width - 100
+            }).setOrigin(0, 0.5);
+            cardContainer.add(lockedText);
+        }
+        
+        // Completion journal ("📓 3" entries) - opens the journal instead of the editor
+        if (goal.journal && goal.journal.length > 0) {
+            const journalText = new Phaser.GameObjects.Text(this, width/2 - 30, height/2 - 10, `📓 ${goal.journal.length}`, {
+                fontSize: '11px',
+                fill: '#007bff',
+                fontStyle: 'bold'
+            }).setOrigin(1, 0.5);
+            journalText.setInteractive();
+            journalText.on('pointerup', (pointer, localX, localY, event) => {
+                event.stopPropagation();
+                if ((this.listDrag && this.listDrag.moved) || !this.isInListArea(pointer)) return;
+                this.openJournal(goal);
+            });
+            cardContainer.add(journalText);
+        }
+        
+        // Checklist progress ("3/5" steps ticked)
+        if (goal.subtasks && goal.subtasks.length > 0) {
+            const { done, total } = goal.getSubtaskProgress();
+            const subtasksText = new Phaser.GameObjects.Text(this, width/2 - 30, -height/2 + 12, `☑ ${done}/${total}`, {
+                fontSize: '11px',
+                fill: '#333333',
+                fontStyle: 'bold'
+            }).setOrigin(1, 0.5);
+            cardContainer.add(subtasksText);
+        }
+        
         // Difficulty indicator (convert to proper case)
         const difficulty = goal.difficulty ? goal.difficulty.charAt(0).toUpperCase() + goal.difficulty.slice(1) : 'Unknown';
         const difficultyColor = this.getDifficultyColor(difficulty);
         const difficultyDot = new Phaser.GameObjects.Ellipse(this, width/2 - 15, 0, 12, 12, difficultyColor);
         cardContainer.add(difficultyDot);
         
-        // Add interactivity
-        cardContainer.setInteractive(new Phaser.Geom.Rectangle(-width/2, -height/2, width, height), Phaser.Geom.Rectangle.Contains);
-        
-        // Hover effects
-        cardContainer.on('pointerover', () => {
-            cardBg.setFillStyle(0xe9ecef);
-            cardBg.setStrokeStyle(3, categoryColor);
-        });
-        
-        cardContainer.on('pointerout', () => {
-            cardBg.setFillStyle(0xffffff);
-            cardBg.setStrokeStyle(2, categoryColor);
-        });
-        
-        // Click handler
-        cardContainer.on('pointerdown', () => {
-            console.log('Goal card clicked:', goal.text);
-            // TODO: Add goal selection/editing functionality
-        });
+        // Selection check mark (multi-select)
+        cardContainer.selectionMark = new Phaser.GameObjects.Text(this, width/2 - 15, -height/2 + 12, '✓', {
+            fontSize: '14px',
+            fill: '#007bff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        cardContainer.add(cardContainer.selectionMark);
+        this.applyCardStyle(cardContainer, false);
         
-        return cardContainer;
+        // Add interactivity (a recycled card keeps its hit area - resize it to this card)
+        if (cardContainer.input) {
+            cardContainer.input.hitArea.setTo(-width/2, -height/2, width, height);
+        }
+        cardContainer.setInteractive(new Phaser.Geom.Rectangle(-width/2, -height/2, width, height), Phaser.Geom.Rectangle.Contains);
     }
     
+    createHighlightedText(cardContainer, text, indices, x, y, maxWidth) {
+        // ============================================================================
+        // PHASER SEARCH HIGHLIGHT: One Text object per matched/unmatched run
+        // ============================================================================
+        // PHASER PATTERN: Phaser Text has a single style, so runs are laid out side
+        // by side using each Text's measured width (single line, cut off at maxWidth)
+        let cursorX = x;
+        
+        for (const segment of getHighlightSegments(text, indices)) {
+            if (cursorX - x >= maxWidth) break;
+            
+            const run = new Phaser.GameObjects.Text(this, cursorX, y, segment.text, {
+                fontSize: '14px',
+                fill: segment.highlighted ? '#0056b3' : '#333333',
+                fontStyle: segment.highlighted ? 'bold' : 'normal',
+                backgroundColor: segment.highlighted ? '#fff3a0' : null
+            }).setOrigin(0, 0.5);
+            
+            // Crop the run that crosses the card edge
+            const remaining = maxWidth - (cursorX - x);
+            if (run.width > remaining) {
+                run.setCrop(0, 0, remaining, run.height);
+            }
+            
+            cardContainer.add(run);
+            cursorX += run.width;
+        }
+    }
+
     getDifficultyColor(difficulty) {
         // ============================================================================
         // PHASER DIFFICULTY COLOR SYSTEM: Color coding for goal difficulty levels
@@ -932,10 +1437,29 @@ export default class GoalLibraryScene extends Phaser.Scene {
     }
 
     filterGoals(goals) {
-        if (this.currentFilter === 'all') {
-            return goals;
+        // Filters and sort are pure GoalFilters logic; the state buttons set filters.state
+        // Archived goals only show under the Archived button
+        const filteredGoals = sortGoals(
+            applyGoalFilters(goals, { ...this.goalFilters, state: this.currentFilter }),
+            this.goalSort
+        );
+        
+        // Search results come best match first, with the matched characters
+        this.searchMatches = new Map();
+        if (!this.searchQuery || !this.searchQuery.trim()) {
+            return filteredGoals;
         }
-        return goals.filter(goal => goal.state === this.currentFilter);
+        
+        const results = searchGoals(filteredGoals, this.searchQuery, this.categories || []);
+        results.forEach(result => this.searchMatches.set(result.goal.id, result.matches));
+        return results.map(result => result.goal);
+    }
+
+    setSearchQuery(query) {
+        this.searchQuery = query;
+        this.registry.set(SEARCH_QUERY_KEY, query);
+        this.scrollY = 0;
+        this.loadGoals();
     }
 
     setupGoalCardEvents() {
@@ -943,18 +1467,59 @@ export default class GoalLibraryScene extends Phaser.Scene {
         this.events.on('goalCardSelected', this.onGoalCardSelected, this);
         this.events.on('goalCardEdit', this.onGoalCardEdit, this);
         this.events.on('goalCardDelete', this.onGoalCardDelete, this);
+        this.events.on('goalCardJournal', this.openJournal, this);
     }
 
     onGoalCardSelected(goal, isSelected) {
         console.log('Goal selected:', goal.text, 'Selected:', isSelected);
         
         // Update selection state
+        if (isSelected) {
+            this.selectedGoalIds.add(goal.id);
+        } else {
+            this.selectedGoalIds.delete(goal.id);
+        }
         this.selectedGoal = isSelected ? goal : null;
         
         // Update UI based on selection
         this.updateSelectionUI();
     }
 
+    toggleGoalSelection(goal) {
+        this.selectionAnchorId = goal.id;
+        this.events.emit('goalCardSelected', goal, !this.selectedGoalIds.has(goal.id));
+    }
+
+    selectGoalRange(goal) {
+        const anchorIndex = this.displayedGoals.findIndex(g => g.id === this.selectionAnchorId);
+        const index = this.displayedGoals.findIndex(g => g.id === goal.id);
+        if (anchorIndex === -1 || index === -1) {
+            this.toggleGoalSelection(goal);
+            return;
+        }
+        
+        const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+        this.displayedGoals.slice(from, to + 1).forEach(g => this.selectedGoalIds.add(g.id));
+        this.selectedGoal = goal;
+        this.updateSelectionUI();
+    }
+
+    clearSelection() {
+        this.selectedGoalIds.clear();
+        this.selectionAnchorId = null;
+        this.selectedGoal = null;
+        this.updateSelectionUI();
+    }
+
+    applyCardStyle(cardContainer, hovered) {
+        if (!cardContainer.goal) return;
+        
+        const selected = this.selectedGoalIds.has(cardContainer.goal.id);
+        cardContainer.cardBg.setFillStyle(hovered ? 0xe9ecef : (selected ? 0xe7f1ff : 0xffffff));
+        cardContainer.cardBg.setStrokeStyle(selected || hovered ? 3 : 2, selected ? 0x007bff : cardContainer.categoryColor);
+        cardContainer.selectionMark.setVisible(selected);
+    }
+
     onGoalCardEdit(goal) {
         console.log('Edit goal:', goal.text);
         // TODO: Open edit modal (will be implemented in 3.4.1)
@@ -969,7 +1534,210 @@ export default class GoalLibraryScene extends Phaser.Scene {
 
     updateSelectionUI() {
         // Update UI based on current selection
-        // TODO: Implement selection-based UI updates
+        this.visibleCards.forEach(card => this.applyCardStyle(card, false));
+        this.updateBulkActionBar();
+    }
+
+    // ============================================================================
+    // PHASER BULK ACTIONS: Action bar for the selected goals
+    // ============================================================================
+    // PHASER PATTERN: Container shown over the add goal section while goals are selected
+    // - Selects (DOM) set category, difficulty and renewal for every selected goal
+    // - Each action is ONE ApplicationStateManager bulk call = one saved change
+    
+    createBulkActionBar(width, height) {
+        const barY = height - 60;
+        
+        this.bulkActionBar = this.add.container(0, 0);
+        this.bulkActionBar.setDepth(12); // Above the add goal section
+        
+        // Background blocks clicks to the add goal buttons underneath
+        const barBg = this.add.rectangle(width / 2, barY, width, 80, 0xffffff);
+        barBg.setStrokeStyle(2, 0x007bff);
+        barBg.setInteractive();
+        
+        this.bulkCountText = this.add.text(30, barY, '', {
+            fontSize: '16px',
+            fill: '#007bff',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0.5);
+        
+        this.bulkActionBar.add([barBg, this.bulkCountText]);
+        
+        // Selects apply as soon as an option is picked
+        const selectStyle = 'width: 150px; height: 32px; border: 1px solid #ced4da; border-radius: 4px; font-size: 13px; box-sizing: border-box;';
+        const createSelect = (x, onChange) => {
+            const select = this.add.dom(x, barY, 'select', selectStyle);
+            select.setOrigin(0, 0.5);
+            select.addListener('change');
+            select.on('change', () => {
+                const value = select.node.value;
+                select.node.value = '';
+                if (value) onChange(value);
+            });
+            this.bulkActionBar.add(select);
+            return select;
+        };
+        
+        this.bulkCategorySelect = createSelect(170, categoryId => this.applyBulkAction('category', categoryId));
+        this.bulkDifficultySelect = createSelect(330, difficulty => this.applyBulkAction('difficulty', difficulty));
+        this.bulkRenewalSelect = createSelect(490, renewal => this.applyBulkAction('renewal', renewal));
+        
+        this.setSelectOptions(this.bulkDifficultySelect, 'Set difficulty…', [
+            { value: 'easy', label: 'Easy' },
+            { value: 'medium', label: 'Medium' },
+            { value: 'hard', label: 'Hard' }
+        ]);
+        this.setSelectOptions(this.bulkRenewalSelect, 'Set renewal…', [
+            { value: 'one-off', label: 'One-off' },
+            { value: '12', label: 'Renewable · 12h cooldown' },
+            { value: '24', label: 'Renewable · 24h cooldown' },
+            { value: '48', label: 'Renewable · 48h cooldown' },
+            { value: '168', label: 'Renewable · 1 week cooldown' }
+        ]);
+        
+        // Action buttons, right-aligned
+        const buttons = [
+            { key: 'reset', label: '↺ To Do', offsetX: -330, color: 0x17a2b8, hover: 0x138496 },
+            { key: 'archive', label: '🗄 Archive', offsetX: -230, color: 0x6c757d, hover: 0x5a6268 },
+            { key: 'delete', label: '🗑 Delete', offsetX: -130, color: 0xdc3545, hover: 0xc82333 },
+            { key: 'clear', label: '✕', offsetX: -45, color: 0xe9ecef, hover: 0xdee2e6, width: 40, textColor: '#333333' }
+        ];
+        this.bulkButtons = {};
+        buttons.forEach(({ key, label, offsetX, color, hover, width: buttonWidth = 90, textColor = '#ffffff' }) => {
+            const btn = this.add.rectangle(width + offsetX, barY, buttonWidth, 32, color);
+            btn.setInteractive();
+            const btnText = this.add.text(width + offsetX, barY, label, {
+                fontSize: '13px',
+                fill: textColor,
+                fontStyle: 'bold'
+            }).setOrigin(0.5);
+            
+            btn.on(Phaser.Input.Events.POINTER_DOWN, () => {
+                if (key === 'clear') {
+                    this.clearSelection();
+                } else {
+                    this.applyBulkAction(key);
+                }
+            });
+            btn.on(Phaser.Input.Events.POINTER_OVER, () => btn.setFillStyle(hover));
+            btn.on(Phaser.Input.Events.POINTER_OUT, () => btn.setFillStyle(color));
+            
+            btn.btnText = btnText;
+            this.bulkButtons[key] = btn;
+            this.bulkActionBar.add([btn, btnText]);
+        });
+        
+        this.updateBulkActionBar();
+    }
+
+    setSelectOptions(domSelect, placeholder, options) {
+        const select = domSelect.node;
+        select.replaceChildren();
+        [{ value: '', label: placeholder }, ...options].forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = '';
+    }
+
+    updateBulkActionBar() {
+        if (!this.bulkActionBar) return;
+        
+        const count = this.selectedGoalIds.size;
+        const isVisible = count > 0;
+        
+        // DOM elements are positioned by their container but shown/hidden on their own
+        this.bulkActionBar.setVisible(isVisible);
+        [this.bulkCategorySelect, this.bulkDifficultySelect, this.bulkRenewalSelect].forEach(select => select.setVisible(isVisible));
+        if (!isVisible) {
+            this.cancelBulkDeleteConfirm();
+            return;
+        }
+        
+        this.bulkCountText.setText(`${count} selected`);
+        this.bulkButtons.archive.btnText.setText(this.currentFilter === 'archived' ? '↩ Unarchive' : '🗄 Archive');
+        this.setSelectOptions(this.bulkCategorySelect, 'Set category…', (this.categories || []).map(category => ({
+            value: category.id,
+            label: category.name
+        })));
+    }
+
+    cancelBulkDeleteConfirm() {
+        if (this.bulkDeleteTimer) {
+            this.bulkDeleteTimer.remove();
+            this.bulkDeleteTimer = null;
+        }
+        if (this.bulkButtons && this.bulkButtons.delete) {
+            this.bulkButtons.delete.btnText.setText('🗑 Delete');
+        }
+    }
+
+    applyBulkAction(action, value) {
+        const manager = this.game.appStateManager;
+        const goalIds = [...this.selectedGoalIds];
+        if (!manager || goalIds.length === 0) return;
+        
+        // Deleting several goals needs a second click within 3 seconds
+        if (action === 'delete' && !this.bulkDeleteTimer) {
+            this.bulkButtons.delete.btnText.setText(`Confirm (${goalIds.length})`);
+            this.bulkDeleteTimer = this.time.delayedCall(3000, () => {
+                this.bulkDeleteTimer = null;
+                this.cancelBulkDeleteConfirm();
+            });
+            return;
+        }
+        
+        try {
+            switch (action) {
+                case 'category':
+                    manager.bulkUpdateGoals(goalIds, { categories: [value] });
+                    break;
+                case 'difficulty':
+                    manager.bulkUpdateGoals(goalIds, { difficulty: value });
+                    break;
+                case 'renewal':
+                    manager.bulkUpdateGoals(goalIds, value === 'one-off'
+                        ? { isRenewable: false, cooldownPeriod: null, recurrence: null }
+                        : { isRenewable: true, cooldownPeriod: Number(value), recurrence: null });
+                    break;
+                case 'reset': {
+                    const reset = manager.bulkResetGoals(goalIds);
+                    const skipped = goalIds.length - reset.length;
+                    if (skipped > 0) {
+                        this.showErrorMessage(`${skipped} goal${skipped === 1 ? ' is' : 's are'} on the board and stayed in play`);
+                    }
+                    break;
+                }
+                case 'archive':
+                    // Under the Archived filter the same button brings goals back
+                    if (this.currentFilter === 'archived') {
+                        manager.bulkUnarchiveGoals(goalIds);
+                    } else {
+                        manager.bulkArchiveGoals(goalIds);
+                    }
+                    this.clearSelection();
+                    break;
+                case 'delete': {
+                    this.cancelBulkDeleteConfirm();
+                    const removed = manager.bulkRemoveGoals(goalIds);
+                    const skipped = goalIds.length - removed.length;
+                    if (skipped > 0) {
+                        this.showErrorMessage(`${skipped} goal${skipped === 1 ? ' is' : 's are'} on the board and were not deleted`);
+                    }
+                    this.clearSelection();
+                    break;
+                }
+            }
+            
+            // Save to registry for enhanced persistence
+            this.saveGoalsToRegistry();
+        } catch (error) {
+            console.error('GoalLibraryScene: Bulk action failed:', action, error);
+            this.showErrorMessage('Failed to update the selected goals - please try again');
+        }
     }
 
     /**
@@ -1035,6 +1803,9 @@ export default class GoalLibraryScene extends Phaser.Scene {
 
     setFilter(filterKey) {
         this.currentFilter = filterKey;
+        this.goalFilters.state = filterKey;
+        this.updateFiltersButton();
+        this.scrollY = 0;
         
         // Update filter button appearances
         this.filterButtonsGroup.children.entries.forEach(btn => {
@@ -1070,6 +1841,170 @@ export default class GoalLibraryScene extends Phaser.Scene {
         }
     }
 
+    updateFiltersButton() {
+        const activeCount = countActiveFilters({ ...this.goalFilters, state: 'all' });
+        const isActive = activeCount > 0 || this.goalSort !== DEFAULT_SORT;
+        
+        this.filtersButtonText.setText(activeCount > 0 ? `⚙ Filters (${activeCount})` : '⚙ Filters');
+        this.filtersButtonText.setFill(isActive ? '#ffffff' : '#333333');
+        this.filtersButton.setFillStyle(isActive ? 0x007bff : 0xe9ecef);
+        this.filtersButton.setStrokeStyle(2, isActive ? 0x0056b3 : 0xdee2e6);
+    }
+
+    setGoalFilters(filters, sort) {
+        this.goalFilters = normalizeGoalFilters(filters);
+        this.goalSort = sort || DEFAULT_SORT;
+        this.registry.set(GOAL_FILTERS_KEY, this.goalFilters);
+        this.registry.set(GOAL_SORT_KEY, this.goalSort);
+        
+        // A saved view can carry a state filter - keep the state buttons in step
+        this.setFilter(this.goalFilters.state);
+    }
+
+    openFilterModal() {
+        // ============================================================================
+        // PHASER FILTER MODAL: Composable filters, sort order and saved views
+        // ============================================================================
+        // PHASER PATTERN: Modal component emits intents, the scene applies them
+        // - Filters and sort live in game.registry like the search query
+        // - Saved views are settings, stored through game.appStateManager
+        if (this.filterModal) return;
+        
+        this.filterModal = new GoalFilterModal(this, this.cameras.main.centerX, this.cameras.main.centerY, {
+            filters: { ...this.goalFilters, state: this.currentFilter },
+            sort: this.goalSort,
+            categories: this.game.appStateManager ? this.game.appStateManager.getCategories() : [],
+            views: this.game.appStateManager ? this.game.appStateManager.getGoalViews() : []
+        });
+        this.filterModal.setDepth(100);
+        
+        this.filterModal.on('filtersApplied', this.setGoalFilters, this);
+        this.filterModal.on('viewSaved', this.onGoalViewSaved, this);
+        this.filterModal.on('viewDeleted', this.onGoalViewDeleted, this);
+        this.filterModal.on('modalClosed', () => {
+            this.filterModal = null;
+        });
+    }
+
+    onGoalViewSaved(name, filters, sort) {
+        if (!this.game.appStateManager) return;
+        
+        this.game.appStateManager.saveGoalView(name, filters, sort);
+        if (this.filterModal) {
+            this.filterModal.refreshViews(this.game.appStateManager.getGoalViews());
+        }
+    }
+
+    onGoalViewDeleted(viewId) {
+        if (!this.game.appStateManager) return;
+        
+        this.game.appStateManager.removeGoalView(viewId);
+        if (this.filterModal) {
+            this.filterModal.refreshViews(this.game.appStateManager.getGoalViews());
+        }
+    }
+
+    openCategoryManager() {
+        // ============================================================================
+        // PHASER CATEGORY MANAGER: Create, rename, recolor and delete categories
+        // ============================================================================
+        // PHASER PATTERN: Modal component emits intents, the scene applies them
+        // - Changes go through game.appStateManager (goal counts via updateCategoryGoalCounts)
+        // - 'categoriesChanged' refreshes both the modal and the goal cards
+        if (this.categoryManager || !this.game.appStateManager) return;
+        
+        this.categoryManager = new CategoryManagerModal(
+            this,
+            this.cameras.main.centerX,
+            this.cameras.main.centerY,
+            this.game.appStateManager.getCategories()
+        );
+        this.categoryManager.setDepth(100);
+        
+        this.categoryManager.on('categorySaved', this.onCategorySaved, this);
+        this.categoryManager.on('categoryDeleted', this.onCategoryDeleted, this);
+        this.categoryManager.on('modalClosed', () => {
+            this.categoryManager = null;
+        });
+    }
+
+    openTrash() {
+        // ============================================================================
+        // PHASER TRASH: Restore deleted goals or delete them for good
+        // ============================================================================
+        // PHASER PATTERN: Same intent/apply split as the category manager
+        // - Restores and purges go through game.appStateManager (so they can be undone)
+        // - 'trashChanged' refreshes the modal and the trash button
+        if (this.trashModal || !this.game.appStateManager) return;
+        
+        const manager = this.game.appStateManager;
+        this.trashModal = new TrashModal(
+            this,
+            this.cameras.main.centerX,
+            this.cameras.main.centerY,
+            manager.getTrash(),
+            manager.getSettings().trashRetentionDays
+        );
+        this.trashModal.setDepth(100);
+        
+        this.trashModal.on('goalRestored', goalId => {
+            if (!manager.restoreGoal(goalId)) {
+                this.showErrorMessage('Failed to restore goal - please try again');
+            }
+        });
+        this.trashModal.on('goalsPurged', goalIds => manager.purgeGoals(goalIds));
+        this.trashModal.on('retentionChanged', days => manager.setTrashRetention(days));
+        this.trashModal.on('modalClosed', () => {
+            this.trashModal = null;
+        });
+    }
+
+    openJournal(goal) {
+        // ============================================================================
+        // PHASER JOURNAL: Browse how each completion of a goal went
+        // ============================================================================
+        // PHASER PATTERN: Same intent/apply split as the trash
+        // - Deletes go through game.appStateManager (so they can be undone)
+        // - 'goalsChanged' refreshes the modal with the updated goal
+        if (this.hasOpenModal() || !this.game.appStateManager) return;
+        
+        const manager = this.game.appStateManager;
+        this.journalModal = new JournalModal(this, this.cameras.main.centerX, this.cameras.main.centerY, goal);
+        this.journalModal.setDepth(100);
+        
+        this.journalModal.on('entryRemoved', (goalId, entryId) => {
+            if (!manager.removeJournalEntry(goalId, entryId)) {
+                this.showErrorMessage('Failed to delete journal entry - please try again');
+            }
+        });
+        this.journalModal.on('modalClosed', () => {
+            this.journalModal = null;
+        });
+    }
+
+    onTrashChanged(trash) {
+        this.updateTrashButton(trash || []);
+        if (this.trashModal) {
+            this.trashModal.refresh(trash || []);
+        }
+    }
+
+    onCategorySaved(categoryData, isEditMode) {
+        if (isEditMode) {
+            const { id, ...updates } = categoryData;
+            this.game.appStateManager.updateCategory(id, updates);
+        } else {
+            this.game.appStateManager.addCategory(categoryData);
+        }
+    }
+
+    onCategoryDeleted(categoryId, targetCategoryId) {
+        const deleted = this.game.appStateManager.deleteCategory(categoryId, targetCategoryId);
+        if (!deleted) {
+            this.showErrorMessage('Failed to delete category - please try again');
+        }
+    }
+
     closeModal() {
         // Close any open modals with proper validation
         try {
@@ -1089,6 +2024,26 @@ export default class GoalLibraryScene extends Phaser.Scene {
         } catch (error) {
             console.error('GoalLibraryScene: Error closing edit modal:', error);
         }
+
+        if (this.categoryManager) {
+            this.categoryManager.closeModal();
+            this.categoryManager = null;
+        }
+
+        if (this.filterModal) {
+            this.filterModal.closeModal();
+            this.filterModal = null;
+        }
+
+        if (this.trashModal) {
+            this.trashModal.closeModal();
+            this.trashModal = null;
+        }
+
+        if (this.journalModal) {
+            this.journalModal.closeModal();
+            this.journalModal = null;
+        }
     }
 
     // ============================================================================
@@ -1098,9 +2053,16 @@ export default class GoalLibraryScene extends Phaser.Scene {
     // - ApplicationStateManager handles goal creation and registry updates
     // - Phaser's registry events automatically trigger UI updates
     // - This ensures proper data flow and state synchronization
-    onGoalSaved(goalData) {
+    onGoalSaved(goalData, isEditMode = false) {
         console.log('GoalLibraryScene: Goal saved:', goalData);
 
+        // Edits go through updateGoal() so the goal keeps its id, state and history
+        if (isEditMode) {
+            const { id, ...updates } = goalData;
+            this.updateGoal(id, updates);
+            return;
+        }
+
         // ============================================================================
         // PHASER GOAL PERSISTENCE: Use ApplicationStateManager for goal creation
         // ============================================================================
@@ -1114,6 +2076,10 @@ export default class GoalLibraryScene extends Phaser.Scene {
             if (this.game.appStateManager) {
                 // Use ApplicationStateManager to add goal
                 const createdGoal = this.game.appStateManager.addGoal(goalData);
+                if (!createdGoal) {
+                    this.showErrorMessage('Those prerequisites would make a loop');
+                    return;
+                }
                 console.log('GoalLibraryScene: Goal created successfully:', createdGoal);
 
                 // Save to registry for enhanced persistence
@@ -1172,6 +2138,23 @@ export default class GoalLibraryScene extends Phaser.Scene {
         }
     }
 
+    showHistoryMessage(message) {
+        const text = this.add.text(this.cameras.main.centerX, 170, message, {
+            fontSize: '14px',
+            fill: '#ffffff',
+            backgroundColor: '#343a40',
+            padding: { x: 10, y: 5 }
+        }).setOrigin(0.5).setDepth(100);
+        
+        this.tweens.add({
+            targets: text,
+            alpha: 0,
+            delay: 1200,
+            duration: 400,
+            onComplete: () => text.destroy()
+        });
+    }
+
     onModalClosed() {
         console.log('Modal closed');
         // Clean up modal references
@@ -1299,6 +2282,22 @@ export default class GoalLibraryScene extends Phaser.Scene {
             this.editGoalModal.destroy();
             this.editGoalModal = null;
         }
+        if (this.categoryManager) {
+            this.categoryManager.destroy();
+            this.categoryManager = null;
+        }
+        if (this.filterModal) {
+            this.filterModal.destroy();
+            this.filterModal = null;
+        }
+        if (this.trashModal) {
+            this.trashModal.destroy();
+            this.trashModal = null;
+        }
+        if (this.journalModal) {
+            this.journalModal.destroy();
+            this.journalModal = null;
+        }
         
         // ============================================================================
         // EVENT LISTENER CLEANUP: Remove all event listeners
@@ -1309,11 +2308,13 @@ export default class GoalLibraryScene extends Phaser.Scene {
         // Game-level events (global events)
         this.game.events.off('goalsChanged', this.onGoalsChanged, this);
         this.game.events.off('categoriesChanged', this.onCategoriesChanged, this);
+        this.game.events.off('trashChanged', this.onTrashChanged, this);
         
         // Scene-level events (local to this scene)
         this.events.off('goalCardSelected', this.onGoalCardSelected, this);
         this.events.off('goalCardEdit', this.onGoalCardEdit, this);
         this.events.off('goalCardDelete', this.onGoalCardDelete, this);
+        this.events.off('goalCardJournal', this.openJournal, this);
         
         // Input events (keyboard, mouse, touch)
         this.input.keyboard.off(Phaser.Input.Keyboard.Events.KEY_DOWN);
@@ -1392,6 +2393,8 @@ export default class GoalLibraryScene extends Phaser.Scene {
             uiState: {
                 currentFilter: this.currentFilter,
                 searchQuery: this.searchQuery,
+                goalFilters: this.goalFilters,
+                goalSort: this.goalSort,
                 selectedGoal: this.selectedGoal ? this.selectedGoal.id : null,
                 isEditing: this.isEditing
             },
@@ -1441,6 +2444,7 @@ export default class GoalLibraryScene extends Phaser.Scene {
         this.actionButtonsGroup = null;
         this.addGoalModal = null;
         this.editGoalModal = null;
+        this.searchInput = null;
         
         // Clear any remaining data references
         this.currentFilter = null;
@@ -16,6 +16,7 @@
  */
 import { AudioManager } from '../utils/AudioManager.js';
 import { LayoutManager } from '../utils/LayoutManager.js';
+import { getDayStreak } from '../utils/CompletionLog.js';
 
 // ============================================================================
 // AI DEVELOPMENT NOTES - CRITICAL TIMING ISSUE RESOLVED
@@ -663,6 +664,8 @@ export default class MainMenuScene extends Phaser.Scene {
         this.game.events.on('goalsChanged', this.updateStateInfo, this);
         this.game.events.on('rewardsChanged', this.updateStateInfo, this);
         this.game.events.on('gameStateChanged', this.updateStateInfo, this);
+        this.game.events.on('pointsChanged', this.updateStateInfo, this);
+        this.game.events.on('completionLogChanged', this.updateStateInfo, this);
         this.game.events.on('dataChanged', this.updateSaveIndicator, this);
         this.game.events.on('dataSaved', this.updateSaveIndicator, this);
         
@@ -674,6 +677,15 @@ export default class MainMenuScene extends Phaser.Scene {
 
     onShutdown() {
         console.log('MainMenuScene: shutdown event received');
+        
+        // Game-level listeners outlive the scene, so remove them with it
+        this.game.events.off('goalsChanged', this.updateStateInfo, this);
+        this.game.events.off('rewardsChanged', this.updateStateInfo, this);
+        this.game.events.off('gameStateChanged', this.updateStateInfo, this);
+        this.game.events.off('pointsChanged', this.updateStateInfo, this);
+        this.game.events.off('completionLogChanged', this.updateStateInfo, this);
+        this.game.events.off('dataChanged', this.updateSaveIndicator, this);
+        this.game.events.off('dataSaved', this.updateSaveIndicator, this);
     }
 
     onPause() {
@@ -695,10 +707,13 @@ export default class MainMenuScene extends Phaser.Scene {
         const goals = this.game.appStateManager.getGoals();
         const rewards = this.game.appStateManager.getRewards();
         const gameState = this.game.appStateManager.getGameState();
+        const dayStreak = getDayStreak(this.game.appStateManager.getCompletionLog());
 
         const info = [
-            `Goals: ${goals?.length || 0} total`,
-            `Rewards: ${rewards?.length || 0} total`,
+            `Points: ${this.game.appStateManager.getPointsBalance()}`,
+            `Goals: ${goals?.length || 0} total (${this.game.appStateManager.getMetadata().totalGoalsCompleted || 0} completions)`,
+            `Day streak: ${dayStreak.current} (best ${dayStreak.best})`,
+            `Rewards: ${rewards?.length || 0} total (${this.game.appStateManager.getMetadata().totalRewardsClaimed || 0} claimed)`,
             `Wins: ${gameState?.totalWins || 0}`,
             `Streak: ${gameState?.currentStreak || 0}`
         ].join(' | ');
@@ -1023,6 +1038,8 @@ export default class MainMenuScene extends Phaser.Scene {
         this.game.events.off('goalsChanged', this.updateStateInfo, this);
         this.game.events.off('rewardsChanged', this.updateStateInfo, this);
         this.game.events.off('gameStateChanged', this.updateStateInfo, this);
+        this.game.events.off('pointsChanged', this.updateStateInfo, this);
+        this.game.events.off('completionLogChanged', this.updateStateInfo, this);
         this.game.events.off('dataChanged', this.updateSaveIndicator, this);
         this.game.events.off('dataSaved', this.updateSaveIndicator, this);
         
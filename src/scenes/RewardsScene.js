@@ -12,6 +12,9 @@
  * - game.events: Phaser's built-in event system
  */
 import { LayoutManager } from '../utils/LayoutManager.js';
+import { Achievement } from '../models/Achievement.js';
+import { RewardEditorModal } from '../components/RewardEditorModal.js';
+import { getCategoryPoints } from '../utils/PointRules.js';
 export default class RewardsScene extends Phaser.Scene {
     constructor() {
         super({ 
@@ -33,6 +36,9 @@ export default class RewardsScene extends Phaser.Scene {
         // Rewards data
         this.rewards = [];
         this.achievements = [];
+        this.rewardCardObjects = [];
+        this.rewardEditor = null;
+        this.balanceText = null;
         
         // Layout constants
         this.padding = 20;
@@ -120,9 +126,11 @@ export default class RewardsScene extends Phaser.Scene {
         // Create scene elements
         this.createBackground(width, height);
         this.createTitle(width, height);
+        this.createBalanceDisplay(width, height);
         this.loadRewardsData();
         this.createRewardsDisplay(width, height);
         this.createBackButton(width, height);
+        this.createAddRewardButton(width, height);
         
         // Set up scene state management
         this.setupSceneStateManagement();
@@ -164,6 +172,34 @@ export default class RewardsScene extends Phaser.Scene {
         this.mainContainer.add(title);
     }
 
+    createBalanceDisplay(width, height) {
+        // ============================================================================
+        // PHASER POINTS BALANCE: Show the points ledger balance under the title
+        // ============================================================================
+        // PHASER PATTERN: Text in uiContainer, refreshed with the reward cards
+        // - The balance and history come from game.appStateManager's points ledger
+        this.balanceText = this.add.text(width / 2, 120, '', {
+            fontSize: '18px',
+            fill: '#4CAF50',
+            fontStyle: 'bold',
+            align: 'center'
+        }).setOrigin(0.5);
+        this.uiContainer.add(this.balanceText);
+        
+        this.updateBalanceDisplay();
+    }
+
+    updateBalanceDisplay() {
+        if (!this.balanceText || !this.game.appStateManager) return;
+        
+        const balance = this.game.appStateManager.getPointsBalance();
+        const lastTransaction = this.game.appStateManager.getPointsHistory().slice(-1)[0];
+        const lastChange = lastTransaction
+            ? `\nLast: ${lastTransaction.amount > 0 ? '+' : ''}${lastTransaction.amount} - ${lastTransaction.description}`
+            : '';
+        this.balanceText.setText(`💰 Balance: ${balance} pts${lastChange}`);
+    }
+
     loadRewardsData() {
         // ============================================================================
         // PHASER REWARDS DATA LOADING: Load rewards from registry
@@ -182,13 +218,16 @@ export default class RewardsScene extends Phaser.Scene {
         const userRewards = this.game.registry.get('rewards') || [];
         
         // Convert user rewards to achievement format for display
+        // (clicking a user reward card opens it in the reward editor)
         this.rewards = userRewards.map((reward, index) => ({
             id: reward.id || `reward_${index}`,
             name: reward.description || 'Custom Reward',
-            description: `Reward: ${reward.description}`,
-            points: this.getRewardPoints(reward.category),
+            description: reward.claimed ? this.getClaimDescription(reward) : this.getAvailabilityDescription(reward),
+            points: reward.pointCost ?? this.getRewardPoints(reward.category),
             unlocked: reward.claimed || false,
-            category: reward.category || 'custom'
+            category: reward.category || 'custom',
+            isUserReward: true,
+            source: reward
         }));
         
         // Add default achievements if no achievements exist
@@ -197,33 +236,52 @@ export default class RewardsScene extends Phaser.Scene {
             this.initializeDefaultAchievements();
         }
         
-        // Add default achievements to rewards display
+        // Add achievements to rewards display (with their unlock date)
         this.achievements.forEach(achievement => {
-            this.rewards.push(achievement);
+            const unlockedOn = achievement.unlocked && achievement.unlockedAt
+                ? ` (unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()})`
+                : '';
+            this.rewards.push({
+                id: achievement.id,
+                name: achievement.name,
+                description: `${achievement.description}${unlockedOn}`,
+                points: achievement.points,
+                unlocked: achievement.unlocked
+            });
         });
         
         console.log('RewardsScene: Loaded rewards:', this.rewards.length, 'achievements:', this.achievements.length);
     }
 
+    getClaimDescription(reward) {
+        // Claims refer to the WinRecord of the bingo they were earned for
+        const winRecord = this.game.appStateManager ? this.game.appStateManager.getWinRecord(reward.claimedFor) : null;
+        const claimedOn = reward.claimedAt ? new Date(reward.claimedAt).toLocaleDateString() : 'earlier';
+        const forWin = winRecord ? ` for a ${winRecord.gridSize}x${winRecord.gridSize} bingo` : '';
+        return `Claimed ${claimedOn}${forWin}`;
+    }
+
+    getAvailabilityDescription(reward) {
+        // Quantity and cooldown come from the Reward model (plain objects fall back to one claim)
+        const remaining = typeof reward.getRemainingQuantity === 'function' ? reward.getRemainingQuantity() : 1;
+        const cooldown = typeof reward.getCooldownRemaining === 'function' ? reward.getCooldownRemaining() : 0;
+        
+        if (remaining === 0) {
+            return 'All claimed';
+        }
+        if (cooldown > 0) {
+            return `Available again in ${Math.ceil(cooldown)}h`;
+        }
+        return remaining === null ? 'Unlimited claims' : `${remaining} left to claim`;
+    }
+
     getRewardPoints(category) {
         // ============================================================================
-        // PHASER REWARD POINTS: Calculate points based on reward category
+        // PHASER REWARD POINTS: Default reward cost for a category
         // ============================================================================
-        // PHASER PATTERN: Simple utility method for reward point calculation
-        // - Different categories have different point values
-        // - Provides consistent point assignment across the system
-        // - Easy to modify point values in one place
-        
-        const pointValues = {
-            'treat': 5,
-            'entertainment': 8,
-            'rest': 10,
-            'achievement': 15,
-            'custom': 5,
-            'default': 5
-        };
-        
-        return pointValues[category] || pointValues['default'];
+        // PHASER PATTERN: Point values live in PointRules (pure logic)
+        // - Shared with ApplicationState, which charges them when a reward is claimed
+        return getCategoryPoints(category);
     }
 
     initializeDefaultRewards() {
@@ -289,59 +347,18 @@ export default class RewardsScene extends Phaser.Scene {
         // ============================================================================
         // PHASER DEFAULT ACHIEVEMENTS: Initialize default achievement system
         // ============================================================================
-        // PHASER PATTERN: Create default achievement data structure
-        // - Define clear achievement structure with id, name, description, points, unlocked
-        // - Use meaningful achievement names and descriptions
-        // - Set appropriate point values for different achievements
-        // - Save to registry for persistence
+        // PHASER PATTERN: Achievements live in ApplicationState and are unlocked by
+        // AchievementEngine - only seed them here if the state has none
+        // - Achievement.getDefaultAchievements() defines names, points and rules
+        // - Save through game.appStateManager so StorageManager persists them
         
-        this.achievements = [
-            { 
-                id: 'achievement_1', 
-                name: 'First Win', 
-                description: 'Complete your first bingo', 
-                points: 10, 
-                unlocked: false 
-            },
-            { 
-                id: 'achievement_2', 
-                name: 'Speed Demon', 
-                description: 'Complete a bingo in under 5 minutes', 
-                points: 25, 
-                unlocked: false 
-            },
-            { 
-                id: 'achievement_3', 
-                name: 'Perfect Game', 
-                description: 'Complete a bingo without any mistakes', 
-                points: 50, 
-                unlocked: false 
-            },
-            { 
-                id: 'achievement_4', 
-                name: 'Goal Master', 
-                description: 'Complete 10 goals in a single game', 
-                points: 30, 
-                unlocked: false 
-            },
-            { 
-                id: 'achievement_5', 
-                name: 'Consistent Player', 
-                description: 'Play 5 games in a row', 
-                points: 20, 
-                unlocked: false 
-            },
-            { 
-                id: 'achievement_6', 
-                name: 'Category Expert', 
-                description: 'Complete goals from all categories', 
-                points: 40, 
-                unlocked: false 
-            }
-        ];
+        this.achievements = Achievement.getDefaultAchievements();
         
-        // Save achievements to registry
-        this.game.registry.set('achievements', this.achievements);
+        if (this.game.appStateManager) {
+            this.game.appStateManager.updateAchievements(this.achievements);
+        } else {
+            this.game.registry.set('achievements', this.achievements);
+        }
         console.log('RewardsScene: Default achievements initialized:', this.achievements.length);
     }
 
@@ -423,12 +440,14 @@ export default class RewardsScene extends Phaser.Scene {
         const cardBg = this.add.rectangle(x, y, width, height, 0xffffff);
         cardBg.setStrokeStyle(2, reward.unlocked ? 0x4CAF50 : 0xcccccc);
         this.mainContainer.add(cardBg);
+        this.rewardCardObjects.push(cardBg);
         
         // Reward icon
         const icon = this.add.text(x - width/2 + 30, y, reward.unlocked ? '🏆' : '🔒', {
             fontSize: '32px'
         }).setOrigin(0.5);
         this.mainContainer.add(icon);
+        this.rewardCardObjects.push(icon);
         
         // Reward name
         const name = this.add.text(x - width/2 + 80, y - 20, reward.name, {
@@ -437,6 +456,7 @@ export default class RewardsScene extends Phaser.Scene {
             fontStyle: 'bold'
         });
         this.mainContainer.add(name);
+        this.rewardCardObjects.push(name);
         
         // Reward description
         const description = this.add.text(x - width/2 + 80, y + 5, reward.description, {
@@ -445,6 +465,7 @@ export default class RewardsScene extends Phaser.Scene {
             wordWrap: { width: width - 120 }
         });
         this.mainContainer.add(description);
+        this.rewardCardObjects.push(description);
         
         // Points
         const points = this.add.text(x + width/2 - 30, y, `${reward.points} pts`, {
@@ -453,6 +474,7 @@ export default class RewardsScene extends Phaser.Scene {
             fontStyle: 'bold'
         }).setOrigin(0.5);
         this.mainContainer.add(points);
+        this.rewardCardObjects.push(points);
         
         // Add interactivity
         cardBg.setInteractive();
@@ -468,11 +490,108 @@ export default class RewardsScene extends Phaser.Scene {
             cardBg.setStrokeStyle(2, reward.unlocked ? 0x4CAF50 : 0xcccccc);
         });
         
-        // Click handler
+        // Click handler - user rewards open in the editor
         cardBg.on('pointerdown', () => {
             console.log('Reward card clicked:', reward.name);
-            // TODO: Add reward details or interaction functionality
+            if (reward.isUserReward) {
+                this.openRewardEditor(reward.source);
+            }
+        });
+        
+        // Claimed user rewards get their own unclaim button
+        if (reward.isUserReward && reward.unlocked) {
+            const unclaimBtn = this.add.text(x + width/2 - 30, y + 30, '↩ Unclaim', {
+                fontSize: '12px',
+                fill: '#dc3545'
+            }).setOrigin(0.5);
+            unclaimBtn.setInteractive();
+            unclaimBtn.on('pointerdown', () => this.unclaimReward(reward));
+            this.mainContainer.add(unclaimBtn);
+            this.rewardCardObjects.push(unclaimBtn);
+        }
+    }
+
+    createAddRewardButton(width, height) {
+        // ============================================================================
+        // PHASER ADD REWARD BUTTON: Open the reward editor for a new reward
+        // ============================================================================
+        // PHASER PATTERN: Button in uiContainer, top-right of the scene
+        const addBtn = this.add.rectangle(width - 100, 50, 160, 40, 0x28a745);
+        addBtn.setStrokeStyle(2, 0x1e7e34);
+        addBtn.setInteractive();
+        
+        const addText = this.add.text(width - 100, 50, '+ Add Reward', {
+            fontSize: '16px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        
+        this.uiContainer.add(addBtn);
+        this.uiContainer.add(addText);
+        
+        addBtn.on('pointerdown', () => {
+            this.handleButtonClick(addBtn, () => this.openRewardEditor());
         });
+        addBtn.on('pointerover', () => addBtn.setFillStyle(0x218838));
+        addBtn.on('pointerout', () => addBtn.setFillStyle(0x28a745));
+    }
+
+    openRewardEditor(reward = null) {
+        // ============================================================================
+        // PHASER REWARD EDITOR: Add, edit or delete a user reward
+        // ============================================================================
+        // PHASER PATTERN: Modal component above the scene containers
+        // - Changes go through game.appStateManager so StorageManager persists them
+        // - The display is rebuilt from the registry after every change
+        if (this.rewardEditor || !this.game.appStateManager) return;
+        
+        const { centerX, centerY } = this.cameras.main;
+        this.rewardEditor = new RewardEditorModal(this, centerX, centerY, reward);
+        this.rewardEditor.setDepth(100);
+        
+        this.rewardEditor.on('rewardSaved', (rewardData, isEditMode) => {
+            const { id, ...fields } = rewardData;
+            const saved = isEditMode
+                ? this.game.appStateManager.updateReward(id, fields)
+                : this.game.appStateManager.addReward(fields);
+            console.log('RewardsScene: Reward saved:', saved ? saved.description : null);
+            this.refreshRewardsDisplay();
+        });
+        this.rewardEditor.on('rewardDeleted', (rewardId) => {
+            const removed = this.game.appStateManager.removeReward(rewardId);
+            console.log('RewardsScene: Reward deleted:', removed ? removed.description : null);
+            this.refreshRewardsDisplay();
+        });
+        this.rewardEditor.on('modalClosed', () => {
+            this.rewardEditor = null;
+        });
+    }
+
+    unclaimReward(reward) {
+        // ============================================================================
+        // PHASER REWARD UNCLAIM: Return a claimed reward to the pool
+        // ============================================================================
+        // PHASER PATTERN: Use game.appStateManager for domain changes
+        // - unclaimReward() updates the reward and metadata.totalRewardsClaimed
+        // - The registry change marks data dirty so StorageManager saves it
+        if (!this.game.appStateManager) return;
+        
+        const unclaimed = this.game.appStateManager.unclaimReward(reward.id);
+        if (unclaimed) {
+            console.log('RewardsScene: Reward unclaimed:', unclaimed.description);
+            this.refreshRewardsDisplay();
+        }
+    }
+
+    refreshRewardsDisplay() {
+        const { width, height } = this.cameras.main;
+        
+        this.rewardCardObjects.forEach(object => object.destroy());
+        this.rewardCardObjects = [];
+        
+        this.loadRewardsData();
+        this.createRewardsDisplay(width, height);
+        this.updateBalanceDisplay();
     }
 
     createBackButton(width, height) {
@@ -621,7 +740,10 @@ export default class RewardsScene extends Phaser.Scene {
         this.input.off('pointerdown', this.handleClick, this);
         
         // Clean up any custom resources
-        // (Add any custom cleanup here)
+        // (Reward card objects are destroyed with the display list)
+        this.rewardCardObjects = [];
+        this.rewardEditor = null;
+        this.balanceText = null;
         
         console.log('RewardsScene: Shutdown complete');
     }
@@ -0,0 +1,181 @@
+/**
+ * AchievementEngine - Rule-based achievement evaluation for Goal Bingo
+ *
+ * ARCHITECTURE NOTES:
+ * - Subscribes to game.events (goal completion, wins, new game, state import)
+ * - Evaluates each locked achievement's rule against GameState, the goal library,
+ *   the win history and the completion log, then unlocks it through game.appStateManager
+ * - Unlocks are persisted by StorageManager like any other registry change
+ * - Shows an unlock toast in the top-most active scene using this.add.* objects
+ *
+ * USAGE EXAMPLES:
+ * - const engine = new AchievementEngine(game); await engine.initialize();
+ * - engine.evaluate() // Returns the achievements unlocked by this check
+ */
+
+import { getDayStreak } from './CompletionLog.js';
+
+const SPEED_DEMON_TIME = 5 * 60 * 1000; // 5 minutes in milliseconds
+const HABIT_BUILDER_DAYS = 7;
+
+/**
+ * Achievement conditions keyed by Achievement.rule
+ * Each rule receives { gameState, goals, categories, winHistory, completionLog }
+ */
+export const ACHIEVEMENT_RULES = {
+    'first-win': ({ winHistory }) => winHistory.length > 0,
+    'speed-demon': ({ winHistory }) => winHistory.some(win =>
+        win.timeToComplete !== null && win.timeToComplete < SPEED_DEMON_TIME
+    ),
+    'perfect-game': ({ winHistory }) => winHistory.some(win => win.mistakes === 0),
+    'goal-master': ({ gameState }) => (gameState.cardGoalsCompleted || 0) >= 10,
+    'consistent-player': ({ gameState }) => (gameState.currentStreak || 0) >= 5,
+    'category-expert': ({ goals, categories }) => categories.length > 0 && categories.every(category =>
+        goals.some(goal => goal.lastCompletedAt && goal.categories.includes(category.id))
+    ),
+    'habit-builder': ({ completionLog }) => getDayStreak(completionLog).best >= HABIT_BUILDER_DAYS
+};
+
+export class AchievementEngine {
+    /**
+     * Creates an instance of AchievementEngine
+     *
+     * @param {Phaser.Game} game - Reference to the Phaser game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.isInitialized = false;
+
+        // game.events that can change an achievement's outcome
+        this.triggerEvents = ['goalCompleted', 'winRecorded', 'newGameStarted', 'stateImported'];
+    }
+
+    /**
+     * Subscribe to game events and catch up on achievements earned while locked
+     *
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        this.triggerEvents.forEach(eventName => {
+            this.game.events.on(eventName, this.evaluate, this);
+        });
+
+        this.evaluate();
+        this.isInitialized = true;
+    }
+
+    /**
+     * Build the data the rules are evaluated against
+     *
+     * @returns {Object} Rule context
+     */
+    getContext() {
+        const appStateManager = this.game.appStateManager;
+        return {
+            gameState: appStateManager.getGameState(),
+            goals: appStateManager.getGoals(),
+            categories: appStateManager.getCategories(),
+            winHistory: appStateManager.getWinHistory(),
+            completionLog: appStateManager.getCompletionLog()
+        };
+    }
+
+    /**
+     * Check every locked achievement and unlock those whose rule now passes
+     *
+     * @returns {Array} Achievements unlocked by this check
+     */
+    evaluate() {
+        const appStateManager = this.game.appStateManager;
+        if (!appStateManager || !appStateManager.getApplicationState()) return [];
+
+        const context = this.getContext();
+        const unlocked = [];
+
+        appStateManager.getAchievements().forEach(achievement => {
+            const rule = ACHIEVEMENT_RULES[achievement.rule];
+            if (achievement.unlocked || !rule) return;
+
+            try {
+                if (rule(context) && appStateManager.unlockAchievement(achievement.id)) {
+                    unlocked.push(achievement);
+                }
+            } catch (error) {
+                console.error(`AchievementEngine: Rule '${achievement.rule}' failed:`, error);
+            }
+        });
+
+        unlocked.forEach(achievement => {
+            console.log('AchievementEngine: Achievement unlocked:', achievement.name);
+            this.showToast(achievement);
+        });
+
+        return unlocked;
+    }
+
+    /**
+     * Get the scene rendered on top, if any
+     *
+     * @returns {Phaser.Scene|null} The active scene
+     */
+    getActiveScene() {
+        if (!this.game.scene || typeof this.game.scene.getScenes !== 'function') return null;
+
+        const scenes = this.game.scene.getScenes(true);
+        return scenes.length > 0 ? scenes[scenes.length - 1] : null;
+    }
+
+    /**
+     * Slide an unlock toast in at the top of the active scene
+     *
+     * @param {Achievement} achievement - The unlocked achievement
+     */
+    showToast(achievement) {
+        const scene = this.getActiveScene();
+        if (!scene) return;
+
+        const { width } = scene.cameras.main;
+        const toast = scene.add.container(width / 2, -50);
+        toast.setDepth(2000);
+
+        const background = scene.add.rectangle(0, 0, 380, 70, 0x333333, 0.92);
+        background.setStrokeStyle(2, 0xFFC107);
+
+        const title = scene.add.text(0, -14, '🏆 Achievement unlocked!', {
+            fontSize: '14px',
+            fill: '#FFC107',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+
+        const name = scene.add.text(0, 12, `${achievement.name} (+${achievement.points} pts)`, {
+            fontSize: '16px',
+            fill: '#ffffff'
+        }).setOrigin(0.5);
+
+        toast.add([background, title, name]);
+
+        scene.tweens.add({
+            targets: toast,
+            y: 50,
+            duration: 400,
+            ease: 'Back.easeOut',
+            hold: 2500,
+            yoyo: true,
+            onComplete: () => toast.destroy()
+        });
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        if (this.game && this.game.events) {
+            this.triggerEvents.forEach(eventName => {
+                this.game.events.off(eventName, this.evaluate, this);
+            });
+        }
+        this.isInitialized = false;
+    }
+}
+
+export default AchievementEngine;
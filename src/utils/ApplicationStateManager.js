@@ -8,6 +8,26 @@
  * @since 1.0.0
  */
 import { ApplicationState } from '../models/ApplicationState.js';
+import { CommandHistory, DEFAULT_HISTORY_LIMIT } from './CommandHistory.js';
+import { isGoalLocked } from './GoalPrerequisites.js';
+
+// ApplicationState keys each kind of undoable change touches
+const GOAL_HISTORY_KEYS = ['goalLibrary', 'trash'];
+const CATEGORY_HISTORY_KEYS = ['categories', 'goalLibrary'];
+// Marking a cell can complete goals, award points, record a win and unlock achievements
+// (rewards are claimed after the win, outside the command, so undo leaves them alone)
+export const CARD_HISTORY_KEYS = ['gameState', 'goalLibrary', 'pointsHistory', 'winHistory', 'achievements'];
+
+// ApplicationState key -> dataKeys entry used to push a restored value through game.registry
+const HISTORY_DATA_KEYS = {
+    goalLibrary: 'goals',
+    trash: 'trash',
+    categories: 'categories',
+    gameState: 'gameState',
+    winHistory: 'winHistory',
+    achievements: 'achievements',
+    pointsHistory: 'pointsHistory'
+};
 
 export class ApplicationStateManager {
     
@@ -21,13 +41,22 @@ export class ApplicationStateManager {
         this.appState = null;
         this.isInitialized = false;
         
+        // Undo/redo history - lives here so it survives scene switches
+        this.history = new CommandHistory({ limit: DEFAULT_HISTORY_LIMIT });
+        this.commandDepth = 0;
+        
         // Data keys for the application state
         this.dataKeys = {
             appState: 'appState',
             goals: 'goals',
+            trash: 'trash',
             rewards: 'rewards',
             categories: 'categories',
             gameState: 'gameState',
+            winHistory: 'winHistory',
+            achievements: 'achievements',
+            pointsHistory: 'pointsHistory',
+            completionLog: 'completionLog',
             settings: 'settings',
             metadata: 'metadata'
         };
@@ -42,6 +71,7 @@ export class ApplicationStateManager {
         try {
             if (loadedData) {
                 this.appState = ApplicationState.fromObject(loadedData);
+                this.appState.purgeExpiredTrash();
             } else {
                 this.appState = new ApplicationState();
                 this.appState.initializeDefaults();
@@ -50,9 +80,14 @@ export class ApplicationStateManager {
             // Store the application state in Phaser's game.registry
             this.game.registry.set(this.dataKeys.appState, this.appState);
             this.game.registry.set(this.dataKeys.goals, this.appState.goalLibrary);
+            this.game.registry.set(this.dataKeys.trash, this.appState.trash);
             this.game.registry.set(this.dataKeys.rewards, this.appState.rewards);
             this.game.registry.set(this.dataKeys.categories, this.appState.categories);
             this.game.registry.set(this.dataKeys.gameState, this.appState.gameState);
+            this.game.registry.set(this.dataKeys.winHistory, this.appState.winHistory);
+            this.game.registry.set(this.dataKeys.achievements, this.appState.achievements);
+            this.game.registry.set(this.dataKeys.pointsHistory, this.appState.pointsHistory);
+            this.game.registry.set(this.dataKeys.completionLog, this.appState.completionLog);
             this.game.registry.set(this.dataKeys.settings, this.appState.settings);
             this.game.registry.set(this.dataKeys.metadata, this.appState.metadata);
 
@@ -91,6 +126,9 @@ export class ApplicationStateManager {
                 case this.dataKeys.goals:
                     this.game.events.emit('goalsChanged', value, previousValue);
                     break;
+                case this.dataKeys.trash:
+                    this.game.events.emit('trashChanged', value, previousValue);
+                    break;
                 case this.dataKeys.rewards:
                     this.game.events.emit('rewardsChanged', value, previousValue);
                     break;
@@ -100,6 +138,18 @@ export class ApplicationStateManager {
                 case this.dataKeys.gameState:
                     this.game.events.emit('gameStateChanged', value, previousValue);
                     break;
+                case this.dataKeys.winHistory:
+                    this.game.events.emit('winHistoryChanged', value, previousValue);
+                    break;
+                case this.dataKeys.achievements:
+                    this.game.events.emit('achievementsChanged', value, previousValue);
+                    break;
+                case this.dataKeys.pointsHistory:
+                    this.game.events.emit('pointsChanged', this.getPointsBalance(), value);
+                    break;
+                case this.dataKeys.completionLog:
+                    this.game.events.emit('completionLogChanged', value, previousValue);
+                    break;
                 case this.dataKeys.settings:
                     this.game.events.emit('settingsChanged', value, previousValue);
                     break;
@@ -123,6 +173,9 @@ export class ApplicationStateManager {
             case this.dataKeys.goals:
                 this.appState.goalLibrary = value;
                 break;
+            case this.dataKeys.trash:
+                this.appState.trash = value;
+                break;
             case this.dataKeys.rewards:
                 this.appState.rewards = value;
                 break;
@@ -132,6 +185,18 @@ export class ApplicationStateManager {
             case this.dataKeys.gameState:
                 this.appState.gameState = value;
                 break;
+            case this.dataKeys.winHistory:
+                this.appState.winHistory = value;
+                break;
+            case this.dataKeys.achievements:
+                this.appState.achievements = value;
+                break;
+            case this.dataKeys.pointsHistory:
+                this.appState.pointsHistory = value;
+                break;
+            case this.dataKeys.completionLog:
+                this.appState.completionLog = value;
+                break;
             case this.dataKeys.settings:
                 this.appState.settings = value;
                 break;
@@ -163,6 +228,15 @@ export class ApplicationStateManager {
         return this.game.registry.get(this.dataKeys.goals) || [];
     }
     
+    /**
+     * Get the goals in the trash
+     * 
+     * @returns {Array} Array of deleted goals
+     */
+    getTrash() {
+        return this.game.registry.get(this.dataKeys.trash) || [];
+    }
+    
     /**
      * Get rewards
      * 
@@ -190,6 +264,129 @@ export class ApplicationStateManager {
         return this.game.registry.get(this.dataKeys.gameState) || {};
     }
     
+    /**
+     * Get win history
+     * 
+     * @returns {Array} Array of WinRecords, oldest first
+     */
+    getWinHistory() {
+        return this.game.registry.get(this.dataKeys.winHistory) || [];
+    }
+    
+    /**
+     * Get achievements
+     * 
+     * @returns {Array} Array of achievements
+     */
+    getAchievements() {
+        return this.game.registry.get(this.dataKeys.achievements) || [];
+    }
+    
+    /**
+     * Get the points ledger
+     * 
+     * @returns {Array} Array of PointsTransactions, oldest first
+     */
+    getPointsHistory() {
+        return this.game.registry.get(this.dataKeys.pointsHistory) || [];
+    }
+    
+    /**
+     * Get the completion log
+     * 
+     * @returns {Array} Array of CompletionRecords, oldest first
+     */
+    getCompletionLog() {
+        return this.game.registry.get(this.dataKeys.completionLog) || [];
+    }
+    
+    /**
+     * Get the current points balance
+     * 
+     * @returns {number} Points balance
+     */
+    getPointsBalance() {
+        return this.appState ? this.appState.getPointsBalance() : 0;
+    }
+    
+    /**
+     * Check if the points balance covers a reward
+     * 
+     * @param {Object} reward - Reward to check
+     * @returns {boolean} True if the reward can be paid for
+     */
+    canAffordReward(reward) {
+        return this.appState ? this.appState.canAffordReward(reward) : false;
+    }
+    
+    /**
+     * Earn or take back the points of a goal mark
+     * 
+     * @param {Object} goal - The marked goal
+     * @param {boolean} completed - True when marked, false when un-marked
+     * @returns {Object|null} The recorded transaction or null
+     */
+    recordGoalPoints(goal, completed) {
+        const transaction = completed
+            ? this.appState.awardGoalPoints(goal)
+            : this.appState.revokeGoalPoints(goal);
+        if (transaction) {
+            this.updatePointsHistory(this.appState.pointsHistory);
+        }
+        return transaction;
+    }
+    
+    /**
+     * Log a goal mark, or take back the goal's latest completion when un-marked
+     * The goal's completion count and dates are updated from the log
+     * 
+     * @param {Object} goal - The marked goal
+     * @param {boolean} completed - True when marked, false when un-marked
+     * @returns {Object|null} The appended CompletionRecord or null
+     */
+    recordGoalCompletion(goal, completed) {
+        const record = completed
+            ? this.appState.recordGoalCompletion(goal)
+            : this.appState.revokeGoalCompletion(goal);
+        if (record) {
+            this.updateCompletionLog(this.appState.completionLog);
+            this.updateMetadata(this.appState.metadata);
+        }
+        return record;
+    }
+    
+    /**
+     * Update the completion log and trigger events
+     * 
+     * @param {Array} completionLog - New completion log
+     */
+    updateCompletionLog(completionLog) {
+        this.game.registry.set(this.dataKeys.completionLog, completionLog);
+    }
+    
+    /**
+     * Earn the points of a bingo win's patterns
+     * 
+     * @param {WinRecord} winRecord - The recorded win
+     * @returns {Object|null} The recorded transaction or null
+     */
+    awardWinPoints(winRecord) {
+        const transaction = this.appState.awardWinPoints(winRecord);
+        if (transaction) {
+            this.updatePointsHistory(this.appState.pointsHistory);
+        }
+        return transaction;
+    }
+    
+    /**
+     * Update the points ledger and trigger events
+     * 
+     * @param {Array} pointsHistory - New points ledger
+     */
+    updatePointsHistory(pointsHistory) {
+        this.game.registry.set(this.dataKeys.pointsHistory, pointsHistory);
+    }
+    
     /**
      * Get settings
      * 
@@ -217,6 +414,15 @@ export class ApplicationStateManager {
         this.game.registry.set(this.dataKeys.goals, goals);
     }
     
+    /**
+     * Update the trash and trigger events
+     * 
+     * @param {Array} trash - New trash array
+     */
+    updateTrash(trash) {
+        this.game.registry.set(this.dataKeys.trash, trash);
+    }
+    
     /**
      * Update rewards and trigger events
      * 
@@ -255,6 +461,15 @@ export class ApplicationStateManager {
         }
     }
     
+    /**
+     * Update achievements and trigger events
+     * 
+     * @param {Array} achievements - New achievements array
+     */
+    updateAchievements(achievements) {
+        this.game.registry.set(this.dataKeys.achievements, achievements);
+    }
+    
     /**
      * Update settings and trigger events
      * 
@@ -264,16 +479,64 @@ export class ApplicationStateManager {
         this.game.registry.set(this.dataKeys.settings, settings);
     }
     
+    /**
+     * Get the saved goal library views
+     * 
+     * @returns {Array} Array of views ({ id, name, filters, sort })
+     */
+    getGoalViews() {
+        return this.getSettings().goalViews || [];
+    }
+    
+    /**
+     * Save the goal library filters and sort as a named view
+     * 
+     * @param {string} name - View name (replaces a view with the same name)
+     * @param {Object} filters - Filter set
+     * @param {string} sort - Sort order key
+     * @returns {Object} The saved view
+     */
+    saveGoalView(name, filters, sort) {
+        const view = this.appState.saveGoalView(name, filters, sort);
+        this.updateSettings(this.appState.settings);
+        return view;
+    }
+    
+    /**
+     * Remove a saved goal library view
+     * 
+     * @param {string} viewId - View ID to remove
+     * @returns {Object|null} The removed view or null
+     */
+    removeGoalView(viewId) {
+        const view = this.appState.removeGoalView(viewId);
+        if (view) {
+            this.updateSettings(this.appState.settings);
+        }
+        return view;
+    }
+    
+    /**
+     * Update metadata and trigger events
+     * 
+     * @param {Object} metadata - New metadata object
+     */
+    updateMetadata(metadata) {
+        this.game.registry.set(this.dataKeys.metadata, metadata);
+    }
+    
     /**
      * Add a goal
      * 
      * @param {Object} goalData - Goal data
-     * @returns {Object} The created goal
+     * @returns {Object|null} The created goal, or null if its prerequisites would make a loop
      */
     addGoal(goalData) {
-        const goal = this.appState.addGoal(goalData);
-        this.updateGoals(this.appState.goalLibrary);
-        return goal;
+        return this.recordCommand('Add goal', GOAL_HISTORY_KEYS, () => {
+            const goal = this.appState.addGoal(goalData);
+            this.updateGoals(this.appState.goalLibrary);
+            return goal;
+        });
     }
     
     /**
@@ -283,11 +546,77 @@ export class ApplicationStateManager {
      * @returns {Object|null} The removed goal or null
      */
     removeGoal(goalId) {
-        const goal = this.appState.removeGoal(goalId);
-        if (goal) {
-            this.updateGoals(this.appState.goalLibrary);
+        return this.recordCommand('Delete goal', GOAL_HISTORY_KEYS, () => {
+            const goal = this.appState.removeGoal(goalId);
+            if (goal) {
+                this.updateGoals(this.appState.goalLibrary);
+                this.updateTrash(this.appState.trash);
+            }
+            return goal;
+        });
+    }
+    
+    /**
+     * Restore a goal from the trash
+     * 
+     * @param {string} goalId - Trashed goal ID
+     * @returns {Object|null} The restored goal or null
+     */
+    restoreGoal(goalId) {
+        return this.recordCommand('Restore goal', GOAL_HISTORY_KEYS, () => {
+            const goal = this.appState.restoreGoal(goalId);
+            if (goal) {
+                this.updateGoals(this.appState.goalLibrary);
+                this.updateTrash(this.appState.trash);
+            }
+            return goal;
+        });
+    }
+    
+    /**
+     * Permanently delete goals from the trash
+     * 
+     * @param {Array} goalIds - Trashed goal IDs
+     * @returns {Array} The purged goals
+     */
+    purgeGoals(goalIds) {
+        return this.recordCommand('Delete forever', GOAL_HISTORY_KEYS, () => {
+            const goals = this.appState.purgeGoals(goalIds);
+            if (goals.length > 0) {
+                this.updateTrash(this.appState.trash);
+            }
+            return goals.length > 0 ? goals : null;
+        }) || [];
+    }
+    
+    /**
+     * Permanently delete everything in the trash
+     * 
+     * @returns {Array} The purged goals
+     */
+    emptyTrash() {
+        return this.purgeGoals(this.appState.trash.map(goal => goal.id));
+    }
+    
+    /**
+     * Set how many days deleted goals stay in the trash, purging any now past it
+     * 
+     * @param {number|null} days - Retention in days (null keeps them until emptied)
+     */
+    setTrashRetention(days) {
+        this.updateSettings({ ...this.appState.settings, trashRetentionDays: days });
+        if (this.appState.purgeExpiredTrash().length > 0) {
+            this.updateTrash(this.appState.trash);
         }
-        return goal;
+    }
+    
+    /**
+     * Turn the journal prompt after each mark on or off
+     * 
+     * @param {boolean} enabled - Ask for a journal entry when a cell is marked
+     */
+    setJournalPrompt(enabled) {
+        this.updateSettings({ ...this.appState.settings, journalPrompt: enabled });
     }
     
     /**
@@ -295,14 +624,205 @@ export class ApplicationStateManager {
      * 
      * @param {string} goalId - Goal ID to update
      * @param {Object} updates - Updates to apply
-     * @returns {Object|null} The updated goal or null
+     * @returns {Object|null} The updated goal, or null if it is missing or its prerequisites would make a loop
      */
     updateGoal(goalId, updates) {
-        const goal = this.appState.updateGoal(goalId, updates);
-        if (goal) {
-            this.updateGoals(this.appState.goalLibrary);
+        return this.recordCommand('Edit goal', GOAL_HISTORY_KEYS, () => {
+            const goal = this.appState.updateGoal(goalId, updates);
+            if (goal) {
+                this.updateGoals(this.appState.goalLibrary);
+            }
+            return goal;
+        });
+    }
+    
+    /**
+     * Apply the same updates to several goals as a single change
+     * 
+     * @param {Array} goalIds - Goal IDs to update
+     * @param {Object} updates - Updates to apply to each goal
+     * @returns {Array} The updated goals
+     */
+    bulkUpdateGoals(goalIds, updates) {
+        return this.recordCommand('Edit goals', GOAL_HISTORY_KEYS, () => {
+            const goals = this.appState.bulkUpdateGoals(goalIds, updates);
+            if (goals.length > 0) {
+                this.updateGoals(this.appState.goalLibrary);
+            }
+            return goals.length > 0 ? goals : null;
+        }) || [];
+    }
+    
+    /**
+     * Remove several goals as a single change (goals in play are skipped)
+     * 
+     * @param {Array} goalIds - Goal IDs to remove
+     * @returns {Array} The removed goals
+     */
+    bulkRemoveGoals(goalIds) {
+        return this.recordCommand('Delete goals', GOAL_HISTORY_KEYS, () => {
+            const goals = this.appState.bulkRemoveGoals(goalIds);
+            if (goals.length > 0) {
+                this.updateGoals(this.appState.goalLibrary);
+                this.updateTrash(this.appState.trash);
+            }
+            return goals.length > 0 ? goals : null;
+        }) || [];
+    }
+    
+    /**
+     * Reset several goals to to-do as a single change (goals in play are skipped)
+     * 
+     * @param {Array} goalIds - Goal IDs to reset
+     * @returns {Array} The reset goals
+     */
+    bulkResetGoals(goalIds) {
+        return this.recordCommand('Reset goals', GOAL_HISTORY_KEYS, () => {
+            const goals = this.appState.bulkResetGoals(goalIds);
+            if (goals.length > 0) {
+                this.updateGoals(this.appState.goalLibrary);
+            }
+            return goals.length > 0 ? goals : null;
+        }) || [];
+    }
+    
+    /**
+     * Archive several goals as a single change
+     * 
+     * @param {Array} goalIds - Goal IDs to archive
+     * @returns {Array} The archived goals
+     */
+    bulkArchiveGoals(goalIds) {
+        return this.recordCommand('Archive goals', GOAL_HISTORY_KEYS, () => {
+            const goals = this.appState.bulkArchiveGoals(goalIds);
+            if (goals.length > 0) {
+                this.updateGoals(this.appState.goalLibrary);
+            }
+            return goals.length > 0 ? goals : null;
+        }) || [];
+    }
+    
+    /**
+     * Bring several archived goals back as a single change
+     * 
+     * @param {Array} goalIds - Goal IDs to unarchive
+     * @returns {Array} The unarchived goals
+     */
+    bulkUnarchiveGoals(goalIds) {
+        return this.recordCommand('Unarchive goals', GOAL_HISTORY_KEYS, () => {
+            const goals = this.appState.bulkUnarchiveGoals(goalIds);
+            if (goals.length > 0) {
+                this.updateGoals(this.appState.goalLibrary);
+            }
+            return goals.length > 0 ? goals : null;
+        }) || [];
+    }
+    
+    /**
+     * Add a completion journal entry to a goal
+     * 
+     * @param {string} goalId - Goal ID
+     * @param {Object} entryData - { note, mood, durationMinutes, image }
+     * @returns {Object|null} The entry, or null if the goal is missing or the entry is empty
+     */
+    addJournalEntry(goalId, entryData) {
+        return this.recordCommand('Add journal entry', GOAL_HISTORY_KEYS, () => {
+            const entry = this.appState.addJournalEntry(goalId, entryData);
+            if (entry) {
+                this.updateGoals(this.appState.goalLibrary);
+            }
+            return entry;
+        });
+    }
+    
+    /**
+     * Remove a completion journal entry from a goal
+     * 
+     * @param {string} goalId - Goal ID
+     * @param {string} entryId - Entry ID
+     * @returns {Object|null} The removed entry or null
+     */
+    removeJournalEntry(goalId, entryId) {
+        return this.recordCommand('Delete journal entry', GOAL_HISTORY_KEYS, () => {
+            const entry = this.appState.removeJournalEntry(goalId, entryId);
+            if (entry) {
+                this.updateGoals(this.appState.goalLibrary);
+            }
+            return entry;
+        });
+    }
+    
+    /**
+     * Claim a reward for a bingo win
+     * 
+     * @param {string} rewardId - Reward ID to claim
+     * @param {string} winId - WinRecord ID the reward is claimed for
+     * @returns {Object|null} The claimed reward or null if it is not available or affordable
+     */
+    claimReward(rewardId, winId) {
+        const reward = this.appState.claimReward(rewardId, winId);
+        if (reward) {
+            this.updateRewards(this.appState.rewards);
+            this.updateMetadata(this.appState.metadata);
+            this.updatePointsHistory(this.appState.pointsHistory);
+            this.game.events.emit('rewardClaimed', reward, this.getWinRecord(winId));
+        }
+        return reward;
+    }
+    
+    /**
+     * Unclaim a reward
+     * 
+     * @param {string} rewardId - Reward ID to unclaim
+     * @returns {Object|null} The unclaimed reward or null if it was not claimed
+     */
+    unclaimReward(rewardId) {
+        const reward = this.appState.unclaimReward(rewardId);
+        if (reward) {
+            this.updateRewards(this.appState.rewards);
+            this.updateMetadata(this.appState.metadata);
+            this.updatePointsHistory(this.appState.pointsHistory);
+            this.game.events.emit('rewardUnclaimed', reward);
+        }
+        return reward;
+    }
+    
+    /**
+     * Unlock an achievement
+     * 
+     * @param {string} achievementId - Achievement ID to unlock
+     * @returns {Object|null} The unlocked achievement or null if already unlocked
+     */
+    unlockAchievement(achievementId) {
+        const achievement = this.appState.unlockAchievement(achievementId);
+        if (achievement) {
+            this.updateAchievements(this.appState.achievements);
+            this.game.events.emit('achievementUnlocked', achievement);
         }
-        return goal;
+        return achievement;
+    }
+    
+    /**
+     * Record a bingo win
+     * 
+     * @param {Object} winData - WinRecord data
+     * @returns {WinRecord} The created win record
+     */
+    addWinRecord(winData) {
+        const winRecord = this.appState.addWinRecord(winData);
+        this.game.registry.set(this.dataKeys.winHistory, this.appState.winHistory);
+        this.game.events.emit('winRecorded', winRecord);
+        return winRecord;
+    }
+    
+    /**
+     * Get a win record by id
+     * 
+     * @param {string} winId - WinRecord ID
+     * @returns {WinRecord|null} The win record or null
+     */
+    getWinRecord(winId) {
+        return this.appState ? this.appState.getWinRecord(winId) : null;
     }
     
     /**
@@ -317,6 +837,21 @@ export class ApplicationStateManager {
         return reward;
     }
     
+    /**
+     * Update a reward
+     * 
+     * @param {string} rewardId - Reward ID to update
+     * @param {Object} updates - Updates to apply
+     * @returns {Object|null} The updated reward or null
+     */
+    updateReward(rewardId, updates) {
+        const reward = this.appState.updateReward(rewardId, updates);
+        if (reward) {
+            this.updateRewards(this.appState.rewards);
+        }
+        return reward;
+    }
+    
     /**
      * Remove a reward
      * 
@@ -331,34 +866,191 @@ export class ApplicationStateManager {
         return reward;
     }
     
+    /**
+     * Add a category
+     * 
+     * @param {Object} categoryData - Category data
+     * @returns {Object} The created category
+     */
+    addCategory(categoryData) {
+        return this.recordCommand('Add category', CATEGORY_HISTORY_KEYS, () => {
+            const category = this.appState.addCategory(categoryData);
+            this.updateCategories(this.appState.categories);
+            return category;
+        });
+    }
+    
+    /**
+     * Update a category
+     * 
+     * @param {string} categoryId - Category ID to update
+     * @param {Object} updates - Updates to apply (name, color)
+     * @returns {Object|null} The updated category or null
+     */
+    updateCategory(categoryId, updates) {
+        return this.recordCommand('Edit category', CATEGORY_HISTORY_KEYS, () => {
+            const category = this.appState.updateCategory(categoryId, updates);
+            if (category) {
+                this.updateCategories(this.appState.categories);
+            }
+            return category;
+        });
+    }
+    
+    /**
+     * Delete a category, moving its goals to another category when given
+     * 
+     * @param {string} categoryId - Category ID to delete
+     * @param {string|null} targetCategoryId - Category that takes over its goals
+     * @returns {Object|null} The deleted category or null
+     */
+    deleteCategory(categoryId, targetCategoryId = null) {
+        return this.recordCommand('Delete category', CATEGORY_HISTORY_KEYS, () => {
+            const category = this.appState.deleteCategory(categoryId, targetCategoryId);
+            if (category) {
+                this.updateGoals(this.appState.goalLibrary);
+                this.updateCategories(this.appState.categories);
+            }
+            return category;
+        });
+    }
+    
+    // ============================================================================
+    // UNDO/REDO: Snapshot commands on a bounded CommandHistory
+    // ============================================================================
+    // Each command keeps before/after snapshots of the state keys it touches;
+    // undo and redo put a snapshot back and push it through game.registry, so the
+    // usual '...Changed' events (and saving) follow.
+    
+    /**
+     * Start a command whose changes finish later (e.g. after an animation)
+     * 
+     * @param {string} label - Shown in undo/redo messages
+     * @param {Array} stateKeys - ApplicationState keys the command changes
+     * @returns {Object|null} Pending command for commitCommand(), or null inside another command
+     */
+    beginCommand(label, stateKeys) {
+        if (!this.appState || this.commandDepth > 0) return null;
+        return { label, stateKeys, before: this.appState.captureSnapshot(stateKeys) };
+    }
+    
+    /**
+     * Finish a command started with beginCommand() and add it to the history
+     * 
+     * @param {Object|null} pending - Value returned by beginCommand()
+     */
+    commitCommand(pending) {
+        if (!pending) return;
+        
+        const after = this.appState.captureSnapshot(pending.stateKeys);
+        this.history.push({
+            label: pending.label,
+            undo: () => this.restoreSnapshot(pending.before),
+            redo: () => this.restoreSnapshot(after)
+        });
+        this.game.events.emit('historyChanged', this.history.getState());
+    }
+    
+    /**
+     * Run a change as one undoable command (nested commands join the outer one)
+     * 
+     * @param {string} label - Shown in undo/redo messages
+     * @param {Array} stateKeys - ApplicationState keys the action changes
+     * @param {Function} action - Applies the change; a falsy result records nothing
+     * @returns {any} The action's result
+     */
+    recordCommand(label, stateKeys, action) {
+        const pending = this.beginCommand(label, stateKeys);
+        
+        this.commandDepth++;
+        let result;
+        try {
+            result = action();
+        } finally {
+            this.commandDepth--;
+        }
+        
+        if (result) {
+            this.commitCommand(pending);
+        }
+        return result;
+    }
+    
+    /**
+     * Put a snapshot back and notify listeners through game.registry
+     */
+    restoreSnapshot(snapshot) {
+        const loggedBefore = this.appState.completionLog.length;
+        this.appState.restoreSnapshot(snapshot);
+        
+        Object.keys(snapshot).forEach(stateKey => {
+            this.game.registry.set(this.dataKeys[HISTORY_DATA_KEYS[stateKey]], this.appState[stateKey]);
+        });
+        
+        // The completion log is not restored - undo and redo append to it instead
+        if (this.appState.completionLog.length !== loggedBefore) {
+            this.updateCompletionLog(this.appState.completionLog);
+            this.updateMetadata(this.appState.metadata);
+        }
+        
+        // Category goal counts are recalculated for any goal change
+        if (!snapshot.categories) {
+            this.updateCategories(this.appState.categories);
+        }
+    }
+    
+    /**
+     * Undo the most recent command
+     * 
+     * @returns {Object|null} The undone command ({ label }) or null
+     */
+    undo() {
+        return this.applyHistory(() => this.history.undo(), 'undo');
+    }
+    
+    /**
+     * Redo the most recently undone command
+     * 
+     * @returns {Object|null} The redone command ({ label }) or null
+     */
+    redo() {
+        return this.applyHistory(() => this.history.redo(), 'redo');
+    }
+    
+    applyHistory(step, direction) {
+        if (!this.appState) return null;
+        
+        const command = step();
+        if (command) {
+            this.game.events.emit('historyRestored', command, direction);
+            this.game.events.emit('historyChanged', this.history.getState());
+        }
+        return command;
+    }
+    
+    /**
+     * Get undo/redo availability and labels
+     * 
+     * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel }
+     */
+    getHistoryState() {
+        return this.history.getState();
+    }
+    
     /**
      * Get available goals for grid population
      * 
+     * @param {Date} [now] - Time to check schedules against
      * @returns {Array} Array of available goals
      */
-    getAvailableGoals() {
+    getAvailableGoals(now = new Date()) {
         if (!this.appState) return [];
-        
-        // Get goals that are in 'to-do' state and available for use
+
+        // Goal.isAvailable() owns the availability rules: to-do goals, plus
+        // renewable goals whose cooldown or recurrence rule has come round again.
+        // Goals whose prerequisites are not completed yet stay locked.
         const goals = this.getGoals();
-        return goals.filter(goal => {
-            // Must be in 'to-do' state
-            if (goal.state !== 'to-do') return false;
-            
-            // If renewable, check cooldown
-            if (goal.isRenewable && goal.lastCompletedAt) {
-                const cooldownMs = goal.cooldownPeriod * 60 * 60 * 1000; // Convert hours to ms
-                const timeSinceCompletion = Date.now() - goal.lastCompletedAt.getTime();
-                return timeSinceCompletion >= cooldownMs;
-            }
-            
-            // If not renewable, check if it hasn't been completed yet
-            if (!goal.isRenewable) {
-                return !goal.completedAt;
-            }
-            
-            return true;
-        });
+        return goals.filter(goal => goal.isAvailable(now) && !isGoalLocked(goal, goals));
     }
     
     /**
@@ -396,11 +1088,21 @@ export class ApplicationStateManager {
      */
     importState(stateData) {
         this.appState = ApplicationState.fromObject(stateData);
+        this.appState.purgeExpiredTrash();
+        
+        // Snapshots from the old state must not be restored over the imported one
+        this.history.clear();
+        this.game.events.emit('historyChanged', this.history.getState());
         this.game.registry.set(this.dataKeys.appState, this.appState);
         this.game.registry.set(this.dataKeys.goals, this.appState.goalLibrary);
+        this.game.registry.set(this.dataKeys.trash, this.appState.trash);
         this.game.registry.set(this.dataKeys.rewards, this.appState.rewards);
         this.game.registry.set(this.dataKeys.categories, this.appState.categories);
         this.game.registry.set(this.dataKeys.gameState, this.appState.gameState);
+        this.game.registry.set(this.dataKeys.winHistory, this.appState.winHistory);
+        this.game.registry.set(this.dataKeys.achievements, this.appState.achievements);
+        this.game.registry.set(this.dataKeys.pointsHistory, this.appState.pointsHistory);
+        this.game.registry.set(this.dataKeys.completionLog, this.appState.completionLog);
         this.game.registry.set(this.dataKeys.settings, this.appState.settings);
         this.game.registry.set(this.dataKeys.metadata, this.appState.metadata);
         
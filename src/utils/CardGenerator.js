@@ -0,0 +1,243 @@
+/**
+ * CardGenerator - Deals bingo cards from the goal library
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - Deals unique goals only (a goal never appears in two cells)
+ * - Mixes difficulties to a configurable ratio using Goal.difficulty
+ * - Balances categories by preferring goals from the least-used categories
+ * - Seeded random number generator so a card can be reproduced from its seed
+ *
+ * USAGE EXAMPLES:
+ * - const generator = new CardGenerator({ difficultyRatio: { easy: 2, medium: 2, hard: 1 } });
+ * - const { seed, goals } = generator.generate(availableGoals, 25);
+ * - generator.generate(availableGoals, 25, { seed }) // Same goals, same order
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const UNCATEGORIZED = '__uncategorized__';
+
+export const DEFAULT_DIFFICULTY_RATIO = { easy: 0.4, medium: 0.4, hard: 0.2 };
+
+export class CardGenerator {
+    /**
+     * Creates an instance of CardGenerator
+     *
+     * @param {Object} options - Generator options
+     * @param {Object} options.difficultyRatio - Relative weights for easy/medium/hard goals
+     * @param {boolean} options.balanceCategories - Spread picks evenly across categories
+     * @param {string|number} options.seed - Default seed (a new one is created per card if omitted)
+     */
+    constructor(options = {}) {
+        this.difficultyRatio = { ...DEFAULT_DIFFICULTY_RATIO, ...(options.difficultyRatio || {}) };
+        this.balanceCategories = options.balanceCategories !== undefined ? options.balanceCategories : true;
+        this.seed = options.seed ?? null;
+    }
+
+    /**
+     * Create a new random seed
+     *
+     * @returns {string} Seed string
+     */
+    static createSeed() {
+        return Math.random().toString(36).substr(2, 8);
+    }
+
+    /**
+     * Deal goals for a card
+     *
+     * @param {Array} goals - Candidate goals (typically ApplicationStateManager.getAvailableGoals())
+     * @param {number} cellCount - Number of cells to fill
+     * @param {Object} options - Per-card options
+     * @param {string|number} options.seed - Seed to reproduce a card
+     * @param {Array} options.existingGoals - Goals already on the card (excluded, counted for balance)
+     * @returns {{seed: string|number, goals: Array}} The seed used and the dealt goals in cell order
+     */
+    generate(goals, cellCount, options = {}) {
+        const seed = options.seed ?? this.seed ?? CardGenerator.createSeed();
+        const random = createRandom(seed);
+        const existingGoals = (options.existingGoals || []).filter(goal => goal);
+
+        // Unique candidates only - drop duplicates and goals already on the card
+        const seenIds = new Set(existingGoals.map(goal => goal.id));
+        const candidates = [];
+        goals.forEach(goal => {
+            if (goal && !seenIds.has(goal.id)) {
+                seenIds.add(goal.id);
+                candidates.push(goal);
+            }
+        });
+
+        const targetCount = Math.max(0, Math.min(cellCount, candidates.length));
+        if (targetCount === 0) {
+            return { seed, goals: [] };
+        }
+
+        // Bucket shuffled candidates by difficulty
+        const buckets = {};
+        DIFFICULTIES.forEach(difficulty => {
+            buckets[difficulty] = [];
+        });
+        shuffle(candidates, random).forEach(goal => {
+            buckets[getDifficulty(goal)].push(goal);
+        });
+
+        // Shuffle the difficulty slots so difficulties are not grouped by position
+        const quotas = this.getDifficultyQuotas(targetCount, buckets);
+        const slots = [];
+        DIFFICULTIES.forEach(difficulty => {
+            for (let i = 0; i < quotas[difficulty]; i++) {
+                slots.push(difficulty);
+            }
+        });
+
+        const categoryCounts = new Map();
+        existingGoals.forEach(goal => countCategories(goal, categoryCounts));
+
+        const dealt = [];
+        shuffle(slots, random).forEach(difficulty => {
+            const bucket = buckets[difficulty];
+            const index = this.balanceCategories ? pickBalancedIndex(bucket, categoryCounts) : 0;
+            const [goal] = bucket.splice(index, 1);
+            countCategories(goal, categoryCounts);
+            dealt.push(goal);
+        });
+
+        return { seed, goals: dealt };
+    }
+
+    /**
+     * Split a card's cells between difficulties according to the ratio
+     *
+     * Uses the largest remainder method, then moves any shortfall (a difficulty
+     * without enough goals) to the difficulties that still have goals left.
+     *
+     * @param {number} targetCount - Number of goals to deal
+     * @param {Object} buckets - Candidate goals keyed by difficulty
+     * @returns {Object} Number of goals to deal per difficulty
+     */
+    getDifficultyQuotas(targetCount, buckets) {
+        const weights = DIFFICULTIES.map(difficulty => Math.max(0, Number(this.difficultyRatio[difficulty]) || 0));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        // An all-zero ratio falls back to an even split
+        const normalized = totalWeight > 0 ? weights : weights.map(() => 1);
+        const normalizedTotal = totalWeight > 0 ? totalWeight : DIFFICULTIES.length;
+
+        const exact = normalized.map(weight => (weight / normalizedTotal) * targetCount);
+        const quotas = exact.map(Math.floor);
+        let remaining = targetCount - quotas.reduce((sum, quota) => sum + quota, 0);
+
+        exact
+            .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+            .sort((a, b) => b.remainder - a.remainder)
+            .forEach(({ index }) => {
+                if (remaining > 0) {
+                    quotas[index]++;
+                    remaining--;
+                }
+            });
+
+        // Cap each quota at the goals available and hand the shortfall on
+        let shortfall = 0;
+        DIFFICULTIES.forEach((difficulty, index) => {
+            const available = buckets[difficulty].length;
+            if (quotas[index] > available) {
+                shortfall += quotas[index] - available;
+                quotas[index] = available;
+            }
+        });
+
+        const byWeight = DIFFICULTIES
+            .map((difficulty, index) => ({ difficulty, index, weight: normalized[index] }))
+            .sort((a, b) => b.weight - a.weight);
+        while (shortfall > 0) {
+            const next = byWeight.find(({ difficulty, index }) => quotas[index] < buckets[difficulty].length);
+            if (!next) break;
+            quotas[next.index]++;
+            shortfall--;
+        }
+
+        const result = {};
+        DIFFICULTIES.forEach((difficulty, index) => {
+            result[difficulty] = quotas[index];
+        });
+        return result;
+    }
+}
+
+/**
+ * Normalize a goal's difficulty to one of the known levels
+ */
+function getDifficulty(goal) {
+    return DIFFICULTIES.includes(goal.difficulty) ? goal.difficulty : 'medium';
+}
+
+/**
+ * Get a goal's category ids (uncategorized goals share a bucket)
+ */
+function getCategories(goal) {
+    return goal.categories && goal.categories.length > 0 ? goal.categories : [UNCATEGORIZED];
+}
+
+/**
+ * Add a goal's categories to the running category counts
+ */
+function countCategories(goal, categoryCounts) {
+    getCategories(goal).forEach(categoryId => {
+        categoryCounts.set(categoryId, (categoryCounts.get(categoryId) || 0) + 1);
+    });
+}
+
+/**
+ * Find the goal whose most-used category has been used the least so far
+ * (ties keep the shuffled order, so the seed still decides)
+ */
+function pickBalancedIndex(bucket, categoryCounts) {
+    let bestIndex = 0;
+    let bestScore = Infinity;
+    bucket.forEach((goal, index) => {
+        const score = Math.max(...getCategories(goal).map(categoryId => categoryCounts.get(categoryId) || 0));
+        if (score < bestScore) {
+            bestScore = score;
+            bestIndex = index;
+        }
+    });
+    return bestIndex;
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ */
+function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Create a seeded random number generator returning floats in [0, 1)
+ * (FNV-1a string hash feeding a mulberry32 generator)
+ */
+function createRandom(seed) {
+    let hash = 2166136261;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+
+    let state = hash >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export default CardGenerator;
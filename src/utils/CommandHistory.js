@@ -0,0 +1,114 @@
+/**
+ * CommandHistory - Bounded undo/redo stack of commands
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - A command is { label, undo(), redo() } and is pushed AFTER it has been applied
+ * - Pushing a new command drops the redo stack (history is linear)
+ * - The oldest commands are forgotten once the limit is reached
+ * - ApplicationStateManager owns the game's history, so it survives scene switches
+ *
+ * USAGE EXAMPLES:
+ * - history.push({ label: 'Delete goal', undo: () => restore(before), redo: () => restore(after) })
+ * - history.undo() // Returns the undone command, or null when there is nothing to undo
+ * - getHistoryShortcut(keyboardEvent) // 'undo', 'redo' or null
+ */
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+export class CommandHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || DEFAULT_HISTORY_LIMIT;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Add an already-applied command
+     *
+     * @param {Object} command - { label, undo(), redo() }
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.splice(0, this.undoStack.length - this.limit);
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Undo the most recent command
+     *
+     * @returns {Object|null} The undone command
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            return null;
+        }
+        command.undo();
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone command
+     *
+     * @returns {Object|null} The redone command
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            return null;
+        }
+        command.redo();
+        this.undoStack.push(command);
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Labels of the next undo/redo, for menus and messages
+     */
+    getState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null,
+            redoLabel: this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null
+        };
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+/**
+ * Map a keyboard event to a history action: Ctrl/Cmd+Z undoes,
+ * Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes
+ *
+ * @param {KeyboardEvent} event - Key down event
+ * @returns {string|null} 'undo', 'redo' or null
+ */
+export function getHistoryShortcut(event) {
+    if (!event || !(event.ctrlKey || event.metaKey)) {
+        return null;
+    }
+    const key = (event.key || '').toLowerCase();
+    if (key === 'z') {
+        return event.shiftKey ? 'redo' : 'undo';
+    }
+    if (key === 'y' && !event.shiftKey) {
+        return 'redo';
+    }
+    return null;
+}
@@ -0,0 +1,151 @@
+/**
+ * CompletionLog - Reading the append-only log of goal completions
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - ApplicationState.completionLog holds CompletionRecords, oldest first, and is
+ *   only ever appended to: un-marking a cell adds a 'revoked' entry pointing at
+ *   the completion it takes back, like a reversing points transaction
+ * - Goal.completionCount, lastCompletedAt and recentCompletions are derived from
+ *   the log (ApplicationState.syncGoalCompletions), so cooldowns, recurrence rules
+ *   and "most completed" sorting all read it
+ * - Saves from before the log are migrated from those goal fields on load; when a
+ *   save only kept a count, the completions without a date get completedAt null
+ *
+ * USAGE EXAMPLES:
+ * - getLiveCompletions(appState.completionLog, goal.id) // Completions still standing
+ * - getCompletionDates(appState.completionLog, goal.id) // Their dates, oldest first
+ * - getDayStreak(appState.completionLog, new Date()) // { current: 3, best: 9 }
+ * - buildMigratedLog(appState.goalLibrary) // Records for a save without a log
+ */
+
+import { getZonedDay } from './RecurrenceRule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Completions that have not been revoked
+ *
+ * @param {Array} log - CompletionRecords, oldest first
+ * @param {string} [goalId] - Only this goal's completions (all goals when omitted)
+ * @returns {Array} Completion records, oldest first
+ */
+export function getLiveCompletions(log, goalId = null) {
+    const revokedIds = new Set(log.filter(record => record.type === 'revoked').map(record => record.revokesId));
+    return log.filter(record =>
+        record.type === 'completed' &&
+        !revokedIds.has(record.id) &&
+        (goalId === null || record.goalId === goalId)
+    );
+}
+
+/**
+ * Live completions grouped by goal, in one pass over the log
+ *
+ * @param {Array} log - CompletionRecords
+ * @returns {Map} goalId -> completion records, oldest first
+ */
+export function getCompletionsByGoal(log) {
+    const byGoal = new Map();
+    getLiveCompletions(log).forEach(record => {
+        if (!byGoal.has(record.goalId)) {
+            byGoal.set(record.goalId, []);
+        }
+        byGoal.get(record.goalId).push(record);
+    });
+    return byGoal;
+}
+
+/**
+ * Dated completions of a set of records, oldest first
+ *
+ * @param {Array} records - Completion records
+ * @returns {Array} Dates
+ */
+export function toCompletionDates(records) {
+    return records
+        .filter(record => record.completedAt)
+        .map(record => new Date(record.completedAt))
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Dates of a goal's live completions (migrated completions without a date are left out)
+ *
+ * @param {Array} log - CompletionRecords
+ * @param {string} goalId - Goal id
+ * @returns {Array} Dates, oldest first
+ */
+export function getCompletionDates(log, goalId) {
+    return toCompletionDates(getLiveCompletions(log, goalId));
+}
+
+/**
+ * The completion an un-mark takes back - the goal's latest live one
+ *
+ * @param {Array} log - CompletionRecords
+ * @param {string} goalId - Goal id
+ * @returns {Object|null} The record, or null if the goal has none
+ */
+export function findRevocableCompletion(log, goalId) {
+    const completions = getLiveCompletions(log, goalId);
+    return completions.length > 0 ? completions[completions.length - 1] : null;
+}
+
+/**
+ * Days in a row with at least one completion
+ *
+ * @param {Array} log - CompletionRecords
+ * @param {Date} [now] - Current time
+ * @param {string} [timeZone] - IANA time zone for day boundaries (browser zone when omitted)
+ * @returns {Object} { current, best } - current still counts until a day is missed
+ */
+export function getDayStreak(log, now = new Date(), timeZone) {
+    const toDayNumber = (date) => {
+        const { year, month, day } = getZonedDay(date, timeZone);
+        return Date.UTC(year, month - 1, day) / DAY_MS;
+    };
+
+    const days = [...new Set(getLiveCompletions(log)
+        .filter(record => record.completedAt)
+        .map(record => toDayNumber(new Date(record.completedAt))))]
+        .sort((a, b) => a - b);
+
+    let best = 0;
+    let run = 0;
+    days.forEach((day, index) => {
+        run = index > 0 && day === days[index - 1] + 1 ? run + 1 : 1;
+        best = Math.max(best, run);
+    });
+
+    // Today without a completion yet does not break the streak
+    const lastDay = days[days.length - 1];
+    const current = lastDay !== undefined && toDayNumber(now) - lastDay <= 1 ? run : 0;
+    return { current, best };
+}
+
+/**
+ * Completion records for a save made before the log existed
+ *
+ * @param {Array} goals - Goals (library and trash) with their saved completion fields
+ * @returns {Array} Record data, oldest first - undated completions come before dated ones
+ */
+export function buildMigratedLog(goals) {
+    const undated = [];
+    const dated = [];
+
+    goals.forEach(goal => {
+        const dates = (goal.recentCompletions || []).map(date => new Date(date));
+        const missing = Math.max(0, (goal.completionCount || 0) - dates.length);
+
+        for (let i = 0; i < missing; i++) {
+            undated.push({ goalId: goal.id, goalText: goal.text, completedAt: null });
+        }
+        dates.forEach(completedAt => {
+            dated.push({ goalId: goal.id, goalText: goal.text, completedAt, recordedAt: completedAt });
+        });
+    });
+
+    dated.sort((a, b) => a.completedAt - b.completedAt);
+    return [...undated, ...dated];
+}
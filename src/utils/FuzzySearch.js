@@ -0,0 +1,160 @@
+/**
+ * FuzzySearch - Fuzzy goal search for the goal library
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - A term matches a field as a substring (best) or as an in-order subsequence of
+ *   its characters; widely scattered subsequences are rejected
+ * - Every whitespace-separated term must match the goal's text, description or one
+ *   of its category names
+ * - Matched character indexes are returned so the scene can highlight them
+ *
+ * USAGE EXAMPLES:
+ * - fuzzyMatch('exr', 'Exercise') // { score, indices: [0, 1, 3] }
+ * - searchGoals(goals, 'read hob', categories) // [{ goal, score, matches }], best first
+ * - getHighlightSegments('Exercise', [0, 1]) // [{ text: 'Ex', highlighted: true }, ...]
+ */
+
+// Title matches rank above description and category matches
+const FIELD_WEIGHTS = { text: 1.5, description: 1, categories: 1 };
+
+function isWordStart(text, index) {
+    return index === 0 || /[\s\-_/]/.test(text[index - 1]);
+}
+
+/**
+ * Match a single term against a piece of text
+ *
+ * @param {string} query - Search term
+ * @param {string} text - Text to search in
+ * @returns {Object|null} { score, indices } or null when it does not match
+ */
+export function fuzzyMatch(query, text) {
+    const needle = (query || '').toLowerCase();
+    const haystack = (text || '').toLowerCase();
+    if (!needle) {
+        return { score: 0, indices: [] };
+    }
+
+    // Substring matches beat any subsequence match
+    const start = haystack.indexOf(needle);
+    if (start !== -1) {
+        return {
+            score: 100 + needle.length * 2 + (isWordStart(haystack, start) ? 10 : 0),
+            indices: Array.from({ length: needle.length }, (_, offset) => start + offset)
+        };
+    }
+
+    let score = 0;
+    let previous = -2;
+    let from = 0;
+    const indices = [];
+
+    for (const character of needle) {
+        const found = haystack.indexOf(character, from);
+        if (found === -1) {
+            return null;
+        }
+        score += found === previous + 1 ? 5 : 1;
+        if (isWordStart(haystack, found)) {
+            score += 3;
+        }
+        indices.push(found);
+        previous = found;
+        from = found + 1;
+    }
+
+    // Characters spread far apart are probably a coincidence
+    const gaps = indices[indices.length - 1] - indices[0] + 1 - needle.length;
+    score -= gaps * 0.5;
+
+    return score > 0 ? { score, indices } : null;
+}
+
+/**
+ * Search goals by text, description and category names
+ *
+ * @param {Array} goals - Goals to search
+ * @param {string} query - Search query (whitespace-separated terms)
+ * @param {Array} categories - Categories used to resolve goal category ids to names
+ * @returns {Array} [{ goal, score, matches: { text, description, categories } }], best first
+ */
+export function searchGoals(goals, query, categories = []) {
+    const terms = (query || '').trim().split(/\s+/).filter(term => term);
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+    const results = [];
+    goals.forEach((goal, order) => {
+        const names = (goal.categories || []).map(id => categoryNames.get(id) || id);
+        const fields = [
+            { field: 'text', value: goal.text },
+            { field: 'description', value: goal.description },
+            ...names.map(name => ({ field: 'categories', value: name }))
+        ];
+        const matches = { text: new Set(), description: new Set(), categories: new Set() };
+        let score = 0;
+
+        const allTermsMatch = terms.every(term => {
+            let best = null;
+            fields.forEach(({ field, value }) => {
+                const match = fuzzyMatch(term, value);
+                if (match && (!best || match.score * FIELD_WEIGHTS[field] > best.score)) {
+                    best = { field, value, indices: match.indices, score: match.score * FIELD_WEIGHTS[field] };
+                }
+            });
+            if (!best) {
+                return false;
+            }
+
+            score += best.score;
+            if (best.field === 'categories') {
+                matches.categories.add(best.value);
+            } else {
+                best.indices.forEach(index => matches[best.field].add(index));
+            }
+            return true;
+        });
+
+        if (allTermsMatch) {
+            results.push({
+                goal,
+                score,
+                order,
+                matches: {
+                    text: [...matches.text].sort((a, b) => a - b),
+                    description: [...matches.description].sort((a, b) => a - b),
+                    categories: [...matches.categories]
+                }
+            });
+        }
+    });
+
+    // Best score first; ties keep the library order
+    return results
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(({ order, ...result }) => result);
+}
+
+/**
+ * Split text into highlighted and plain runs
+ *
+ * @param {string} text - Text to split
+ * @param {Array} indices - Character indexes to highlight
+ * @returns {Array} [{ text, highlighted }]
+ */
+export function getHighlightSegments(text, indices = []) {
+    const highlighted = new Set(indices);
+    const segments = [];
+
+    (text || '').split('').forEach((character, index) => {
+        const isHighlighted = highlighted.has(index);
+        const last = segments[segments.length - 1];
+        if (last && last.highlighted === isHighlighted) {
+            last.text += character;
+        } else {
+            segments.push({ text: character, highlighted: isHighlighted });
+        }
+    });
+
+    return segments;
+}
@@ -0,0 +1,86 @@
+/**
+ * GoalDeadlines - Due dates for goals on the card and what happens when they pass
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - Goal.getDueAt() combines a fixed due date with a "due within N hours of being
+ *   placed" limit (counted from Goal.movedToInPlayAt); the earlier one wins
+ * - The expiry policy is chosen per card and saved in GameState.expiryPolicy
+ * - 'miss' records the goal in GameState.missedGoals, which ends the win streak
+ *
+ * POLICIES:
+ * - 'flag' // Overdue cells are only flagged
+ * - 'swap' // Overdue goals go back to the library and fresh goals take their cells
+ * - 'miss' // As 'swap', but each one is counted as a missed goal
+ *
+ * USAGE EXAMPLES:
+ * - normalizeExpiryPolicy(saved.expiryPolicy) // 'flag' for older saves
+ * - getNextExpiryPolicy('flag') // 'swap' (the policy button cycles)
+ * - formatTimeLeft(goal.getDueAt(), new Date()) // '⏰ 3h', or '⏰ Overdue'
+ */
+
+export const EXPIRY_POLICIES = [
+    { key: 'flag', label: 'Flag only' },
+    { key: 'swap', label: 'Swap out' },
+    { key: 'miss', label: 'Count as miss' }
+];
+
+export const DEFAULT_EXPIRY_POLICY = 'flag';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Check a stored policy, falling back to flagging only
+ *
+ * @param {string} policy - Policy key
+ * @returns {string} A valid policy key
+ */
+export function normalizeExpiryPolicy(policy) {
+    return EXPIRY_POLICIES.some(option => option.key === policy) ? policy : DEFAULT_EXPIRY_POLICY;
+}
+
+/**
+ * Get the policy after the given one in EXPIRY_POLICIES
+ *
+ * @param {string} policy - Policy key
+ * @returns {string} Next policy key (wraps around)
+ */
+export function getNextExpiryPolicy(policy) {
+    const index = EXPIRY_POLICIES.findIndex(option => option.key === normalizeExpiryPolicy(policy));
+    return EXPIRY_POLICIES[(index + 1) % EXPIRY_POLICIES.length].key;
+}
+
+/**
+ * Get the display label of a policy
+ *
+ * @param {string} policy - Policy key
+ * @returns {string} Label
+ */
+export function getExpiryPolicyLabel(policy) {
+    return EXPIRY_POLICIES.find(option => option.key === normalizeExpiryPolicy(policy)).label;
+}
+
+/**
+ * Short countdown for a cell
+ *
+ * @param {Date|null} dueAt - From Goal.getDueAt()
+ * @param {Date} [now] - Current time
+ * @returns {string} e.g. '⏰ 45m', '⏰ 3h', '⏰ 2d' or '⏰ Overdue' (empty without a deadline)
+ */
+export function formatTimeLeft(dueAt, now = new Date()) {
+    if (!dueAt) {
+        return '';
+    }
+
+    const remaining = dueAt.getTime() - now.getTime();
+    if (remaining <= 0) {
+        return '⏰ Overdue';
+    }
+    if (remaining < HOUR_MS) {
+        return `⏰ ${Math.max(1, Math.floor(remaining / 60000))}m`;
+    }
+    if (remaining < 48 * HOUR_MS) {
+        return `⏰ ${Math.floor(remaining / HOUR_MS)}h`;
+    }
+    return `⏰ ${Math.floor(remaining / (24 * HOUR_MS))}d`;
+}
@@ -0,0 +1,166 @@
+/**
+ * GoalFilters - Composable filters and sort orders for the goal library
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - A filter set is a plain object, so it can be saved as a named view in settings
+ * - Every filter is optional; empty lists and 'all' mean "don't filter on this"
+ * - All active filters must pass (they combine with AND, list values with OR)
+ * - Archived goals only show up under the 'archived' state
+ *
+ * USAGE EXAMPLES:
+ * - applyGoalFilters(goals, { ...DEFAULT_GOAL_FILTERS, difficulties: ['hard'], cooldown: 'available' })
+ * - sortGoals(goals, 'longest-idle')
+ * - countActiveFilters(filters) // Number shown on the filters button
+ */
+
+export const DEFAULT_GOAL_FILTERS = {
+    state: 'all', // 'all', 'to-do', 'in-play', 'completed', 'archived'
+    categories: [], // Category ids (goal has any of them)
+    difficulties: [], // 'easy', 'medium', 'hard'
+    renewable: 'all', // 'all', 'renewable', 'one-off'
+    cooldown: 'all', // 'all', 'available', 'cooling-down'
+    createdFrom: null, // 'YYYY-MM-DD', inclusive
+    createdTo: null // 'YYYY-MM-DD', inclusive
+};
+
+export const SORT_OPTIONS = [
+    { key: 'library', label: 'Library order' },
+    { key: 'alphabetical', label: 'Alphabetical' },
+    { key: 'newest', label: 'Newest first' },
+    { key: 'most-completed', label: 'Most completed' },
+    { key: 'longest-idle', label: 'Longest idle' }
+];
+
+export const DEFAULT_SORT = 'library';
+
+/**
+ * Fill in missing filter keys (e.g. from an older saved view)
+ *
+ * @param {Object} filters - Partial filter set
+ * @returns {Object} Complete filter set
+ */
+export function normalizeGoalFilters(filters = {}) {
+    return {
+        ...DEFAULT_GOAL_FILTERS,
+        ...filters,
+        categories: [...(filters.categories || [])],
+        difficulties: [...(filters.difficulties || [])]
+    };
+}
+
+/**
+ * Count the filters that narrow the list
+ *
+ * @param {Object} filters - Filter set
+ * @returns {number} Number of active filters
+ */
+export function countActiveFilters(filters) {
+    const normalized = normalizeGoalFilters(filters);
+    return [
+        normalized.state !== 'all',
+        normalized.categories.length > 0,
+        normalized.difficulties.length > 0,
+        normalized.renewable !== 'all',
+        normalized.cooldown !== 'all',
+        !!normalized.createdFrom,
+        !!normalized.createdTo
+    ].filter(Boolean).length;
+}
+
+function parseDay(day, endOfDay) {
+    if (!day) {
+        return null;
+    }
+    const date = new Date(`${day}T00:00:00`);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    if (endOfDay) {
+        date.setHours(23, 59, 59, 999);
+    }
+    return date;
+}
+
+/**
+ * Keep the goals that pass every active filter
+ *
+ * @param {Array} goals - Goals to filter
+ * @param {Object} filters - Filter set (see DEFAULT_GOAL_FILTERS)
+ * @returns {Array} Matching goals, in their original order
+ */
+export function applyGoalFilters(goals, filters) {
+    const normalized = normalizeGoalFilters(filters);
+    const createdFrom = parseDay(normalized.createdFrom, false);
+    const createdTo = parseDay(normalized.createdTo, true);
+
+    return goals.filter(goal => {
+        if (normalized.state === 'archived') {
+            if (!goal.archived) {
+                return false;
+            }
+        } else if (goal.archived || (normalized.state !== 'all' && goal.state !== normalized.state)) {
+            return false;
+        }
+        if (normalized.categories.length > 0 &&
+            !normalized.categories.some(categoryId => (goal.categories || []).includes(categoryId))) {
+            return false;
+        }
+        if (normalized.difficulties.length > 0 && !normalized.difficulties.includes(goal.difficulty)) {
+            return false;
+        }
+        if (normalized.renewable === 'renewable' && !goal.isRenewable) {
+            return false;
+        }
+        if (normalized.renewable === 'one-off' && goal.isRenewable) {
+            return false;
+        }
+        if (normalized.cooldown !== 'all') {
+            const coolingDown = goal.getCooldownRemaining() > 0;
+            if ((normalized.cooldown === 'cooling-down') !== coolingDown) {
+                return false;
+            }
+        }
+        const createdAt = new Date(goal.createdAt);
+        if (createdFrom && createdAt < createdFrom) {
+            return false;
+        }
+        if (createdTo && createdAt > createdTo) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Time a goal has gone without being completed (never-completed goals count
+ * from when they were created)
+ */
+function getIdleSince(goal) {
+    return new Date(goal.lastCompletedAt || goal.createdAt).getTime();
+}
+
+const COMPARATORS = {
+    alphabetical: (a, b) => (a.text || '').localeCompare(b.text || '', undefined, { sensitivity: 'base' }),
+    newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+    'most-completed': (a, b) => (b.completionCount || 0) - (a.completionCount || 0),
+    'longest-idle': (a, b) => getIdleSince(a) - getIdleSince(b)
+};
+
+/**
+ * Sort goals by a SORT_OPTIONS key (ties keep the original order)
+ *
+ * @param {Array} goals - Goals to sort
+ * @param {string} sortKey - Sort order key
+ * @returns {Array} A sorted copy
+ */
+export function sortGoals(goals, sortKey) {
+    const comparator = COMPARATORS[sortKey];
+    if (!comparator) {
+        return [...goals];
+    }
+    return goals
+        .map((goal, order) => ({ goal, order }))
+        .sort((a, b) => comparator(a.goal, b.goal) || a.order - b.order)
+        .map(({ goal }) => goal);
+}
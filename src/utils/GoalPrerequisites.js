@@ -0,0 +1,103 @@
+/**
+ * GoalPrerequisites - Unlock chains between goals (e.g. "Run 1 km" before "Run 5 km")
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - A goal keeps the ids of its prerequisites in Goal.prerequisites
+ * - A prerequisite is met once it has been completed at least once, so renewable
+ *   prerequisites do not lock their followers again when they come back round
+ * - Ids that are not in the goal list (deleted goals) never block
+ * - Links that would make a loop are rejected when a goal is saved
+ *
+ * USAGE EXAMPLES:
+ * - getBlockingGoals(run5k, goalLibrary) // [run1k] until "Run 1 km" is completed
+ * - goals.filter(goal => !isGoalLocked(goal, goals)) // Goals a card can use
+ * - findPrerequisiteCycle(run1k.id, [run5k.id], goalLibrary) // [run1k.id, run5k.id, run1k.id]
+ */
+
+/**
+ * Check if a goal counts as done for the goals that depend on it
+ *
+ * @param {Object} goal - Goal model
+ * @returns {boolean} True once it has been completed
+ */
+export function isPrerequisiteMet(goal) {
+    return goal.completionCount > 0 || goal.state === 'completed';
+}
+
+/**
+ * Prerequisites still standing between a goal and the card
+ *
+ * @param {Object} goal - Goal model
+ * @param {Array} goals - All goals (the library)
+ * @returns {Array} Unmet prerequisite goals, in the order they were linked
+ */
+export function getBlockingGoals(goal, goals) {
+    const prerequisiteIds = goal.prerequisites || [];
+    if (prerequisiteIds.length === 0) {
+        return [];
+    }
+
+    const goalsById = new Map(goals.map(g => [g.id, g]));
+    return prerequisiteIds
+        .map(id => goalsById.get(id))
+        .filter(prerequisite => prerequisite && !isPrerequisiteMet(prerequisite));
+}
+
+/**
+ * Check if a goal is waiting on a prerequisite
+ *
+ * @param {Object} goal - Goal model
+ * @param {Array} goals - All goals (the library)
+ * @returns {boolean} True while any prerequisite is unmet
+ */
+export function isGoalLocked(goal, goals) {
+    return getBlockingGoals(goal, goals).length > 0;
+}
+
+/**
+ * Look for a loop that giving a goal these prerequisites would create
+ *
+ * @param {string} goalId - Goal being saved (null for a new goal, which cannot loop)
+ * @param {Array} prerequisiteIds - Prerequisite ids it would have
+ * @param {Array} goals - All goals (the goal's current links are replaced)
+ * @returns {Array|null} Ids around the loop, starting and ending with goalId, or null
+ */
+export function findPrerequisiteCycle(goalId, prerequisiteIds, goals) {
+    if (!goalId) {
+        return null;
+    }
+
+    const linksById = new Map(goals.map(g => [g.id, g.prerequisites || []]));
+    linksById.set(goalId, prerequisiteIds || []);
+
+    // Depth-first search from the goal; reaching it again closes a loop
+    const visited = new Set();
+    const search = (id, path) => {
+        for (const nextId of linksById.get(id) || []) {
+            if (nextId === goalId) {
+                return [...path, nextId];
+            }
+            if (!visited.has(nextId)) {
+                visited.add(nextId);
+                const cycle = search(nextId, [...path, nextId]);
+                if (cycle) return cycle;
+            }
+        }
+        return null;
+    };
+    return search(goalId, [goalId]);
+}
+
+/**
+ * Short label for a locked goal's blockers
+ *
+ * @param {Array} blockingGoals - From getBlockingGoals()
+ * @returns {string} e.g. '🔒 After: Run 1 km, Run 3 km' (empty when unlocked)
+ */
+export function describeBlockers(blockingGoals) {
+    if (blockingGoals.length === 0) {
+        return '';
+    }
+    return `🔒 After: ${blockingGoals.map(goal => goal.text).join(', ')}`;
+}
@@ -0,0 +1,87 @@
+/**
+ * PointRules - Point values for the Goal Bingo point economy
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - Goals earn points by Goal.difficulty, bingo wins earn points per winning pattern
+ * - Rewards cost their own pointCost, or their category default when it is not set
+ * - ApplicationState records every earn/spend as a PointsTransaction
+ *
+ * USAGE EXAMPLES:
+ * - getGoalPoints(goal) // 10 for a medium goal
+ * - getWinPoints(winRecord.patterns) // Sum of the pattern values
+ * - getRewardCost(reward) // reward.pointCost ?? category default
+ */
+
+export const GOAL_DIFFICULTY_POINTS = { easy: 5, medium: 10, hard: 20 };
+
+// Bigger shapes are harder to complete, so they pay more than a single line
+export const PATTERN_POINTS = {
+    row: 10,
+    column: 10,
+    diagonal: 10,
+    'four-corners': 15,
+    x: 30,
+    plus: 30,
+    frame: 50,
+    blackout: 100
+};
+
+export const REWARD_CATEGORY_POINTS = {
+    treat: 5,
+    entertainment: 8,
+    rest: 10,
+    achievement: 15,
+    custom: 5,
+    default: 5
+};
+
+/**
+ * Get the points a goal earns when it is completed
+ *
+ * @param {Object} goal - Goal with a difficulty
+ * @returns {number} Points
+ */
+export function getGoalPoints(goal) {
+    return GOAL_DIFFICULTY_POINTS[goal && goal.difficulty] || GOAL_DIFFICULTY_POINTS.medium;
+}
+
+/**
+ * Get the points a winning pattern earns
+ *
+ * @param {Object} pattern - Pattern ({ type, index, positions })
+ * @returns {number} Points
+ */
+export function getPatternPoints(pattern) {
+    return PATTERN_POINTS[pattern && pattern.type] || PATTERN_POINTS.row;
+}
+
+/**
+ * Get the points a bingo win earns for all its winning patterns
+ *
+ * @param {Array} patterns - Winning patterns
+ * @returns {number} Points
+ */
+export function getWinPoints(patterns = []) {
+    return patterns.reduce((total, pattern) => total + getPatternPoints(pattern), 0);
+}
+
+/**
+ * Get the default cost of rewards in a category
+ *
+ * @param {string} category - Reward category
+ * @returns {number} Points
+ */
+export function getCategoryPoints(category) {
+    return REWARD_CATEGORY_POINTS[category] || REWARD_CATEGORY_POINTS.default;
+}
+
+/**
+ * Get the points needed to claim a reward
+ *
+ * @param {Object} reward - Reward with an optional pointCost
+ * @returns {number} Points
+ */
+export function getRewardCost(reward) {
+    return reward.pointCost ?? getCategoryPoints(reward.category);
+}
@@ -0,0 +1,303 @@
+/**
+ * RecurrenceRule - Calendar schedules for renewable goals
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - A rule is a plain object, so it is saved with the goal as-is
+ * - A completed goal comes back at the start (midnight) of its next scheduled day,
+ *   counted in the rule's time zone (the browser's own zone when it has none)
+ * - Rules replace Goal.cooldownPeriod; goals without a rule keep the hour cooldown
+ *
+ * RULES:
+ * - { type: 'weekdays' } // Monday to Friday
+ * - { type: 'weekly', days: [1, 3, 5] } // Days of the week, 0 = Sunday
+ * - { type: 'monthly', dayOfMonth: 1 } // Clamped to the last day of short months
+ * - { type: 'interval', interval: 3 } // Every N days after the day it was completed
+ * - { type: 'times-per-week', count: 3 } // Up to N times a week (weeks start on Monday), once a day
+ *
+ * USAGE EXAMPLES:
+ * - getNextOccurrence({ type: 'weekdays', timeZone: 'Europe/London' }, [fridayCompletion]) // Monday 00:00 London
+ * - describeRecurrence({ type: 'weekly', days: [1, 3, 5] }) // 'Mon, Wed, Fri'
+ * - formatNextAvailable(goal.getNextAvailableAt()) // 'Next: Mon 6 Apr, 00:00'
+ */
+
+export const RECURRENCE_TYPES = [
+    { key: 'weekdays', label: 'Weekdays' },
+    { key: 'weekly', label: 'Days of the week' },
+    { key: 'monthly', label: 'Day of the month' },
+    { key: 'interval', label: 'Every N days' },
+    { key: 'times-per-week', label: 'N times a week' }
+];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest gap between two scheduled days (a 31st-of-the-month rule across February)
+const MAX_SEARCH_DAYS = 62;
+
+/**
+ * Check a rule and fill in its defaults
+ *
+ * @param {Object} rule - Recurrence rule
+ * @returns {Object|null} Normalized rule, or null when it is missing or invalid
+ */
+export function normalizeRecurrence(rule) {
+    if (!rule || !RECURRENCE_TYPES.some(type => type.key === rule.type)) {
+        return null;
+    }
+
+    const normalized = { type: rule.type, timeZone: rule.timeZone || null };
+    switch (rule.type) {
+        case 'weekly': {
+            const days = [...new Set(rule.days || [])]
+                .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+                .sort((a, b) => a - b);
+            if (days.length === 0) return null;
+            normalized.days = days;
+            break;
+        }
+        case 'monthly': {
+            const dayOfMonth = Number(rule.dayOfMonth);
+            if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) return null;
+            normalized.dayOfMonth = dayOfMonth;
+            break;
+        }
+        case 'interval': {
+            const interval = Number(rule.interval);
+            if (!Number.isInteger(interval) || interval < 1) return null;
+            normalized.interval = interval;
+            break;
+        }
+        case 'times-per-week': {
+            const count = Number(rule.count);
+            if (!Number.isInteger(count) || count < 1 || count > 7) return null;
+            normalized.count = count;
+            break;
+        }
+    }
+    return normalized;
+}
+
+function resolveTimeZone(timeZone) {
+    return timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Calendar date of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (browser zone when omitted)
+ * @returns {Object} { year, month (1-12), day, weekday (0 = Sunday) }
+ */
+export function getZonedDay(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: resolveTimeZone(timeZone),
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return toCalendarDay(Date.UTC(parts.year, parts.month - 1, parts.day));
+}
+
+// Calendar days are handled as UTC midnights, so adding days never crosses a DST change
+function toCalendarDay(utcMidnight) {
+    const date = new Date(utcMidnight);
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay()
+    };
+}
+
+function addDays(calendarDay, days) {
+    return toCalendarDay(Date.UTC(calendarDay.year, calendarDay.month - 1, calendarDay.day) + days * DAY_MS);
+}
+
+function getOffsetMs(instant, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(instant).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a calendar day starts in a time zone
+ *
+ * @param {Object} calendarDay - { year, month, day }
+ * @param {string} [timeZone] - IANA time zone (browser zone when omitted)
+ * @returns {Date} Midnight of that day in the zone
+ */
+export function startOfZonedDay(calendarDay, timeZone) {
+    const zone = resolveTimeZone(timeZone);
+    const utcMidnight = Date.UTC(calendarDay.year, calendarDay.month - 1, calendarDay.day);
+
+    // Guess with the offset at UTC midnight, then correct once for a DST change in between
+    let instant = utcMidnight - getOffsetMs(new Date(utcMidnight), zone);
+    instant = utcMidnight - getOffsetMs(new Date(instant), zone);
+    return new Date(instant);
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Whether a calendar day is on a rule's schedule
+ *
+ * 'interval' and 'times-per-week' rules have no fixed days, so every day is on them.
+ *
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Object} calendarDay - { year, month, day, weekday } (see getZonedDay)
+ * @returns {boolean} True if the goal can be played that day
+ */
+export function isScheduledDay(rule, calendarDay) {
+    switch (rule.type) {
+        case 'weekdays':
+            return calendarDay.weekday >= 1 && calendarDay.weekday <= 5;
+        case 'weekly':
+            return rule.days.includes(calendarDay.weekday);
+        case 'monthly':
+            return calendarDay.day === Math.min(rule.dayOfMonth, daysInMonth(calendarDay.year, calendarDay.month));
+        default:
+            return true;
+    }
+}
+
+function getWeekStart(calendarDay) {
+    // Weeks start on Monday
+    return addDays(calendarDay, -((calendarDay.weekday + 6) % 7));
+}
+
+function isSameDay(a, b) {
+    return a.year === b.year && a.month === b.month && a.day === b.day;
+}
+
+/**
+ * When a goal on this schedule can be played again
+ *
+ * @param {Object} rule - Recurrence rule
+ * @param {Array} completions - Completion dates, oldest first (the last one counts;
+ *   'times-per-week' also counts the others in the same week)
+ * @returns {Date|null} Start of the next scheduled day, or null if never completed
+ */
+export function getNextOccurrence(rule, completions = []) {
+    const normalized = normalizeRecurrence(rule);
+    const lastCompletion = completions[completions.length - 1];
+    if (!normalized || !lastCompletion) {
+        return null;
+    }
+
+    const timeZone = normalized.timeZone;
+    const completedDay = getZonedDay(new Date(lastCompletion), timeZone);
+
+    if (normalized.type === 'interval') {
+        return startOfZonedDay(addDays(completedDay, normalized.interval), timeZone);
+    }
+
+    if (normalized.type === 'times-per-week') {
+        const weekStart = getWeekStart(completedDay);
+        const completedThisWeek = completions.filter(completion =>
+            isSameDay(getWeekStart(getZonedDay(new Date(completion), timeZone)), weekStart)
+        ).length;
+        return startOfZonedDay(completedThisWeek < normalized.count ? addDays(completedDay, 1) : addDays(weekStart, 7), timeZone);
+    }
+
+    for (let offset = 1; offset <= MAX_SEARCH_DAYS; offset++) {
+        const candidate = addDays(completedDay, offset);
+        if (isScheduledDay(normalized, candidate)) {
+            return startOfZonedDay(candidate, timeZone);
+        }
+    }
+    return null;
+}
+
+function ordinal(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
+/**
+ * Short human-readable schedule
+ *
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} e.g. 'Weekdays', 'Mon, Wed, Fri', '1st of each month'
+ */
+export function describeRecurrence(rule) {
+    const normalized = normalizeRecurrence(rule);
+    if (!normalized) {
+        return '';
+    }
+
+    switch (normalized.type) {
+        case 'weekdays':
+            return 'Weekdays';
+        case 'weekly':
+            return normalized.days.map(day => WEEKDAY_NAMES[day]).join(', ');
+        case 'monthly':
+            return `${ordinal(normalized.dayOfMonth)} of each month`;
+        case 'interval':
+            return normalized.interval === 1 ? 'Every day' : `Every ${normalized.interval} days`;
+        case 'times-per-week':
+            return `${normalized.count} time${normalized.count === 1 ? '' : 's'} a week`;
+    }
+    return '';
+}
+
+/**
+ * Label for when a goal can be played again
+ *
+ * @param {Date|null} nextAvailableAt - From Goal.getNextAvailableAt()
+ * @param {Object} [options] - { now, timeZone }
+ * @returns {string} 'Available now' or e.g. 'Next: Mon 6 Apr, 00:00'
+ */
+export function formatNextAvailable(nextAvailableAt, options = {}) {
+    const now = options.now || new Date();
+    if (!nextAvailableAt || nextAvailableAt <= now) {
+        return 'Available now';
+    }
+
+    const label = new Intl.DateTimeFormat('en-GB', {
+        timeZone: resolveTimeZone(options.timeZone),
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(nextAvailableAt);
+    return `Next: ${label}`;
+}
+
+/**
+ * Card label for a goal's schedule: when it comes back while it is cooling
+ * down, otherwise its recurrence rule (empty for plain cooldown goals)
+ *
+ * @param {Object} goal - Goal model
+ * @param {Object} [options] - { now }
+ * @returns {string} e.g. 'Next: Mon 6 Apr, 00:00', 'Weekdays' or ''
+ */
+export function getScheduleLabel(goal, options = {}) {
+    const now = options.now || new Date();
+    const nextAvailableAt = goal && typeof goal.getNextAvailableAt === 'function' ? goal.getNextAvailableAt() : null;
+    if (nextAvailableAt && nextAvailableAt > now) {
+        return formatNextAvailable(nextAvailableAt, { now, timeZone: goal.recurrence && goal.recurrence.timeZone });
+    }
+    return describeRecurrence(goal && goal.recurrence);
+}
@@ -0,0 +1,67 @@
+/**
+ * VirtualList - Windowing math for long scrollable grids of cards
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - Items are laid out in rows of `columns`, every row `rowHeight` tall
+ * - Only the rows that intersect the viewport (plus `overscan` rows either side)
+ *   need game objects; the scene recycles cards for everything else
+ *
+ * USAGE EXAMPLES:
+ * - getContentHeight(1000, 3, 100) // 33400 - total scrollable height
+ * - clampScroll(-50, 33400, 500) // 0
+ * - getVisibleRange({ itemCount: 1000, columns: 3, rowHeight: 100, viewportHeight: 500, scrollY: 2000 })
+ *   // { startIndex: 57, endIndex: 81 }
+ */
+
+/**
+ * Total height of all rows
+ *
+ * @param {number} itemCount - Number of items
+ * @param {number} columns - Items per row
+ * @param {number} rowHeight - Row pitch in pixels (card height plus spacing)
+ * @returns {number} Content height in pixels
+ */
+export function getContentHeight(itemCount, columns, rowHeight) {
+    return Math.ceil(itemCount / columns) * rowHeight;
+}
+
+/**
+ * Keep a scroll offset between the top and the last full screen of content
+ *
+ * @param {number} scrollY - Requested scroll offset
+ * @param {number} contentHeight - Total content height
+ * @param {number} viewportHeight - Visible height
+ * @returns {number} Clamped scroll offset
+ */
+export function clampScroll(scrollY, contentHeight, viewportHeight) {
+    const maxScroll = Math.max(0, contentHeight - viewportHeight);
+    return Math.min(Math.max(0, scrollY || 0), maxScroll);
+}
+
+/**
+ * Item indexes that need a card at the given scroll offset
+ *
+ * @param {Object} options - Layout and scroll position
+ * @param {number} options.itemCount - Number of items
+ * @param {number} options.columns - Items per row
+ * @param {number} options.rowHeight - Row pitch in pixels
+ * @param {number} options.viewportHeight - Visible height
+ * @param {number} options.scrollY - Scroll offset
+ * @param {number} [options.overscan=1] - Extra rows kept above and below the viewport
+ * @returns {Object} { startIndex, endIndex } - endIndex is exclusive
+ */
+export function getVisibleRange({ itemCount, columns, rowHeight, viewportHeight, scrollY, overscan = 1 }) {
+    if (itemCount <= 0) {
+        return { startIndex: 0, endIndex: 0 };
+    }
+
+    const rowCount = Math.ceil(itemCount / columns);
+    const firstRow = Math.max(0, Math.floor(scrollY / rowHeight) - overscan);
+    const lastRow = Math.min(rowCount - 1, Math.floor((scrollY + viewportHeight) / rowHeight) + overscan);
+
+    return {
+        startIndex: firstRow * columns,
+        endIndex: Math.min(itemCount, (lastRow + 1) * columns)
+    };
+}
@@ -0,0 +1,215 @@
+/**
+ * WinPatterns - Win pattern definitions for the bingo card
+ *
+ * ARCHITECTURE NOTES:
+ * - Pure domain logic - no Phaser dependencies, so it can be unit tested in isolation
+ * - A pattern is { type, index, positions } where positions are row-major cell indexes
+ * - A win mode ({ type, lineCount }) selects which patterns count as a win
+ * - Patterns are evaluated through an isMarked(position) callback, so the scene
+ *   decides what "marked" means (completed cells, free cells, ...)
+ *
+ * USAGE EXAMPLES:
+ * - findWinningPatterns({ type: 'lines', lineCount: 2 }, 5, position => marked.has(position))
+ * - getPatternPositions({ type: 'row', index: 2 }, 5) // [10, 11, 12, 13, 14]
+ * - findNewWinningPatterns(winMode, 5, isMarked, paidKeys) // Only wins not yet scored
+ */
+
+/**
+ * Selectable win modes, in the order the mode button cycles through them
+ */
+export const WIN_MODE_OPTIONS = [
+    { type: 'lines', lineCount: 1, label: '1 Line' },
+    { type: 'lines', lineCount: 2, label: '2 Lines' },
+    { type: 'lines', lineCount: 3, label: '3 Lines' },
+    { type: 'four-corners', label: 'Four Corners' },
+    { type: 'x', label: 'X' },
+    { type: 'plus', label: 'Plus' },
+    { type: 'frame', label: 'Outer Frame' },
+    { type: 'blackout', label: 'Blackout' }
+];
+
+export const DEFAULT_WIN_MODE = { type: 'lines', lineCount: 1 };
+
+/**
+ * Normalize a stored win mode, falling back to a single line
+ *
+ * @param {Object} winMode - Win mode ({ type, lineCount })
+ * @returns {Object} A valid win mode
+ */
+export function normalizeWinMode(winMode) {
+    if (!winMode || !WIN_MODE_OPTIONS.some(option => option.type === winMode.type)) {
+        return { ...DEFAULT_WIN_MODE };
+    }
+    if (winMode.type === 'lines') {
+        return { type: 'lines', lineCount: Math.max(1, parseInt(winMode.lineCount, 10) || 1) };
+    }
+    return { type: winMode.type };
+}
+
+/**
+ * Get the display label of a win mode
+ *
+ * @param {Object} winMode - Win mode ({ type, lineCount })
+ * @returns {string} Label
+ */
+export function getWinModeLabel(winMode) {
+    const mode = normalizeWinMode(winMode);
+    if (mode.type === 'lines') {
+        return mode.lineCount === 1 ? '1 Line' : `${mode.lineCount} Lines`;
+    }
+    return WIN_MODE_OPTIONS.find(option => option.type === mode.type).label;
+}
+
+/**
+ * Get the win mode after the given one in WIN_MODE_OPTIONS
+ *
+ * @param {Object} winMode - Current win mode
+ * @returns {Object} Next win mode
+ */
+export function getNextWinMode(winMode) {
+    const mode = normalizeWinMode(winMode);
+    const index = WIN_MODE_OPTIONS.findIndex(option =>
+        option.type === mode.type && (option.lineCount ?? null) === (mode.lineCount ?? null)
+    );
+    const next = WIN_MODE_OPTIONS[(index + 1) % WIN_MODE_OPTIONS.length];
+    return normalizeWinMode(next);
+}
+
+/**
+ * Rows, columns and both diagonals (diagonal index 0 is top-left to bottom-right)
+ *
+ * @param {number} gridSize - Grid size
+ * @returns {Array} Line patterns
+ */
+export function getLinePatterns(gridSize) {
+    const patterns = [];
+    const range = [...Array(gridSize).keys()];
+
+    range.forEach(row => {
+        patterns.push({ type: 'row', index: row, positions: range.map(col => row * gridSize + col) });
+    });
+    range.forEach(col => {
+        patterns.push({ type: 'column', index: col, positions: range.map(row => row * gridSize + col) });
+    });
+    patterns.push({ type: 'diagonal', index: 0, positions: range.map(i => i * gridSize + i) });
+    patterns.push({ type: 'diagonal', index: 1, positions: range.map(i => i * gridSize + (gridSize - 1 - i)) });
+
+    return patterns;
+}
+
+/**
+ * Get the patterns a win mode evaluates
+ *
+ * Shape modes have a single pattern. On even grids the plus uses both middle
+ * rows and columns, since there is no single centre line.
+ *
+ * @param {Object} winMode - Win mode ({ type, lineCount })
+ * @param {number} gridSize - Grid size
+ * @returns {Array} Patterns
+ */
+export function getModePatterns(winMode, gridSize) {
+    const mode = normalizeWinMode(winMode);
+    const last = gridSize - 1;
+    const range = [...Array(gridSize).keys()];
+    const toPosition = (row, col) => row * gridSize + col;
+    const shape = positions => [{ type: mode.type, index: 0, positions: [...new Set(positions)].sort((a, b) => a - b) }];
+
+    switch (mode.type) {
+        case 'four-corners':
+            return shape([toPosition(0, 0), toPosition(0, last), toPosition(last, 0), toPosition(last, last)]);
+        case 'x':
+            return shape(range.flatMap(i => [toPosition(i, i), toPosition(i, last - i)]));
+        case 'plus': {
+            const middles = gridSize % 2 === 1 ? [last / 2] : [gridSize / 2 - 1, gridSize / 2];
+            return shape(middles.flatMap(middle => range.flatMap(i => [toPosition(middle, i), toPosition(i, middle)])));
+        }
+        case 'frame':
+            return shape(range.flatMap(i => [toPosition(0, i), toPosition(last, i), toPosition(i, 0), toPosition(i, last)]));
+        case 'blackout':
+            return shape([...Array(gridSize * gridSize).keys()]);
+        default:
+            return getLinePatterns(gridSize);
+    }
+}
+
+/**
+ * Find the completed patterns when they make up a win
+ *
+ * @param {Object} winMode - Win mode ({ type, lineCount })
+ * @param {number} gridSize - Grid size
+ * @param {Function} isMarked - Returns true when the cell at a position counts as marked
+ * @returns {Array} Winning patterns (empty when the card has not won)
+ */
+export function findWinningPatterns(winMode, gridSize, isMarked) {
+    const mode = normalizeWinMode(winMode);
+    const completed = getModePatterns(mode, gridSize)
+        .filter(pattern => pattern.positions.every(position => isMarked(position)));
+
+    if (mode.type === 'lines' && completed.length < mode.lineCount) {
+        return [];
+    }
+    return completed;
+}
+
+/**
+ * Identify a pattern independently of the win mode that found it
+ *
+ * @param {Object} pattern - Pattern ({ type, index })
+ * @returns {string} e.g. 'row:2'
+ */
+export function getPatternKey(pattern) {
+    return `${pattern.type}:${pattern.index}`;
+}
+
+/**
+ * Find winning patterns that have not been scored yet
+ *
+ * Patterns already paid out on the card (until their cells are cleared) are
+ * left out, and the rest must make up a win on their own, so re-checking the
+ * card - after another mark or a mode change - never scores a pattern twice.
+ *
+ * @param {Object} winMode - Win mode ({ type, lineCount })
+ * @param {number} gridSize - Grid size
+ * @param {Function} isMarked - Returns true when the cell at a position counts as marked
+ * @param {Set} paidKeys - getPatternKey() of the patterns already scored
+ * @returns {Array} New winning patterns (empty when they do not make a win)
+ */
+export function findNewWinningPatterns(winMode, gridSize, isMarked, paidKeys) {
+    const mode = normalizeWinMode(winMode);
+    const fresh = findWinningPatterns(mode, gridSize, isMarked)
+        .filter(pattern => !paidKeys.has(getPatternKey(pattern)));
+    return countWins(mode, fresh) > 0 ? fresh : [];
+}
+
+/**
+ * Count the wins a set of winning patterns is worth
+ *
+ * @param {Object} winMode - Win mode ({ type, lineCount })
+ * @param {Array} patterns - Winning patterns from findWinningPatterns()
+ * @returns {number} Number of wins
+ */
+export function countWins(winMode, patterns) {
+    const mode = normalizeWinMode(winMode);
+    if (mode.type === 'lines') {
+        return Math.floor(patterns.length / mode.lineCount);
+    }
+    return patterns.length;
+}
+
+/**
+ * Resolve the positions of a pattern (saved patterns may predate positions)
+ *
+ * @param {Object} pattern - Pattern ({ type, index, positions })
+ * @param {number} gridSize - Grid size
+ * @returns {Array} Row-major cell positions
+ */
+export function getPatternPositions(pattern, gridSize) {
+    if (Array.isArray(pattern.positions)) {
+        return pattern.positions;
+    }
+    const candidates = ['row', 'column', 'diagonal'].includes(pattern.type)
+        ? getLinePatterns(gridSize)
+        : getModePatterns({ type: pattern.type }, gridSize);
+    const match = candidates.find(candidate => candidate.type === pattern.type && candidate.index === pattern.index);
+    return match ? match.positions : [];
+}
@@ -0,0 +1,90 @@
+/**
+ * AchievementEngine Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests achievement rules against real models (no Phaser game instance)
+ * - The game is a minimal stand-in exposing events, scene and appStateManager
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { AchievementEngine, ACHIEVEMENT_RULES } from '../../src/utils/AchievementEngine.js';
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+import { WinRecord } from '../../src/models/WinRecord.js';
+import { Category } from '../../src/models/Category.js';
+import { Goal } from '../../src/models/Goal.js';
+
+function createGame(appState) {
+    const unlockAchievement = vi.fn(id => appState.unlockAchievement(id));
+    return {
+        events: { on: vi.fn(), off: vi.fn() },
+        scene: { getScenes: () => [] },
+        appStateManager: {
+            getApplicationState: () => appState,
+            getGameState: () => appState.gameState,
+            getGoals: () => appState.goalLibrary,
+            getCategories: () => appState.categories,
+            getWinHistory: () => appState.winHistory,
+            getCompletionLog: () => appState.completionLog,
+            getAchievements: () => appState.achievements,
+            unlockAchievement
+        }
+    };
+}
+
+describe('AchievementEngine', () => {
+    it('should unlock nothing for a fresh state', () => {
+        const appState = new ApplicationState();
+        appState.initializeDefaults();
+        const engine = new AchievementEngine(createGame(appState));
+
+        expect(engine.evaluate()).toEqual([]);
+    });
+
+    it('should unlock and timestamp First Win once', () => {
+        const appState = new ApplicationState();
+        const game = createGame(appState);
+        const engine = new AchievementEngine(game);
+
+        appState.addWinRecord({ timeToComplete: 10 * 60 * 1000, mistakes: 2 });
+        const unlocked = engine.evaluate();
+
+        expect(unlocked.map(achievement => achievement.rule)).toEqual(['first-win']);
+        expect(unlocked[0].unlockedAt).toBeInstanceOf(Date);
+        expect(engine.evaluate()).toEqual([]);
+        expect(game.appStateManager.unlockAchievement).toHaveBeenCalledTimes(1);
+    });
+
+    it('should check win speed and mistakes from the win history', () => {
+        const context = { winHistory: [new WinRecord({ timeToComplete: 60 * 1000, mistakes: 0 })] };
+
+        expect(ACHIEVEMENT_RULES['speed-demon'](context)).toBe(true);
+        expect(ACHIEVEMENT_RULES['perfect-game'](context)).toBe(true);
+        expect(ACHIEVEMENT_RULES['perfect-game']({ winHistory: [new WinRecord({ mistakes: 1 })] })).toBe(false);
+    });
+
+    it('should require a completed goal in every category for Category Expert', () => {
+        const categories = [new Category({ id: 'health' }), new Category({ id: 'social' })];
+        const goals = [
+            new Goal({ categories: ['health'], lastCompletedAt: new Date() }),
+            new Goal({ categories: ['social'] })
+        ];
+
+        expect(ACHIEVEMENT_RULES['category-expert']({ goals, categories })).toBe(false);
+
+        // As ApplicationState.syncGoalCompletions() does once the completion is logged
+        goals[1].applyCompletionHistory([new Date()], 1);
+        expect(ACHIEVEMENT_RULES['category-expert']({ goals, categories })).toBe(true);
+    });
+
+    it('should persist unlocks through the application state', () => {
+        const appState = new ApplicationState();
+        appState.gameState.cardGoalsCompleted = 10;
+        new AchievementEngine(createGame(appState)).evaluate();
+
+        const restored = ApplicationState.fromObject(JSON.parse(JSON.stringify(appState.toObject())));
+        const goalMaster = restored.achievements.find(achievement => achievement.rule === 'goal-master');
+
+        expect(goalMaster.unlocked).toBe(true);
+        expect(goalMaster.unlockedAt).toBeInstanceOf(Date);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * BingoGridScene Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests scene logic that moves library goals on and off the card
+ * - The scene runs without a Phaser game: Phaser.Scene and Container are stubbed
+ *   before the scene module loads, and cells are plain objects with the BingoCell API
+ * - Rendering methods (createGrid, populateGrid, ...) are replaced per test
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { Goal } from '../../src/models/Goal.js';
+
+globalThis.Phaser.Scene = globalThis.Phaser.Scene || class {};
+globalThis.Phaser.GameObjects = globalThis.Phaser.GameObjects || { Container: class {} };
+const { default: BingoGridScene } = await import('../../src/scenes/BingoGridScene.js');
+
+function createCell(goal = null) {
+    return {
+        goal,
+        getGoal() { return this.goal; },
+        setGoal(nextGoal) { this.goal = nextGoal; },
+        setCompleted() {},
+        setHighlighted() {}
+    };
+}
+
+function createScene(goals, gridSize) {
+    const scene = Object.create(BingoGridScene.prototype);
+    scene.gridSize = gridSize;
+    scene.cameras = { main: { width: 800, height: 600 } };
+    scene.game = {
+        appStateManager: {
+            getGoals: () => goals,
+            updateGoals: vi.fn()
+        }
+    };
+    scene.cells = [];
+    for (let row = 0; row < gridSize; row++) {
+        scene.cells.push([]);
+        for (let col = 0; col < gridSize; col++) {
+            const position = row * gridSize + col;
+            const goal = goals[position] || null;
+            if (goal) {
+                goal.moveToInPlay(position);
+            }
+            scene.cells[row].push(createCell(goal));
+        }
+    }
+    scene.gridContainer = { destroy: vi.fn() };
+    scene.updateGridSizeButtons = vi.fn();
+    scene.updateGameState = vi.fn();
+    scene.populateGrid = vi.fn();
+    scene.createGrid = vi.fn(function () {
+        this.cells = Array.from({ length: this.gridSize }, () =>
+            Array.from({ length: this.gridSize }, () => createCell()));
+    });
+    return scene;
+}
+
+describe('BingoGridScene grid size', () => {
+    it('should return the old card\'s goals to the library when the grid size changes', () => {
+        const goals = [new Goal({ text: 'Go for a walk' }), new Goal({ text: 'Read a chapter' })];
+        const scene = createScene(goals, 3);
+
+        scene.changeGridSize(4);
+
+        expect(goals.map(goal => goal.state)).toEqual(['to-do', 'to-do']);
+        expect(goals.every(goal => goal.isAvailable())).toBe(true);
+        expect(scene.game.appStateManager.updateGoals).toHaveBeenCalledWith(goals);
+        expect(scene.cells).toHaveLength(4);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Bulk Goal Action Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests ApplicationState bulk goal updates with real models
+ * - Each bulk call changes every selected goal in one step
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+import { createState } from '../utils/ApplicationStateFixtures.js';
+
+describe('ApplicationState bulk goal actions', () => {
+    it('should apply the same updates to every selected goal', () => {
+        const appState = createState();
+        const [first, second, third] = appState.goalLibrary;
+
+        const updated = appState.bulkUpdateGoals([first.id, second.id], { difficulty: 'hard', categories: ['skills'] });
+
+        expect(updated).toHaveLength(2);
+        expect(first.difficulty).toBe('hard');
+        expect(second.categories).toEqual(['skills']);
+        expect(third.difficulty).not.toBe('hard');
+        expect(appState.categories.find(c => c.id === 'skills').goalCount)
+            .toBe(appState.goalLibrary.filter(g => g.categories.includes('skills')).length);
+    });
+
+    it('should reject prerequisites that make a loop between the selected goals', () => {
+        const appState = createState();
+        const [first, second, third] = appState.goalLibrary;
+        appState.updateGoal(third.id, { prerequisites: [first.id] });
+
+        // first -> third -> first
+        expect(appState.bulkUpdateGoals([first.id, second.id], { prerequisites: [third.id] })).toEqual([]);
+        // first -> second and second -> second
+        expect(appState.bulkUpdateGoals([first.id, second.id], { prerequisites: [second.id] })).toEqual([]);
+        expect(first.prerequisites).toEqual([]);
+        expect(second.prerequisites).toEqual([]);
+
+        expect(appState.bulkUpdateGoals([first.id, second.id], { prerequisites: [appState.goalLibrary[3].id] })).toHaveLength(2);
+    });
+
+    it('should remove several goals at once', () => {
+        const appState = createState();
+        const total = appState.goalLibrary.length;
+        const ids = appState.goalLibrary.slice(0, 3).map(goal => goal.id);
+
+        expect(appState.bulkRemoveGoals(ids)).toHaveLength(3);
+        expect(appState.goalLibrary).toHaveLength(total - 3);
+        expect(appState.goalLibrary.some(goal => ids.includes(goal.id))).toBe(false);
+    });
+
+    it('should not remove goals that are on the board', () => {
+        const appState = createState();
+        const [inPlay, other] = appState.goalLibrary;
+        inPlay.moveToInPlay(0);
+
+        expect(appState.bulkRemoveGoals([inPlay.id, other.id])).toEqual([other]);
+        expect(appState.goalLibrary).toContain(inPlay);
+        expect(inPlay.state).toBe('in-play');
+    });
+
+    it('should reset goals to to-do but leave goals on the board in play', () => {
+        const appState = createState();
+        const [done, inPlay] = appState.goalLibrary;
+        done.complete();
+        inPlay.moveToInPlay(3);
+
+        const reset = appState.bulkResetGoals([done.id, inPlay.id]);
+
+        expect(reset).toEqual([done]);
+        expect(done.state).toBe('to-do');
+        expect(inPlay.state).toBe('in-play');
+    });
+
+    it('should archive goals so they are no longer dealt onto a card', () => {
+        const appState = createState();
+        const [goal] = appState.goalLibrary;
+
+        appState.bulkArchiveGoals([goal.id]);
+
+        expect(goal.archived).toBe(true);
+        expect(appState.getAvailableGoals()).not.toContain(goal);
+        expect(ApplicationState.fromObject(JSON.parse(JSON.stringify(appState.toObject()))).goalLibrary[0].archived).toBe(true);
+    });
+});
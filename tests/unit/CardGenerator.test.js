@@ -0,0 +1,97 @@
+/**
+ * CardGenerator Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests card dealing in isolation (no Phaser game instance)
+ * - Uses real Goal models as the candidate library
+ * - Covers uniqueness, difficulty ratio, category balance and seeded reproduction
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CardGenerator } from '../../src/utils/CardGenerator.js';
+import { Goal } from '../../src/models/Goal.js';
+
+function createLibrary() {
+    const goals = [];
+    const difficulties = ['easy', 'medium', 'hard'];
+    const categories = ['health', 'work', 'learning', 'social'];
+    for (let i = 0; i < 60; i++) {
+        goals.push(new Goal({
+            id: `goal_${i}`,
+            text: `Goal ${i}`,
+            difficulty: difficulties[i % difficulties.length],
+            categories: [categories[Math.floor(i / 3) % categories.length]]
+        }));
+    }
+    return goals;
+}
+
+function countBy(goals, getKey) {
+    return goals.reduce((counts, goal) => {
+        const key = getKey(goal);
+        counts[key] = (counts[key] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+describe('CardGenerator', () => {
+    it('should deal unique goals even when the library has duplicates', () => {
+        const library = createLibrary();
+        const generator = new CardGenerator();
+        const { goals } = generator.generate([...library, ...library], 25);
+
+        expect(goals).toHaveLength(25);
+        expect(new Set(goals.map(goal => goal.id)).size).toBe(25);
+    });
+
+    it('should mix difficulties to the configured ratio', () => {
+        const generator = new CardGenerator({ difficultyRatio: { easy: 2, medium: 2, hard: 1 } });
+        const { goals } = generator.generate(createLibrary(), 25, { seed: 'ratio' });
+
+        expect(countBy(goals, goal => goal.difficulty)).toEqual({ easy: 10, medium: 10, hard: 5 });
+    });
+
+    it('should fill from other difficulties when one runs short', () => {
+        const library = createLibrary().filter(goal => goal.difficulty !== 'hard' || goal.id === 'goal_2');
+        const generator = new CardGenerator({ difficultyRatio: { easy: 1, medium: 1, hard: 1 } });
+        const { goals } = generator.generate(library, 9, { seed: 'short' });
+
+        expect(goals).toHaveLength(9);
+        expect(countBy(goals, goal => goal.difficulty).hard).toBe(1);
+    });
+
+    it('should balance categories across the card', () => {
+        const generator = new CardGenerator();
+        const { goals } = generator.generate(createLibrary(), 16, { seed: 'balance' });
+        const counts = Object.values(countBy(goals, goal => goal.categories[0]));
+
+        expect(counts).toHaveLength(4);
+        expect(Math.max(...counts) - Math.min(...counts)).toBeLessThanOrEqual(1);
+    });
+
+    it('should reproduce a card from its seed', () => {
+        const generator = new CardGenerator();
+        const first = generator.generate(createLibrary(), 25);
+        const second = generator.generate(createLibrary(), 25, { seed: first.seed });
+
+        expect(second.seed).toBe(first.seed);
+        expect(second.goals.map(goal => goal.id)).toEqual(first.goals.map(goal => goal.id));
+    });
+
+    it('should exclude goals already on the card', () => {
+        const library = createLibrary();
+        const existingGoals = library.slice(0, 20);
+        const generator = new CardGenerator();
+        const { goals } = generator.generate(library, 5, { existingGoals });
+
+        expect(goals).toHaveLength(5);
+        goals.forEach(goal => expect(existingGoals).not.toContain(goal));
+    });
+
+    it('should deal fewer goals than cells when the library is small', () => {
+        const generator = new CardGenerator();
+        const { goals } = generator.generate(createLibrary().slice(0, 7), 25);
+
+        expect(goals).toHaveLength(7);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Category Management Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests ApplicationState category add/update/delete with real models
+ * - Goal counts must stay in step through updateCategoryGoalCounts()
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createState } from '../utils/ApplicationStateFixtures.js';
+
+function getCategory(appState, id) {
+    return appState.categories.find(category => category.id === id);
+}
+
+describe('ApplicationState categories', () => {
+    it('should refuse to remove a category that goals still use', () => {
+        const appState = createState();
+
+        expect(getCategory(appState, 'health').isInUse()).toBe(true);
+        expect(appState.removeCategory('health')).toBeNull();
+    });
+
+    it('should merge a deleted category\'s goals into the target category', () => {
+        const appState = createState();
+        const healthGoals = getCategory(appState, 'health').goalCount;
+        const socialGoals = getCategory(appState, 'social').goalCount;
+
+        expect(appState.deleteCategory('health', 'social')).not.toBeNull();
+
+        expect(getCategory(appState, 'health')).toBeUndefined();
+        expect(getCategory(appState, 'social').goalCount).toBe(healthGoals + socialGoals);
+        expect(appState.goalLibrary.some(goal => goal.categories.includes('health'))).toBe(false);
+    });
+
+    it('should not list a goal twice when it already had the target category', () => {
+        const appState = createState();
+        const goal = appState.addGoal({ text: 'Study group', categories: ['study', 'social'] });
+
+        appState.deleteCategory('study', 'social');
+
+        expect(goal.categories).toEqual(['social']);
+    });
+
+    it('should take the category off its goals when there is no target', () => {
+        const appState = createState();
+
+        appState.deleteCategory('skills');
+
+        expect(getCategory(appState, 'skills')).toBeUndefined();
+        expect(appState.goalLibrary.every(goal => !goal.categories.includes('skills'))).toBe(true);
+    });
+
+    it('should reject an unknown merge target and keep the goals', () => {
+        const appState = createState();
+
+        expect(appState.deleteCategory('health', 'missing')).toBeNull();
+        expect(getCategory(appState, 'health').isInUse()).toBe(true);
+    });
+
+    it('should rename and recolor a category', () => {
+        const appState = createState();
+        const category = appState.addCategory({ name: 'Chores' });
+
+        appState.updateCategory(category.id, { name: 'Home', color: '#123456' });
+
+        expect(getCategory(appState, category.id)).toMatchObject({ name: 'Home', color: '#123456' });
+    });
+});
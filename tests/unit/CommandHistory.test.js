@@ -0,0 +1,98 @@
+/**
+ * CommandHistory Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests the pure undo/redo stack and its keyboard shortcuts
+ * - Snapshot commands are checked through ApplicationState with real models
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CommandHistory, getHistoryShortcut } from '../../src/utils/CommandHistory.js';
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+import { CARD_HISTORY_KEYS } from '../../src/utils/ApplicationStateManager.js';
+
+function counterCommand(counter, label) {
+    counter.value++;
+    return {
+        label,
+        undo: () => { counter.value--; },
+        redo: () => { counter.value++; }
+    };
+}
+
+describe('CommandHistory', () => {
+    it('should undo and redo in order', () => {
+        const counter = { value: 0 };
+        const history = new CommandHistory();
+        history.push(counterCommand(counter, 'first'));
+        history.push(counterCommand(counter, 'second'));
+
+        expect(history.undo().label).toBe('second');
+        expect(counter.value).toBe(1);
+        expect(history.getState()).toMatchObject({ undoLabel: 'first', redoLabel: 'second' });
+
+        expect(history.redo().label).toBe('second');
+        expect(counter.value).toBe(2);
+        expect(history.redo()).toBeNull();
+    });
+
+    it('should drop the redo stack when a new command is pushed', () => {
+        const counter = { value: 0 };
+        const history = new CommandHistory();
+        history.push(counterCommand(counter, 'first'));
+        history.undo();
+        history.push(counterCommand(counter, 'second'));
+
+        expect(history.canRedo()).toBe(false);
+    });
+
+    it('should forget the oldest commands past the limit', () => {
+        const counter = { value: 0 };
+        const history = new CommandHistory({ limit: 2 });
+        ['a', 'b', 'c'].forEach(label => history.push(counterCommand(counter, label)));
+
+        expect(history.undo().label).toBe('c');
+        expect(history.undo().label).toBe('b');
+        expect(history.undo()).toBeNull();
+    });
+
+    it('should map Ctrl+Z and Ctrl+Shift+Z to undo and redo', () => {
+        expect(getHistoryShortcut({ key: 'z', ctrlKey: true })).toBe('undo');
+        expect(getHistoryShortcut({ key: 'Z', metaKey: true, shiftKey: true })).toBe('redo');
+        expect(getHistoryShortcut({ key: 'y', ctrlKey: true })).toBe('redo');
+        expect(getHistoryShortcut({ key: 'z' })).toBeNull();
+    });
+
+    it('should restore goals and the card from an ApplicationState snapshot', () => {
+        const appState = new ApplicationState();
+        appState.initializeDefaults();
+        const [goal] = appState.goalLibrary;
+        goal.moveToInPlay(0);
+        appState.gameState.setCard(3, [goal, null, null, null, null, null, null, null, null], [], [], null);
+
+        const before = appState.captureSnapshot(['goalLibrary', 'gameState']);
+        appState.removeGoal(goal.id);
+        appState.restoreSnapshot(before);
+
+        const restored = appState.goalLibrary.find(g => g.id === goal.id);
+        expect(restored.state).toBe('in-play');
+        expect(appState.gameState.currentGrid[0]).toBe(restored);
+    });
+
+    it('should leave rewards alone when a card command is undone', () => {
+        const appState = new ApplicationState();
+        appState.initializeDefaults();
+        const [goal] = appState.goalLibrary;
+
+        const before = appState.captureSnapshot(CARD_HISTORY_KEYS);
+        goal.moveToInPlay(0);
+        goal.complete();
+        const reward = appState.addReward({ description: 'Cinema night' });
+        appState.restoreSnapshot(before);
+
+        expect(Object.keys(before)).toEqual(CARD_HISTORY_KEYS);
+        expect(appState.goalLibrary[0].state).toBe('to-do');
+        expect(appState.rewards).toContain(reward);
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Completion Journal Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests Goal journal entries and the ApplicationState methods around them
+ * - The journal is goal history, so it has to survive reset() and a save/load
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Goal } from '../../src/models/Goal.js';
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+
+function completeGoal(goal) {
+    goal.moveToInPlay(4);
+    goal.complete();
+    return goal;
+}
+
+describe('Goal journal', () => {
+    it('should add an entry stamped with the completion and reject empty ones', () => {
+        const goal = completeGoal(new Goal({ text: 'Go for a run' }));
+
+        const entry = goal.addJournalEntry({ note: '  Felt strong  ', mood: 4, durationMinutes: 35 });
+
+        expect(entry).toMatchObject({ note: 'Felt strong', mood: 4, durationMinutes: 35, image: null });
+        expect(entry.completedAt).toEqual(goal.completedAt);
+        expect(goal.journal).toEqual([entry]);
+        expect(goal.addJournalEntry({ note: '   ' })).toBeNull();
+        expect(goal.journal).toHaveLength(1);
+    });
+
+    it('should drop a mood outside 1-5, a duration that is not positive and images that are not data URLs', () => {
+        const goal = new Goal({ text: 'Go for a run' });
+
+        const entry = goal.addJournalEntry({ note: 'Rained', mood: 7, durationMinutes: -5, image: 'https://example.com/photo.jpg' });
+
+        expect(entry).toMatchObject({ mood: null, durationMinutes: null, image: null });
+        expect(goal.addJournalEntry({ image: 'data:image/jpeg;base64,AAAA' }).image).toBe('data:image/jpeg;base64,AAAA');
+    });
+
+    it('should keep the journal when the goal goes back round', () => {
+        const goal = completeGoal(new Goal({ text: 'Go for a run' }));
+        goal.addJournalEntry({ mood: 2 });
+
+        goal.reset();
+        completeGoal(goal);
+        goal.addJournalEntry({ mood: 5 });
+
+        expect(goal.journal.map(entry => entry.mood)).toEqual([2, 5]);
+    });
+
+    it('should remove an entry by id', () => {
+        const goal = new Goal({ text: 'Go for a run' });
+        const entry = goal.addJournalEntry({ note: 'Too fast' });
+
+        expect(goal.removeJournalEntry('missing')).toBeNull();
+        expect(goal.removeJournalEntry(entry.id)).toBe(entry);
+        expect(goal.journal).toEqual([]);
+    });
+});
+
+describe('ApplicationState journal', () => {
+    it('should add and remove entries on library goals and keep them across a save/load', () => {
+        const appState = new ApplicationState();
+        const goal = appState.addGoal({ text: 'Go for a run' });
+
+        const entry = appState.addJournalEntry(goal.id, { note: 'Hills', durationMinutes: 50 });
+        expect(appState.addJournalEntry('missing', { note: 'Hills' })).toBeNull();
+
+        const restored = ApplicationState.fromObject(JSON.parse(JSON.stringify(appState.toObject())));
+        expect(restored.goalLibrary[0].journal[0]).toEqual(entry);
+        expect(restored.goalLibrary[0].journal[0].completedAt).toBeInstanceOf(Date);
+
+        expect(restored.removeJournalEntry(goal.id, entry.id)).toEqual(entry);
+        expect(restored.goalLibrary[0].journal).toEqual([]);
+    });
+
+    it('should ask for an entry after each mark unless turned off', () => {
+        expect(new ApplicationState().settings.journalPrompt).toBe(true);
+        expect(new ApplicationState({ settings: { journalPrompt: false } }).settings.journalPrompt).toBe(false);
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Completion Log Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests the append-only completion log, the CompletionLog helpers and the
+ *   migration of saves that only kept per-goal completion fields
+ * - Times are passed in explicitly and day streaks use UTC, so nothing depends on the clock
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Goal } from '../../src/models/Goal.js';
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+import { CompletionRecord } from '../../src/models/CompletionRecord.js';
+import { CARD_HISTORY_KEYS } from '../../src/utils/ApplicationStateManager.js';
+import { ACHIEVEMENT_RULES } from '../../src/utils/AchievementEngine.js';
+import { getLiveCompletions, getCompletionDates, getDayStreak, buildMigratedLog } from '../../src/utils/CompletionLog.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function markGoal(appState, goal) {
+    goal.moveToInPlay(0);
+    goal.complete();
+    return appState.recordGoalCompletion(goal);
+}
+
+function completionsOnDays(days) {
+    return days.map(day => new CompletionRecord({ goalId: 'walk', completedAt: `2026-03-${day}T08:00:00Z` }));
+}
+
+describe('ApplicationState completion log', () => {
+    it('should append every completion and count them on the goal', () => {
+        const appState = new ApplicationState();
+        const goal = appState.addGoal({ text: 'Go for a walk' });
+
+        markGoal(appState, goal);
+        goal.reset();
+        markGoal(appState, goal);
+
+        expect(appState.completionLog).toHaveLength(2);
+        expect(goal.completionCount).toBe(2);
+        expect(goal.lastCompletedAt).toEqual(appState.completionLog[1].completedAt);
+        expect(appState.metadata.totalGoalsCompleted).toBe(2);
+    });
+
+    it('should take back an un-marked completion with a new entry and restore the one before', () => {
+        const appState = new ApplicationState();
+        const goal = appState.addGoal({ text: 'Go for a walk' });
+        const first = markGoal(appState, goal);
+        goal.reset();
+        markGoal(appState, goal);
+
+        goal.reopen(0);
+        const revoked = appState.revokeGoalCompletion(goal);
+
+        expect(appState.completionLog).toHaveLength(3);
+        expect(revoked.type).toBe('revoked');
+        expect(getLiveCompletions(appState.completionLog, goal.id)).toEqual([first]);
+        expect(goal.completionCount).toBe(1);
+        expect(goal.lastCompletedAt).toEqual(first.completedAt);
+
+        appState.revokeGoalCompletion(goal);
+        expect(appState.revokeGoalCompletion(goal)).toBeNull();
+        expect(goal.completionCount).toBe(0);
+        expect(goal.lastCompletedAt).toBeNull();
+    });
+
+    it('should append to the log when a mark is undone and redone', () => {
+        const appState = new ApplicationState();
+        const goal = appState.addGoal({ text: 'Go for a walk' });
+        goal.moveToInPlay(0);
+
+        const before = appState.captureSnapshot(CARD_HISTORY_KEYS);
+        const completion = markGoal(appState, goal);
+        const after = appState.captureSnapshot(CARD_HISTORY_KEYS);
+
+        appState.restoreSnapshot(before);
+        expect(appState.completionLog).toHaveLength(2);
+        expect(appState.completionLog[0]).toBe(completion);
+        expect(appState.completionLog[1]).toMatchObject({ type: 'revoked', revokesId: completion.id });
+        expect(appState.goalLibrary[0].completionCount).toBe(0);
+        expect(appState.metadata.totalGoalsCompleted).toBe(0);
+
+        appState.restoreSnapshot(after);
+        expect(appState.completionLog).toHaveLength(3);
+        expect(getLiveCompletions(appState.completionLog, goal.id)[0].completedAt).toEqual(completion.completedAt);
+        expect(appState.goalLibrary[0].completionCount).toBe(1);
+        expect(appState.metadata.totalGoalsCompleted).toBe(1);
+    });
+
+    it('should keep the log across a save/load and drive the goal fields from it', () => {
+        const appState = new ApplicationState();
+        const goal = appState.addGoal({ text: 'Go for a walk', cooldownPeriod: 12 });
+        markGoal(appState, goal);
+
+        const saved = JSON.parse(JSON.stringify(appState.toObject()));
+        saved.goalLibrary[0].completionCount = 99;
+        const restored = ApplicationState.fromObject(saved);
+
+        expect(restored.completionLog[0]).toBeInstanceOf(CompletionRecord);
+        expect(restored.goalLibrary[0].completionCount).toBe(1);
+        expect(restored.goalLibrary[0].getNextAvailableAt())
+            .toEqual(new Date(appState.completionLog[0].completedAt.getTime() + 12 * 60 * 60 * 1000));
+    });
+
+    it('should migrate saves without a log from the goals\' completion fields', () => {
+        const lastCompletedAt = new Date('2026-03-05T08:00:00Z');
+        const appState = new ApplicationState();
+        appState.goalLibrary = [
+            new Goal({ id: 'walk', text: 'Go for a walk', completionCount: 3, lastCompletedAt, recentCompletions: ['2026-03-04T08:00:00Z', lastCompletedAt] }),
+            new Goal({ id: 'call', text: 'Call a friend', lastCompletedAt: '2026-03-01T18:00:00Z' }),
+            new Goal({ id: 'read', text: 'Read a chapter' })
+        ];
+        const saved = JSON.parse(JSON.stringify(appState.toObject()));
+        delete saved.completionLog;
+
+        const restored = ApplicationState.fromObject(saved);
+
+        expect(getLiveCompletions(restored.completionLog, 'walk')).toHaveLength(3);
+        expect(getCompletionDates(restored.completionLog, 'walk')).toEqual([new Date('2026-03-04T08:00:00Z'), lastCompletedAt]);
+        expect(restored.goalLibrary[0].completionCount).toBe(3);
+        expect(restored.goalLibrary[0].lastCompletedAt).toEqual(lastCompletedAt);
+        expect(restored.goalLibrary[1].completionCount).toBe(1);
+        expect(restored.metadata.totalGoalsCompleted).toBe(4);
+    });
+});
+
+describe('CompletionLog', () => {
+    it('should put undated migrated completions first, then dated ones oldest first', () => {
+        const log = buildMigratedLog([
+            { id: 'a', text: 'A', completionCount: 2, recentCompletions: [new Date('2026-03-03T00:00:00Z')] },
+            { id: 'b', text: 'B', completionCount: 1, recentCompletions: [new Date('2026-03-01T00:00:00Z')] }
+        ]);
+
+        expect(log.map(record => [record.goalId, record.completedAt && record.completedAt.toISOString()])).toEqual([
+            ['a', null],
+            ['b', '2026-03-01T00:00:00.000Z'],
+            ['a', '2026-03-03T00:00:00.000Z']
+        ]);
+    });
+
+    it('should count days in a row with a completion', () => {
+        const log = completionsOnDays(['01', '02', '03', '05', '06']);
+
+        expect(getDayStreak(log, new Date('2026-03-06T20:00:00Z'), 'UTC')).toEqual({ current: 2, best: 3 });
+        expect(getDayStreak(log, new Date('2026-03-07T20:00:00Z'), 'UTC')).toEqual({ current: 2, best: 3 });
+        expect(getDayStreak(log, new Date('2026-03-08T20:00:00Z'), 'UTC')).toEqual({ current: 0, best: 3 });
+        expect(getDayStreak([], new Date(), 'UTC')).toEqual({ current: 0, best: 0 });
+    });
+
+    it('should unlock Habit Builder after a week of daily completions', () => {
+        const week = completionsOnDays(['01', '02', '03', '04', '05', '06', '07']);
+
+        expect(ACHIEVEMENT_RULES['habit-builder']({ completionLog: week.slice(1) })).toBe(false);
+        expect(ACHIEVEMENT_RULES['habit-builder']({ completionLog: week })).toBe(true);
+    });
+});
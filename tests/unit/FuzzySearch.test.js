@@ -0,0 +1,62 @@
+/**
+ * FuzzySearch Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests pure search logic with real Goal and Category models
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { fuzzyMatch, searchGoals, getHighlightSegments } from '../../src/utils/FuzzySearch.js';
+import { Goal } from '../../src/models/Goal.js';
+import { Category } from '../../src/models/Category.js';
+
+const categories = [
+    new Category({ id: 'health', name: 'Health' }),
+    new Category({ id: 'hobbies', name: 'Hobbies' })
+];
+
+const goals = [
+    new Goal({ id: 'g1', text: 'Exercise for 30 minutes', categories: ['health'] }),
+    new Goal({ id: 'g2', text: 'Read for 20 minutes', categories: ['hobbies'], description: 'Fiction counts too' }),
+    new Goal({ id: 'g3', text: 'Plan meals', categories: ['health'] })
+];
+
+describe('FuzzySearch', () => {
+    it('should match substrings and in-order subsequences, case-insensitively', () => {
+        expect(fuzzyMatch('CISE', 'Exercise').indices).toEqual([4, 5, 6, 7]);
+        expect(fuzzyMatch('exr', 'Exercise').indices).toEqual([0, 1, 3]);
+        expect(fuzzyMatch('xe', 'Exercise')).not.toBeNull();
+        expect(fuzzyMatch('zz', 'Exercise')).toBeNull();
+    });
+
+    it('should reject widely scattered subsequences', () => {
+        expect(fuzzyMatch('rds', 'Read for 20 minutes with friends')).toBeNull();
+    });
+
+    it('should search text, description and category names', () => {
+        expect(searchGoals(goals, 'fiction', categories).map(result => result.goal.id)).toEqual(['g2']);
+        expect(searchGoals(goals, 'hobb', categories).map(result => result.goal.id)).toEqual(['g2']);
+        expect(searchGoals(goals, 'health meals', categories).map(result => result.goal.id)).toEqual(['g3']);
+    });
+
+    it('should rank title matches first and report matched characters', () => {
+        const results = searchGoals(goals, 'min', categories);
+
+        expect(results.map(result => result.goal.id)).toEqual(['g1', 'g2']);
+        expect(results[0].matches.text).toEqual([16, 17, 18]);
+        expect(results[0].matches.categories).toEqual([]);
+    });
+
+    it('should return every goal for an empty query', () => {
+        expect(searchGoals(goals, '  ', categories)).toHaveLength(3);
+    });
+
+    it('should split text into highlighted runs', () => {
+        expect(getHighlightSegments('Plan meals', [5, 6])).toEqual([
+            { text: 'Plan ', highlighted: false },
+            { text: 'me', highlighted: true },
+            { text: 'als', highlighted: false }
+        ]);
+    });
+});
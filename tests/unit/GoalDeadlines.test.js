@@ -0,0 +1,110 @@
+/**
+ * Goal Deadline Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests Goal due dates, GameState missed goals and the GoalDeadlines helpers
+ * - Times are passed in explicitly, so nothing depends on the clock
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Goal } from '../../src/models/Goal.js';
+import { GameState } from '../../src/models/GameState.js';
+import { normalizeExpiryPolicy, getNextExpiryPolicy, getExpiryPolicyLabel, formatTimeLeft } from '../../src/utils/GoalDeadlines.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function placeGoal(data, placedAt) {
+    const goal = new Goal({ text: 'File the report', ...data });
+    goal.moveToInPlay(3);
+    goal.movedToInPlayAt = placedAt;
+    return goal;
+}
+
+describe('Goal deadlines', () => {
+    it('should be due at the earlier of the fixed date and the hours allowed on the card', () => {
+        const placedAt = new Date('2026-03-02T09:00:00Z');
+
+        const withinHours = placeGoal({ dueWithinHours: 48 }, placedAt);
+        expect(withinHours.getDueAt()).toEqual(new Date('2026-03-04T09:00:00Z'));
+
+        const both = placeGoal({ dueWithinHours: 48, dueDate: '2026-03-03T12:00:00Z' }, placedAt);
+        expect(both.getDueAt()).toEqual(new Date('2026-03-03T12:00:00Z'));
+
+        expect(placeGoal({}, placedAt).getDueAt()).toBeNull();
+        expect(new Goal({ text: 'Not placed', dueWithinHours: 48 }).getDueAt()).toBeNull();
+    });
+
+    it('should only be overdue while in play past the deadline', () => {
+        const placedAt = new Date('2026-03-02T09:00:00Z');
+        const goal = placeGoal({ dueWithinHours: 2 }, placedAt);
+
+        expect(goal.isOverdue(new Date(placedAt.getTime() + HOUR))).toBe(false);
+        expect(goal.isOverdue(new Date(placedAt.getTime() + 3 * HOUR))).toBe(true);
+
+        goal.complete();
+        expect(goal.isOverdue(new Date(placedAt.getTime() + 3 * HOUR))).toBe(false);
+    });
+
+    it('should stop dealing a goal once its fixed due date has passed', () => {
+        const goal = new Goal({ text: 'Book flights', dueDate: '2026-03-10T23:59:59Z' });
+
+        expect(goal.isAvailable(new Date('2026-03-09T12:00:00Z'))).toBe(true);
+        expect(goal.isAvailable(new Date('2026-03-11T12:00:00Z'))).toBe(false);
+
+        const restored = Goal.fromObject(JSON.parse(JSON.stringify({ ...goal.toObject(), dueWithinHours: 6 })));
+        expect(restored.dueDate).toEqual(new Date('2026-03-10T23:59:59Z'));
+        expect(restored.dueWithinHours).toBe(6);
+    });
+});
+
+describe('GameState missed goals', () => {
+    it('should record misses, end the streak and count them per card', () => {
+        const gameState = new GameState({ currentStreak: 4 });
+        const goal = placeGoal({ dueWithinHours: 1 }, new Date('2026-03-02T09:00:00Z'));
+        const missedAt = new Date('2026-03-02T11:00:00Z');
+
+        const miss = gameState.recordMiss(goal, 3, missedAt);
+
+        expect(miss).toEqual({ goalId: goal.id, text: 'File the report', position: 3, dueAt: new Date('2026-03-02T10:00:00Z'), missedAt });
+        expect(gameState.currentStreak).toBe(0);
+        expect(gameState.totalMisses).toBe(1);
+        expect(gameState.cardMisses).toBe(1);
+
+        gameState.startCard();
+        expect(gameState.cardMisses).toBe(0);
+        expect(gameState.totalMisses).toBe(1);
+    });
+
+    it('should keep the expiry policy and misses across a save/load', () => {
+        const gameState = new GameState();
+        gameState.setExpiryPolicy('miss');
+        gameState.recordMiss(placeGoal({ dueWithinHours: 1 }, new Date('2026-03-02T09:00:00Z')), 0, new Date('2026-03-02T11:00:00Z'));
+
+        const restored = GameState.fromObject(JSON.parse(JSON.stringify(gameState.toObject())));
+
+        expect(restored.expiryPolicy).toBe('miss');
+        expect(restored.totalMisses).toBe(1);
+        expect(restored.missedGoals[0].missedAt).toBeInstanceOf(Date);
+        expect(new GameState().expiryPolicy).toBe('flag');
+    });
+});
+
+describe('GoalDeadlines', () => {
+    it('should cycle and label the expiry policies', () => {
+        expect(normalizeExpiryPolicy('unknown')).toBe('flag');
+        expect(getNextExpiryPolicy('flag')).toBe('swap');
+        expect(getNextExpiryPolicy('miss')).toBe('flag');
+        expect(getExpiryPolicyLabel('miss')).toBe('Count as miss');
+    });
+
+    it('should format the time left on a cell', () => {
+        const now = new Date('2026-03-02T09:00:00Z');
+
+        expect(formatTimeLeft(null, now)).toBe('');
+        expect(formatTimeLeft(new Date(now.getTime() + 45 * 60000), now)).toBe('⏰ 45m');
+        expect(formatTimeLeft(new Date(now.getTime() + 5 * HOUR), now)).toBe('⏰ 5h');
+        expect(formatTimeLeft(new Date(now.getTime() + 72 * HOUR), now)).toBe('⏰ 3d');
+        expect(formatTimeLeft(new Date(now.getTime() - HOUR), now)).toBe('⏰ Overdue');
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * GoalFilters Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests pure filter and sort logic with real Goal models
+ * - Saved views are checked through ApplicationState settings
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { applyGoalFilters, sortGoals, countActiveFilters, DEFAULT_GOAL_FILTERS } from '../../src/utils/GoalFilters.js';
+import { Goal } from '../../src/models/Goal.js';
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+
+function createGoals() {
+    const walk = new Goal({ id: 'walk', text: 'Walk the dog', categories: ['health'], difficulty: 'easy', createdAt: '2026-01-10T09:00:00' });
+    const read = new Goal({ id: 'read', text: 'Read a chapter', categories: ['hobbies'], difficulty: 'medium', createdAt: '2026-02-15T09:00:00' });
+    const tax = new Goal({ id: 'tax', text: 'File taxes', categories: ['work'], difficulty: 'hard', isRenewable: false, createdAt: '2026-03-01T09:00:00' });
+
+    // Walked twice, the latest time just now - still cooling down
+    const appState = new ApplicationState();
+    appState.goalLibrary = [walk, read, tax];
+    walk.complete();
+    appState.recordGoalCompletion(walk);
+    walk.reset();
+    walk.complete();
+    appState.recordGoalCompletion(walk);
+
+    return { walk, read, tax, appState };
+}
+
+const ids = goals => goals.map(goal => goal.id);
+
+describe('GoalFilters', () => {
+    it('should combine filters with AND and list values with OR', () => {
+        const { walk, read, tax } = createGoals();
+        const goals = [walk, read, tax];
+
+        expect(ids(applyGoalFilters(goals, { categories: ['health', 'work'] }))).toEqual(['walk', 'tax']);
+        expect(ids(applyGoalFilters(goals, { categories: ['health', 'work'], difficulties: ['hard'] }))).toEqual(['tax']);
+        expect(ids(applyGoalFilters(goals, { renewable: 'renewable' }))).toEqual(['walk', 'read']);
+        expect(ids(applyGoalFilters(goals, { renewable: 'one-off' }))).toEqual(['tax']);
+        expect(ids(applyGoalFilters(goals, DEFAULT_GOAL_FILTERS))).toEqual(['walk', 'read', 'tax']);
+    });
+
+    it('should filter by cooldown status and created date range', () => {
+        const { walk, read, tax } = createGoals();
+        const goals = [walk, read, tax];
+
+        expect(ids(applyGoalFilters(goals, { cooldown: 'cooling-down' }))).toEqual(['walk']);
+        expect(ids(applyGoalFilters(goals, { cooldown: 'available' }))).toEqual(['read', 'tax']);
+        expect(ids(applyGoalFilters(goals, { createdFrom: '2026-02-15', createdTo: '2026-02-15' }))).toEqual(['read']);
+        expect(ids(applyGoalFilters(goals, { createdFrom: '2026-02-01' }))).toEqual(['read', 'tax']);
+    });
+
+    it('should count active filters', () => {
+        expect(countActiveFilters(DEFAULT_GOAL_FILTERS)).toBe(0);
+        expect(countActiveFilters({ state: 'to-do', difficulties: ['easy'], createdTo: '2026-01-01' })).toBe(3);
+    });
+
+    it('should sort alphabetically, newest, most completed and longest idle', () => {
+        const { walk, read, tax } = createGoals();
+        const goals = [walk, read, tax];
+
+        expect(ids(sortGoals(goals, 'alphabetical'))).toEqual(['tax', 'read', 'walk']);
+        expect(ids(sortGoals(goals, 'newest'))).toEqual(['tax', 'read', 'walk']);
+        expect(ids(sortGoals(goals, 'most-completed'))).toEqual(['walk', 'read', 'tax']);
+        expect(ids(sortGoals(goals, 'longest-idle'))).toEqual(['read', 'tax', 'walk']);
+        expect(ids(sortGoals(goals, 'library'))).toEqual(['walk', 'read', 'tax']);
+    });
+
+    it('should count completions and undo them when the completion is revoked', () => {
+        const { walk, appState } = createGoals();
+
+        expect(walk.completionCount).toBe(2);
+        walk.reopen();
+        expect(walk.completionCount).toBe(2);
+        appState.revokeGoalCompletion(walk);
+        expect(walk.completionCount).toBe(1);
+        expect(new Goal(walk.toObject()).completionCount).toBe(1);
+    });
+
+    it('should save views by name and keep them across a save/load', () => {
+        const appState = new ApplicationState();
+        appState.initializeDefaults();
+
+        const first = appState.saveGoalView('Quick wins', { difficulties: ['easy'] }, 'alphabetical');
+        const replaced = appState.saveGoalView('quick WINS', { difficulties: ['easy', 'medium'] }, 'newest');
+
+        expect(appState.settings.goalViews).toHaveLength(1);
+        expect(replaced.id).toBe(first.id);
+
+        const restored = ApplicationState.fromObject(JSON.parse(JSON.stringify(appState.toObject())));
+        expect(restored.settings.goalViews[0]).toMatchObject({ name: 'quick WINS', sort: 'newest' });
+        expect(restored.settings.goalViews[0].filters.difficulties).toEqual(['easy', 'medium']);
+
+        expect(restored.removeGoalView(first.id)).not.toBeNull();
+        expect(restored.settings.goalViews).toHaveLength(0);
+    });
+});
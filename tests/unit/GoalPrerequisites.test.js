@@ -0,0 +1,100 @@
+/**
+ * Goal Prerequisite Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests GoalPrerequisites lock and loop rules, and ApplicationState using them
+ * - Uses real Goal models - a prerequisite is met once it has been completed
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Goal } from '../../src/models/Goal.js';
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+import { createState } from '../utils/ApplicationStateFixtures.js';
+import { getBlockingGoals, isGoalLocked, findPrerequisiteCycle, describeBlockers } from '../../src/utils/GoalPrerequisites.js';
+
+function createRunningProgram() {
+    const run1k = new Goal({ id: 'run-1k', text: 'Run 1 km' });
+    const run3k = new Goal({ id: 'run-3k', text: 'Run 3 km', prerequisites: ['run-1k'] });
+    const run5k = new Goal({ id: 'run-5k', text: 'Run 5 km', prerequisites: ['run-3k'] });
+    return [run1k, run3k, run5k];
+}
+
+describe('GoalPrerequisites', () => {
+    it('should lock a goal until its prerequisites have been completed', () => {
+        const goals = createRunningProgram();
+        const [run1k, run3k, run5k] = goals;
+
+        expect(isGoalLocked(run1k, goals)).toBe(false);
+        expect(getBlockingGoals(run3k, goals)).toEqual([run1k]);
+        expect(describeBlockers(getBlockingGoals(run3k, goals))).toBe('🔒 After: Run 1 km');
+
+        run1k.moveToInPlay(0);
+        run1k.complete();
+        // As ApplicationState.syncGoalCompletions() does once the completion is logged
+        run1k.applyCompletionHistory([run1k.completedAt], 1);
+        expect(isGoalLocked(run3k, goals)).toBe(false);
+        expect(isGoalLocked(run5k, goals)).toBe(true);
+
+        // A renewable prerequisite coming back round does not lock its followers again
+        run1k.reset();
+        expect(isGoalLocked(run3k, goals)).toBe(false);
+    });
+
+    it('should ignore prerequisites that are no longer in the library', () => {
+        const [, run3k] = createRunningProgram();
+
+        expect(isGoalLocked(run3k, [run3k])).toBe(false);
+        expect(describeBlockers([])).toBe('');
+    });
+
+    it('should find loops, including a goal that needs itself', () => {
+        const goals = createRunningProgram();
+
+        expect(findPrerequisiteCycle('run-1k', ['run-5k'], goals)).toEqual(['run-1k', 'run-5k', 'run-3k', 'run-1k']);
+        expect(findPrerequisiteCycle('run-1k', ['run-1k'], goals)).toEqual(['run-1k', 'run-1k']);
+        expect(findPrerequisiteCycle('run-5k', ['run-1k', 'run-3k'], goals)).toBeNull();
+        expect(findPrerequisiteCycle(null, ['run-5k'], goals)).toBeNull();
+    });
+});
+
+describe('ApplicationState prerequisites', () => {
+    it('should only offer unlocked goals for card generation', () => {
+        const appState = createState(createRunningProgram());
+
+        expect(appState.getAvailableGoals().map(goal => goal.id)).toEqual(['run-1k']);
+    });
+
+    it('should reject links that make a loop', () => {
+        const appState = createState(createRunningProgram());
+
+        expect(appState.updateGoal('run-1k', { prerequisites: ['run-5k'] })).toBeNull();
+        expect(appState.goalLibrary[0].prerequisites).toEqual([]);
+        expect(appState.addGoal({ id: 'run-10k', text: 'Run 10 km', prerequisites: ['run-10k'] })).toBeNull();
+        expect(appState.addGoal({ text: 'Run 10 km', prerequisites: ['run-5k'] })).toBeInstanceOf(Goal);
+    });
+
+    it('should drop links that would make a loop when a goal is restored from the trash', () => {
+        const appState = createState(createRunningProgram());
+        appState.removeGoal('run-3k');
+
+        // With run 3 km in the trash, nothing stops run 1 km from following it
+        expect(appState.updateGoal('run-1k', { prerequisites: ['run-3k'] })).not.toBeNull();
+
+        const restored = appState.restoreGoal('run-3k');
+        expect(restored.prerequisites).toEqual([]);
+        expect(appState.goalLibrary.find(g => g.id === 'run-1k').prerequisites).toEqual(['run-3k']);
+        expect(appState.goalLibrary.every(goal => !findPrerequisiteCycle(goal.id, goal.prerequisites, appState.goalLibrary))).toBe(true);
+    });
+
+    it('should drop purged goals from other goals\' prerequisites and keep links across a save/load', () => {
+        const appState = createState(createRunningProgram());
+        appState.removeGoal('run-1k');
+        appState.purgeGoals(['run-1k']);
+
+        expect(appState.goalLibrary[0].prerequisites).toEqual([]);
+
+        const restored = ApplicationState.fromObject(JSON.parse(JSON.stringify(appState.toObject())));
+        expect(restored.goalLibrary[1].prerequisites).toEqual(['run-3k']);
+    });
+});
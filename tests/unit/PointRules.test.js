@@ -0,0 +1,72 @@
+/**
+ * Point Economy Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests PointRules values and the ApplicationState points ledger
+ * - Uses real models only (no Phaser game instance)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getGoalPoints, getWinPoints, getRewardCost } from '../../src/utils/PointRules.js';
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+import { Goal } from '../../src/models/Goal.js';
+
+describe('PointRules', () => {
+    it('should scale goal points by difficulty', () => {
+        expect(getGoalPoints(new Goal({ difficulty: 'easy' }))).toBeLessThan(getGoalPoints(new Goal({ difficulty: 'medium' })));
+        expect(getGoalPoints(new Goal({ difficulty: 'medium' }))).toBeLessThan(getGoalPoints(new Goal({ difficulty: 'hard' })));
+    });
+
+    it('should pay per winning pattern', () => {
+        const line = getWinPoints([{ type: 'row', index: 0 }]);
+
+        expect(getWinPoints([{ type: 'row', index: 0 }, { type: 'column', index: 1 }])).toBe(line * 2);
+        expect(getWinPoints([{ type: 'blackout', index: 0 }])).toBeGreaterThan(line);
+    });
+
+    it('should prefer a reward\'s own point cost over its category default', () => {
+        expect(getRewardCost({ category: 'rest', pointCost: null })).toBe(10);
+        expect(getRewardCost({ category: 'rest', pointCost: 0 })).toBe(0);
+    });
+});
+
+describe('ApplicationState points ledger', () => {
+    it('should earn for goals and wins, and take back un-marked goals once', () => {
+        const appState = new ApplicationState();
+        const goal = new Goal({ text: 'Stretch', difficulty: 'hard' });
+
+        appState.awardGoalPoints(goal);
+        appState.awardWinPoints({ id: 'win_1', patterns: [{ type: 'row', index: 0 }] });
+        expect(appState.getPointsBalance()).toBe(30);
+
+        appState.revokeGoalPoints(goal);
+        expect(appState.revokeGoalPoints(goal)).toBeNull();
+        expect(appState.getPointsBalance()).toBe(10);
+    });
+
+    it('should block claims the balance cannot cover and refund unclaims', () => {
+        const appState = new ApplicationState();
+        const reward = appState.addReward({ description: 'Movie night', pointCost: 15 });
+
+        appState.awardWinPoints({ id: 'win_1', patterns: [{ type: 'row', index: 0 }] });
+        expect(appState.claimReward(reward.id, 'win_1')).toBeNull();
+
+        appState.awardWinPoints({ id: 'win_2', patterns: [{ type: 'row', index: 0 }] });
+        expect(appState.claimReward(reward.id, 'win_2')).toBe(reward);
+        expect(appState.getPointsBalance()).toBe(5);
+
+        appState.unclaimReward(reward.id);
+        expect(appState.getPointsBalance()).toBe(20);
+    });
+
+    it('should persist the transaction history', () => {
+        const appState = new ApplicationState();
+        appState.awardGoalPoints(new Goal({ text: 'Walk', difficulty: 'easy' }));
+
+        const restored = ApplicationState.fromObject(JSON.parse(JSON.stringify(appState.toObject())));
+
+        expect(restored.getPointsBalance()).toBe(5);
+        expect(restored.pointsHistory[0].timestamp).toBeInstanceOf(Date);
+        expect(restored.pointsHistory[0].source).toBe('goal');
+    });
+});
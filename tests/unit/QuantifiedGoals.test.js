@@ -0,0 +1,63 @@
+/**
+ * Quantified Goal Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests Goal target/progress logic with real models
+ * - BingoCell only mirrors Goal.isTargetReached(), so the rules are tested here
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Goal } from '../../src/models/Goal.js';
+
+function createWaterGoal() {
+    const goal = new Goal({ text: 'Drink water', target: 8, unit: 'glasses' });
+    goal.moveToInPlay(4);
+    return goal;
+}
+
+describe('Quantified goals', () => {
+    it('should only reach the target once the logged amounts add up', () => {
+        const goal = createWaterGoal();
+
+        expect(goal.isQuantified()).toBe(true);
+        expect(new Goal({ text: 'Call mum' }).isQuantified()).toBe(false);
+
+        goal.logProgress(1);
+        goal.logProgress(5);
+        expect(goal.getProgress()).toBe(6);
+        expect(goal.isTargetReached()).toBe(false);
+
+        goal.logProgress(2);
+        expect(goal.isTargetReached()).toBe(true);
+    });
+
+    it('should store entries with timestamps and never go below zero', () => {
+        const goal = createWaterGoal();
+        const loggedAt = new Date('2026-03-02T08:00:00Z');
+
+        expect(goal.logProgress(3, loggedAt)).toEqual({ amount: 3, loggedAt });
+        expect(goal.logProgress(-5)).toMatchObject({ amount: -3 });
+        expect(goal.getProgress()).toBe(0);
+        expect(goal.logProgress(-1)).toBeNull();
+        expect(goal.logProgress(0)).toBeNull();
+        expect(goal.progressEntries).toHaveLength(2);
+    });
+
+    it('should keep progress across a save/load and start from zero on a new card', () => {
+        const goal = createWaterGoal();
+        goal.logProgress(2.5, new Date('2026-03-02T08:00:00Z'));
+
+        const restored = new Goal(JSON.parse(JSON.stringify(goal.toObject())));
+        expect(restored.target).toBe(8);
+        expect(restored.unit).toBe('glasses');
+        expect(restored.getProgress()).toBe(2.5);
+        expect(restored.progressEntries[0].loggedAt).toBeInstanceOf(Date);
+
+        restored.complete();
+        expect(restored.getProgress()).toBe(2.5);
+        restored.reset();
+        restored.moveToInPlay(0);
+        expect(restored.getProgress()).toBe(0);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * RecurrenceRule Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests pure schedule logic with fixed dates and explicit time zones
+ * - Goal availability is checked through real Goal models
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeRecurrence,
+    getNextOccurrence,
+    describeRecurrence,
+    formatNextAvailable,
+    getZonedDay,
+    isScheduledDay
+} from '../../src/utils/RecurrenceRule.js';
+import { Goal } from '../../src/models/Goal.js';
+
+const UTC = 'UTC';
+
+describe('RecurrenceRule', () => {
+    it('should reject invalid rules', () => {
+        expect(normalizeRecurrence(null)).toBeNull();
+        expect(normalizeRecurrence({ type: 'yearly' })).toBeNull();
+        expect(normalizeRecurrence({ type: 'weekly', days: [] })).toBeNull();
+        expect(normalizeRecurrence({ type: 'monthly', dayOfMonth: 32 })).toBeNull();
+        expect(normalizeRecurrence({ type: 'times-per-week', count: 8 })).toBeNull();
+        expect(normalizeRecurrence({ type: 'weekly', days: [5, 1, 1, 3] })).toEqual({ type: 'weekly', days: [1, 3, 5], timeZone: null });
+    });
+
+    it('should find the next weekday, listed day and day of the month', () => {
+        // Friday 2026-03-06, 18:00 UTC
+        const friday = new Date('2026-03-06T18:00:00Z');
+
+        expect(getNextOccurrence({ type: 'weekdays', timeZone: UTC }, [friday]).toISOString()).toBe('2026-03-09T00:00:00.000Z');
+        expect(getNextOccurrence({ type: 'weekly', days: [1, 3, 5], timeZone: UTC }, [friday]).toISOString()).toBe('2026-03-09T00:00:00.000Z');
+        expect(getNextOccurrence({ type: 'monthly', dayOfMonth: 1, timeZone: UTC }, [friday]).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+        expect(getNextOccurrence({ type: 'interval', interval: 3, timeZone: UTC }, [friday]).toISOString()).toBe('2026-03-09T00:00:00.000Z');
+
+        // The 31st falls back to the last day of shorter months
+        const january31 = new Date('2026-01-31T12:00:00Z');
+        expect(getNextOccurrence({ type: 'monthly', dayOfMonth: 31, timeZone: UTC }, [january31]).toISOString()).toBe('2026-02-28T00:00:00.000Z');
+        expect(getNextOccurrence({ type: 'weekdays', timeZone: UTC }, [])).toBeNull();
+    });
+
+    it('should count the days in the rule time zone', () => {
+        // Friday 23:30 in New York is already Saturday in UTC
+        const fridayNight = new Date('2026-03-07T04:30:00Z');
+        const rule = { type: 'weekdays', timeZone: 'America/New_York' };
+
+        // Monday midnight in New York, which is on daylight saving time from 8 March
+        expect(getNextOccurrence(rule, [fridayNight]).toISOString()).toBe('2026-03-09T04:00:00.000Z');
+        expect(getNextOccurrence({ ...rule, timeZone: UTC }, [fridayNight]).toISOString()).toBe('2026-03-09T00:00:00.000Z');
+    });
+
+    it('should allow N completions a week, one per day', () => {
+        const rule = { type: 'times-per-week', count: 2, timeZone: UTC };
+        const monday = new Date('2026-03-02T09:00:00Z');
+        const wednesday = new Date('2026-03-04T09:00:00Z');
+
+        expect(getNextOccurrence(rule, [monday]).toISOString()).toBe('2026-03-03T00:00:00.000Z');
+        expect(getNextOccurrence(rule, [monday, wednesday]).toISOString()).toBe('2026-03-09T00:00:00.000Z');
+
+        // Last week's completions don't count against this week
+        const lastSunday = new Date('2026-03-01T09:00:00Z');
+        expect(getNextOccurrence(rule, [lastSunday, wednesday]).toISOString()).toBe('2026-03-05T00:00:00.000Z');
+    });
+
+    it('should describe rules and format the next available time', () => {
+        expect(describeRecurrence({ type: 'weekly', days: [1, 3, 5] })).toBe('Mon, Wed, Fri');
+        expect(describeRecurrence({ type: 'monthly', dayOfMonth: 1 })).toBe('1st of each month');
+        expect(describeRecurrence({ type: 'interval', interval: 3 })).toBe('Every 3 days');
+        expect(describeRecurrence({ type: 'times-per-week', count: 3 })).toBe('3 times a week');
+
+        const now = new Date('2026-03-06T18:00:00Z');
+        expect(formatNextAvailable(null, { now })).toBe('Available now');
+        expect(formatNextAvailable(new Date('2026-03-09T00:00:00Z'), { now, timeZone: UTC })).toMatch(/^Next: Mon 9 Mar/);
+    });
+
+    it('should keep a to-do goal out of play on days off its schedule', () => {
+        const rule = { type: 'weekly', days: [1, 3, 5], timeZone: 'America/New_York' };
+        const goal = new Goal({ text: 'Gym', recurrence: rule });
+
+        // Tuesday 01:00 UTC is still Monday evening in New York
+        const tuesdayUtc = new Date('2026-03-10T01:00:00Z');
+        expect(isScheduledDay(goal.recurrence, getZonedDay(tuesdayUtc, UTC))).toBe(false);
+        expect(goal.isAvailable(tuesdayUtc)).toBe(true);
+
+        expect(goal.isAvailable(new Date('2026-03-10T12:00:00Z'))).toBe(false);
+        expect(goal.isAvailable(new Date('2026-03-11T12:00:00Z'))).toBe(true);
+
+        // Rules without fixed days are on every day
+        expect(isScheduledDay(normalizeRecurrence({ type: 'interval', interval: 3 }), getZonedDay(tuesdayUtc, UTC))).toBe(true);
+        expect(new Goal({ text: 'Read', recurrence: { type: 'times-per-week', count: 2 } }).isAvailable(tuesdayUtc)).toBe(true);
+    });
+
+    it('should drive Goal availability and survive a save/load', () => {
+        const goal = new Goal({ text: 'Gym', recurrence: { type: 'weekly', days: [1, 3, 5], timeZone: UTC } });
+        goal.complete();
+        goal.lastCompletedAt = new Date('2026-03-06T18:00:00Z');
+        goal.recentCompletions = [goal.lastCompletedAt];
+
+        expect(goal.isAvailable(new Date('2026-03-08T23:59:00Z'))).toBe(false);
+        expect(goal.isAvailable(new Date('2026-03-09T00:00:00Z'))).toBe(true);
+        expect(goal.getCooldownRemaining(new Date('2026-03-08T23:00:00Z'))).toBe(1);
+
+        const restored = new Goal(JSON.parse(JSON.stringify(goal.toObject())));
+        expect(restored.recurrence).toEqual(goal.recurrence);
+        expect(restored.getNextAvailableAt().toISOString()).toBe('2026-03-09T00:00:00.000Z');
+
+        // Still available the next Tuesday, off the schedule - not until Wednesday
+        expect(goal.isAvailable(new Date('2026-03-10T12:00:00Z'))).toBe(false);
+        expect(goal.isAvailable(new Date('2026-03-11T00:00:00Z'))).toBe(true);
+
+        // One-off goals never keep a schedule
+        expect(new Goal({ isRenewable: false, recurrence: { type: 'weekdays' } }).recurrence).toBeNull();
+    });
+});
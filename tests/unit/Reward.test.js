@@ -0,0 +1,57 @@
+/**
+ * Reward Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests claim bookkeeping, quantity and cooldown on the plain model
+ * - Round-trips through toObject/JSON the way StorageManager persists rewards
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Reward } from '../../src/models/Reward.js';
+
+describe('Reward', () => {
+    it('should migrate a legacy single claim into the claims list', () => {
+        const reward = new Reward({ claimed: true, claimedAt: '2024-01-01T00:00:00.000Z', claimedFor: 'win_1' });
+
+        expect(reward.claims).toHaveLength(1);
+        expect(reward.isClaimedFor('win_1')).toBe(true);
+        expect(reward.claimedAt).toBeInstanceOf(Date);
+    });
+
+    it('should stop being available once its quantity is used up', () => {
+        const reward = new Reward({ quantity: 2 });
+
+        reward.claim('win_1');
+        expect(reward.getRemainingQuantity()).toBe(1);
+        expect(reward.isAvailable()).toBe(true);
+
+        reward.claim('win_2');
+        expect(reward.isAvailable()).toBe(false);
+
+        reward.unclaim();
+        expect(reward.isClaimedFor('win_2')).toBe(false);
+        expect(reward.isAvailable()).toBe(true);
+    });
+
+    it('should respect the cooldown for unlimited rewards', () => {
+        const reward = new Reward({ quantity: null, cooldownPeriod: 24 });
+
+        reward.claim('win_1');
+        expect(reward.getRemainingQuantity()).toBeNull();
+        expect(reward.getCooldownRemaining()).toBeGreaterThan(23);
+        expect(reward.isAvailable()).toBe(false);
+    });
+
+    it('should keep editor fields and claims through serialization', () => {
+        const reward = new Reward({ description: 'Movie night', pointCost: 12, quantity: null, cooldownPeriod: 48 });
+        reward.claim('win_1');
+
+        const restored = Reward.fromObject(JSON.parse(JSON.stringify(reward.toObject())));
+
+        expect(restored.pointCost).toBe(12);
+        expect(restored.quantity).toBeNull();
+        expect(restored.cooldownPeriod).toBe(48);
+        expect(restored.claims[0].claimedAt).toBeInstanceOf(Date);
+        expect(restored.claimedFor).toBe('win_1');
+    });
+});
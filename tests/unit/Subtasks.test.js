@@ -0,0 +1,77 @@
+/**
+ * Goal Sub-task Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests the Goal checklist (ticks, counts, reset) with real models
+ * - The checklist popover only calls Goal.toggleSubtask(), so the rules are tested here
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Goal } from '../../src/models/Goal.js';
+
+function createPackingGoal() {
+    const goal = new Goal({
+        text: 'Pack for the trip',
+        subtasks: [
+            { id: 'clothes', text: 'Clothes' },
+            { id: 'passport', text: 'Passport' },
+            { id: 'charger', text: 'Charger' }
+        ]
+    });
+    goal.moveToInPlay(2);
+    return goal;
+}
+
+describe('Goal sub-tasks', () => {
+    it('should tick and untick steps with a timestamp', () => {
+        const goal = createPackingGoal();
+
+        const step = goal.toggleSubtask('passport');
+        expect(step.done).toBe(true);
+        expect(step.doneAt).toBeInstanceOf(Date);
+        expect(goal.getSubtaskProgress()).toEqual({ done: 1, total: 3 });
+
+        goal.toggleSubtask('passport');
+        expect(step.done).toBe(false);
+        expect(step.doneAt).toBeNull();
+        expect(goal.toggleSubtask('missing')).toBeNull();
+    });
+
+    it('should only count as done once every step is ticked', () => {
+        const goal = createPackingGoal();
+
+        goal.toggleSubtask('clothes');
+        goal.toggleSubtask('passport');
+        expect(goal.areSubtasksDone()).toBe(false);
+
+        goal.toggleSubtask('charger');
+        expect(goal.areSubtasksDone()).toBe(true);
+        expect(new Goal({ text: 'Call mum' }).areSubtasksDone()).toBe(false);
+    });
+
+    it('should clear the ticks when the goal goes back into play', () => {
+        const goal = createPackingGoal();
+        goal.toggleSubtask('clothes');
+        goal.toggleSubtask('charger');
+
+        goal.moveToInPlay(5);
+
+        expect(goal.getSubtaskProgress()).toEqual({ done: 0, total: 3 });
+        expect(goal.subtasks.map(subtask => subtask.text)).toEqual(['Clothes', 'Passport', 'Charger']);
+    });
+
+    it('should keep the steps, their order and the auto-complete option across a save/load', () => {
+        const goal = createPackingGoal();
+        goal.completeWithSubtasks = false;
+        goal.toggleSubtask('passport');
+
+        const restored = Goal.fromObject(JSON.parse(JSON.stringify(goal.toObject())));
+
+        expect(restored.subtasks.map(subtask => subtask.id)).toEqual(['clothes', 'passport', 'charger']);
+        expect(restored.subtasks[1].done).toBe(true);
+        expect(restored.subtasks[1].doneAt).toBeInstanceOf(Date);
+        expect(restored.completeWithSubtasks).toBe(false);
+        expect(new Goal({ text: 'Call mum' }).completeWithSubtasks).toBe(true);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Goal Trash Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests ApplicationState trash, restore and purge with real models
+ * - Archived goals are checked through GoalFilters and Goal.isAvailable()
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+import { createState } from '../utils/ApplicationStateFixtures.js';
+import { applyGoalFilters } from '../../src/utils/GoalFilters.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ApplicationState trash', () => {
+    it('should move deleted goals to the trash and restore them', () => {
+        const appState = createState();
+        const total = appState.goalLibrary.length;
+        const [first, second, third] = appState.goalLibrary;
+
+        appState.removeGoal(first.id);
+        appState.bulkRemoveGoals([second.id, third.id]);
+
+        expect(appState.goalLibrary).toHaveLength(total - 3);
+        expect(appState.trash.map(goal => goal.id)).toEqual([first.id, second.id, third.id]);
+        expect(first.deletedAt).toBeInstanceOf(Date);
+
+        expect(appState.restoreGoal(first.id)).toBe(first);
+        expect(first.deletedAt).toBeNull();
+        expect(appState.goalLibrary).toHaveLength(total - 2);
+        expect(appState.trash).toHaveLength(2);
+        expect(appState.restoreGoal('missing')).toBeNull();
+    });
+
+    it('should drop deleted categories and stale in-play state on restore', () => {
+        const appState = createState();
+        const goal = appState.goalLibrary[0];
+        goal.categories = ['skills', 'health'];
+        goal.moveToInPlay(0);
+
+        appState.removeGoal(goal.id);
+        appState.deleteCategory('skills');
+        appState.restoreGoal(goal.id);
+
+        expect(goal.categories).toEqual(['health']);
+        expect(goal.state).toBe('to-do');
+    });
+
+    it('should purge goals forever and expire old ones after the retention period', () => {
+        const appState = createState();
+        const [first, second, third] = appState.goalLibrary;
+        appState.bulkRemoveGoals([first.id, second.id, third.id]);
+
+        expect(appState.purgeGoals([first.id]).map(goal => goal.id)).toEqual([first.id]);
+        expect(appState.restoreGoal(first.id)).toBeNull();
+
+        second.deletedAt = new Date(Date.now() - 31 * DAY);
+        third.deletedAt = new Date(Date.now() - 29 * DAY);
+        expect(appState.purgeExpiredTrash().map(goal => goal.id)).toEqual([second.id]);
+        expect(appState.trash.map(goal => goal.id)).toEqual([third.id]);
+
+        appState.settings.trashRetentionDays = null;
+        expect(appState.purgeExpiredTrash(new Date(Date.now() + 365 * DAY))).toEqual([]);
+
+        appState.settings.trashRetentionDays = 7;
+        expect(appState.purgeExpiredTrash()).toHaveLength(1);
+        expect(appState.trash).toHaveLength(0);
+    });
+
+    it('should keep the trash and retention across a save/load', () => {
+        const appState = createState();
+        const goal = appState.goalLibrary[0];
+        appState.removeGoal(goal.id);
+        appState.settings.trashRetentionDays = 90;
+
+        const restored = ApplicationState.fromObject(JSON.parse(JSON.stringify(appState.toObject())));
+
+        expect(restored.trash).toHaveLength(1);
+        expect(restored.trash[0].id).toBe(goal.id);
+        expect(restored.trash[0].deletedAt).toBeInstanceOf(Date);
+        expect(restored.settings.trashRetentionDays).toBe(90);
+        expect(new ApplicationState().settings.trashRetentionDays).toBe(30);
+    });
+
+    it('should only show archived goals under the archived filter', () => {
+        const appState = createState();
+        const [first, second] = appState.goalLibrary;
+        appState.bulkArchiveGoals([first.id]);
+
+        expect(first.isAvailable()).toBe(false);
+        expect(applyGoalFilters(appState.goalLibrary, { state: 'archived' })).toEqual([first]);
+        expect(applyGoalFilters(appState.goalLibrary, { state: 'all' })).not.toContain(first);
+        expect(applyGoalFilters(appState.goalLibrary, { state: 'all' })).toContain(second);
+
+        expect(appState.bulkUnarchiveGoals([first.id, second.id])).toEqual([first]);
+        expect(first.archived).toBe(false);
+        expect(first.isAvailable()).toBe(true);
+    });
+});
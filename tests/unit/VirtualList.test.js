@@ -0,0 +1,39 @@
+/**
+ * VirtualList Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests the pure windowing math behind the goal library's recycled cards
+ * - No Phaser dependencies
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getContentHeight, clampScroll, getVisibleRange } from '../../src/utils/VirtualList.js';
+
+describe('VirtualList', () => {
+    it('should measure content height in whole rows', () => {
+        expect(getContentHeight(0, 3, 100)).toBe(0);
+        expect(getContentHeight(7, 3, 100)).toBe(300);
+    });
+
+    it('should clamp scrolling between the top and the last screen', () => {
+        expect(clampScroll(-50, 1000, 400)).toBe(0);
+        expect(clampScroll(250, 1000, 400)).toBe(250);
+        expect(clampScroll(Infinity, 1000, 400)).toBe(600);
+        expect(clampScroll(100, 300, 400)).toBe(0);
+    });
+
+    it('should only return the rows in view plus overscan', () => {
+        const options = { itemCount: 10000, columns: 3, rowHeight: 100, viewportHeight: 500 };
+
+        expect(getVisibleRange({ ...options, scrollY: 0 })).toEqual({ startIndex: 0, endIndex: 21 });
+        expect(getVisibleRange({ ...options, scrollY: 2000 })).toEqual({ startIndex: 57, endIndex: 81 });
+        expect(getVisibleRange({ ...options, scrollY: 2000, overscan: 0 })).toEqual({ startIndex: 60, endIndex: 78 });
+    });
+
+    it('should stop at the last item', () => {
+        expect(getVisibleRange({ itemCount: 5, columns: 3, rowHeight: 100, viewportHeight: 500, scrollY: 0 }))
+            .toEqual({ startIndex: 0, endIndex: 5 });
+        expect(getVisibleRange({ itemCount: 0, columns: 3, rowHeight: 100, viewportHeight: 500, scrollY: 0 }))
+            .toEqual({ startIndex: 0, endIndex: 0 });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * WinPatterns Unit Tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Tests win pattern definitions in isolation (no Phaser game instance)
+ * - Cards are described by the set of marked row-major positions
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    findWinningPatterns,
+    findNewWinningPatterns,
+    getPatternKey,
+    countWins,
+    getModePatterns,
+    getPatternPositions,
+    getNextWinMode,
+    normalizeWinMode
+} from '../../src/utils/WinPatterns.js';
+
+const marked = positions => {
+    const set = new Set(positions);
+    return position => set.has(position);
+};
+
+describe('WinPatterns', () => {
+    it('should detect a single line in the default mode', () => {
+        const patterns = findWinningPatterns(undefined, 3, marked([3, 4, 5]));
+
+        expect(patterns).toHaveLength(1);
+        expect(patterns[0]).toMatchObject({ type: 'row', index: 1 });
+    });
+
+    it('should require N lines for "any N lines"', () => {
+        const winMode = { type: 'lines', lineCount: 2 };
+
+        expect(findWinningPatterns(winMode, 3, marked([0, 1, 2]))).toEqual([]);
+
+        const patterns = findWinningPatterns(winMode, 3, marked([0, 1, 2, 3, 6]));
+        expect(patterns.map(pattern => pattern.type)).toEqual(['row', 'column']);
+        expect(countWins(winMode, patterns)).toBe(1);
+    });
+
+    it('should define the shape patterns on a 5x5 card', () => {
+        expect(getModePatterns({ type: 'four-corners' }, 5)[0].positions).toEqual([0, 4, 20, 24]);
+        expect(getModePatterns({ type: 'x' }, 5)[0].positions).toEqual([0, 4, 6, 8, 12, 16, 18, 20, 24]);
+        expect(getModePatterns({ type: 'plus' }, 5)[0].positions).toEqual([2, 7, 10, 11, 12, 13, 14, 17, 22]);
+        expect(getModePatterns({ type: 'frame' }, 5)[0].positions).toHaveLength(16);
+        expect(getModePatterns({ type: 'blackout' }, 5)[0].positions).toHaveLength(25);
+    });
+
+    it('should only win a shape mode when every shape cell is marked', () => {
+        const winMode = { type: 'four-corners' };
+
+        expect(findWinningPatterns(winMode, 5, marked([0, 4, 20]))).toEqual([]);
+        expect(findWinningPatterns(winMode, 5, marked([0, 4, 20, 24]))).toHaveLength(1);
+    });
+
+    it('should resolve positions of patterns saved without them', () => {
+        expect(getPatternPositions({ type: 'column', index: 1 }, 3)).toEqual([1, 4, 7]);
+        expect(getPatternPositions({ type: 'diagonal', index: 1 }, 3)).toEqual([2, 4, 6]);
+    });
+
+    it('should cycle and normalize win modes', () => {
+        expect(getNextWinMode({ type: 'lines', lineCount: 1 })).toEqual({ type: 'lines', lineCount: 2 });
+        expect(getNextWinMode({ type: 'blackout' })).toEqual({ type: 'lines', lineCount: 1 });
+        expect(normalizeWinMode({ type: 'unknown' })).toEqual({ type: 'lines', lineCount: 1 });
+    });
+
+    it('should only score patterns that were not paid out already', () => {
+        const isMarked = marked([0, 1, 2, 3, 6]);
+        const paidKeys = new Set(['row:0']);
+
+        const patterns = findNewWinningPatterns(undefined, 3, isMarked, paidKeys);
+        expect(patterns.map(getPatternKey)).toEqual(['column:0']);
+
+        paidKeys.add('column:0');
+        expect(findNewWinningPatterns(undefined, 3, isMarked, paidKeys)).toEqual([]);
+        expect(findNewWinningPatterns({ type: 'lines', lineCount: 2 }, 3, isMarked, new Set(['row:0']))).toEqual([]);
+    });
+
+    it('should not score a paid line again while cycling through the win modes', () => {
+        const isMarked = marked([0, 1, 2, 4]);
+        const paidKeys = new Set(findWinningPatterns(undefined, 3, isMarked).map(getPatternKey));
+        expect([...paidKeys]).toEqual(['row:0']);
+
+        let winMode = getNextWinMode(undefined);
+        for (let step = 0; step < 8; step++) {
+            expect(findNewWinningPatterns(winMode, 3, isMarked, paidKeys)).toEqual([]);
+            winMode = getNextWinMode(winMode);
+        }
+    });
+});
@@ -0,0 +1,25 @@
+/**
+ * ApplicationState fixtures shared by the unit tests
+ *
+ * ARCHITECTURE NOTES:
+ * - Builds real ApplicationState models (no Phaser, no registry)
+ * - Tests change the returned state freely - every call makes a new one
+ */
+
+import { ApplicationState } from '../../src/models/ApplicationState.js';
+
+/**
+ * Create an ApplicationState with the default categories, goals and rewards
+ *
+ * @param {Array} [goals] - Goals to use as the library instead of the default ones
+ * @returns {ApplicationState} A new state
+ */
+export function createState(goals = null) {
+    const appState = new ApplicationState();
+    appState.initializeDefaults();
+    if (goals) {
+        appState.goalLibrary = goals;
+        appState.updateCategoryGoalCounts();
+    }
+    return appState;
+}